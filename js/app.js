@@ -10,35 +10,144 @@ import { ClassManager } from './models/ClassManager.js';
 import { StudentManager } from './models/StudentManager.js';
 import { ArrivalTracker } from './models/ArrivalTracker.js';
 import { ReportGenerator } from './models/ReportGenerator.js';
+import { Settings } from './models/Settings.js';
+import { Journal } from './models/Journal.js';
+import { SyncManager } from './models/SyncManager.js';
+import { WorkspaceManager } from './models/WorkspaceManager.js';
+import { BackupManager } from './models/BackupManager.js';
+import { SchoolCalendar } from './models/SchoolCalendar.js';
+import { YearRollover } from './models/YearRollover.js';
+import { Trash } from './models/Trash.js';
+import { TimetableCalendar } from './models/TimetableCalendar.js';
+import { StudentPhotos } from './models/StudentPhotos.js';
 import { UI } from './views/UI.js';
-import { Storage } from './utils/Storage.js';
+import { SchemaMigrator } from './utils/SchemaMigrator.js';
 
 class App {
     constructor() {
-        this.storage = new Storage();
-        this.classManager = new ClassManager(this.storage);
-        this.studentManager = new StudentManager(this.storage);
-        this.arrivalTracker = new ArrivalTracker(this.storage, this.classManager);
-        this.reportGenerator = new ReportGenerator(this.storage, this.studentManager, this.classManager);
+        this.workspaceManager = new WorkspaceManager();
+        this.workspace = this.workspaceManager.getActive();
+        this.storage = this.workspaceManager.createStorage(this.workspace);
+        this.settings = new Settings(this.storage);
+        this.journal = new Journal(this.storage, this.settings);
+        this.calendar = new SchoolCalendar(this.storage, this.journal);
+        this.classManager = new ClassManager(this.storage, this.journal, this.settings, this.calendar);
+        this.studentManager = new StudentManager(this.storage, this.journal, this.settings);
+        this.photos = new StudentPhotos(this.storage, this.studentManager);
+        this.arrivalTracker = new ArrivalTracker(this.storage, this.classManager, this.journal, this.calendar);
+        this.reportGenerator = new ReportGenerator(
+            this.storage, this.studentManager, this.classManager, this.journal, this.calendar
+        );
+        this.syncManager = new SyncManager(this.storage, this.journal);
+        this.backupManager = new BackupManager(this.storage, this.settings);
+        this.yearRollover = new YearRollover(this.classManager, this.studentManager, this.backupManager);
+        this.timetableCalendar = new TimetableCalendar(this.classManager, this.calendar);
+        this.trash = new Trash(
+            this.storage, this.classManager, this.studentManager, this.arrivalTracker,
+            this.backupManager, this.photos, this.journal
+        );
         this.ui = new UI(this);
         
+        // Failed writes (storage full...) must not go unnoticed
+        this.storage.onWriteError(error => this.ui.showWriteError(error));
+        
         this.init();
     }
 
     async init() {
-        console.log('📱 Lateness Tracker starting...');
+        console.log(`📱 Lateness Tracker starting (${this.workspace.name})...`);
+        
+        // Open storage backend (migrates localStorage data on first launch)
+        await this.storage.open();
+        
+        // Encrypted data: wait for the passphrase
+        if (this.storage.isLocked()) {
+            await this.ui.showUnlockScreen();
+        }
+        
+        // Upgrade stored data to the current schema before anything reads it
+        try {
+            await new SchemaMigrator(this.storage).run();
+        } catch (error) {
+            console.error('Schema migration failed', error);
+            document.getElementById('app').innerHTML = 
+                `<div style="padding:20px;color:red;"><h2>Error</h2><p>${error.message}</p></div>`;
+            return;
+        }
         
         // Load data from storage
-        await this.classManager.load();
-        await this.studentManager.load();
-        await this.arrivalTracker.load();
+        await this.loadData();
+        
+        // Follow changes made in other tabs/windows and on other devices
+        this.storage.subscribe(keys => this.handleExternalChange(keys));
+        this.syncManager.subscribe(keys => this.handleExternalChange(keys));
         
         // Initialize UI
         this.ui.init();
         
+        // Optional server sync
+        this.syncManager.start();
+        
+        // Daily restore point
+        this.backupManager.start();
+        
         console.log('✅ App initialized');
     }
 
+    // Load (or reload) every manager from storage
+    async loadData() {
+        await this.settings.load();
+        await this.journal.load();
+        await this.calendar.load();
+        await this.classManager.load();
+        await this.studentManager.load();
+        await this.photos.load();
+        await this.arrivalTracker.load();
+        await this.syncManager.load();
+        await this.backupManager.load();
+        await this.trash.load();
+    }
+
+    // Reload what another tab or window changed, then refresh the screen
+    async handleExternalChange(keys) {
+        // Encryption turned on/off in another tab: start over (and lock)
+        if (keys.includes('@encryption')) {
+            location.reload();
+            return;
+        }
+        
+        const loaders = {
+            settings: this.settings,
+            journal: this.journal,
+            calendar: this.calendar,
+            classes: this.classManager,
+            students: this.studentManager,
+            photos: this.photos,
+            arrivals: this.arrivalTracker,
+            syncConfig: this.syncManager,
+            restorePoints: this.backupManager,
+            trash: this.trash
+        };
+        const all = keys.includes('*');
+        const changed = Object.keys(loaders).filter(key => all || keys.includes(key));
+        
+        for (const key of changed) {
+            await loaders[key].load();
+        }
+        
+        // Sync bookkeeping, restore points and the trash do not change what is on screen
+        if (changed.some(key => !['syncConfig', 'restorePoints', 'trash'].includes(key))) {
+            this.ui.handleExternalChange();
+        }
+    }
+
+    // Open another workspace (reloads the app on its data)
+    switchWorkspace(id) {
+        if (this.workspaceManager.setActive(id)) {
+            location.reload();
+        }
+    }
+
     // Get current app state
     getState() {
         return {
@@ -1,8 +1,19 @@
 (() => {
   // js/models/ClassManager.js
-  var ClassManager = class {
-    constructor(storage) {
+  var DAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+  var CLASS_COLORS = ["#4CAF50", "#2196F3", "#FF9800", "#9C27B0", "#F44336", "#009688", "#795548", "#607D8B"];
+  var CLASS_FIELDS = {
+    teacher: "Teacher",
+    room: "Room",
+    level: "Level",
+    subject: "Subject"
+  };
+  var ClassManager = class _ClassManager {
+    constructor(storage, journal = null, settings = null, calendar = null) {
       this.storage = storage;
+      this.journal = journal;
+      this.settings = settings;
+      this.calendar = calendar;
       this.classes = [];
     }
     /**
@@ -38,14 +49,25 @@
      * @param {object} schedule - Weekly schedule
      */
     add(name, schedule = {}) {
+      const now = (/* @__PURE__ */ new Date()).toISOString();
       const newClass = {
         id: this.generateId(),
         name,
         schedule: schedule || this.defaultSchedule(),
-        createdAt: (/* @__PURE__ */ new Date()).toISOString()
+        overrides: {},
+        schoolYear: this.getCurrentYear(),
+        archived: false,
+        teacher: "",
+        room: "",
+        level: "",
+        subject: "",
+        color: null,
+        createdAt: now,
+        updatedAt: now
       };
       this.classes.push(newClass);
-      this.save();
+      this.storage.putRecord("classes", newClass);
+      this.journal?.record("create", "class", null, newClass);
       return newClass;
     }
     /**
@@ -56,983 +78,8789 @@
     update(id, updates) {
       const index = this.classes.findIndex((c) => c.id === id);
       if (index !== -1) {
-        this.classes[index] = { ...this.classes[index], ...updates };
-        this.save();
+        const before = this.classes[index];
+        this.classes[index] = { ...before, ...updates, updatedAt: (/* @__PURE__ */ new Date()).toISOString() };
+        this.storage.putRecord("classes", this.classes[index]);
+        this.journal?.record("update", "class", before, this.classes[index]);
         return this.classes[index];
       }
       return null;
     }
     /**
-     * Delete a class
+     * Delete a class (its students and arrivals stay: see Trash.deleteClass())
      * @param {string} id 
      */
     delete(id) {
+      const before = this.getById(id);
       this.classes = this.classes.filter((c) => c.id !== id);
-      this.save();
+      if (before) {
+        this.storage.deleteRecord("classes", id);
+        this.journal?.record("delete", "class", before, null);
+      }
     }
     /**
-     * Get schedule for a specific day
-     * @param {string} classId 
-     * @param {number} dayOfWeek - 0=Sunday, 1=Monday, etc.
-     * @returns {object|null} - { startTime, endTime } or null if no class
+     * Put back records deleted earlier (trash), as newer than their deletion
+     * @param {array} records 
      */
-    getScheduleForDay(classId, dayOfWeek) {
-      const classObj = this.getById(classId);
-      if (!classObj) return null;
-      const dayNames = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
-      const dayName = dayNames[dayOfWeek];
-      return classObj.schedule[dayName] || null;
+    restoreRecords(records) {
+      const now = (/* @__PURE__ */ new Date()).toISOString();
+      records.forEach((record) => {
+        const restored = { ...record, updatedAt: now };
+        this.classes.push(restored);
+        this.storage.putRecord("classes", restored);
+        this.journal?.record("create", "class", null, restored);
+      });
     }
     /**
-     * Default weekly schedule template
+     * Classes matching every given field (e.g., { level: '1AEP', schoolYear: '2026-2027' })
+     * @param {object} criteria 
+     * @returns {array} - By name
      */
-    defaultSchedule() {
-      return {
-        monday: { enabled: true, startTime: "12:30", endTime: "14:20" },
-        tuesday: { enabled: true, startTime: "12:30", endTime: "14:20" },
-        wednesday: { enabled: true, startTime: "12:30", endTime: "14:20" },
-        thursday: { enabled: true, startTime: "12:30", endTime: "14:20" },
-        friday: { enabled: true, startTime: "12:30", endTime: "14:20" },
-        saturday: { enabled: true, startTime: "12:30", endTime: "14:20" },
-        sunday: { enabled: false }
-      };
+    filter(criteria) {
+      return this.classes.filter((c) => Object.entries(criteria).every(([field, value]) => (c[field] || "") === value)).sort((a, b) => a.name.localeCompare(b.name));
     }
     /**
-     * Generate unique ID
+     * Values used by the classes for a field, e.g., every level
+     * @param {string} field - Key of CLASS_FIELDS
+     * @param {array} classes - Classes to look at (all by default)
+     * @returns {array} - Sorted, without empty values
      */
-    generateId() {
-      return "cls_" + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    getFieldValues(field, classes = this.classes) {
+      return [...new Set(classes.map((c) => (c[field] || "").trim()).filter(Boolean))].sort();
     }
-  };
-
-  // js/models/StudentManager.js
-  var StudentManager = class {
-    constructor(storage) {
-      this.storage = storage;
-      this.students = [];
+    /**
+     * Group classes by level (classes without a level last)
+     * @param {array} classes 
+     * @returns {array} - [{ level, classes }]
+     */
+    groupByLevel(classes) {
+      const levels = this.getFieldValues("level", classes);
+      const groups = levels.map((level) => ({
+        level,
+        classes: classes.filter((c) => (c.level || "").trim() === level)
+      }));
+      const other = classes.filter((c) => !(c.level || "").trim());
+      if (other.length > 0) groups.push({ level: "", classes: other });
+      return groups;
     }
     /**
-     * Load students from storage
+     * Current school year: the most recent year of the classes
+     * @returns {string} - e.g., "2026-2027"
      */
-    async load() {
-      this.students = this.storage.get("students", []);
+    getCurrentYear() {
+      return this.getYears()[0] || _ClassManager.schoolYearOf((/* @__PURE__ */ new Date()).toISOString().split("T")[0]);
     }
     /**
-     * Save students to storage
+     * School years with classes, most recent first
+     * @returns {array}
      */
-    save() {
-      this.storage.set("students", this.students);
+    getYears() {
+      return [...new Set(this.classes.map((c) => c.schoolYear).filter(Boolean))].sort().reverse();
     }
     /**
-     * Get all students
+     * Get the classes of a school year
+     * @param {string} year 
      * @returns {array}
      */
-    getAll() {
-      return [...this.students];
+    getByYear(year) {
+      return this.classes.filter((c) => c.schoolYear === year);
     }
     /**
-     * Get students for a specific class
+     * Is a class archived (past school year, read-only)?
      * @param {string} classId 
-     * @returns {array}
+     * @returns {boolean}
      */
-    getByClass(classId) {
-      return this.students.filter((s) => s.classId === classId);
+    isArchived(classId) {
+      const classObj = this.getById(classId);
+      return !!(classObj && classObj.archived);
     }
     /**
-     * Get student by ID
-     * @param {string} id 
-     * @returns {object|null}
+     * School year of a date (years start in August)
+     * @param {string} date - YYYY-MM-DD
+     * @returns {string} - e.g., "2026-2027"
      */
-    getById(id) {
-      return this.students.find((s) => s.id === id) || null;
+    static schoolYearOf(date) {
+      const [year, month] = date.split("-").map(Number);
+      const start = month >= 8 ? year : year - 1;
+      return `${start}-${start + 1}`;
     }
     /**
-     * Add a new student
-     * @param {string} name - Student name
-     * @param {string} classId - Class ID
-     * @param {string} photoUrl - Optional photo URL
+     * The school year after a year
+     * @param {string} year - e.g., "2026-2027"
+     * @returns {string} - e.g., "2027-2028"
      */
-    add(name, classId, photoUrl = null) {
-      const student = {
-        id: this.generateId(),
-        name: name.trim(),
-        classId,
-        photoUrl,
-        createdAt: (/* @__PURE__ */ new Date()).toISOString()
-      };
-      this.students.push(student);
-      this.save();
-      return student;
+    static nextSchoolYear(year) {
+      const start = parseInt(year) + 1;
+      return `${start}-${start + 1}`;
     }
     /**
-     * Update a student
-     * @param {string} id 
-     * @param {object} updates 
+     * Lateness rules of a class: its own values over the global settings
+     * @param {string} classId 
+     * @returns {object} - { graceMinutes, veryLateMinutes, absentMinutes }
      */
-    update(id, updates) {
-      const index = this.students.findIndex((s) => s.id === id);
-      if (index !== -1) {
-        this.students[index] = { ...this.students[index], ...updates };
-        this.save();
-        return this.students[index];
-      }
-      return null;
+    getLatenessRules(classId) {
+      const classObj = this.getById(classId);
+      const defaults = this.settings && this.settings.get("lateness") || {};
+      return { ...defaults, ...classObj && classObj.lateness || {} };
     }
     /**
-     * Delete a student
-     * @param {string} id 
+     * Get schedule for a specific day
+     * @param {string} classId 
+     * @param {number} dayOfWeek - 0=Sunday, 1=Monday, etc.
+     * @param {string} date - ISO date string, picks the rotation week (optional, week A otherwise)
+     * @returns {object|null} - { enabled, sessions } or null if no class
      */
-    delete(id) {
-      this.students = this.students.filter((s) => s.id !== id);
-      this.save();
+    getScheduleForDay(classId, dayOfWeek, date = null) {
+      const classObj = this.getById(classId);
+      if (!classObj) return null;
+      const dayName2 = DAY_NAMES[dayOfWeek];
+      const week = date ? this.getWeekIndex(classId, date) : 0;
+      return this.getWeekSchedule(classObj, week)[dayName2] || null;
     }
     /**
-     * Import students from CSV
-     * CSV format: name,photoUrl (optional)
-     * @param {string} csvContent 
+     * Get the schedule of one week of the rotation
+     * @param {object} classObj 
+     * @param {number} week - 0 = week A
+     * @returns {object}
+     */
+    getWeekSchedule(classObj, week) {
+      if (week === 0 || !classObj.rotation) return classObj.schedule;
+      return classObj.rotation.schedules[week - 1] || {};
+    }
+    /**
+     * Number of weeks in the rotation of a class
      * @param {string} classId 
-     * @returns {object} - { success, imported, errors }
+     * @returns {number}
      */
-    importFromCSV(csvContent, classId) {
-      const lines = csvContent.trim().split("\n");
-      const results = { success: true, imported: 0, errors: [] };
-      const startIndex = lines[0].toLowerCase().includes("name") ? 1 : 0;
-      for (let i = startIndex; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-        const parts = line.split(",").map((p) => p.trim());
-        const name = parts[0];
-        const photoUrl = parts[1] || null;
-        if (name) {
-          this.add(name, classId, photoUrl);
-          results.imported++;
-        } else {
-          results.errors.push(`Line ${i + 1}: Empty name`);
+    getWeekCount(classId) {
+      const classObj = this.getById(classId);
+      return classObj && classObj.rotation ? classObj.rotation.schedules.length + 1 : 1;
+    }
+    /**
+     * Rotation week of a date
+     * @param {string} classId 
+     * @param {string} date 
+     * @returns {number} - 0 = week A, 1 = week B...
+     */
+    getWeekIndex(classId, date) {
+      const classObj = this.getById(classId);
+      if (!classObj || !classObj.rotation) return 0;
+      const { anchorDate, skipClosedWeeks } = classObj.rotation;
+      const weeks = this.getWeekCount(classId);
+      const anchor = weekStart(anchorDate);
+      const current = weekStart(date);
+      const direction = current >= anchor ? 1 : -1;
+      const [from, to] = direction === 1 ? [anchor, current] : [addDays(anchor, -7), addDays(current, -7)];
+      let count = 0;
+      for (let week = from; week !== to; week = addDays(week, 7 * direction)) {
+        if (!skipClosedWeeks || !this.calendar || this.calendar.isSchoolWeek(week)) {
+          count += direction;
         }
       }
-      return results;
+      return (count % weeks + weeks) % weeks;
     }
     /**
-     * Get students sorted by name
+     * Turn the weekly schedule into an N-week rotation (1 = no rotation)
      * @param {string} classId 
-     * @returns {array}
+     * @param {object} options - { weeks, anchorDate, skipClosedWeeks }
+     * @returns {object|null} - Updated class
      */
-    getSortedByName(classId) {
-      return this.getByClass(classId).sort(
-        (a, b) => a.name.localeCompare(b.name)
+    setRotation(classId, { weeks, anchorDate, skipClosedWeeks = true }) {
+      const classObj = this.getById(classId);
+      if (!classObj) return null;
+      if (weeks <= 1) {
+        return this.update(classId, { rotation: null });
+      }
+      const schedules = Array.from(
+        { length: weeks - 1 },
+        (_, i) => classObj.rotation && classObj.rotation.schedules[i] || this.copySchedule(classObj.schedule)
       );
+      return this.update(classId, {
+        rotation: {
+          anchorDate: anchorDate || classObj.rotation && classObj.rotation.anchorDate || (/* @__PURE__ */ new Date()).toISOString().split("T")[0],
+          skipClosedWeeks,
+          schedules
+        }
+      });
     }
     /**
-     * Generate unique ID
+     * Copy a weekly schedule with new session ids
+     * @param {object} schedule 
+     * @returns {object}
      */
-    generateId() {
-      return "stu_" + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
-    }
-  };
-
-  // js/models/ArrivalTracker.js
-  var ArrivalTracker = class {
-    constructor(storage, classManager) {
-      this.storage = storage;
-      this.classManager = classManager;
-      this.arrivals = [];
+    copySchedule(schedule) {
+      return Object.fromEntries(Object.entries(schedule).map(([day, entry]) => [day, {
+        ...entry,
+        sessions: (entry.sessions || []).map((s) => ({ ...s, id: this.generateSessionId() }))
+      }]));
     }
     /**
-     * Load arrivals from storage
+     * Display name of a rotation week
+     * @param {number} week - 0 = week A
+     * @returns {string}
      */
-    async load() {
-      this.arrivals = this.storage.get("arrivals", []);
+    static weekLabel(week) {
+      return `Week ${String.fromCharCode(65 + week)}`;
     }
     /**
-     * Save arrivals to storage
+     * Get the sessions of a class on a date, in time order
+     * @param {string} classId 
+     * @param {string} date - ISO date string
+     * @returns {array} - [{ id, label, startTime, endTime }]
      */
-    save() {
-      this.storage.set("arrivals", this.arrivals);
+    getSessions(classId, date) {
+      return this.getDaySessions(classId, date).filter((s) => !s.cancelled);
     }
     /**
-     * Get all arrivals
+     * Get the sessions of a class on a date, cancelled ones included
+     * @param {string} classId 
+     * @param {string} date 
      * @returns {array}
      */
-    getAll() {
-      return [...this.arrivals];
+    getDaySessions(classId, date) {
+      const override = this.getOverride(classId, date);
+      const sessions = override ? override.sessions : this.getTemplateSessions(classId, date);
+      return [...sessions].sort((a, b) => a.startTime.localeCompare(b.startTime));
     }
     /**
-     * Get arrivals for a specific date
-     * @param {string} date - ISO date string (YYYY-MM-DD)
+     * Get the weekly template sessions for the weekday of a date
+     * @param {string} classId 
+     * @param {string} date 
      * @returns {array}
      */
-    getByDate(date) {
-      return this.arrivals.filter((a) => a.date === date);
+    getTemplateSessions(classId, date) {
+      const schedule = this.getScheduleForDay(classId, new Date(date).getDay(), date);
+      if (!schedule || !schedule.enabled) return [];
+      return schedule.sessions || [];
     }
     /**
-     * Get arrivals for a class on a specific date
+     * Get the schedule override of a class on a date
      * @param {string} classId 
      * @param {string} date 
-     * @returns {array}
+     * @returns {object|null} - { sessions }
      */
-    getByClassAndDate(classId, date) {
-      return this.arrivals.filter((a) => a.classId === classId && a.date === date);
+    getOverride(classId, date) {
+      const classObj = this.getById(classId);
+      return classObj && classObj.overrides && classObj.overrides[date] || null;
     }
     /**
-     * Mark student arrival
-     * @param {string} studentId 
+     * Get the dates a class has an override for
      * @param {string} classId 
-     * @param {string} date - ISO date string
-     * @param {string} time - HH:MM format (optional, defaults to now)
-     * @returns {object}
+     * @returns {array} - ISO date strings, in order
      */
-    markArrival(studentId, classId, date, time = null) {
-      const existing = this.arrivals.find(
-        (a) => a.studentId === studentId && a.date === date
-      );
-      if (existing) {
-        return { success: false, message: "Already marked", arrival: existing };
-      }
-      const arrivalTime = time || (/* @__PURE__ */ new Date()).toTimeString().substr(0, 5);
-      const dayOfWeek = new Date(date).getDay();
-      const schedule = this.classManager.getScheduleForDay(classId, dayOfWeek);
-      let minutesLate = 0;
-      let status = "on-time";
-      if (schedule && schedule.enabled && schedule.startTime) {
-        const [scheduleHour, scheduleMin] = schedule.startTime.split(":").map(Number);
-        const [arrivalHour, arrivalMin] = arrivalTime.split(":").map(Number);
-        const scheduleMinutes = scheduleHour * 60 + scheduleMin;
-        const arrivalMinutes = arrivalHour * 60 + arrivalMin;
-        minutesLate = Math.max(0, arrivalMinutes - scheduleMinutes);
-        status = minutesLate > 0 ? "late" : "on-time";
-      }
-      const arrival = {
-        id: this.generateId(),
-        studentId,
+    getOverrideDates(classId) {
+      const classObj = this.getById(classId);
+      return Object.keys(classObj && classObj.overrides || {}).sort();
+    }
+    /**
+     * Start an override for a date, from the weekly template
+     * @param {string} classId 
+     * @param {string} date 
+     * @returns {object|null} - Updated class
+     */
+    createOverride(classId, date) {
+      if (this.getOverride(classId, date)) return this.getById(classId);
+      return this.updateOverride(
         classId,
         date,
-        time: arrivalTime,
-        minutesLate,
-        status,
-        createdAt: (/* @__PURE__ */ new Date()).toISOString()
-      };
-      this.arrivals.push(arrival);
-      this.save();
-      return { success: true, arrival };
+        () => this.getTemplateSessions(classId, date).map((s) => ({ ...s, cancelled: false }))
+      );
     }
     /**
-     * Remove arrival (undo)
-     * @param {string} studentId 
+     * Change (move, rename, cancel) a session of a date override
+     * @param {string} classId 
      * @param {string} date 
-     * @returns {boolean}
+     * @param {string} sessionId 
+     * @param {object} updates - { label, startTime, endTime, cancelled }
      */
-    removeArrival(studentId, date) {
-      const index = this.arrivals.findIndex(
-        (a) => a.studentId === studentId && a.date === date
+    updateOverrideSession(classId, date, sessionId, updates) {
+      return this.updateOverride(
+        classId,
+        date,
+        (sessions) => sessions.map((s) => s.id === sessionId ? { ...s, ...updates } : s)
       );
-      if (index !== -1) {
-        this.arrivals.splice(index, 1);
-        this.save();
-        return true;
-      }
-      return false;
     }
     /**
-     * Check if student has arrived
-     * @param {string} studentId 
+     * Add an extra session on a date
+     * @param {string} classId 
      * @param {string} date 
-     * @returns {object|null}
      */
-    hasArrived(studentId, date) {
-      return this.arrivals.find((a) => a.studentId === studentId && a.date === date) || null;
+    addOverrideSession(classId, date) {
+      return this.updateOverride(
+        classId,
+        date,
+        (sessions) => [...sessions, { ...this.newSession(), cancelled: false }]
+      );
     }
     /**
-     * Get statistics for a student
-     * @param {string} studentId 
-     * @param {string} startDate 
-     * @param {string} endDate 
-     * @returns {object}
+     * Remove an extra session from a date (template sessions can only be cancelled)
+     * @param {string} classId 
+     * @param {string} date 
+     * @param {string} sessionId 
      */
-    getStudentStats(studentId, startDate = null, endDate = null) {
-      let filtered = this.arrivals.filter((a) => a.studentId === studentId);
-      if (startDate) {
-        filtered = filtered.filter((a) => a.date >= startDate);
-      }
-      if (endDate) {
-        filtered = filtered.filter((a) => a.date <= endDate);
-      }
-      const total = filtered.length;
-      const tardies = filtered.filter((a) => a.status === "late").length;
-      const onTime = filtered.filter((a) => a.status === "on-time").length;
-      const totalMinutesLate = filtered.reduce((sum, a) => sum + a.minutesLate, 0);
-      const avgMinutesLate = tardies > 0 ? Math.round(totalMinutesLate / tardies) : 0;
-      return {
-        totalArrivals: total,
-        onTime,
-        tardies,
-        totalMinutesLate,
-        avgMinutesLate
-      };
+    removeOverrideSession(classId, date, sessionId) {
+      return this.updateOverride(classId, date, (sessions) => sessions.filter((s) => s.id !== sessionId));
     }
     /**
-     * Get statistics for a class
+     * Go back to the weekly template on a date
      * @param {string} classId 
-     * @param {string} startDate 
-     * @param {string} endDate 
-     * @returns {object}
+     * @param {string} date 
      */
-    getClassStats(classId, startDate = null, endDate = null) {
-      let filtered = this.arrivals.filter((a) => a.classId === classId);
-      if (startDate) {
-        filtered = filtered.filter((a) => a.date >= startDate);
-      }
-      if (endDate) {
-        filtered = filtered.filter((a) => a.date <= endDate);
-      }
-      const tardies = filtered.filter((a) => a.status === "late").length;
-      const onTime = filtered.filter((a) => a.status === "on-time").length;
-      return {
-        totalArrivals: filtered.length,
-        onTime,
-        tardies,
-        latenessRate: filtered.length > 0 ? Math.round(tardies / filtered.length * 100) : 0
-      };
+    removeOverride(classId, date) {
+      const classObj = this.getById(classId);
+      if (!classObj || !this.getOverride(classId, date)) return null;
+      const { [date]: removed, ...overrides } = classObj.overrides;
+      return this.update(classId, { overrides });
     }
     /**
-     * Generate unique ID
+     * Replace the sessions of a date override
+     * @param {string} classId 
+     * @param {string} date 
+     * @param {function} change - Receives the current sessions, returns the new ones
      */
-    generateId() {
-      return "arr_" + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
-    }
-  };
-
-  // js/models/ReportGenerator.js
-  var ReportGenerator = class {
-    constructor(storage, studentManager, classManager) {
-      this.storage = storage;
-      this.studentManager = studentManager;
-      this.classManager = classManager;
+    updateOverride(classId, date, change) {
+      const classObj = this.getById(classId);
+      if (!classObj) return null;
+      const current = this.getOverride(classId, date);
+      const sessions = current ? current.sessions : this.getTemplateSessions(classId, date);
+      return this.update(classId, {
+        overrides: { ...classObj.overrides || {}, [date]: { sessions: change(sessions) } }
+      });
     }
     /**
-     * Generate monthly report for a class
+     * Find a session of a class on a date
      * @param {string} classId 
-     * @param {number} year 
-     * @param {number} month - 1-12
-     * @returns {object}
+     * @param {string} date 
+     * @param {string} sessionId 
+     * @returns {object|null} - { session, index, label }
      */
-    generateMonthlyReport(classId, year, month) {
-      const classObj = this.classManager.getById(classId);
-      if (!classObj) return null;
-      const students = this.studentManager.getByClass(classId);
-      const startDate = `${year}-${String(month).padStart(2, "0")}-01`;
-      const endDate = new Date(year, month, 0).toISOString().split("T")[0];
-      const report = {
-        classId,
-        className: classObj.name,
-        year,
-        month,
-        monthName: new Date(year, month - 1).toLocaleString("default", { month: "long" }),
-        generatedAt: (/* @__PURE__ */ new Date()).toISOString(),
-        students: []
-      };
-      students.forEach((student) => {
-        const arrivals = this.storage.get("arrivals", []).filter(
-          (a) => a.studentId === student.id && a.date >= startDate && a.date <= endDate
-        );
-        const tardies = arrivals.filter((a) => a.status === "late");
-        const totalMinutesLate = tardies.reduce((sum, a) => sum + a.minutesLate, 0);
-        report.students.push({
-          id: student.id,
-          name: student.name,
-          photoUrl: student.photoUrl,
-          totalDays: arrivals.length,
-          onTime: arrivals.filter((a) => a.status === "on-time").length,
-          tardies: tardies.length,
-          totalMinutesLate,
-          avgMinutesLate: tardies.length > 0 ? Math.round(totalMinutesLate / tardies.length) : 0,
-          arrivals: arrivals.map((a) => ({
-            date: a.date,
-            time: a.time,
-            minutesLate: a.minutesLate
-          }))
-        });
-      });
-      report.students.sort((a, b) => a.name.localeCompare(b.name));
-      return report;
+    getSession(classId, date, sessionId) {
+      const sessions = this.getDaySessions(classId, date);
+      const index = sessions.findIndex((s) => s.id === sessionId);
+      if (index === -1) return null;
+      return { session: sessions[index], index, label: _ClassManager.sessionLabel(sessions[index], index) };
     }
     /**
-     * Generate CSV for a report
-     * @param {object} report 
+     * Label of a session on a date, for grouping arrivals in stats and reports
+     * @param {string} classId 
+     * @param {string} date 
+     * @param {string|null} sessionId 
      * @returns {string}
      */
-    generateCSV(report) {
-      const lines = [];
-      lines.push(`Rapport de retards - ${report.className} - ${report.monthName} ${report.year}`);
-      lines.push("");
-      lines.push("Nom,D\xE9lais,Retards,Minutes de retard, Moyenne");
-      report.students.forEach((s) => {
-        lines.push(`${s.name},${s.totalDays},${s.tardies},${s.totalMinutesLate},${s.avgMinutesLate}`);
-      });
-      const totalDays = report.students.reduce((sum, s) => sum + s.totalDays, 0);
-      const totalTardies = report.students.reduce((sum, s) => sum + s.tardies, 0);
-      const totalMinutes = report.students.reduce((sum, s) => sum + s.totalMinutesLate, 0);
-      lines.push("");
-      lines.push(`Total,${totalDays},${totalTardies},${totalMinutes},${totalTardies > 0 ? Math.round(totalMinutes / totalTardies) : 0}`);
-      return lines.join("\n");
+    getSessionLabel(classId, date, sessionId) {
+      const found = sessionId && this.getSession(classId, date, sessionId);
+      if (found) return found.label;
+      return sessionId ? "Other session" : "Unscheduled";
     }
     /**
-     * Generate daily attendance sheet
+     * Session a student arriving at `time` is coming to: the one in progress,
+     * else the next one, else the last one of the day
      * @param {string} classId 
      * @param {string} date 
-     * @returns {object}
+     * @param {string} time - HH:MM
+     * @returns {object|null}
      */
-    generateDailySheet(classId, date) {
-      const classObj = this.classManager.getById(classId);
+    detectSession(classId, date, time) {
+      const sessions = this.getSessions(classId, date);
+      if (sessions.length === 0) return null;
+      const endOf = (session, index) => session.endTime || (sessions[index + 1] ? sessions[index + 1].startTime : "24:00");
+      return sessions.find((s, i) => time < endOf(s, i)) || sessions[sessions.length - 1];
+    }
+    /**
+     * Turn a weekday on or off
+     * @param {string} classId 
+     * @param {string} day - Day name (e.g., "monday")
+     * @param {boolean} enabled 
+     * @param {number} week - Rotation week (0 = week A)
+     */
+    setDayEnabled(classId, day, enabled, week = 0) {
+      return this.updateDay(classId, day, (schedule) => {
+        const sessions = schedule.sessions || [];
+        return {
+          enabled,
+          sessions: enabled && sessions.length === 0 ? [this.newSession()] : sessions
+        };
+      }, week);
+    }
+    /**
+     * Add a session to a weekday
+     * @param {string} classId 
+     * @param {string} day 
+     * @param {number} week - Rotation week (0 = week A)
+     * @returns {object|null} - Updated class
+     */
+    addSession(classId, day, week = 0) {
+      return this.updateDay(classId, day, (schedule) => {
+        const sessions = schedule.sessions || [];
+        const last = [...sessions].sort((a, b) => a.startTime.localeCompare(b.startTime)).pop();
+        const session = last && last.endTime ? this.newSession(last.endTime, "") : this.newSession();
+        return { ...schedule, enabled: true, sessions: [...sessions, session] };
+      }, week);
+    }
+    /**
+     * Update a session of a weekday
+     * @param {string} classId 
+     * @param {string} day 
+     * @param {string} sessionId 
+     * @param {object} updates - { label, startTime, endTime }
+     * @param {number} week - Rotation week (0 = week A)
+     */
+    updateSession(classId, day, sessionId, updates, week = 0) {
+      return this.updateDay(classId, day, (schedule) => ({
+        ...schedule,
+        sessions: (schedule.sessions || []).map((s) => s.id === sessionId ? { ...s, ...updates } : s)
+      }), week);
+    }
+    /**
+     * Remove a session from a weekday (arrivals recorded for it are kept)
+     * @param {string} classId 
+     * @param {string} day 
+     * @param {string} sessionId 
+     * @param {number} week - Rotation week (0 = week A)
+     */
+    removeSession(classId, day, sessionId, week = 0) {
+      return this.updateDay(classId, day, (schedule) => {
+        const sessions = (schedule.sessions || []).filter((s) => s.id !== sessionId);
+        return { enabled: schedule.enabled && sessions.length > 0, sessions };
+      }, week);
+    }
+    /**
+     * Replace the schedule of one weekday
+     * @param {string} classId 
+     * @param {string} day 
+     * @param {function} change - Receives the current day, returns the new one
+     * @param {number} week - Rotation week (0 = week A)
+     */
+    updateDay(classId, day, change, week = 0) {
+      const classObj = this.getById(classId);
       if (!classObj) return null;
-      const students = this.studentManager.getSortedByName(classId);
-      const arrivals = this.storage.get("arrivals", []).filter(
-        (a) => a.classId === classId && a.date === date
-      );
+      const weekSchedule = this.getWeekSchedule(classObj, week);
+      const current = weekSchedule[day] || { enabled: false, sessions: [] };
+      const updated = { ...weekSchedule, [day]: change(current) };
+      if (week === 0 || !classObj.rotation) {
+        return this.update(classId, { schedule: updated });
+      }
+      const schedules = [...classObj.rotation.schedules];
+      schedules[week - 1] = updated;
+      return this.update(classId, { rotation: { ...classObj.rotation, schedules } });
+    }
+    /**
+     * Create a session
+     * @param {string} startTime 
+     * @param {string} endTime 
+     */
+    newSession(startTime = "08:00", endTime = "12:00") {
+      return { id: this.generateSessionId(), label: "", startTime, endTime };
+    }
+    /**
+     * Display name of a session
+     * @param {object} session 
+     * @param {number} index - Position in the day
+     * @returns {string}
+     */
+    static sessionLabel(session, index) {
+      return (session.label || "").trim() || `Session ${index + 1}`;
+    }
+    /**
+     * Default weekly schedule template
+     */
+    defaultSchedule() {
+      const day = () => ({
+        enabled: true,
+        sessions: [{ id: this.generateSessionId(), label: "", startTime: "12:30", endTime: "14:20" }]
+      });
       return {
-        classId,
-        className: classObj.name,
-        date,
-        students: students.map((s) => {
-          const arrival = arrivals.find((a) => a.studentId === s.id);
-          return {
-            id: s.id,
-            name: s.name,
-            photoUrl: s.photoUrl,
-            arrived: !!arrival,
-            time: arrival ? arrival.time : null,
-            minutesLate: arrival ? arrival.minutesLate : 0,
-            status: arrival ? arrival.status : "absent"
-          };
-        })
+        monday: day(),
+        tuesday: day(),
+        wednesday: day(),
+        thursday: day(),
+        friday: day(),
+        saturday: day(),
+        sunday: { enabled: false, sessions: [] }
       };
     }
     /**
-     * Export all data as JSON
-     * @returns {string}
+     * Generate unique ID
      */
-    exportJSON() {
-      return JSON.stringify(this.storage.exportAll(), null, 2);
+    generateId() {
+      return "cls_" + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
     }
     /**
-     * Import data from JSON
-     * @param {string} jsonData 
+     * Generate unique session ID
+     */
+    generateSessionId() {
+      return "ses_" + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    }
+  };
+  function weekStart(date) {
+    const day = (/* @__PURE__ */ new Date(date + "T00:00:00Z")).getUTCDay();
+    return addDays(date, -((day + 6) % 7));
+  }
+  function addDays(date, days) {
+    const d = /* @__PURE__ */ new Date(date + "T00:00:00Z");
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split("T")[0];
+  }
+
+  // js/utils/CSV.js
+  var DELIMITERS = [",", ";", "	", "|"];
+  var CSV = class _CSV {
+    /**
+     * Decode file bytes
+     * @param {ArrayBuffer} buffer
+     * @returns {object} - { text, encoding }
      */
-    importJSON(jsonData) {
+    static decode(buffer) {
+      const bytes = new Uint8Array(buffer);
+      if (bytes[0] === 255 && bytes[1] === 254) {
+        return { text: new TextDecoder("utf-16le").decode(bytes.subarray(2)), encoding: "UTF-16LE" };
+      }
+      if (bytes[0] === 254 && bytes[1] === 255) {
+        return { text: new TextDecoder("utf-16be").decode(bytes.subarray(2)), encoding: "UTF-16BE" };
+      }
+      if (bytes[0] === 239 && bytes[1] === 187 && bytes[2] === 191) {
+        return { text: new TextDecoder("utf-8").decode(bytes.subarray(3)), encoding: "UTF-8" };
+      }
       try {
-        const data = JSON.parse(jsonData);
-        this.storage.importAll(data);
-        return { success: true };
+        return { text: new TextDecoder("utf-8", { fatal: true }).decode(bytes), encoding: "UTF-8" };
       } catch (error) {
-        return { success: false, error: error.message };
+        return { text: new TextDecoder("windows-1252").decode(bytes), encoding: "Windows-1252" };
+      }
+    }
+    /**
+     * Guess the delimiter: the one splitting the first lines into the same
+     * number of fields (more than one), quoted fields aside
+     * @param {string} text
+     * @returns {string}
+     */
+    static detectDelimiter(text) {
+      const lines = _CSV.stripBOM(text).split(/\r\n|\n|\r/).filter((line) => line.trim()).slice(0, 10);
+      let best = { delimiter: ",", score: 0 };
+      DELIMITERS.forEach((delimiter) => {
+        const counts = lines.map((line) => (_CSV.parse(line, delimiter)[0] || []).length).filter((n) => n > 0);
+        if (counts.length === 0 || counts[0] < 2) return;
+        const score = counts.filter((n) => n === counts[0]).length * 100 + counts[0];
+        if (score > best.score) best = { delimiter, score };
+      });
+      return best.delimiter;
+    }
+    /**
+     * Split CSV text into rows of fields
+     * @param {string} text
+     * @param {string} delimiter - Guessed when omitted
+     * @returns {array} - Rows (arrays of strings), blank lines excluded
+     */
+    static parse(text, delimiter = null) {
+      text = _CSV.stripBOM(String(text));
+      delimiter = delimiter || _CSV.detectDelimiter(text);
+      const rows = [];
+      let row = [];
+      let field = "";
+      let quoted = false;
+      let i = 0;
+      const endField = () => {
+        row.push(field);
+        field = "";
+      };
+      const endRow = () => {
+        endField();
+        if (row.length > 1 || row[0].trim() !== "") rows.push(row);
+        row = [];
+      };
+      while (i < text.length) {
+        const char = text[i];
+        if (quoted) {
+          if (char === '"' && text[i + 1] === '"') {
+            field += '"';
+            i += 2;
+            continue;
+          }
+          if (char === '"') {
+            quoted = false;
+          } else {
+            field += char;
+          }
+          i++;
+          continue;
+        }
+        if (char === '"' && field.trim() === "") {
+          field = "";
+          quoted = true;
+        } else if (char === delimiter) {
+          endField();
+        } else if (char === "\r" || char === "\n") {
+          endRow();
+          if (char === "\r" && text[i + 1] === "\n") i++;
+        } else {
+          field += char;
+        }
+        i++;
       }
+      if (field !== "" || row.length > 0) endRow();
+      return rows;
+    }
+    /**
+     * @param {string} text
+     * @returns {string} - Text without a leading byte order mark
+     */
+    static stripBOM(text) {
+      return text.charCodeAt(0) === 65279 ? text.slice(1) : text;
     }
   };
 
-  // js/views/UI.js
-  var UI = class {
-    constructor(app) {
-      this.app = app;
-      this.currentClassId = null;
-      this.currentDate = (/* @__PURE__ */ new Date()).toISOString().split("T")[0];
-      this.views = {};
+  // js/utils/Zip.js
+  var Zip = class {
+    /**
+     * List the files of an archive
+     * @param {ArrayBuffer} buffer
+     * @returns {Map} - Path → function returning a Promise of the file bytes
+     * @throws {Error} if the file is not a ZIP archive
+     */
+    static read(buffer) {
+      const view = new DataView(buffer);
+      const bytes = new Uint8Array(buffer);
+      let end = -1;
+      for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 65535); i--) {
+        if (view.getUint32(i, true) === 101010256) {
+          end = i;
+          break;
+        }
+      }
+      if (end === -1) throw new Error("Not a ZIP archive");
+      const files = /* @__PURE__ */ new Map();
+      const count = view.getUint16(end + 10, true);
+      let offset = view.getUint32(end + 16, true);
+      for (let i = 0; i < count && view.getUint32(offset, true) === 33639248; i++) {
+        const method = view.getUint16(offset + 10, true);
+        const size = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const local = view.getUint32(offset + 42, true);
+        const name = new TextDecoder("utf-8").decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+        const data = bytes.subarray(start, start + size);
+        if (!name.endsWith("/")) {
+          files.set(name, () => method === 0 ? Promise.resolve(data) : inflate(data));
+        }
+        offset += 46 + nameLength + extraLength + commentLength;
+      }
+      return files;
     }
-    init() {
-      this.renderApp();
-      this.setupEventListeners();
-      this.showClassSelector();
+  };
+  async function inflate(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  // js/utils/XLSX.js
+  var DATE_FORMAT_IDS = [14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47];
+  var XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+  var XLSX = class _XLSX {
+    /**
+     * Read the sheets of a workbook
+     * @param {ArrayBuffer} buffer - File content
+     * @returns {Promise<array>} - [{ name, rows }] with rows as arrays of strings
+     * @throws {Error} if the file is not an .xlsx workbook
+     */
+    static async read(buffer) {
+      let files;
+      try {
+        files = Zip.read(buffer);
+      } catch (error) {
+        files = /* @__PURE__ */ new Map();
+      }
+      if (!files.has("xl/workbook.xml")) {
+        throw new Error("Not an Excel workbook (.xlsx)");
+      }
+      const text = async (path) => files.has(path) ? new TextDecoder("utf-8").decode(await files.get(path)()) : "";
+      const strings = _XLSX.readSharedStrings(await text("xl/sharedStrings.xml"));
+      const dateStyles = _XLSX.readDateStyles(await text("xl/styles.xml"));
+      const targets = _XLSX.readRelationships(await text("xl/_rels/workbook.xml.rels"));
+      const sheets = [];
+      for (const [, attributes] of (await text("xl/workbook.xml")).matchAll(/<(?:\w+:)?sheet\b([^>]*)>/g)) {
+        const attrs = _XLSX.attributes(attributes);
+        const target = targets[attrs["r:id"]] || "";
+        const path = target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+        sheets.push({ name: attrs.name || "", rows: _XLSX.readSheet(await text(path), strings, dateStyles) });
+      }
+      return sheets;
     }
     /**
-     * Render main app structure
+     * @param {string} xml - xl/sharedStrings.xml
+     * @returns {array} - Strings by index
      */
-    renderApp() {
-      const app = document.getElementById("app");
-      app.innerHTML = `
-            <header class="app-header">
-                <h1>\u{1F4DA} Lateness Tracker</h1>
-                <div class="header-controls">
-                    <input type="date" id="datePicker" value="${this.currentDate}">
-                    <button id="menuBtn" class="icon-btn">\u2630</button>
-                </div>
-            </header>
-            
-            <nav id="classNav" class="class-nav"></nav>
-            
-            <main id="mainContent" class="main-content">
-                <div class="welcome-screen">
-                    <p>Select a class to start tracking</p>
-                </div>
-            </main>
-            
-            <nav id="bottomNav" class="bottom-nav">
-                <button class="nav-btn active" data-view="tracker">\u{1F44B} Arrival</button>
-                <button class="nav-btn" data-view="students">\u{1F465} Students</button>
-                <button class="nav-btn" data-view="schedule">\u{1F4C5} Schedule</button>
-                <button class="nav-btn" data-view="reports">\u{1F4CA} Reports</button>
-            </nav>
-
-            <div id="modal" class="modal hidden"></div>
-            <div id="sidebar" class="sidebar hidden"></div>
-        `;
+    static readSharedStrings(xml) {
+      return [...xml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(([, item]) => _XLSX.textOf(item));
     }
     /**
-     * Setup event listeners
+     * Styles whose number format shows a date
+     * @param {string} xml - xl/styles.xml
+     * @returns {Set} - Style indexes (the `s` attribute of cells)
      */
-    setupEventListeners() {
-      document.getElementById("datePicker").addEventListener("change", (e) => {
-        this.currentDate = e.target.value;
-        this.refreshCurrentView();
-      });
-      document.getElementById("bottomNav").addEventListener("click", (e) => {
-        if (e.target.classList.contains("nav-btn")) {
-          const view = e.target.dataset.view;
-          this.switchView(view);
+    static readDateStyles(xml) {
+      const dateFormats = new Set(DATE_FORMAT_IDS);
+      for (const [, attributes] of xml.matchAll(/<numFmt\b([^>]*)>/g)) {
+        const attrs = _XLSX.attributes(attributes);
+        const code = (attrs.formatCode || "").replace(/"[^"]*"|\[[^\]]*\]/g, "").toLowerCase();
+        if (/[dy]/.test(code) && !/^[#0.,%]*$/.test(code)) dateFormats.add(parseInt(attrs.numFmtId));
+      }
+      const styles = /* @__PURE__ */ new Set();
+      const cellXfs = /<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/.exec(xml);
+      if (cellXfs) {
+        [...cellXfs[1].matchAll(/<xf\b([^>]*)>/g)].forEach(([, attributes], index) => {
+          if (dateFormats.has(parseInt(_XLSX.attributes(attributes).numFmtId))) styles.add(index);
+        });
+      }
+      return styles;
+    }
+    /**
+     * @param {string} xml - A .rels part
+     * @returns {object} - Relationship id → target path
+     */
+    static readRelationships(xml) {
+      const targets = {};
+      for (const [, attributes] of xml.matchAll(/<Relationship\b([^>]*)>/g)) {
+        const attrs = _XLSX.attributes(attributes);
+        targets[attrs.Id] = attrs.Target;
+      }
+      return targets;
+    }
+    /**
+     * Cell values of a worksheet
+     * @param {string} xml - xl/worksheets/sheetN.xml
+     * @param {array} strings - Shared strings
+     * @param {Set} dateStyles - Styles of date cells
+     * @returns {array} - Rows of strings, empty rows and columns kept in place
+     */
+    static readSheet(xml, strings, dateStyles) {
+      const rows = [];
+      for (const [, rowAttributes, content] of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        const rowIndex = (parseInt(_XLSX.attributes(rowAttributes).r) || rows.length + 1) - 1;
+        const row = [];
+        for (const [, cellAttributes, value = ""] of (content || "").matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+          const attrs = _XLSX.attributes(cellAttributes);
+          const column = attrs.r ? _XLSX.columnIndex(attrs.r) : row.length;
+          row[column] = _XLSX.cellValue(attrs, value, strings, dateStyles);
         }
+        rows[rowIndex] = Array.from(row, (cell) => cell || "");
+      }
+      return Array.from(rows, (row) => row || []);
+    }
+    /**
+     * @param {object} attrs - Cell attributes (t = type, s = style)
+     * @param {string} content - Cell XML content
+     * @param {array} strings
+     * @param {Set} dateStyles
+     * @returns {string}
+     */
+    static cellValue(attrs, content, strings, dateStyles) {
+      if (attrs.t === "inlineStr") return _XLSX.textOf(content);
+      const match = /<v>([\s\S]*?)<\/v>/.exec(content);
+      const value = match ? _XLSX.decode(match[1]) : "";
+      if (value === "") return "";
+      switch (attrs.t) {
+        case "s":
+          return strings[parseInt(value)] || "";
+        case "b":
+          return value === "1" ? "TRUE" : "FALSE";
+        case "str":
+        case "e":
+          return value;
+      }
+      if (dateStyles.has(parseInt(attrs.s))) return _XLSX.toDate(parseFloat(value));
+      return value;
+    }
+    /**
+     * Text of a string item, rich text runs joined (phonetic runs left out)
+     * @param {string} xml
+     * @returns {string}
+     */
+    static textOf(xml) {
+      return [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, "").matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(([, text]) => _XLSX.decode(text)).join("");
+    }
+    /**
+     * Date of a serial number (days since 1899-12-30, 1900 date system)
+     * @param {number} serial
+     * @returns {string} - YYYY-MM-DD
+     */
+    static toDate(serial) {
+      return new Date(Math.round((serial - 25569) * 864e5)).toISOString().split("T")[0];
+    }
+    /**
+     * @param {string} ref - Cell reference, e.g., "AB12"
+     * @returns {number} - 0-based column
+     */
+    static columnIndex(ref) {
+      const letters = /^[A-Z]+/i.exec(ref)[0].toUpperCase();
+      return [...letters].reduce((n, letter) => n * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+    }
+    /**
+     * @param {string} text - Attributes of an XML tag
+     * @returns {object}
+     */
+    static attributes(text) {
+      const attrs = {};
+      for (const [, name, value] of text.matchAll(/([\w:]+)\s*=\s*"([^"]*)"/g)) {
+        attrs[name] = _XLSX.decode(value);
+      }
+      return attrs;
+    }
+    /**
+     * Decode XML entities
+     * @param {string} text
+     * @returns {string}
+     */
+    static decode(text) {
+      return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+        if (code[0] !== "#") return XML_ENTITIES[code] ?? entity;
+        return String.fromCodePoint(code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1)));
       });
-      document.getElementById("menuBtn").addEventListener("click", () => {
-        this.toggleSidebar();
-      });
-      document.getElementById("modal").addEventListener("click", (e) => {
-        if (e.target.id === "modal") this.closeModal();
-      });
+    }
+  };
+
+  // js/utils/Names.js
+  var NAME_ORDERS = {
+    given: "Given name first",
+    family: "Family name first"
+  };
+  var ARABIC_LETTERS = {
+    "\u0671": "\u0627",
+    // alef wasla → alef
+    "\u0649": "\u064A",
+    // alef maksura → yeh
+    "\u06CC": "\u064A",
+    // Persian yeh (Persian keyboards) → yeh
+    "\u06A9": "\u0643",
+    // keheh (Persian keyboards) → kaf
+    "\u0629": "\u0647"
+    // ta marbuta → heh
+  };
+  var ARABIC_VARIANTS = /[\u0671\u0649\u06CC\u06A9\u0629]/g;
+  var MARKS = /[\u0300-\u036F\u064B-\u065F\u0670]/g;
+  var TATWEEL = /\u0640/g;
+  var DIGITS = /[\u0660-\u0669\u06F0-\u06F9]/g;
+  var COLLATOR = new Intl.Collator(["ar", "fr"], { sensitivity: "base", numeric: true });
+  var Names = class _Names {
+    /**
+     * Comparable form of a name (or any label): lowercase, without accents,
+     * Arabic variants unified, single spaces
+     * @param {string} name
+     * @returns {string}
+     */
+    static key(name) {
+      return String(name || "").normalize("NFD").replace(MARKS, "").replace(TATWEEL, "").replace(ARABIC_VARIANTS, (letter) => ARABIC_LETTERS[letter]).replace(DIGITS, (digit) => String(digit.charCodeAt(0) & 15)).toLowerCase().replace(/\s+/g, " ").trim();
+    }
+    /**
+     * Alphabetical order of two names, spelling variants sorted together
+     * @param {string} a
+     * @param {string} b
+     * @returns {number}
+     */
+    static compare(a, b) {
+      return COLLATOR.compare(_Names.key(a), _Names.key(b)) || COLLATOR.compare(a || "", b || "");
+    }
+    /**
+     * Name of a student as sorted: by given or family name when the profile
+     * has them, the full name otherwise
+     * @param {object} student - { name, firstName, lastName }
+     * @param {string} order - Key of NAME_ORDERS
+     * @returns {string}
+     */
+    static sortName(student, order = "given") {
+      const first = (student.firstName || "").trim();
+      const last = (student.lastName || "").trim();
+      if (!first || !last) return student.name || "";
+      return order === "family" ? `${last} ${first}` : `${first} ${last}`;
+    }
+    /**
+     * Alphabetical order of two students
+     * @param {object} a
+     * @param {object} b
+     * @param {string} order - Key of NAME_ORDERS
+     * @returns {number}
+     */
+    static compareStudents(a, b, order = "given") {
+      return _Names.compare(_Names.sortName(a, order), _Names.sortName(b, order));
+    }
+  };
+
+  // js/models/StudentManager.js
+  var GENDERS = {
+    F: "Female",
+    M: "Male"
+  };
+  var ROSTER_FIELDS = {
+    name: "Full name",
+    firstName: "First name",
+    lastName: "Last name",
+    photoUrl: "Photo URL",
+    code: "Student code",
+    gender: "Gender",
+    birthDate: "Birth date"
+  };
+  var HEADER_ALIASES = {
+    name: [
+      "name",
+      "full name",
+      "student",
+      "student name",
+      "nom complet",
+      "nom et pr\xE9nom",
+      "\xE9l\xE8ve",
+      "nom de l'\xE9l\xE8ve",
+      "\u0627\u0644\u0627\u0633\u0645 \u0627\u0644\u0643\u0627\u0645\u0644",
+      "\u0627\u0633\u0645 \u0627\u0644\u062A\u0644\u0645\u064A\u0630",
+      "\u0627\u0644\u0627\u0633\u0645 \u0648\u0627\u0644\u0646\u0633\u0628"
+    ],
+    firstName: ["first name", "firstname", "given name", "pr\xE9nom", "\u0627\u0644\u0627\u0633\u0645", "\u0627\u0644\u0625\u0633\u0645"],
+    lastName: ["last name", "lastname", "surname", "family name", "nom", "nom de famille", "\u0627\u0644\u0646\u0633\u0628"],
+    photoUrl: ["photo", "photourl", "photo url", "picture", "image"],
+    code: [
+      "code",
+      "student code",
+      "student id",
+      "id",
+      "matricule",
+      "code massar",
+      "code \xE9l\xE8ve",
+      "massar",
+      "num\xE9ro",
+      "\u0631\u0642\u0645 \u0627\u0644\u062A\u0644\u0645\u064A\u0630",
+      "\u0631\u0645\u0632 \u0627\u0644\u062A\u0644\u0645\u064A\u0630",
+      "\u0627\u0644\u0631\u0645\u0632"
+    ],
+    gender: ["gender", "sex", "sexe", "genre", "\u0627\u0644\u0646\u0648\u0639", "\u0627\u0644\u062C\u0646\u0633"],
+    birthDate: ["birth date", "birthdate", "date of birth", "date de naissance", "n\xE9 le", "\u062A\u0627\u0631\u064A\u062E \u0627\u0644\u0627\u0632\u062F\u064A\u0627\u062F", "\u062A\u0627\u0631\u064A\u062E \u0627\u0644\u0645\u064A\u0644\u0627\u062F"]
+  };
+  var GENDER_VALUES = {
+    F: ["f", "female", "girl", "f\xE9minin", "fille", "\u0623\u0646\u062B\u0649", "\u0627\u0646\u062B\u0649", "\u0628\u0646\u062A"],
+    M: ["m", "male", "boy", "masculin", "gar\xE7on", "\u0630\u0643\u0631", "\u0648\u0644\u062F"]
+  };
+  var CLASS_LABEL = /^(?:classe|class|القسم|الفصل)\s*[:：]?\s*(.*)$/i;
+  var MAX_TITLE_ROWS = 20;
+  var StudentManager = class _StudentManager {
+    constructor(storage, journal = null, settings = null) {
+      this.storage = storage;
+      this.journal = journal;
+      this.settings = settings;
+      this.students = [];
+    }
+    /**
+     * Load students from storage
+     */
+    async load() {
+      this.students = this.storage.get("students", []);
+    }
+    /**
+     * Save students to storage
+     */
+    save() {
+      this.storage.set("students", this.students);
+    }
+    /**
+     * Get all students
+     * @returns {array}
+     */
+    getAll() {
+      return [...this.students];
+    }
+    /**
+     * Get students for a specific class
+     * @param {string} classId 
+     * @returns {array}
+     */
+    getByClass(classId) {
+      return this.students.filter((s) => s.classId === classId);
+    }
+    /**
+     * Get the students belonging to a class on a date (transfers applied)
+     * @param {string} classId 
+     * @param {string} date - YYYY-MM-DD
+     * @returns {array}
+     */
+    getByClassOn(classId, date) {
+      return this.students.filter((s) => this.getClassOn(s, date) === classId);
+    }
+    /**
+     * Get the students belonging to a class during (part of) a period
+     * @param {string} classId 
+     * @param {string} startDate 
+     * @param {string} endDate 
+     * @returns {array} - [{ student, from, until }] with the first and last day
+     *   of the period spent in the class (one entry per stay)
+     */
+    getByClassDuring(classId, startDate, endDate) {
+      const stays = [];
+      this.students.forEach((student) => {
+        this.getEnrollments(student).filter((e) => e.classId === classId && (!e.from || e.from <= endDate) && (!e.until || e.until >= startDate)).forEach((e) => stays.push({
+          student,
+          from: e.from && e.from > startDate ? e.from : startDate,
+          until: e.until && e.until < endDate ? e.until : endDate
+        }));
+      });
+      return stays;
+    }
+    /**
+     * Classes of a student over time
+     * @param {object} student 
+     * @returns {array} - [{ classId, from, until }] inclusive dates, null when open-ended
+     */
+    getEnrollments(student) {
+      const transfers = student.transfers || [];
+      const enrollments = transfers.map((transfer, i) => ({
+        classId: transfer.fromClassId,
+        from: i > 0 ? transfers[i - 1].date : null,
+        until: addDays(transfer.date, -1)
+      }));
+      enrollments.push({
+        classId: student.classId,
+        from: transfers.length > 0 ? transfers[transfers.length - 1].date : null,
+        until: student.withdrawnOn ? addDays(student.withdrawnOn, -1) : null
+      });
+      return enrollments;
+    }
+    /**
+     * Class of a student on a date
+     * @param {object} student 
+     * @param {string} date 
+     * @returns {string|null} - null once withdrawn
+     */
+    getClassOn(student, date) {
+      if (student.withdrawnOn && date >= student.withdrawnOn) return null;
+      const transfer = (student.transfers || []).find((t) => date < t.date);
+      return transfer ? transfer.fromClassId : student.classId;
+    }
+    /**
+     * Move a student to another class from a date on
+     * @param {string} id 
+     * @param {string} toClassId 
+     * @param {string} date - First day in the new class
+     * @returns {object} - { success, error, student }
+     */
+    transfer(id, toClassId, date) {
+      const student = this.getById(id);
+      if (!student) return { success: false, error: "Unknown student" };
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) return { success: false, error: "Choose the date of the transfer" };
+      if (student.withdrawnOn) return { success: false, error: "The student was withdrawn" };
+      const transfers = student.transfers || [];
+      const last = transfers[transfers.length - 1];
+      if (last && date <= last.date) {
+        return { success: false, error: `The student already changed class on ${last.date}` };
+      }
+      if (toClassId === student.classId) {
+        return { success: false, error: "The student is already in this class" };
+      }
+      const updated = this.update(id, {
+        classId: toClassId,
+        transfers: [...transfers, { date, fromClassId: student.classId, toClassId }]
+      });
+      return { success: true, error: null, student: updated };
+    }
+    /**
+     * Cancel the last transfer of a student
+     * @param {string} id 
+     * @returns {object|null} - The student, back in the previous class
+     */
+    cancelTransfer(id) {
+      const student = this.getById(id);
+      if (!student || !student.transfers || student.transfers.length === 0) return null;
+      const transfers = student.transfers.slice(0, -1);
+      return this.update(id, {
+        classId: student.transfers[student.transfers.length - 1].fromClassId,
+        transfers
+      });
+    }
+    /**
+     * Withdraw a student from the school from a date on
+     * @param {string} id 
+     * @param {string} date - First day the student is no longer in the class
+     * @returns {object} - { success, error, student }
+     */
+    withdraw(id, date) {
+      const student = this.getById(id);
+      if (!student) return { success: false, error: "Unknown student" };
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) return { success: false, error: "Choose the date of the withdrawal" };
+      const last = (student.transfers || []).slice(-1)[0];
+      if (last && date <= last.date) {
+        return { success: false, error: `The student changed class on ${last.date}` };
+      }
+      return { success: true, error: null, student: this.update(id, { withdrawnOn: date }) };
+    }
+    /**
+     * Take a withdrawn student back in the class
+     * @param {string} id 
+     * @returns {object|null}
+     */
+    reinstate(id) {
+      const student = this.getById(id);
+      if (!student || !student.withdrawnOn) return null;
+      return this.update(id, { withdrawnOn: null });
+    }
+    /**
+     * Withdrawn students of a class
+     * @param {string} classId 
+     * @returns {array} - By withdrawal date
+     */
+    getWithdrawn(classId) {
+      return this.getByClass(classId).filter((s) => s.withdrawnOn).sort((a, b) => a.withdrawnOn.localeCompare(b.withdrawnOn));
+    }
+    /**
+     * Students who left a class for another one
+     * @param {string} classId 
+     * @returns {array} - [{ student, transfer }] by transfer date
+     */
+    getTransfersOut(classId) {
+      return this.students.flatMap((student) => (student.transfers || []).filter((t) => t.fromClassId === classId && student.classId !== classId).map((transfer) => ({ student, transfer }))).sort((a, b) => a.transfer.date.localeCompare(b.transfer.date));
+    }
+    /**
+     * Get student by ID
+     * @param {string} id 
+     * @returns {object|null}
+     */
+    getById(id) {
+      return this.students.find((s) => s.id === id) || null;
+    }
+    /**
+     * Add a new student
+     * @param {string} name - Student name
+     * @param {string} classId - Class ID
+     * @param {string} photoUrl - Optional photo URL
+     * @param {object} details - Profile fields, e.g., { code, birthDate }
+     */
+    add(name, classId, photoUrl = null, details = {}) {
+      const now = (/* @__PURE__ */ new Date()).toISOString();
+      const student = {
+        code: "",
+        firstName: "",
+        lastName: "",
+        gender: "",
+        birthDate: "",
+        guardians: [],
+        ...details,
+        id: this.generateId(),
+        name: name.trim(),
+        classId,
+        photoUrl,
+        createdAt: now,
+        updatedAt: now
+      };
+      this.students.push(student);
+      this.storage.putRecord("students", student);
+      this.journal?.record("create", "student", null, student);
+      return student;
+    }
+    /**
+     * Update a student
+     * @param {string} id 
+     * @param {object} updates 
+     */
+    update(id, updates) {
+      const index = this.students.findIndex((s) => s.id === id);
+      if (index !== -1) {
+        const before = this.students[index];
+        this.students[index] = { ...before, ...updates, updatedAt: (/* @__PURE__ */ new Date()).toISOString() };
+        this.storage.putRecord("students", this.students[index]);
+        this.journal?.record("update", "student", before, this.students[index]);
+        return this.students[index];
+      }
+      return null;
+    }
+    /**
+     * Delete a student
+     * @param {string} id 
+     */
+    delete(id) {
+      const before = this.getById(id);
+      this.students = this.students.filter((s) => s.id !== id);
+      if (before) {
+        this.storage.deleteRecord("students", id);
+        this.journal?.record("delete", "student", before, null);
+      }
+    }
+    /**
+     * Delete a student, leaving only its id in the journal (data erase)
+     * @param {string} id 
+     */
+    erase(id) {
+      if (!this.getById(id)) return;
+      this.students = this.students.filter((s) => s.id !== id);
+      this.storage.deleteRecord("students", id);
+      this.journal?.record("delete", "student", { id }, null);
+    }
+    /**
+     * Delete every student of a class
+     * @param {string} classId 
+     * @returns {array} - The deleted students
+     */
+    deleteByClass(classId) {
+      const removed = this.getByClass(classId);
+      removed.forEach((student) => this.delete(student.id));
+      return removed;
+    }
+    /**
+     * Put back records deleted earlier (trash), as newer than their deletion
+     * @param {array} records 
+     */
+    restoreRecords(records) {
+      const now = (/* @__PURE__ */ new Date()).toISOString();
+      records.forEach((record) => {
+        const restored = { ...record, updatedAt: now };
+        this.students.push(restored);
+        this.storage.putRecord("students", restored);
+        this.journal?.record("create", "student", null, restored);
+      });
+    }
+    /**
+     * Move a student up to another (next year's) class
+     * @param {string} id - Student of the archived class
+     * @param {string} classId - New class
+     * @returns {object|null} - The new student record
+     */
+    promote(id, classId) {
+      const previous = this.getById(id);
+      if (!previous) return null;
+      const { id: previousId, createdAt, updatedAt, transfers, withdrawnOn, ...profile } = previous;
+      const now = (/* @__PURE__ */ new Date()).toISOString();
+      const student = {
+        ...profile,
+        id: this.generateId(),
+        classId,
+        previousId,
+        createdAt: now,
+        updatedAt: now
+      };
+      this.students.push(student);
+      this.storage.putRecord("students", student);
+      this.journal?.record("create", "student", null, student);
+      return student;
+    }
+    /**
+     * Records of the same student in past years, most recent first
+     * @param {string} id 
+     * @returns {array}
+     */
+    getHistory(id) {
+      const history = [];
+      let student = this.getById(id);
+      while (student && student.previousId) {
+        student = this.getById(student.previousId);
+        if (!student || history.includes(student)) break;
+        history.push(student);
+      }
+      return history;
+    }
+    /**
+     * Every record of a student: past years and the years after
+     * @param {string} id 
+     * @returns {array}
+     */
+    getLinkedRecords(id) {
+      const student = this.getById(id);
+      if (!student) return [];
+      const records = [student, ...this.getHistory(id)];
+      let added = true;
+      while (added) {
+        const later = this.students.filter((s) => !records.includes(s) && records.some((r) => r.id === s.previousId));
+        records.push(...later);
+        added = later.length > 0;
+      }
+      return records;
+    }
+    /**
+     * Another student with this official code (the same student's records
+     * in other school years aside)
+     * @param {string} code 
+     * @param {string} exceptId - Student being edited
+     * @returns {object|null}
+     */
+    findByCode(code, exceptId = null) {
+      if (!code) return null;
+      const except = exceptId ? [exceptId, ...this.getHistory(exceptId).map((s) => s.id)] : [];
+      return this.students.find(
+        (s) => s.code === code && !except.includes(s.id) && !this.getHistory(s.id).some((h) => h.id === exceptId)
+      ) || null;
+    }
+    /**
+     * Check a profile before saving it
+     * @param {object} profile - { name, code, gender, birthDate, guardians }
+     * @param {string} id - Student being edited, null for a new one
+     * @returns {string|null} - Error message
+     */
+    checkProfile(profile, id = null) {
+      if (!(profile.name || "").trim()) return "The name is required";
+      if (this.findByCode(profile.code, id)) {
+        return `Student code ${profile.code} is already used by ${this.findByCode(profile.code, id).name}`;
+      }
+      if (profile.gender && !GENDERS[profile.gender]) return "Unknown gender";
+      if (profile.birthDate && !_StudentManager.toISODate(profile.birthDate)) return "Invalid birth date";
+      if ((profile.guardians || []).some((g) => !(g.name || "").trim() && !(g.phone || "").trim())) {
+        return "Each guardian needs a name or a phone number";
+      }
+      return null;
+    }
+    /**
+     * Find students by name, code or guardian
+     * @param {string} query 
+     * @param {array} students - Where to look (all students by default)
+     * @returns {array} - Sorted by name
+     */
+    search(query, students = this.students) {
+      const key = Names.key(query);
+      if (!key) return [];
+      return students.filter((s) => [
+        s.name,
+        s.firstName,
+        s.lastName,
+        s.code,
+        ...(s.guardians || []).flatMap((g) => [g.name, g.phone, g.email])
+      ].some((value) => Names.key(value).includes(key))).sort((a, b) => this.compareNames(a, b));
+    }
+    /**
+     * Import students from CSV, without preview: columns are guessed from
+     * the header (name,photoUrl when there is none), duplicates are skipped
+     * @param {string} csvContent 
+     * @param {string} classId 
+     * @returns {object} - { success, imported, skipped, errors }
+     */
+    importFromCSV(csvContent, classId) {
+      return this.importTable(CSV.parse(csvContent), classId);
+    }
+    /**
+     * Import students from the first sheet of an Excel workbook, without preview
+     * @param {ArrayBuffer} buffer - .xlsx file content
+     * @param {string} classId 
+     * @returns {Promise<object>} - { success, imported, skipped, errors }
+     */
+    async importFromXLSX(buffer, classId) {
+      const sheets = await XLSX.read(buffer);
+      return this.importTable(sheets.length > 0 ? sheets[0].rows : [], classId);
+    }
+    /**
+     * Import the rows of a spreadsheet, without preview
+     * @param {array} rows 
+     * @param {string} classId 
+     * @returns {object} - { success, imported, skipped, errors }
+     */
+    importTable(rows, classId) {
+      const { headerRow, mapping } = _StudentManager.detectHeader(rows);
+      return this.importRows(this.previewImport(rows, mapping, classId, headerRow), classId);
+    }
+    /**
+     * Read a roster file: CSV or Excel workbook
+     * @param {ArrayBuffer} buffer - File content
+     * @param {string} fileName - Tells the format
+     * @returns {Promise<object>} - { sheets: [{ name, rows }], text, encoding, delimiter }
+     *   where text and delimiter are only set for CSV files
+     */
+    static async readRoster(buffer, fileName) {
+      if (/\.xlsx$/i.test(fileName)) {
+        const sheets = (await XLSX.read(buffer)).filter((sheet) => sheet.rows.some((row) => row.some(Boolean)));
+        return { sheets, text: null, encoding: null, delimiter: null };
+      }
+      const { text, encoding } = CSV.decode(buffer);
+      const delimiter = CSV.detectDelimiter(text);
+      return { sheets: [{ name: fileName, rows: CSV.parse(text, delimiter) }], text, encoding, delimiter };
+    }
+    /**
+     * Find the header row below the title rows of an export, and the class
+     * name given in those title rows
+     * @param {array} rows 
+     * @returns {object} - { headerRow (-1 without header), mapping, classLabel }
+     */
+    static detectHeader(rows) {
+      let best = { headerRow: -1, found: 0, mapping: _StudentManager.guessMapping(rows[0] || []).mapping };
+      rows.slice(0, MAX_TITLE_ROWS).forEach((row, index) => {
+        const { hasHeader, mapping } = _StudentManager.guessMapping(row);
+        const found = Object.values(mapping).filter((column) => column !== -1).length;
+        if (hasHeader && found > best.found) best = { headerRow: index, found, mapping };
+      });
+      return {
+        headerRow: best.headerRow,
+        mapping: best.mapping,
+        classLabel: _StudentManager.findClassLabel(rows.slice(0, best.headerRow === -1 ? MAX_TITLE_ROWS : best.headerRow))
+      };
+    }
+    /**
+     * Class name in title rows: "Classe : 1AEP-1" in one cell, or the label
+     * and the name in two cells
+     * @param {array} rows 
+     * @returns {string}
+     */
+    static findClassLabel(rows) {
+      for (const row of rows) {
+        for (let i = 0; i < row.length; i++) {
+          const match = CLASS_LABEL.exec((row[i] || "").trim());
+          if (!match) continue;
+          const value = match[1] || row.slice(i + 1).find((cell) => cell && cell.trim()) || "";
+          if (value.trim()) return value.trim();
+        }
+      }
+      return "";
+    }
+    /**
+     * Columns of each roster field, from the first row of a file
+     * @param {array} header - First row
+     * @returns {object} - { hasHeader, mapping: { [field]: column index or -1 } }
+     */
+    static guessMapping(header) {
+      const headings = header.map((cell) => Names.key(cell).replace(/\s*:$/, ""));
+      const mapping = {};
+      Object.entries(HEADER_ALIASES).forEach(([field, aliases]) => {
+        const keys = aliases.map((alias) => Names.key(alias));
+        mapping[field] = headings.findIndex((heading) => keys.includes(heading));
+      });
+      const hasHeader = Object.values(mapping).some((index) => index !== -1);
+      if (!hasHeader) {
+        return { hasHeader, mapping: { ...mapping, name: 0, photoUrl: 1 } };
+      }
+      if (mapping.name !== -1) {
+        mapping.firstName = -1;
+        mapping.lastName = -1;
+      }
+      return { hasHeader, mapping };
+    }
+    /**
+     * Check the rows of a roster file before importing them
+     * @param {array} rows - Spreadsheet rows
+     * @param {object} mapping - { [field]: column index or -1 }
+     * @param {string} classId 
+     * @param {number} headerRow - Index of the header row, -1 without header
+     * @returns {array} - [{ row, name, firstName, lastName, photoUrl, code, gender, birthDate,
+     *   errors, duplicate }] where
+     *   `errors` prevent the import (a student code already used is one) and
+     *   `duplicate` explains a likely duplicate
+     */
+    previewImport(rows, mapping, classId, headerRow = -1) {
+      const cell = (row, field) => mapping[field] >= 0 ? (row[mapping[field]] || "").trim() : "";
+      const existing = this.getByClass(classId);
+      const names = new Set(existing.map((s) => Names.key(s.name)));
+      const seenNames = /* @__PURE__ */ new Set();
+      const seenCodes = /* @__PURE__ */ new Set();
+      const entries = rows.map((row, i) => ({ row, number: i + 1 })).slice(headerRow + 1).filter(({ row }) => Object.values(mapping).some((column) => column >= 0 && (row[column] || "").trim()));
+      return entries.map(({ row, number }) => {
+        const name = cell(row, "name") || [cell(row, "firstName"), cell(row, "lastName")].filter(Boolean).join(" ");
+        const entry = {
+          row: number,
+          name: name.replace(/\s+/g, " "),
+          firstName: cell(row, "firstName"),
+          lastName: cell(row, "lastName"),
+          photoUrl: cell(row, "photoUrl") || null,
+          code: cell(row, "code"),
+          gender: _StudentManager.parseGender(cell(row, "gender")),
+          birthDate: _StudentManager.toISODate(cell(row, "birthDate")),
+          errors: [],
+          duplicate: null
+        };
+        if (!entry.name) entry.errors.push("Empty name");
+        if (entry.photoUrl && !/^(https?:\/\/|data:image\/)/i.test(entry.photoUrl)) {
+          entry.errors.push("Invalid photo URL");
+        }
+        if (entry.gender === null) entry.errors.push("Unknown gender");
+        if (entry.birthDate === null) entry.errors.push("Invalid birth date");
+        const owner = this.findByCode(entry.code);
+        if (owner) {
+          entry.errors.push(`Student code ${entry.code} is already used by ${owner.name}`);
+        } else if (entry.code && seenCodes.has(entry.code)) {
+          entry.errors.push(`Student code ${entry.code} is twice in this file`);
+        }
+        const key = Names.key(entry.name);
+        if (entry.name && names.has(key)) {
+          entry.duplicate = "Already in this class";
+        } else if (entry.name && seenNames.has(key)) {
+          entry.duplicate = "Twice in this file";
+        }
+        if (entry.name) seenNames.add(key);
+        if (entry.code) seenCodes.add(entry.code);
+        return entry;
+      });
+    }
+    /**
+     * Add the students of a checked roster
+     * @param {array} preview - Rows from previewImport()
+     * @param {string} classId 
+     * @param {boolean} includeDuplicates - Also add the likely duplicates
+     * @returns {object} - { success, imported, skipped, errors }
+     */
+    importRows(preview, classId, includeDuplicates = false) {
+      const results = { success: true, imported: 0, skipped: 0, errors: [] };
+      preview.forEach((entry) => {
+        if (entry.errors.length > 0) {
+          results.errors.push(`Row ${entry.row}: ${entry.errors.join(", ")}`);
+        } else if (this.findByCode(entry.code)) {
+          results.errors.push(`Row ${entry.row}: Student code ${entry.code} is already used by ${this.findByCode(entry.code).name}`);
+        } else if (entry.duplicate && !includeDuplicates) {
+          results.skipped++;
+        } else {
+          const { name, photoUrl, firstName, lastName, code, gender, birthDate } = entry;
+          this.add(name, classId, photoUrl, { firstName, lastName, code, gender, birthDate });
+          results.imported++;
+        }
+      });
+      return results;
+    }
+    /**
+     * Read a gender cell
+     * @param {string} value - e.g., "F", "Masculin", "ذكر"
+     * @returns {string|null} - F, M, '' when empty, null when unknown
+     */
+    static parseGender(value) {
+      const key = Names.key(value);
+      if (!key) return "";
+      return Object.keys(GENDER_VALUES).find(
+        (gender) => GENDER_VALUES[gender].some((alias) => Names.key(alias) === key)
+      ) || null;
+    }
+    /**
+     * Read a date written by a spreadsheet or typed in it
+     * @param {string} value - YYYY-MM-DD, or day first: DD/MM/YYYY, DD-MM-YYYY, DD.MM.YYYY
+     * @returns {string|null} - YYYY-MM-DD, '' when empty, null when not a date
+     */
+    static toISODate(value) {
+      if (!value) return "";
+      const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+      const dayFirst = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(value);
+      const [year, month, day] = iso ? iso.slice(1) : dayFirst ? [dayFirst[3], dayFirst[2], dayFirst[1]] : [];
+      if (!year) return null;
+      const date = new Date(Date.UTC(year, month - 1, day));
+      if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== Number(day)) return null;
+      return date.toISOString().split("T")[0];
+    }
+    /**
+     * Get students sorted by name
+     * @param {string} classId 
+     * @param {string} date - Students of the class on this date (transfers and
+     *   withdrawals applied), the students still in the class otherwise
+     * @returns {array}
+     */
+    getSortedByName(classId, date = null) {
+      const students = date ? this.getByClassOn(classId, date) : this.getByClass(classId).filter((s) => !s.withdrawnOn);
+      return students.sort((a, b) => this.compareNames(a, b));
+    }
+    /**
+     * Alphabetical order of two students, by given or family name as set
+     * @param {object} a 
+     * @param {object} b 
+     * @returns {number}
+     */
+    compareNames(a, b) {
+      return Names.compareStudents(a, b, this.settings && this.settings.get("nameOrder") || "given");
+    }
+    /**
+     * Generate unique ID
+     */
+    generateId() {
+      return "stu_" + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    }
+  };
+
+  // js/models/ArrivalTracker.js
+  var ARRIVAL_STATUSES = {
+    "on-time": "On time",
+    late: "Late",
+    "very-late": "Very late",
+    "counted-absent": "Counted absent"
+  };
+  var LATE_STATUSES = ["late", "very-late", "counted-absent"];
+  var ArrivalTracker = class _ArrivalTracker {
+    constructor(storage, classManager, journal = null, calendar = null) {
+      this.storage = storage;
+      this.classManager = classManager;
+      this.journal = journal;
+      this.calendar = calendar;
+      this.arrivals = [];
+    }
+    /**
+     * Load arrivals from storage
+     */
+    async load() {
+      this.arrivals = this.storage.get("arrivals", []);
+      this.removeDuplicates();
+    }
+    /**
+     * Save arrivals to storage
+     */
+    save() {
+      this.storage.set("arrivals", this.arrivals);
+    }
+    /**
+     * Get all arrivals
+     * @returns {array}
+     */
+    getAll() {
+      return [...this.arrivals];
+    }
+    /**
+     * Get arrivals for a specific date
+     * @param {string} date - ISO date string (YYYY-MM-DD)
+     * @returns {array}
+     */
+    getByDate(date) {
+      return this.arrivals.filter((a) => a.date === date);
+    }
+    /**
+     * Get arrivals for a class on a specific date
+     * @param {string} classId 
+     * @param {string} date 
+     * @param {string} sessionId - Only this session (optional)
+     * @returns {array}
+     */
+    getByClassAndDate(classId, date, sessionId = void 0) {
+      return this.arrivals.filter(
+        (a) => a.classId === classId && a.date === date && (sessionId === void 0 || a.sessionId === sessionId)
+      );
+    }
+    /**
+     * Mark student arrival
+     * @param {string} studentId 
+     * @param {string} classId 
+     * @param {string} date - ISO date string
+     * @param {string} time - HH:MM format (optional, defaults to now)
+     * @param {string} sessionId - Session (optional, detected from the time)
+     * @returns {object}
+     */
+    markArrival(studentId, classId, date, time = null, sessionId = null) {
+      if (this.classManager.isArchived(classId)) {
+        return { success: false, message: "Archived class (read-only)" };
+      }
+      const closure = this.calendar?.getClosure(date);
+      if (closure) {
+        return { success: false, message: `No school: ${closure.name}` };
+      }
+      const arrivalTime = time || (/* @__PURE__ */ new Date()).toTimeString().substr(0, 5);
+      const session = sessionId ? this.classManager.getSession(classId, date, sessionId)?.session : this.classManager.detectSession(classId, date, arrivalTime);
+      const arrivalSessionId = session ? session.id : sessionId;
+      const existing = this.hasArrived(studentId, date, arrivalSessionId);
+      if (existing) {
+        return { success: false, message: "Already marked", arrival: existing };
+      }
+      const { minutesLate, status } = this.computeLateness(
+        session,
+        arrivalTime,
+        this.classManager.getLatenessRules(classId)
+      );
+      const now = (/* @__PURE__ */ new Date()).toISOString();
+      const arrival = {
+        id: this.generateId(),
+        studentId,
+        classId,
+        date,
+        sessionId: arrivalSessionId,
+        time: arrivalTime,
+        minutesLate,
+        status,
+        createdAt: now,
+        updatedAt: now
+      };
+      this.arrivals.push(arrival);
+      this.storage.putRecord("arrivals", arrival);
+      this.journal?.record("create", "arrival", null, arrival);
+      return { success: true, arrival };
+    }
+    /**
+     * Calculate minutes late and status for an arrival time
+     * @param {object|null} session - { startTime }
+     * @param {string} time - HH:MM
+     * @param {object} rules - { graceMinutes, veryLateMinutes, absentMinutes }
+     * @returns {object} - { minutesLate, status }
+     */
+    computeLateness(session, time, rules = {}) {
+      let minutesLate = 0;
+      let status = "on-time";
+      if (session && session.startTime) {
+        const [scheduleHour, scheduleMin] = session.startTime.split(":").map(Number);
+        const [arrivalHour, arrivalMin] = time.split(":").map(Number);
+        const scheduleMinutes = scheduleHour * 60 + scheduleMin;
+        const arrivalMinutes = arrivalHour * 60 + arrivalMin;
+        minutesLate = Math.max(0, arrivalMinutes - scheduleMinutes);
+        status = _ArrivalTracker.statusFor(minutesLate, rules);
+      }
+      return { minutesLate, status };
+    }
+    /**
+     * Status tier for a number of minutes late
+     * @param {number} minutesLate 
+     * @param {object} rules - { graceMinutes, veryLateMinutes, absentMinutes } (0 = tier off)
+     * @returns {string}
+     */
+    static statusFor(minutesLate, rules) {
+      const { graceMinutes = 0, veryLateMinutes = 0, absentMinutes = 0 } = rules;
+      if (minutesLate <= graceMinutes) return "on-time";
+      if (absentMinutes > 0 && minutesLate >= absentMinutes) return "counted-absent";
+      if (veryLateMinutes > 0 && minutesLate >= veryLateMinutes) return "very-late";
+      return "late";
+    }
+    /**
+     * Is this status a tardy?
+     * @param {string} status 
+     * @returns {boolean}
+     */
+    static isLate(status) {
+      return LATE_STATUSES.includes(status);
+    }
+    /**
+     * Count arrivals per status
+     * @param {array} arrivals 
+     * @returns {object} - { 'on-time': n, late: n, 'very-late': n, 'counted-absent': n }
+     */
+    static countByStatus(arrivals) {
+      const counts = Object.fromEntries(Object.keys(ARRIVAL_STATUSES).map((status) => [status, 0]));
+      arrivals.forEach((a) => {
+        counts[a.status] = (counts[a.status] || 0) + 1;
+      });
+      return counts;
+    }
+    /**
+     * Recompute minutesLate/status of the arrivals recorded for a class on a
+     * date, after its schedule changed for that date
+     * @param {string} classId 
+     * @param {string} date 
+     * @returns {number} - Number of arrivals updated
+     */
+    recalculate(classId, date) {
+      let updated = 0;
+      this.getByClassAndDate(classId, date).forEach((arrival) => {
+        const found = arrival.sessionId && this.classManager.getSession(classId, date, arrival.sessionId);
+        let session = found && !found.session.cancelled ? found.session : null;
+        if (!session) {
+          const detected = this.classManager.detectSession(classId, date, arrival.time);
+          if (detected && !this.hasArrived(arrival.studentId, date, detected.id)) {
+            session = detected;
+          }
+        }
+        if (!session) return;
+        const changes = {
+          sessionId: session.id,
+          ...this.computeLateness(session, arrival.time, this.classManager.getLatenessRules(classId))
+        };
+        if (Object.keys(changes).every((key) => changes[key] === arrival[key])) return;
+        const index = this.arrivals.indexOf(arrival);
+        this.arrivals[index] = { ...arrival, ...changes, updatedAt: (/* @__PURE__ */ new Date()).toISOString() };
+        this.storage.putRecord("arrivals", this.arrivals[index]);
+        this.journal?.record("update", "arrival", arrival, this.arrivals[index]);
+        updated++;
+      });
+      return updated;
+    }
+    /**
+     * Remove arrival (undo)
+     * @param {string} studentId 
+     * @param {string} date 
+     * @param {string} sessionId - Session (optional, first arrival of the day otherwise)
+     * @returns {boolean}
+     */
+    removeArrival(studentId, date, sessionId = void 0) {
+      const arrival = this.hasArrived(studentId, date, sessionId);
+      const index = this.arrivals.indexOf(arrival);
+      if (index !== -1 && !this.classManager.isArchived(arrival.classId)) {
+        const [removed] = this.arrivals.splice(index, 1);
+        this.storage.deleteRecord("arrivals", removed.id);
+        this.journal?.record("delete", "arrival", removed, null);
+        return true;
+      }
+      return false;
+    }
+    /**
+     * Delete every arrival matching a condition (e.g., of a deleted class)
+     * @param {function} predicate 
+     * @returns {array} - The deleted arrivals
+     */
+    deleteWhere(predicate) {
+      const removed = this.arrivals.filter(predicate);
+      this.arrivals = this.arrivals.filter((a) => !predicate(a));
+      removed.forEach((arrival) => {
+        this.storage.deleteRecord("arrivals", arrival.id);
+        this.journal?.record("delete", "arrival", arrival, null);
+      });
+      return removed;
+    }
+    /**
+     * Delete arrivals, leaving only their ids in the journal (data erase)
+     * @param {function} predicate 
+     * @returns {array} - Ids of the deleted arrivals
+     */
+    eraseWhere(predicate) {
+      const ids = this.arrivals.filter(predicate).map((a) => a.id);
+      this.arrivals = this.arrivals.filter((a) => !predicate(a));
+      ids.forEach((id) => {
+        this.storage.deleteRecord("arrivals", id);
+        this.journal?.record("delete", "arrival", { id }, null);
+      });
+      return ids;
+    }
+    /**
+     * Put back arrivals deleted earlier (trash), as newer than their deletion
+     * @param {array} records 
+     */
+    restoreRecords(records) {
+      const now = (/* @__PURE__ */ new Date()).toISOString();
+      records.forEach((record) => {
+        const restored = { ...record, updatedAt: now };
+        this.arrivals.push(restored);
+        this.storage.putRecord("arrivals", restored);
+        this.journal?.record("create", "arrival", null, restored);
+      });
+    }
+    /**
+     * Check if student has arrived
+     * @param {string} studentId 
+     * @param {string} date 
+     * @param {string} sessionId - Session (optional, any session otherwise)
+     * @returns {object|null}
+     */
+    hasArrived(studentId, date, sessionId = void 0) {
+      return this.arrivals.find(
+        (a) => a.studentId === studentId && a.date === date && (sessionId === void 0 || a.sessionId === sessionId)
+      ) || null;
+    }
+    /**
+     * Get statistics for a student
+     * @param {string} studentId 
+     * @param {string} startDate 
+     * @param {string} endDate 
+     * @returns {object}
+     */
+    getStudentStats(studentId, startDate = null, endDate = null) {
+      let filtered = this.arrivals.filter((a) => a.studentId === studentId && this.isSchoolDay(a.date));
+      if (startDate) {
+        filtered = filtered.filter((a) => a.date >= startDate);
+      }
+      if (endDate) {
+        filtered = filtered.filter((a) => a.date <= endDate);
+      }
+      const total = filtered.length;
+      const late = filtered.filter((a) => _ArrivalTracker.isLate(a.status));
+      const tardies = late.length;
+      const onTime = filtered.filter((a) => a.status === "on-time").length;
+      const totalMinutesLate = late.reduce((sum, a) => sum + a.minutesLate, 0);
+      const avgMinutesLate = tardies > 0 ? Math.round(totalMinutesLate / tardies) : 0;
+      return {
+        totalArrivals: total,
+        onTime,
+        tardies,
+        totalMinutesLate,
+        avgMinutesLate,
+        byStatus: _ArrivalTracker.countByStatus(filtered),
+        bySession: this.getSessionStats(filtered)
+      };
+    }
+    /**
+     * Get statistics for a class
+     * @param {string} classId 
+     * @param {string} startDate 
+     * @param {string} endDate 
+     * @returns {object}
+     */
+    getClassStats(classId, startDate = null, endDate = null) {
+      let filtered = this.arrivals.filter((a) => a.classId === classId && this.isSchoolDay(a.date));
+      if (startDate) {
+        filtered = filtered.filter((a) => a.date >= startDate);
+      }
+      if (endDate) {
+        filtered = filtered.filter((a) => a.date <= endDate);
+      }
+      const tardies = filtered.filter((a) => _ArrivalTracker.isLate(a.status)).length;
+      const onTime = filtered.filter((a) => a.status === "on-time").length;
+      return {
+        totalArrivals: filtered.length,
+        onTime,
+        tardies,
+        byStatus: _ArrivalTracker.countByStatus(filtered),
+        latenessRate: filtered.length > 0 ? Math.round(tardies / filtered.length * 100) : 0,
+        bySession: this.getSessionStats(filtered)
+      };
+    }
+    /**
+     * Does a date count in statistics (school open)?
+     * @param {string} date 
+     * @returns {boolean}
+     */
+    isSchoolDay(date) {
+      return !this.calendar || this.calendar.isSchoolDay(date);
+    }
+    /**
+     * Lateness per session (grouped by session label, e.g. morning/afternoon)
+     * @param {array} arrivals 
+     * @returns {object} - { [label]: { totalArrivals, tardies, totalMinutesLate } }
+     */
+    getSessionStats(arrivals) {
+      const stats = {};
+      arrivals.forEach((a) => {
+        const label = this.classManager.getSessionLabel(a.classId, a.date, a.sessionId);
+        const entry = stats[label] || (stats[label] = { totalArrivals: 0, tardies: 0, totalMinutesLate: 0 });
+        entry.totalArrivals++;
+        if (_ArrivalTracker.isLate(a.status)) {
+          entry.tardies++;
+          entry.totalMinutesLate += a.minutesLate;
+        }
+      });
+      return stats;
+    }
+    /**
+     * Merge arrivals marked concurrently in two tabs/devices for the same
+     * student, date and session: the earliest one is kept, so every tab picks the same.
+     * Every tab and device runs it when loading, so the merge is not journaled
+     * (nor synced): each one drops the same duplicates by itself.
+     */
+    removeDuplicates() {
+      const sorted = [...this.arrivals].sort(
+        (a, b) => (a.createdAt || "").localeCompare(b.createdAt || "") || a.id.localeCompare(b.id)
+      );
+      const seen = /* @__PURE__ */ new Set();
+      const duplicates = sorted.filter((a) => {
+        const key = `${a.studentId}|${a.date}|${a.sessionId || ""}`;
+        if (seen.has(key)) return true;
+        seen.add(key);
+        return false;
+      });
+      if (duplicates.length === 0) return;
+      const ids = new Set(duplicates.map((a) => a.id));
+      this.arrivals = this.arrivals.filter((a) => !ids.has(a.id));
+      duplicates.forEach((a) => this.storage.deleteRecord("arrivals", a.id));
+    }
+    /**
+     * Generate unique ID
+     */
+    generateId() {
+      return "arr_" + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    }
+  };
+
+  // js/utils/SchemaMigrator.js
+  var MIGRATIONS = [
+    {
+      version: 1,
+      description: "Normalize baseline records",
+      up(data) {
+        const classes = asArray(data.classes);
+        const students = asArray(data.students);
+        const arrivals = asArray(data.arrivals);
+        return {
+          ...data,
+          classes: classes.map((c) => ({
+            ...c,
+            schedule: c.schedule && typeof c.schedule === "object" ? c.schedule : {}
+          })),
+          students: students.map((s) => ({
+            ...s,
+            photoUrl: s.photoUrl || null
+          })),
+          arrivals: arrivals.map((a) => {
+            const minutesLate = Number(a.minutesLate) || 0;
+            return {
+              ...a,
+              minutesLate,
+              status: a.status || (minutesLate > 0 ? "late" : "on-time")
+            };
+          })
+        };
+      }
+    },
+    {
+      version: 2,
+      description: "Add updatedAt to classes, students and arrivals (sync conflict resolution)",
+      up(data) {
+        const stamp = (record) => ({
+          ...record,
+          updatedAt: record.updatedAt || record.createdAt || (/* @__PURE__ */ new Date(0)).toISOString()
+        });
+        return {
+          ...data,
+          classes: asArray(data.classes).map(stamp),
+          students: asArray(data.students).map(stamp),
+          arrivals: asArray(data.arrivals).map(stamp)
+        };
+      }
+    },
+    {
+      version: 3,
+      description: "Several sessions per day in class schedules, arrivals keyed by session",
+      up(data) {
+        const classes = asArray(data.classes).map((c) => ({
+          ...c,
+          schedule: Object.fromEntries(
+            Object.entries(c.schedule || {}).map(([day, entry]) => [day, toSessionDay(c.id, day, entry)])
+          )
+        }));
+        const classesById = new Map(classes.map((c) => [c.id, c]));
+        return {
+          ...data,
+          classes,
+          // Existing arrivals belong to the only session of their day
+          arrivals: asArray(data.arrivals).map((a) => {
+            if (a.sessionId !== void 0) return a;
+            const classObj = classesById.get(a.classId);
+            const day = classObj && classObj.schedule[DAY_NAMES2[new Date(a.date).getDay()]];
+            return { ...a, sessionId: day && day.sessions.length > 0 ? day.sessions[0].id : null };
+          })
+        };
+      }
+    },
+    {
+      version: 4,
+      description: "School year on classes (year rollover and archiving)",
+      up(data) {
+        const date = (/* @__PURE__ */ new Date()).toISOString().split("T")[0];
+        const [year, month] = date.split("-").map(Number);
+        const start = month >= 8 ? year : year - 1;
+        return {
+          ...data,
+          classes: asArray(data.classes).map((c) => ({
+            ...c,
+            schoolYear: c.schoolYear || `${start}-${start + 1}`,
+            archived: !!c.archived
+          }))
+        };
+      }
+    },
+    {
+      version: 5,
+      description: "Class description: teacher, room, level, subject and color",
+      up(data) {
+        return {
+          ...data,
+          classes: asArray(data.classes).map((c) => ({
+            ...c,
+            teacher: c.teacher || "",
+            room: c.room || "",
+            level: c.level || "",
+            subject: c.subject || "",
+            color: c.color || null
+          }))
+        };
+      }
+    },
+    {
+      version: 6,
+      description: "Student profiles: official code, given and family names, gender, birth date, guardians",
+      up(data) {
+        return {
+          ...data,
+          students: asArray(data.students).map((s) => ({
+            ...s,
+            code: s.code || "",
+            firstName: s.firstName || "",
+            lastName: s.lastName || "",
+            gender: s.gender || "",
+            birthDate: s.birthDate || "",
+            guardians: Array.isArray(s.guardians) ? s.guardians : []
+          }))
+        };
+      }
+    }
+  ];
+  var SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+  var SchemaMigrator = class _SchemaMigrator {
+    constructor(storage) {
+      this.storage = storage;
+    }
+    /**
+     * Get the schema version of a data object
+     * @param {object} data - Stored data or parsed backup
+     * @returns {number}
+     */
+    static versionOf(data) {
+      return Number(data && data.schemaVersion) || 0;
+    }
+    /**
+     * Upgrade a data object to the current schema version
+     * @param {object} data - Stored data or parsed backup
+     * @returns {object} - New, upgraded data object
+     * @throws {Error} if the data comes from a newer version of the app
+     */
+    static migrate(data) {
+      const from = _SchemaMigrator.versionOf(data);
+      if (from > SCHEMA_VERSION) {
+        throw new Error(`Data schema v${from} is newer than this app (v${SCHEMA_VERSION}). Please update the app.`);
+      }
+      let migrated = JSON.parse(JSON.stringify(data || {}));
+      MIGRATIONS.filter((step) => step.version > from).forEach((step) => {
+        migrated = step.up(migrated);
+        migrated.schemaVersion = step.version;
+      });
+      migrated.schemaVersion = SCHEMA_VERSION;
+      return migrated;
+    }
+    /**
+     * Upgrade the live data in storage if needed
+     * @returns {object} - { from, to, migrated }
+     */
+    async run() {
+      const data = this.storage.exportAll();
+      const from = _SchemaMigrator.versionOf(data);
+      if (from === SCHEMA_VERSION) {
+        return { from, to: SCHEMA_VERSION, migrated: false };
+      }
+      const migrated = _SchemaMigrator.migrate(data);
+      this.storage.importAll(migrated);
+      await this.storage.flush();
+      console.log(`\u{1F504} Data schema migrated v${from} \u2192 v${SCHEMA_VERSION}`);
+      return { from, to: SCHEMA_VERSION, migrated: true };
+    }
+  };
+  var DAY_NAMES2 = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+  function toSessionDay(classId, day, entry) {
+    if (!entry || typeof entry !== "object") return { enabled: false, sessions: [] };
+    if (Array.isArray(entry.sessions)) return entry;
+    return {
+      enabled: !!entry.enabled,
+      sessions: entry.startTime ? [{
+        id: `ses_${classId}_${day}`,
+        label: "",
+        startTime: entry.startTime,
+        endTime: entry.endTime || ""
+      }] : []
+    };
+  }
+  function asArray(value) {
+    return Array.isArray(value) ? value : [];
+  }
+
+  // js/utils/BackupValidator.js
+  var DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+  var TIME_PATTERN = /^\d{2}:\d{2}$/;
+  var COLLECTION_RULES = {
+    classes: {
+      check(c) {
+        if (!isNonEmptyString(c.name)) return "missing name";
+        if (!c.schedule || typeof c.schedule !== "object") return "missing schedule";
+        return null;
+      },
+      naturalKey: (c) => c.name.trim().toLowerCase()
+    },
+    students: {
+      check(s) {
+        if (!isNonEmptyString(s.name)) return "missing name";
+        if (!isNonEmptyString(s.classId)) return "missing classId";
+        return null;
+      },
+      naturalKey: (s) => `${s.classId}|${s.name.trim().toLowerCase()}`
+    },
+    arrivals: {
+      check(a) {
+        if (!isNonEmptyString(a.studentId)) return "missing studentId";
+        if (!isNonEmptyString(a.classId)) return "missing classId";
+        if (!DATE_PATTERN.test(a.date || "")) return `invalid date "${a.date}"`;
+        if (!TIME_PATTERN.test(a.time || "")) return `invalid time "${a.time}"`;
+        if (typeof a.minutesLate !== "number" || a.minutesLate < 0) return "invalid minutesLate";
+        if (!isNonEmptyString(a.status)) return "missing status";
+        return null;
+      },
+      naturalKey: (a) => `${a.studentId}|${a.date}|${a.sessionId || ""}`
+    }
+  };
+  var COLLECTIONS = Object.keys(COLLECTION_RULES);
+  var BackupValidator = class _BackupValidator {
+    /**
+     * Validate the structure of a (migrated) backup
+     * @param {object} data - Parsed backup
+     * @returns {object} - { errors, invalid, records }
+     *   errors: fatal problems (backup unusable)
+     *   invalid: [{ collection, index, id, reason }] records that will be skipped
+     *   records: { classes, students, arrivals } valid records only
+     */
+    static validate(data) {
+      const result = { errors: _BackupValidator.checkShape(data), invalid: [], records: {} };
+      if (result.errors.length > 0) return result;
+      COLLECTIONS.forEach((name) => {
+        const value = data[name] === void 0 ? [] : data[name];
+        result.records[name] = [];
+        if (!Array.isArray(value)) {
+          result.errors.push(`"${name}" is not a list`);
+          return;
+        }
+        const ids = /* @__PURE__ */ new Set();
+        value.forEach((record, index) => {
+          const reason = _BackupValidator.checkRecord(name, record, ids);
+          if (reason) {
+            result.invalid.push({ collection: name, index, id: record && record.id, reason });
+          } else {
+            ids.add(record.id);
+            result.records[name].push(record);
+          }
+        });
+      });
+      const classIds = new Set(result.records.classes.map((c) => c.id));
+      const studentIds = new Set(result.records.students.map((s) => s.id));
+      if (data.classes !== void 0) {
+        _BackupValidator.dropOrphans(result, "students", (s) => classIds.has(s.classId), "unknown class");
+      }
+      if (data.students !== void 0) {
+        _BackupValidator.dropOrphans(result, "arrivals", (a) => studentIds.has(a.studentId), "unknown student");
+      }
+      return result;
+    }
+    /**
+     * Check that a parsed file looks like a backup at all
+     * (run on the raw file, before schema migrations fill in missing lists)
+     * @param {any} data
+     * @returns {array} - Fatal errors
+     */
+    static checkShape(data) {
+      if (!data || typeof data !== "object" || Array.isArray(data)) {
+        return ["Backup is not a JSON object"];
+      }
+      if (!COLLECTIONS.some((name) => data[name] !== void 0)) {
+        return ["Backup contains no classes, students or arrivals"];
+      }
+      return COLLECTIONS.filter((name) => data[name] !== void 0 && !Array.isArray(data[name])).map((name) => `"${name}" is not a list`);
+    }
+    /**
+     * Check a single record
+     * @returns {string|null} - Reason it is invalid, or null
+     */
+    static checkRecord(collection, record, seenIds) {
+      if (!record || typeof record !== "object") return "not an object";
+      if (!isNonEmptyString(record.id)) return "missing id";
+      if (seenIds.has(record.id)) return `duplicate id ${record.id}`;
+      return COLLECTION_RULES[collection].check(record);
+    }
+    /**
+     * Move records whose reference is broken to the invalid list
+     */
+    static dropOrphans(result, collection, isValid, reason) {
+      result.records[collection] = result.records[collection].filter((record) => {
+        if (isValid(record)) return true;
+        result.invalid.push({ collection, index: null, id: record.id, reason });
+        return false;
+      });
+    }
+    /**
+     * Compare valid backup records with current data, per collection
+     * @param {object} current - { classes, students, arrivals }
+     * @param {object} incoming - Valid records from validate()
+     * @returns {object} - { [collection]: { added, changed, unchanged, conflicting, removed } }
+     *   Each entry is a list of records (from the backup, or from current data for `removed`).
+     */
+    static diff(current, incoming) {
+      const summary = {};
+      COLLECTIONS.forEach((name) => {
+        const rules = COLLECTION_RULES[name];
+        const currentRecords = current[name] || [];
+        const byId = new Map(currentRecords.map((r) => [r.id, r]));
+        const byNaturalKey = new Map(currentRecords.map((r) => [safeKey(rules, r), r]));
+        const incomingIds = /* @__PURE__ */ new Set();
+        const entry = { added: [], changed: [], unchanged: [], conflicting: [], removed: [] };
+        (incoming[name] || []).forEach((record) => {
+          incomingIds.add(record.id);
+          const existing = byId.get(record.id);
+          if (existing) {
+            const same = JSON.stringify(existing) === JSON.stringify(record);
+            entry[same ? "unchanged" : "changed"].push(record);
+          } else {
+            const twin = byNaturalKey.get(safeKey(rules, record));
+            entry[twin ? "conflicting" : "added"].push(record);
+          }
+        });
+        entry.removed = currentRecords.filter((r) => !incomingIds.has(r.id));
+        summary[name] = entry;
+      });
+      return summary;
+    }
+  };
+  function isNonEmptyString(value) {
+    return typeof value === "string" && value.trim() !== "";
+  }
+  function safeKey(rules, record) {
+    try {
+      return rules.naturalKey(record);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // js/models/SyncManager.js
+  var SYNCED_COLLECTIONS = ["classes", "students", "arrivals", "calendar", "journal"];
+  var SYNC_STORAGE_KEYS = ["syncConfig", "syncOutbox"];
+  var ENTITY_COLLECTIONS = {
+    class: "classes",
+    student: "students",
+    arrival: "arrivals",
+    calendar: "calendar"
+  };
+  var PUSH_DELAY = 2e3;
+  var SYNC_INTERVAL = 5 * 60 * 1e3;
+  var SyncManager = class _SyncManager {
+    constructor(storage, journal) {
+      this.storage = storage;
+      this.journal = journal;
+      this.config = _SyncManager.defaultConfig();
+      this.listeners = /* @__PURE__ */ new Set();
+      this.syncing = null;
+      this.pushTimer = null;
+      this.intervalTimer = null;
+      this.journal.subscribe((entry) => this.track(entry));
+      this.journal.subscribeRedactions((entries) => this.trackRedactions(entries));
+    }
+    /**
+     * Default sync configuration (sync disabled)
+     */
+    static defaultConfig() {
+      return {
+        enabled: false,
+        endpoint: "",
+        token: "",
+        deviceId: "dev_" + Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+        cursor: 0,
+        lastSyncAt: null,
+        lastError: null
+      };
+    }
+    /**
+     * Load sync configuration from storage
+     */
+    async load() {
+      const stored = this.storage.get("syncConfig", null);
+      this.config = { ..._SyncManager.defaultConfig(), ...stored };
+      if (!stored) this.saveConfig();
+    }
+    /**
+     * Save sync configuration to storage
+     */
+    saveConfig() {
+      this.storage.set("syncConfig", this.config);
+    }
+    /**
+     * Change endpoint, token or enabled flag
+     * @param {object} updates - { enabled, endpoint, token }
+     */
+    configure(updates) {
+      const endpointChanged = updates.endpoint !== void 0 && updates.endpoint !== this.config.endpoint;
+      const wasEnabled = this.isEnabled();
+      this.config = { ...this.config, ...updates };
+      if (endpointChanged) {
+        this.config.cursor = 0;
+      }
+      if (this.isEnabled() && (endpointChanged || !wasEnabled)) {
+        this.queueAll();
+      }
+      this.saveConfig();
+      this.start();
+    }
+    /**
+     * Start (or stop) automatic syncing according to the configuration
+     */
+    start() {
+      clearInterval(this.intervalTimer);
+      this.intervalTimer = null;
+      if (!this.isEnabled()) return;
+      if (!this.onlineHandler && typeof window !== "undefined") {
+        this.onlineHandler = () => this.sync();
+        window.addEventListener("online", this.onlineHandler);
+        if ("serviceWorker" in navigator) {
+          navigator.serviceWorker.addEventListener("message", (event) => {
+            if (event.data && event.data.type === "sync-outbox" && event.data.namespace === this.storage.namespace) {
+              this.sync();
+            }
+          });
+        }
+      }
+      this.intervalTimer = setInterval(() => this.sync(), SYNC_INTERVAL);
+      this.sync();
+    }
+    /**
+     * Is sync configured and turned on?
+     * @returns {boolean}
+     */
+    isEnabled() {
+      return this.config.enabled && !!this.config.endpoint;
+    }
+    /**
+     * Be told when remote changes were applied locally
+     * @param {function} listener - Called with the list of changed keys
+     * @returns {function} - Unsubscribe
+     */
+    subscribe(listener) {
+      this.listeners.add(listener);
+      return () => this.listeners.delete(listener);
+    }
+    /**
+     * Number of local changes not yet sent
+     * @returns {number}
+     */
+    getPendingCount() {
+      return this.storage.getRecords("syncOutbox").length;
+    }
+    /**
+     * Queue the change described by a journal entry
+     * @param {object} entry - Journal entry
+     */
+    track(entry) {
+      if (!this.isEnabled()) return;
+      this.enqueue("journal", entry, false);
+      if (entry.action === "import") {
+        this.queueAll();
+      } else if (ENTITY_COLLECTIONS[entry.entity]) {
+        const collection = ENTITY_COLLECTIONS[entry.entity];
+        if (entry.action === "delete") {
+          this.enqueue(collection, { id: entry.entityId, updatedAt: entry.at }, true);
+        } else {
+          this.enqueue(collection, entry.after, false);
+        }
+      }
+      this.schedulePush();
+    }
+    /**
+     * Queue redacted journal entries, and make sure no full copy of them or
+     * of the records they were about is left in the outbox (even with sync
+     * turned off: the outbox would be pushed once it is back on)
+     * @param {array} entries - Redacted journal entries
+     */
+    trackRedactions(entries) {
+      const queued = new Map(this.storage.getRecords("syncOutbox").map((e) => [e.id, e]));
+      const existing = {};
+      entries.forEach((entry) => {
+        if (this.isEnabled() || queued.has(`journal:${entry.id}`)) {
+          this.enqueue("journal", entry, false);
+        }
+        const collection = ENTITY_COLLECTIONS[entry.entity];
+        const row = collection && queued.get(`${collection}:${entry.entityId}`);
+        if (row && !row.deleted) {
+          existing[collection] = existing[collection] || new Set(this.storage.getRecords(collection).map((r) => r.id));
+          if (!existing[collection].has(entry.entityId)) {
+            this.enqueue(collection, { id: entry.entityId, updatedAt: entry.updatedAt }, true);
+          }
+        }
+      });
+      if (this.isEnabled()) this.schedulePush();
+    }
+    /**
+     * Queue every local record (first sync with a server, restored backup)
+     */
+    queueAll() {
+      SYNCED_COLLECTIONS.forEach((collection) => {
+        this.storage.getRecords(collection).forEach((record) => {
+          this.enqueue(collection, record, false);
+        });
+      });
+    }
+    /**
+     * Add (or replace) a change in the outbox
+     */
+    enqueue(collection, record, deleted) {
+      this.storage.putRecord("syncOutbox", {
+        id: `${collection}:${record.id}`,
+        collection,
+        recordId: record.id,
+        updatedAt: record.updatedAt || record.at || record.createdAt || (/* @__PURE__ */ new Date()).toISOString(),
+        deleted,
+        record: deleted ? null : record
+      });
+    }
+    /**
+     * Push soon, grouping changes made in quick succession
+     */
+    schedulePush() {
+      clearTimeout(this.pushTimer);
+      this.pushTimer = setTimeout(() => this.sync(), PUSH_DELAY);
+    }
+    /**
+     * Push the outbox and pull remote changes
+     * @returns {Promise<object>} - { success, pushed, pulled, error }
+     */
+    sync() {
+      if (!this.isEnabled()) {
+        return Promise.resolve({ success: false, error: "Sync is disabled" });
+      }
+      if (!this.syncing) {
+        this.syncing = this.runSync().finally(() => {
+          this.syncing = null;
+        });
+      }
+      return this.syncing;
+    }
+    /**
+     * Perform one push/pull round trip
+     */
+    async runSync() {
+      const outbox = this.storage.getRecords("syncOutbox");
+      try {
+        const response = await fetch(this.config.endpoint.replace(/\/$/, "") + "/sync", {
+          method: "POST",
+          headers: this.headers(),
+          body: JSON.stringify({
+            deviceId: this.config.deviceId,
+            since: this.config.cursor,
+            changes: outbox.map(
+              ({ collection, recordId, updatedAt, deleted, record }) => ({ collection, id: recordId, updatedAt, deleted, record })
+            )
+          })
+        });
+        if (!response.ok) {
+          throw new Error(`Server answered ${response.status}`);
+        }
+        const result = await response.json();
+        this.clearSent(outbox);
+        const changedKeys = this.applyRemote(result.changes || []);
+        this.config.cursor = result.cursor;
+        this.config.lastSyncAt = (/* @__PURE__ */ new Date()).toISOString();
+        this.config.lastError = null;
+        this.saveConfig();
+        await this.storage.flush();
+        if (changedKeys.length > 0) {
+          this.listeners.forEach((listener) => listener(changedKeys));
+        }
+        return { success: true, pushed: outbox.length, pulled: (result.changes || []).length };
+      } catch (error) {
+        console.error("Sync failed", error);
+        this.config.lastError = error.message;
+        this.saveConfig();
+        this.requestBackgroundSync();
+        return { success: false, error: error.message };
+      }
+    }
+    /**
+     * Remove sent changes from the outbox, unless they changed again meanwhile
+     * @param {array} sent - Outbox entries that were pushed
+     */
+    clearSent(sent) {
+      const current = new Map(this.storage.getRecords("syncOutbox").map((e) => [e.id, e]));
+      sent.forEach((entry) => {
+        const now = current.get(entry.id);
+        if (now && now.updatedAt === entry.updatedAt && now.deleted === entry.deleted) {
+          this.storage.deleteRecord("syncOutbox", entry.id);
+        }
+      });
+    }
+    /**
+     * Apply remote changes when they are newer than the local version
+     * @param {array} changes - [{ collection, id, updatedAt, deleted, record }]
+     * @returns {array} - Storage keys that changed
+     */
+    applyRemote(changes) {
+      const changed = /* @__PURE__ */ new Set();
+      const outbox = new Map(this.storage.getRecords("syncOutbox").map((e) => [e.id, e]));
+      const records = {};
+      SYNCED_COLLECTIONS.forEach((collection) => {
+        records[collection] = new Map(this.storage.getRecords(collection).map((r) => [r.id, r]));
+      });
+      changes.forEach((change) => {
+        const local = records[change.collection];
+        if (!local) return;
+        if (change.collection === "journal") {
+          const existing2 = local.get(change.id);
+          if (!change.deleted && (!existing2 || change.record.redacted && !existing2.redacted)) {
+            this.storage.putRecord("journal", change.record);
+            changed.add("journal");
+          }
+          return;
+        }
+        const pending = outbox.get(`${change.collection}:${change.id}`);
+        const existing = local.get(change.id);
+        const localStamp = [
+          pending && pending.updatedAt,
+          existing && (existing.updatedAt || existing.createdAt)
+        ].filter(Boolean).sort().pop() || "";
+        if (change.updatedAt <= localStamp) return;
+        if (change.deleted) {
+          if (existing) this.storage.deleteRecord(change.collection, change.id);
+        } else {
+          this.storage.putRecord(change.collection, change.record);
+        }
+        if (pending) {
+          this.storage.deleteRecord("syncOutbox", pending.id);
+        }
+        changed.add(change.collection);
+      });
+      return [...changed];
+    }
+    /**
+     * Ask the service worker to push the outbox when back online
+     */
+    async requestBackgroundSync() {
+      if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) return;
+      try {
+        const registration = await navigator.serviceWorker.register("service-worker.js");
+        if (registration.sync) {
+          await registration.sync.register(`sync-outbox:${this.storage.namespace}`);
+        }
+      } catch (error) {
+        console.warn("Background sync unavailable", error);
+      }
+    }
+    /**
+     * Request headers, with the access token if configured
+     */
+    headers() {
+      const headers = { "Content-Type": "application/json" };
+      if (this.config.token) {
+        headers.Authorization = `Bearer ${this.config.token}`;
+      }
+      return headers;
+    }
+  };
+
+  // js/models/StudentPhotos.js
+  var PHOTOS_KEY = "photos";
+  var PHOTO_SIZE = 256;
+  var PHOTO_QUALITY = 0.8;
+  var IMAGE_FILE = /\.(jpe?g|png|webp|gif|bmp)$/i;
+  var StudentPhotos = class _StudentPhotos {
+    constructor(storage, studentManager) {
+      this.storage = storage;
+      this.studentManager = studentManager;
+      this.photos = /* @__PURE__ */ new Map();
+    }
+    /**
+     * Load photos from storage
+     */
+    async load() {
+      this.photos = new Map(this.storage.get(PHOTOS_KEY, []).map((photo) => [photo.id, photo]));
+    }
+    /**
+     * Photo of a student, or of the same student in an earlier school year
+     * @param {string} studentId
+     * @returns {string|null} - Data URL
+     */
+    get(studentId) {
+      const ids = [studentId, ...this.studentManager.getHistory(studentId).map((s) => s.id)];
+      const id = ids.find((id2) => this.photos.has(id2));
+      return id ? this.photos.get(id).dataUrl : null;
+    }
+    /**
+     * Has this student record a photo of its own?
+     * @param {string} studentId
+     * @returns {boolean}
+     */
+    has(studentId) {
+      return this.photos.has(studentId);
+    }
+    /**
+     * Store a photo
+     * @param {string} studentId
+     * @param {string} dataUrl - Prepared with toDataUrl()
+     */
+    set(studentId, dataUrl) {
+      const photo = { id: studentId, dataUrl, updatedAt: (/* @__PURE__ */ new Date()).toISOString() };
+      this.photos.set(studentId, photo);
+      this.storage.putRecord(PHOTOS_KEY, photo);
+    }
+    /**
+     * Crop, downscale and store a photo
+     * @param {string} studentId
+     * @param {Blob|ImageBitmap} source - Image file or decoded image
+     * @param {object} crop - See cropRect()
+     */
+    async setImage(studentId, source, crop = void 0) {
+      const image = source instanceof Blob ? await _StudentPhotos.loadImage(source) : source;
+      this.set(studentId, _StudentPhotos.toDataUrl(image, crop));
+    }
+    /**
+     * Delete the photo of a student record
+     * @param {string} studentId
+     */
+    delete(studentId) {
+      if (this.photos.delete(studentId)) {
+        this.storage.deleteRecord(PHOTOS_KEY, studentId);
+      }
+    }
+    /**
+     * Give photos to the students of a class from image files, or ZIP
+     * archives of images, named after the student code or name
+     * (e.g., "J130000001.jpg", "Sara El Amrani.png")
+     * @param {array} files - Files picked or from a folder
+     * @param {string} classId
+     * @returns {Promise<object>} - { assigned, unmatched: [file names], failed: [file names] }
+     */
+    async assignFiles(files, classId) {
+      const students = this.studentManager.getByClass(classId);
+      const result = { assigned: 0, unmatched: [], failed: [] };
+      const images = [];
+      for (const file of files) {
+        if (/\.zip$/i.test(file.name)) {
+          for (const [path, read] of Zip.read(await file.arrayBuffer())) {
+            if (IMAGE_FILE.test(path) && !/(^|\/)(__MACOSX\/|\._)/.test(path)) {
+              images.push({ name: path, blob: async () => new Blob([await read()]) });
+            }
+          }
+        } else if (IMAGE_FILE.test(file.name) || (file.type || "").startsWith("image/")) {
+          images.push({ name: file.webkitRelativePath || file.name, blob: async () => file });
+        }
+      }
+      for (const image of images) {
+        const student = _StudentPhotos.matchFile(image.name, students);
+        if (!student) {
+          result.unmatched.push(image.name);
+          continue;
+        }
+        try {
+          await this.setImage(student.id, await image.blob());
+          result.assigned++;
+        } catch (error) {
+          result.failed.push(image.name);
+        }
+      }
+      return result;
+    }
+    /**
+     * Student a photo file is named after: student code first, then name
+     * (either order of first and last name)
+     * @param {string} path - File name, possibly in folders
+     * @param {array} students
+     * @returns {object|null}
+     */
+    static matchFile(path, students) {
+      const base = path.split("/").pop().replace(/\.[^.]+$/, "");
+      const byCode = students.find((s) => s.code && s.code.toLowerCase() === base.trim().toLowerCase());
+      if (byCode) return byCode;
+      const key = Names.key(base.replace(/[_.-]+/g, " "));
+      return students.find((s) => [
+        s.name,
+        `${s.firstName || ""} ${s.lastName || ""}`,
+        `${s.lastName || ""} ${s.firstName || ""}`
+      ].some((name) => Names.key(name) === key)) || null;
+    }
+    /**
+     * Decode an image file
+     * @param {Blob} blob
+     * @returns {Promise<ImageBitmap>}
+     * @throws {Error} if the file is not an image
+     */
+    static async loadImage(blob) {
+      try {
+        return await createImageBitmap(blob);
+      } catch (error) {
+        throw new Error("Not an image");
+      }
+    }
+    /**
+     * Square part of an image to keep
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {object} crop - { zoom: 1 or more, x: 0-1, y: 0-1 } where x/y place the
+     *   square from the left/top edge to the right/bottom one (0.5: centered)
+     * @returns {object} - { sx, sy, size } in image pixels
+     */
+    static cropRect(width, height, { zoom = 1, x = 0.5, y = 0.5 } = {}) {
+      const size = Math.min(width, height) / Math.max(1, zoom);
+      return {
+        sx: (width - size) * Math.min(1, Math.max(0, x)),
+        sy: (height - size) * Math.min(1, Math.max(0, y)),
+        size
+      };
+    }
+    /**
+     * Draw the cropped image on a canvas (also used for the crop preview)
+     * @param {HTMLCanvasElement} canvas
+     * @param {ImageBitmap} image
+     * @param {object} crop - See cropRect()
+     */
+    static draw(canvas, image, crop) {
+      const { sx, sy, size } = _StudentPhotos.cropRect(image.width, image.height, crop);
+      const context = canvas.getContext("2d");
+      context.imageSmoothingQuality = "high";
+      context.drawImage(image, sx, sy, size, size, 0, 0, canvas.width, canvas.height);
+    }
+    /**
+     * Cropped and downscaled photo
+     * @param {ImageBitmap} image
+     * @param {object} crop - See cropRect()
+     * @returns {string} - JPEG data URL
+     */
+    static toDataUrl(image, crop) {
+      const canvas = document.createElement("canvas");
+      canvas.width = PHOTO_SIZE;
+      canvas.height = PHOTO_SIZE;
+      _StudentPhotos.draw(canvas, image, crop);
+      return canvas.toDataURL("image/jpeg", PHOTO_QUALITY);
+    }
+  };
+
+  // js/models/Trash.js
+  var TRASH_KEY = "trash";
+  var RETENTION_DAYS = 30;
+  var DAY = 24 * 60 * 60 * 1e3;
+  var Trash = class _Trash {
+    constructor(storage, classManager, studentManager, arrivalTracker, backupManager = null, photos = null, journal = null) {
+      this.storage = storage;
+      this.classManager = classManager;
+      this.studentManager = studentManager;
+      this.arrivalTracker = arrivalTracker;
+      this.backupManager = backupManager;
+      this.photos = photos;
+      this.journal = journal;
+      this.items = [];
+    }
+    /**
+     * Load the trash from storage, dropping expired items
+     */
+    async load() {
+      this.items = this.storage.get(TRASH_KEY, []);
+      this.purgeExpired();
+    }
+    /**
+     * Get trash items, most recently deleted first
+     * @returns {array}
+     */
+    getAll() {
+      return [...this.items].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    }
+    /**
+     * Get trash item by ID
+     * @param {string} id
+     * @returns {object|null}
+     */
+    getById(id) {
+      return this.items.find((item) => item.id === id) || null;
+    }
+    /**
+     * Move a class with its students and arrivals to the trash
+     * @param {string} classId
+     * @returns {object|null} - The trash item
+     */
+    deleteClass(classId) {
+      const classObj = this.classManager.getById(classId);
+      if (!classObj) return null;
+      const run = () => {
+        const students = this.studentManager.deleteByClass(classId);
+        const studentIds = new Set(students.map((s) => s.id));
+        const arrivals = this.arrivalTracker.deleteWhere(
+          (a) => a.classId === classId || studentIds.has(a.studentId)
+        );
+        this.classManager.delete(classId);
+        const item = {
+          id: this.generateId(),
+          deletedAt: (/* @__PURE__ */ new Date()).toISOString(),
+          class: classObj,
+          students,
+          arrivals
+        };
+        this.items.push(item);
+        this.storage.putRecord(TRASH_KEY, item);
+        return item;
+      };
+      return this.backupManager ? this.backupManager.protect("before-class-delete", run) : run();
+    }
+    /**
+     * Move a student with its arrivals to the trash
+     * @param {string} studentId
+     * @returns {object|null} - The trash item
+     */
+    deleteStudent(studentId) {
+      const student = this.studentManager.getById(studentId);
+      if (!student) return null;
+      const arrivals = this.arrivalTracker.deleteWhere((a) => a.studentId === studentId);
+      this.studentManager.delete(studentId);
+      const item = {
+        id: this.generateId(),
+        deletedAt: (/* @__PURE__ */ new Date()).toISOString(),
+        student,
+        arrivals
+      };
+      this.items.push(item);
+      this.storage.putRecord(TRASH_KEY, item);
+      return item;
+    }
+    /**
+     * Put a deleted class back with its students and arrivals, or a deleted
+     * student with its arrivals
+     * @param {string} id - Trash item ID
+     * @returns {object} - { success, error, class, student }
+     */
+    restore(id) {
+      const item = this.getById(id);
+      if (!item) return { success: false, error: "Not in the trash anymore" };
+      if (item.student) return this.restoreStudent(item);
+      if (this.classManager.getById(item.class.id)) {
+        return { success: false, error: "This class already exists" };
+      }
+      this.classManager.restoreRecords([item.class]);
+      this.studentManager.restoreRecords(item.students);
+      this.arrivalTracker.restoreRecords(item.arrivals);
+      this.remove(id);
+      return { success: true, error: null, class: item.class };
+    }
+    /**
+     * Put a deleted student back
+     * @param {object} item
+     * @returns {object} - { success, error, student }
+     */
+    restoreStudent(item) {
+      if (this.studentManager.getById(item.student.id)) {
+        return { success: false, error: "This student already exists" };
+      }
+      if (!this.classManager.getById(item.student.classId)) {
+        return { success: false, error: "The class of this student was deleted: restore the class first" };
+      }
+      this.studentManager.restoreRecords([item.student]);
+      this.arrivalTracker.restoreRecords(item.arrivals);
+      this.remove(item.id);
+      return { success: true, error: null, student: item.student };
+    }
+    /**
+     * Erase everything about a student, in every school year (privacy request)
+     * @param {string} studentId
+     * @returns {object} - { students, arrivals } numbers of records erased
+     */
+    eraseStudent(studentId) {
+      const records = this.studentManager.getLinkedRecords(studentId);
+      const ids = new Set(records.map((s) => s.id));
+      const arrivalIds = new Set(this.arrivalTracker.eraseWhere((a) => ids.has(a.studentId)));
+      records.forEach((student) => this.studentManager.erase(student.id));
+      this.items.filter((item) => item.student ? ids.has(item.student.id) : item.students.some((s) => ids.has(s.id))).forEach((item) => {
+        item.arrivals.filter((a) => ids.has(a.studentId)).forEach((a) => arrivalIds.add(a.id));
+        if (item.student) {
+          this.remove(item.id);
+          return;
+        }
+        item.students = item.students.filter((s) => !ids.has(s.id));
+        item.arrivals = item.arrivals.filter((a) => !ids.has(a.studentId));
+        this.storage.putRecord(TRASH_KEY, item);
+      });
+      ids.forEach((id) => this.photos?.delete(id));
+      this.backupManager?.forgetStudents(ids);
+      this.journal?.redact((entry) => ids.has(entry.entityId) || arrivalIds.has(entry.entityId) || entry.entity === "arrival" && ids.has((entry.after || entry.before || {}).studentId));
+      return { students: ids.size, arrivals: arrivalIds.size };
+    }
+    /**
+     * Delete a trash item for good
+     * @param {string} id
+     */
+    purge(id) {
+      const item = this.getById(id);
+      if (item && this.photos) {
+        (item.student ? [item.student] : item.students).forEach((student) => this.photos.delete(student.id));
+      }
+      this.remove(id);
+    }
+    /**
+     * Delete the items older than RETENTION_DAYS
+     * @returns {number} - Number of purged items
+     */
+    purgeExpired() {
+      const now = Date.now();
+      const expired = this.items.filter((item) => _Trash.expiresAt(item) <= now);
+      expired.forEach((item) => this.purge(item.id));
+      return expired.length;
+    }
+    /**
+     * When an item is purged automatically
+     * @param {object} item
+     * @returns {number} - Timestamp
+     */
+    static expiresAt(item) {
+      return new Date(item.deletedAt).getTime() + RETENTION_DAYS * DAY;
+    }
+    /**
+     * Remove an item from the trash
+     * @param {string} id
+     */
+    remove(id) {
+      this.items = this.items.filter((item) => item.id !== id);
+      this.storage.deleteRecord(TRASH_KEY, id);
+    }
+    /**
+     * Generate unique ID
+     */
+    generateId() {
+      return "trash_" + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    }
+  };
+
+  // js/models/BackupManager.js
+  var RESTORE_POINTS_KEY = "restorePoints";
+  var EXCLUDED_KEYS = ["journal", PHOTOS_KEY, TRASH_KEY, RESTORE_POINTS_KEY, ...SYNC_STORAGE_KEYS];
+  var LOCAL_STORAGE_LIMIT = 1;
+  var DAILY_CHECK_INTERVAL = 60 * 60 * 1e3;
+  var RESTORE_POINT_REASONS = {
+    daily: "Daily",
+    manual: "Manual",
+    "before-import": "Before backup restore",
+    "before-class-delete": "Before class deletion",
+    "before-roster-import": "Before roster import",
+    "before-rollover": "Before new school year"
+  };
+  var BackupManager = class _BackupManager {
+    constructor(storage, settings) {
+      this.storage = storage;
+      this.settings = settings;
+      this.restorePoints = [];
+      this.dailyTimer = null;
+    }
+    /**
+     * Load restore points from storage
+     */
+    async load() {
+      this.restorePoints = this.storage.get(RESTORE_POINTS_KEY, []);
+    }
+    /**
+     * Take the daily snapshot now and check again every hour
+     */
+    start() {
+      clearInterval(this.dailyTimer);
+      this.takeDailySnapshot();
+      this.dailyTimer = setInterval(() => this.takeDailySnapshot(), DAILY_CHECK_INTERVAL);
+    }
+    /**
+     * Get restore points, newest first (without their data)
+     * @returns {array}
+     */
+    getAll() {
+      return this.restorePoints.map(({ data, ...point }) => point).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+    /**
+     * Get a restore point with its data
+     * @param {string} id
+     * @returns {object|null}
+     */
+    getById(id) {
+      return this.restorePoints.find((p) => p.id === id) || null;
+    }
+    /**
+     * Take a snapshot if none was taken today
+     * @returns {object|null} - The new restore point
+     */
+    takeDailySnapshot() {
+      if (!this.settings.get("dailySnapshots")) return null;
+      const today = (/* @__PURE__ */ new Date()).toISOString().split("T")[0];
+      const hasToday = this.restorePoints.some(
+        (p) => p.reason === "daily" && p.createdAt.startsWith(today)
+      );
+      return hasToday ? null : this.snapshot("daily");
+    }
+    /**
+     * Take a snapshot of the current data
+     * @param {string} reason - Key of RESTORE_POINT_REASONS
+     * @returns {object} - The restore point (without data)
+     */
+    snapshot(reason) {
+      const data = this.storage.exportAll();
+      EXCLUDED_KEYS.forEach((key) => delete data[key]);
+      const summary = {
+        id: this.generateId(),
+        createdAt: (/* @__PURE__ */ new Date()).toISOString(),
+        reason,
+        counts: _BackupManager.count(data)
+      };
+      const point = { ...summary, data };
+      if (!this.storage.hasLargeQuota()) this.prune(1);
+      this.restorePoints.push(point);
+      this.storage.putRecord(RESTORE_POINTS_KEY, point);
+      this.prune();
+      return summary;
+    }
+    /**
+     * Run a risky operation after taking a snapshot
+     * @param {string} reason - Key of RESTORE_POINT_REASONS
+     * @param {function} operation
+     * @returns {any} - What the operation returns
+     */
+    protect(reason, operation) {
+      this.snapshot(reason);
+      return operation();
+    }
+    /**
+     * Delete a restore point
+     * @param {string} id
+     */
+    delete(id) {
+      this.restorePoints = this.restorePoints.filter((p) => p.id !== id);
+      this.storage.deleteRecord(RESTORE_POINTS_KEY, id);
+    }
+    /**
+     * Remove students and their arrivals from every restore point, including
+     * the trash copied by older snapshots
+     * @param {Set} studentIds
+     */
+    forgetStudents(studentIds) {
+      const erased = (student) => studentIds.has(student.id);
+      const erasedArrival = (arrival) => studentIds.has(arrival.studentId);
+      this.restorePoints.forEach((point) => {
+        const { students = [], arrivals = [], trash } = point.data;
+        const trashed = Array.isArray(trash) ? trash : [];
+        if (!students.some(erased) && !arrivals.some(erasedArrival) && !trashed.some((item) => item.student ? erased(item.student) : (item.students || []).some(erased))) return;
+        point.data = {
+          ...point.data,
+          students: students.filter((s) => !erased(s)),
+          arrivals: arrivals.filter((a) => !erasedArrival(a)),
+          ...trash ? {
+            trash: trashed.filter((item) => !item.student || !erased(item.student)).map((item) => item.student ? item : {
+              ...item,
+              students: (item.students || []).filter((s) => !erased(s)),
+              arrivals: (item.arrivals || []).filter((a) => !erasedArrival(a))
+            })
+          } : {}
+        };
+        point.counts = _BackupManager.count(point.data);
+        this.storage.putRecord(RESTORE_POINTS_KEY, point);
+      });
+    }
+    /**
+     * Keep only the most recent restore points
+     * @param {number} room - Restore points about to be added
+     */
+    prune(room = 0) {
+      const limit = Math.min(
+        Math.max(1, Number(this.settings.get("restorePointsLimit")) || 1),
+        this.storage.hasLargeQuota() ? Infinity : LOCAL_STORAGE_LIMIT
+      );
+      const sorted = [...this.restorePoints].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      sorted.slice(Math.max(0, limit - room)).forEach((point) => this.delete(point.id));
+    }
+    /**
+     * Describe what a restore point contains
+     * @param {string} id
+     * @returns {object|null} - { classes: [{ name, students, arrivals }], firstDate, lastDate }
+     */
+    describe(id) {
+      const point = this.getById(id);
+      if (!point) return null;
+      const { classes = [], students = [], arrivals = [] } = point.data;
+      const dates = arrivals.map((a) => a.date).sort();
+      return {
+        classes: classes.map((c) => ({
+          name: c.name,
+          students: students.filter((s) => s.classId === c.id).length,
+          arrivals: arrivals.filter((a) => a.classId === c.id).length
+        })),
+        firstDate: dates[0] || null,
+        lastDate: dates[dates.length - 1] || null
+      };
+    }
+    /**
+     * Backup JSON of a restore point, for ReportGenerator.previewImport()
+     * @param {string} id
+     * @returns {string|null}
+     */
+    toJSON(id) {
+      const point = this.getById(id);
+      return point ? JSON.stringify(point.data, null, 2) : null;
+    }
+    /**
+     * Count records per collection
+     * @param {object} data
+     * @returns {object}
+     */
+    static count(data) {
+      return {
+        classes: (data.classes || []).length,
+        students: (data.students || []).length,
+        arrivals: (data.arrivals || []).length
+      };
+    }
+    /**
+     * Generate unique ID
+     */
+    generateId() {
+      return "rp_" + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    }
+  };
+
+  // js/utils/Encryption.js
+  var ITERATIONS = 25e4;
+  var CHECK_TEXT = "lateness-tracker";
+  var BACKUP_FORMAT = "lateness-tracker-encrypted";
+  var Encryption = class _Encryption {
+    /**
+     * Is WebCrypto available (it requires a secure context: https or localhost)?
+     * @returns {boolean}
+     */
+    static isSupported() {
+      return typeof crypto !== "undefined" && !!crypto.subtle;
+    }
+    /**
+     * Create the parameters stored next to encrypted data
+     * @param {string} passphrase
+     * @returns {Promise<object>} - { key, params: { salt, iterations, check } }
+     */
+    static async createKey(passphrase) {
+      const salt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+      const key = await _Encryption.deriveKey(passphrase, salt, ITERATIONS);
+      const check = await _Encryption.encrypt(key, CHECK_TEXT);
+      return { key, params: { salt, iterations: ITERATIONS, check } };
+    }
+    /**
+     * Derive the key for stored parameters, checking the passphrase
+     * @param {string} passphrase
+     * @param {object} params - { salt, iterations, check }
+     * @returns {Promise<CryptoKey>}
+     * @throws {Error} on a wrong passphrase
+     */
+    static async unlockKey(passphrase, params) {
+      const key = await _Encryption.deriveKey(passphrase, params.salt, params.iterations);
+      try {
+        if (await _Encryption.decrypt(key, params.check) === CHECK_TEXT) return key;
+      } catch (error) {
+      }
+      throw new Error("Wrong passphrase");
+    }
+    /**
+     * Derive an AES-GCM key from a passphrase
+     * @param {string} passphrase
+     * @param {string} salt - base64
+     * @param {number} iterations
+     * @returns {Promise<CryptoKey>}
+     */
+    static async deriveKey(passphrase, salt, iterations) {
+      const material = await crypto.subtle.importKey(
+        "raw",
+        new TextEncoder().encode(passphrase),
+        "PBKDF2",
+        false,
+        ["deriveKey"]
+      );
+      return crypto.subtle.deriveKey(
+        { name: "PBKDF2", salt: fromBase64(salt), iterations, hash: "SHA-256" },
+        material,
+        { name: "AES-GCM", length: 256 },
+        false,
+        ["encrypt", "decrypt"]
+      );
+    }
+    /**
+     * Encrypt a string
+     * @param {CryptoKey} key
+     * @param {string} text
+     * @returns {Promise<string>}
+     */
+    static async encrypt(key, text) {
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const data = await crypto.subtle.encrypt(
+        { name: "AES-GCM", iv },
+        key,
+        new TextEncoder().encode(text)
+      );
+      return `v1:${toBase64(iv)}:${toBase64(new Uint8Array(data))}`;
+    }
+    /**
+     * Decrypt a string produced by encrypt()
+     * @param {CryptoKey} key
+     * @param {string} payload
+     * @returns {Promise<string>}
+     */
+    static async decrypt(key, payload) {
+      const [version, iv, data] = String(payload).split(":");
+      if (version !== "v1") throw new Error("Unknown encryption format");
+      const plain = await crypto.subtle.decrypt(
+        { name: "AES-GCM", iv: fromBase64(iv) },
+        key,
+        fromBase64(data)
+      );
+      return new TextDecoder().decode(plain);
+    }
+    /**
+     * Is this parsed JSON an encrypted backup?
+     * @param {any} data
+     * @returns {boolean}
+     */
+    static isEncryptedBackup(data) {
+      return !!data && data.format === BACKUP_FORMAT;
+    }
+    /**
+     * Wrap backup JSON in an encrypted envelope
+     * @param {CryptoKey} key - Derived from the passphrase with `params`
+     * @param {object} params - { salt, iterations, check }
+     * @param {string} json - Backup content
+     * @returns {Promise<string>} - Envelope JSON
+     */
+    static async sealBackup(key, params, json) {
+      return JSON.stringify({
+        format: BACKUP_FORMAT,
+        version: 1,
+        salt: params.salt,
+        iterations: params.iterations,
+        check: params.check,
+        payload: await _Encryption.encrypt(key, json)
+      }, null, 2);
+    }
+    /**
+     * Decrypt an encrypted backup envelope
+     * @param {object} envelope - Parsed envelope
+     * @param {string} passphrase
+     * @returns {Promise<string>} - Backup JSON
+     * @throws {Error} on a wrong passphrase
+     */
+    static async openBackup(envelope, passphrase) {
+      const key = await _Encryption.unlockKey(passphrase, envelope);
+      return _Encryption.decrypt(key, envelope.payload);
+    }
+  };
+  function toBase64(bytes) {
+    let binary = "";
+    bytes.forEach((b) => {
+      binary += String.fromCharCode(b);
+    });
+    return btoa(binary);
+  }
+  function fromBase64(text) {
+    return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+  }
+
+  // js/utils/ICalendar.js
+  var PRODUCT_ID = "-//Lateness Tracker//Timetable//EN";
+  var WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+  var ICalendar = class _ICalendar {
+    /**
+     * Parse the events of an .ics file
+     * @param {string} text - File content
+     * @returns {array} - [{ uid, summary, location, startDate, endDate, startTime, endTime,
+     *   rule, exdates, recurrenceId, cancelled }] with inclusive YYYY-MM-DD dates and
+     *   HH:MM times (null for all-day events)
+     * @throws {Error} if the file is not an iCalendar file
+     */
+    static parse(text) {
+      const lines = _ICalendar.unfold(text);
+      if (!lines.some((line) => line.toUpperCase() === "BEGIN:VCALENDAR")) {
+        throw new Error("Not an iCalendar file");
+      }
+      const events = [];
+      let current = null;
+      lines.forEach((line) => {
+        const upper = line.toUpperCase();
+        if (upper === "BEGIN:VEVENT") {
+          current = {};
+          return;
+        }
+        if (upper === "END:VEVENT") {
+          if (current) {
+            const event = _ICalendar.toEvent(current);
+            if (event) events.push(event);
+          }
+          current = null;
+          return;
+        }
+        if (!current) return;
+        const property = _ICalendar.parseLine(line);
+        if (!property) return;
+        if (property.name === "EXDATE") {
+          current.EXDATE = [...current.EXDATE || [], ...property.value.split(",")];
+        } else if (!(property.name in current)) {
+          current[property.name] = property;
+        }
+      });
+      return events;
+    }
+    /**
+     * Join folded lines (continuation lines start with a space or a tab)
+     * @param {string} text
+     * @returns {array}
+     */
+    static unfold(text) {
+      return String(text).replace(/\r\n/g, "\n").replace(/\n[ \t]/g, "").split("\n").map((line) => line.trim()).filter(Boolean);
+    }
+    /**
+     * Split a content line: NAME;PARAM=VALUE:value
+     * @param {string} line
+     * @returns {object|null} - { name, params, value }
+     */
+    static parseLine(line) {
+      const colon = line.indexOf(":");
+      if (colon === -1) return null;
+      const [name, ...params] = line.slice(0, colon).split(";");
+      return {
+        name: name.toUpperCase(),
+        params: Object.fromEntries(params.map((p) => {
+          const [key, value = ""] = p.split("=");
+          return [key.toUpperCase(), value];
+        })),
+        value: line.slice(colon + 1)
+      };
+    }
+    /**
+     * Build an event from its properties
+     * @param {object} properties - { [name]: { params, value } }
+     * @returns {object|null}
+     */
+    static toEvent(properties) {
+      const start = properties.DTSTART && _ICalendar.toDateTime(properties.DTSTART.value);
+      if (!start) return null;
+      const end = properties.DTEND && _ICalendar.toDateTime(properties.DTEND.value);
+      let endDate = end ? end.date : null;
+      const allDay = !start.time;
+      if (endDate && allDay && endDate > start.date) {
+        endDate = _ICalendar.previousDay(endDate);
+      }
+      const recurrenceId = properties["RECURRENCE-ID"] && _ICalendar.toDateTime(properties["RECURRENCE-ID"].value);
+      const text = (name) => properties[name] ? _ICalendar.unescape(properties[name].value) : "";
+      return {
+        uid: properties.UID ? properties.UID.value : null,
+        summary: text("SUMMARY"),
+        location: text("LOCATION"),
+        startDate: start.date,
+        endDate: endDate && endDate >= start.date ? endDate : start.date,
+        startTime: start.time,
+        endTime: end && !allDay ? end.time : null,
+        rule: properties.RRULE ? _ICalendar.parseRule(properties.RRULE.value) : null,
+        exdates: (properties.EXDATE || []).map((value) => _ICalendar.toDate(value)).filter(Boolean),
+        recurrenceId: recurrenceId ? recurrenceId.date : null,
+        cancelled: !!properties.STATUS && properties.STATUS.value.toUpperCase() === "CANCELLED"
+      };
+    }
+    /**
+     * Read a recurrence rule
+     * @param {string} value - e.g., FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;UNTIL=20270630T235959
+     * @returns {object} - { freq, interval, byDay: ['MO', 'TH'], until, count }
+     */
+    static parseRule(value) {
+      const parts = Object.fromEntries(value.split(";").map((part) => {
+        const [key, val = ""] = part.split("=");
+        return [key.toUpperCase(), val.toUpperCase()];
+      }));
+      return {
+        freq: parts.FREQ || null,
+        interval: Math.max(1, parseInt(parts.INTERVAL) || 1),
+        // Ordinals (1MO, -1FR) only make sense for monthly rules: keep the day
+        byDay: parts.BYDAY ? parts.BYDAY.split(",").map((day) => day.slice(-2)) : [],
+        until: parts.UNTIL ? _ICalendar.toDate(parts.UNTIL) : null,
+        count: parts.COUNT ? parseInt(parts.COUNT) : null
+      };
+    }
+    /**
+     * Local date and time of a DATE or DATE-TIME value
+     * @param {string} value - e.g., 20261101, 20261101T080000 or 20261101T080000Z
+     * @returns {object|null} - { date: YYYY-MM-DD, time: HH:MM or null }
+     */
+    static toDateTime(value) {
+      const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{2}(Z?))?/.exec(value || "");
+      if (!match) return null;
+      const [, year, month, day, hours, minutes, utc] = match;
+      if (!hours) return { date: `${year}-${month}-${day}`, time: null };
+      if (!utc) return { date: `${year}-${month}-${day}`, time: `${hours}:${minutes}` };
+      const local = new Date(Date.UTC(year, month - 1, day, hours, minutes));
+      return {
+        date: `${local.getFullYear()}-${pad(local.getMonth() + 1)}-${pad(local.getDate())}`,
+        time: `${pad(local.getHours())}:${pad(local.getMinutes())}`
+      };
+    }
+    /**
+     * Date part of a DATE or DATE-TIME value
+     * @param {string} value - e.g., 20261101 or 20261101T080000Z
+     * @returns {string|null} - YYYY-MM-DD
+     */
+    static toDate(value) {
+      const dateTime = _ICalendar.toDateTime(value);
+      return dateTime ? dateTime.date : null;
+    }
+    /**
+     * Write an .ics file
+     * @param {array} events - [{ uid, summary, location, startDate, endDate, startTime,
+     *   endTime, rule, exdates }] as returned by parse(); events without a start
+     *   time are all-day events
+     * @param {string} name - Calendar name shown by calendar apps
+     * @returns {string}
+     */
+    static build(events, name = "") {
+      const stamp = (/* @__PURE__ */ new Date()).toISOString().replace(/[-:]/g, "").split(".")[0] + "Z";
+      const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        `PRODID:${PRODUCT_ID}`,
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH"
+      ];
+      if (name) lines.push(`X-WR-CALNAME:${_ICalendar.escape(name)}`);
+      events.forEach((event) => {
+        const allDay = !event.startTime;
+        const value = (date, time) => allDay ? date.replace(/-/g, "") : `${date.replace(/-/g, "")}T${time.replace(":", "")}00`;
+        lines.push("BEGIN:VEVENT", `UID:${event.uid}`, `DTSTAMP:${stamp}`);
+        lines.push(`SUMMARY:${_ICalendar.escape(event.summary || "")}`);
+        if (event.location) lines.push(`LOCATION:${_ICalendar.escape(event.location)}`);
+        if (allDay) {
+          const after = _ICalendar.nextDay(event.endDate || event.startDate);
+          lines.push(`DTSTART;VALUE=DATE:${value(event.startDate)}`, `DTEND;VALUE=DATE:${value(after)}`);
+        } else {
+          lines.push(
+            `DTSTART:${value(event.startDate, event.startTime)}`,
+            `DTEND:${value(event.endDate || event.startDate, event.endTime || event.startTime)}`
+          );
+        }
+        if (event.rule) {
+          const rule = [`FREQ=${event.rule.freq}`];
+          if (event.rule.interval > 1) rule.push(`INTERVAL=${event.rule.interval}`);
+          if (event.rule.byDay && event.rule.byDay.length > 0) rule.push(`BYDAY=${event.rule.byDay.join(",")}`);
+          if (event.rule.until) rule.push(`UNTIL=${value(event.rule.until, "23:59")}`);
+          lines.push(`RRULE:${rule.join(";")}`);
+        }
+        if (event.exdates && event.exdates.length > 0) {
+          lines.push(`EXDATE${allDay ? ";VALUE=DATE" : ""}:${event.exdates.map((d) => value(d, event.startTime)).join(",")}`);
+        }
+        lines.push("END:VEVENT");
+      });
+      lines.push("END:VCALENDAR");
+      return lines.map((line) => _ICalendar.fold(line)).join("\r\n") + "\r\n";
+    }
+    /**
+     * Split a content line in lines of at most 75 octets
+     * @param {string} line
+     * @returns {string}
+     */
+    static fold(line) {
+      const encoder = new TextEncoder();
+      const parts = [];
+      let current = "";
+      let size = 0;
+      for (const char of line) {
+        const octets = encoder.encode(char).length;
+        if (size + octets > (parts.length === 0 ? 75 : 74)) {
+          parts.push(current);
+          current = "";
+          size = 0;
+        }
+        current += char;
+        size += octets;
+      }
+      parts.push(current);
+      return parts.join("\r\n ");
+    }
+    /**
+     * Encode a TEXT value
+     * @param {string} value
+     * @returns {string}
+     */
+    static escape(value) {
+      return String(value).replace(/\\/g, "\\\\").replace(/([,;])/g, "\\$1").replace(/\r?\n/g, "\\n");
+    }
+    /**
+     * @param {string} date - YYYY-MM-DD
+     * @returns {string} - The day before
+     */
+    static previousDay(date) {
+      const d = /* @__PURE__ */ new Date(date + "T00:00:00Z");
+      d.setUTCDate(d.getUTCDate() - 1);
+      return d.toISOString().split("T")[0];
+    }
+    /**
+     * @param {string} date - YYYY-MM-DD
+     * @returns {string} - The day after
+     */
+    static nextDay(date) {
+      const d = /* @__PURE__ */ new Date(date + "T00:00:00Z");
+      d.setUTCDate(d.getUTCDate() + 1);
+      return d.toISOString().split("T")[0];
+    }
+    /**
+     * Decode escaped TEXT values
+     * @param {string} value
+     * @returns {string}
+     */
+    static unescape(value) {
+      return value.replace(/\\[nN]/g, "\n").replace(/\\([,;\\])/g, "$1").trim();
+    }
+  };
+  function pad(n) {
+    return String(n).padStart(2, "0");
+  }
+
+  // js/models/SchoolCalendar.js
+  var CALENDAR_TYPES = {
+    term: "Term",
+    holiday: "Holiday",
+    vacation: "Vacation",
+    closure: "Closure"
+  };
+  var SchoolCalendar = class _SchoolCalendar {
+    constructor(storage, journal = null) {
+      this.storage = storage;
+      this.journal = journal;
+      this.entries = [];
+      this.weekCache = /* @__PURE__ */ new Map();
+    }
+    /**
+     * Load calendar from storage
+     */
+    async load() {
+      this.entries = this.storage.get("calendar", []);
+      this.weekCache.clear();
+    }
+    /**
+     * Get all entries, by start date
+     * @returns {array}
+     */
+    getAll() {
+      return [...this.entries].sort((a, b) => a.startDate.localeCompare(b.startDate));
+    }
+    /**
+     * Get entry by ID
+     * @param {string} id
+     * @returns {object|null}
+     */
+    getById(id) {
+      return this.entries.find((e) => e.id === id) || null;
+    }
+    /**
+     * Add an entry
+     * @param {object} data - { type, name, startDate, endDate }
+     * @returns {object}
+     */
+    add(data) {
+      const now = (/* @__PURE__ */ new Date()).toISOString();
+      const entry = {
+        id: this.generateId(),
+        type: data.type,
+        name: (data.name || "").trim() || CALENDAR_TYPES[data.type],
+        startDate: data.startDate,
+        endDate: data.endDate && data.endDate >= data.startDate ? data.endDate : data.startDate,
+        createdAt: now,
+        updatedAt: now
+      };
+      this.entries.push(entry);
+      this.weekCache.clear();
+      this.storage.putRecord("calendar", entry);
+      this.journal?.record("create", "calendar", null, entry);
+      return entry;
+    }
+    /**
+     * Update an entry
+     * @param {string} id
+     * @param {object} updates
+     */
+    update(id, updates) {
+      const index = this.entries.findIndex((e) => e.id === id);
+      if (index !== -1) {
+        const before = this.entries[index];
+        this.entries[index] = { ...before, ...updates, updatedAt: (/* @__PURE__ */ new Date()).toISOString() };
+        this.weekCache.clear();
+        this.storage.putRecord("calendar", this.entries[index]);
+        this.journal?.record("update", "calendar", before, this.entries[index]);
+        return this.entries[index];
+      }
+      return null;
+    }
+    /**
+     * Delete an entry
+     * @param {string} id
+     */
+    delete(id) {
+      const before = this.getById(id);
+      this.entries = this.entries.filter((e) => e.id !== id);
+      this.weekCache.clear();
+      if (before) {
+        this.storage.deleteRecord("calendar", id);
+        this.journal?.record("delete", "calendar", before, null);
+      }
+    }
+    /**
+     * Why there is no school on a date
+     * @param {string} date - ISO date string
+     * @returns {object|null} - The holiday/vacation/closure entry (or a term
+     *   placeholder when outside term dates), null on a school day
+     */
+    getClosure(date) {
+      const covering = this.entries.filter((e) => e.startDate <= date && date <= e.endDate);
+      const closure = covering.find((e) => e.type !== "term");
+      if (closure) return closure;
+      const hasTerms = this.entries.some((e) => e.type === "term");
+      if (hasTerms && !covering.some((e) => e.type === "term")) {
+        return { type: "term", name: "Outside term dates", startDate: date, endDate: date };
+      }
+      return null;
+    }
+    /**
+     * Is the school open on a date?
+     * @param {string} date
+     * @returns {boolean}
+     */
+    isSchoolDay(date) {
+      return !this.getClosure(date);
+    }
+    /**
+     * Is the school open at least one day of a week (Monday to Saturday)?
+     * @param {string} monday - First day of the week
+     * @returns {boolean}
+     */
+    isSchoolWeek(monday) {
+      if (!this.weekCache.has(monday)) {
+        const saturday = /* @__PURE__ */ new Date(monday + "T00:00:00Z");
+        saturday.setUTCDate(saturday.getUTCDate() + 5);
+        const dates = _SchoolCalendar.datesBetween(monday, saturday.toISOString().split("T")[0]);
+        this.weekCache.set(monday, dates.some((d) => this.isSchoolDay(d)));
+      }
+      return this.weekCache.get(monday);
+    }
+    /**
+     * Add the events of an .ics file
+     * @param {string} text - File content
+     * @param {string} type - Entry type for every event
+     * @returns {object} - { imported, skipped, error }
+     */
+    importICS(text, type) {
+      let events;
+      try {
+        events = ICalendar.parse(text);
+      } catch (error) {
+        return { imported: 0, skipped: 0, error: error.message };
+      }
+      let imported = 0;
+      let skipped = 0;
+      events.forEach((event) => {
+        const exists = this.entries.some(
+          (e) => e.startDate === event.startDate && e.endDate === event.endDate && e.name === (event.summary || CALENDAR_TYPES[type])
+        );
+        if (exists) {
+          skipped++;
+          return;
+        }
+        this.add({ type, name: event.summary, startDate: event.startDate, endDate: event.endDate });
+        imported++;
+      });
+      return { imported, skipped, error: null };
+    }
+    /**
+     * Entries as all-day events for ICalendar.build()
+     * @returns {array}
+     */
+    toEvents() {
+      return this.getAll().map((e) => ({
+        uid: `${e.id}@lateness-tracker`,
+        summary: e.type === "term" ? e.name : `${e.name} (${CALENDAR_TYPES[e.type] || e.type})`,
+        startDate: e.startDate,
+        endDate: e.endDate
+      }));
+    }
+    /**
+     * Every date of a range
+     * @param {string} startDate
+     * @param {string} endDate
+     * @returns {array} - YYYY-MM-DD dates, inclusive
+     */
+    static datesBetween(startDate, endDate) {
+      const dates = [];
+      const d = /* @__PURE__ */ new Date(startDate + "T00:00:00Z");
+      for (let date = startDate; date <= endDate; date = d.toISOString().split("T")[0]) {
+        dates.push(date);
+        d.setUTCDate(d.getUTCDate() + 1);
+      }
+      return dates;
+    }
+    /**
+     * Generate unique ID
+     */
+    generateId() {
+      return "cal_" + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    }
+  };
+
+  // js/models/ReportGenerator.js
+  var CLASS_FIELD_TITLES = {
+    teacher: "Enseignant",
+    room: "Salle",
+    level: "Niveau",
+    subject: "Mati\xE8re"
+  };
+  var STUDENT_COLUMNS = {
+    code: "Code \xE9l\xE8ve",
+    lastName: "Nom de famille",
+    firstName: "Pr\xE9nom",
+    gender: "Sexe",
+    birthDate: "Date de naissance",
+    guardian: "Responsable",
+    guardianPhone: "T\xE9l\xE9phone du responsable"
+  };
+  var STATUS_COLUMNS = {
+    late: "Retards simples",
+    "very-late": "Retards graves",
+    "counted-absent": "Compt\xE9s absents"
+  };
+  var ReportGenerator = class _ReportGenerator {
+    constructor(storage, studentManager, classManager, journal = null, calendar = null) {
+      this.storage = storage;
+      this.studentManager = studentManager;
+      this.classManager = classManager;
+      this.journal = journal;
+      this.calendar = calendar;
+    }
+    /**
+     * Generate monthly report for a class
+     * Students who joined or left the class during the month are listed for
+     * the days they belonged to it only (`period` tells which).
+     * @param {string} classId 
+     * @param {number} year 
+     * @param {number} month - 1-12
+     * @param {array} studentColumns - Profile columns to add (keys of STUDENT_COLUMNS)
+     * @returns {object}
+     */
+    generateMonthlyReport(classId, year, month, studentColumns = []) {
+      const classObj = this.classManager.getById(classId);
+      if (!classObj) return null;
+      const startDate = `${year}-${String(month).padStart(2, "0")}-01`;
+      const endDate = new Date(year, month, 0).toISOString().split("T")[0];
+      const stays = this.studentManager.getByClassDuring(classId, startDate, endDate).sort((a, b) => this.studentManager.compareNames(a.student, b.student) || a.from.localeCompare(b.from));
+      const schoolDays = this.getSchoolDays(classId, startDate, endDate);
+      const report = {
+        classId,
+        className: classObj.name,
+        // Description lines for report headers: [{ field, title, value }]
+        classInfo: Object.keys(CLASS_FIELD_TITLES).filter((field) => (classObj[field] || "").trim()).map((field) => ({ field, title: CLASS_FIELD_TITLES[field], value: classObj[field].trim() })),
+        year,
+        month,
+        monthName: new Date(year, month - 1).toLocaleString("default", { month: "long" }),
+        generatedAt: (/* @__PURE__ */ new Date()).toISOString(),
+        schoolDays: schoolDays.length,
+        sessionLabels: [],
+        lateStatuses: [],
+        studentColumns: studentColumns.filter((column) => STUDENT_COLUMNS[column]),
+        students: []
+      };
+      const sessionOrder = {};
+      stays.forEach(({ student, from, until }) => {
+        const arrivals = this.storage.get("arrivals", []).filter(
+          (a) => a.studentId === student.id && a.date >= from && a.date <= until && this.isSchoolDay(a.date)
+        );
+        const memberDays = schoolDays.filter((date) => date >= from && date <= until).length;
+        const tardies = arrivals.filter((a) => ArrivalTracker.isLate(a.status));
+        const totalMinutesLate = tardies.reduce((sum, a) => sum + a.minutesLate, 0);
+        const sessions = {};
+        arrivals.forEach((a) => {
+          const label = this.classManager.getSessionLabel(a.classId, a.date, a.sessionId);
+          const found = this.classManager.getSession(a.classId, a.date, a.sessionId);
+          sessionOrder[label] = Math.min(sessionOrder[label] ?? 99, found ? found.index : 99);
+          sessions[label] = sessions[label] || { arrivals: 0, tardies: 0, totalMinutesLate: 0 };
+          sessions[label].arrivals++;
+          if (ArrivalTracker.isLate(a.status)) {
+            sessions[label].tardies++;
+            sessions[label].totalMinutesLate += a.minutesLate;
+          }
+        });
+        report.students.push({
+          id: student.id,
+          name: student.name,
+          photoUrl: student.photoUrl,
+          profile: _ReportGenerator.studentProfile(student),
+          period: from > startDate || until < endDate ? _ReportGenerator.periodLabel(from, until, startDate, endDate) : "",
+          totalDays: new Set(arrivals.map((a) => a.date)).size,
+          absentDays: Math.max(0, memberDays - new Set(arrivals.map((a) => a.date)).size),
+          totalSessions: arrivals.length,
+          onTime: arrivals.filter((a) => a.status === "on-time").length,
+          tardies: tardies.length,
+          totalMinutesLate,
+          avgMinutesLate: tardies.length > 0 ? Math.round(totalMinutesLate / tardies.length) : 0,
+          byStatus: ArrivalTracker.countByStatus(arrivals),
+          sessions,
+          arrivals: arrivals.map((a) => ({
+            date: a.date,
+            session: this.classManager.getSessionLabel(a.classId, a.date, a.sessionId),
+            time: a.time,
+            minutesLate: a.minutesLate,
+            status: a.status
+          }))
+        });
+      });
+      report.sessionLabels = Object.keys(sessionOrder).sort((a, b) => sessionOrder[a] - sessionOrder[b]);
+      const usedStatuses = LATE_STATUSES.filter((status) => report.students.some((s) => s.byStatus[status] > 0));
+      report.lateStatuses = usedStatuses.some((status) => status !== "late") ? LATE_STATUSES : [];
+      return report;
+    }
+    /**
+     * Generate CSV for a report
+     * @param {object} report 
+     * @returns {string}
+     */
+    generateCSV(report) {
+      const lines = [];
+      lines.push(`Rapport de retards - ${report.className} - ${report.monthName} ${report.year}`);
+      report.classInfo.forEach((info) => lines.push(`${info.title}: ${info.value}`));
+      lines.push("");
+      const sessionLabels = report.sessionLabels.length > 1 ? report.sessionLabels : [];
+      const profileColumns = report.studentColumns || [];
+      lines.push("Nom" + profileColumns.map((column) => `,${STUDENT_COLUMNS[column]}`).join("") + ",D\xE9lais,Retards,Minutes de retard, Moyenne,Absences" + report.lateStatuses.map((status) => `,${STATUS_COLUMNS[status]}`).join("") + sessionLabels.map((label) => `,Retards ${label}`).join(""));
+      report.students.forEach((s) => {
+        lines.push(csvValue(s.period ? `${s.name} (${s.period})` : s.name) + profileColumns.map((column) => `,${csvValue(s.profile[column])}`).join("") + `,${s.totalDays},${s.tardies},${s.totalMinutesLate},${s.avgMinutesLate},${s.absentDays}` + report.lateStatuses.map((status) => `,${s.byStatus[status]}`).join("") + sessionLabels.map((label) => `,${s.sessions[label] ? s.sessions[label].tardies : 0}`).join(""));
+      });
+      const totalDays = report.students.reduce((sum, s) => sum + s.totalDays, 0);
+      const totalTardies = report.students.reduce((sum, s) => sum + s.tardies, 0);
+      const totalMinutes = report.students.reduce((sum, s) => sum + s.totalMinutesLate, 0);
+      const totalAbsences = report.students.reduce((sum, s) => sum + s.absentDays, 0);
+      lines.push("");
+      lines.push("Total" + profileColumns.map(() => ",").join("") + `,${totalDays},${totalTardies},${totalMinutes},${totalTardies > 0 ? Math.round(totalMinutes / totalTardies) : 0},${totalAbsences}` + report.lateStatuses.map(
+        (status) => `,${report.students.reduce((sum, s) => sum + s.byStatus[status], 0)}`
+      ).join("") + sessionLabels.map(
+        (label) => `,${report.students.reduce((sum, s) => sum + (s.sessions[label] ? s.sessions[label].tardies : 0), 0)}`
+      ).join(""));
+      return lines.join("\n");
+    }
+    /**
+     * Part of the month a student spent in the class
+     * @param {string} from - First day in the class
+     * @param {string} until - Last day in the class
+     * @param {string} startDate - First day of the month
+     * @param {string} endDate - Last day of the month
+     * @returns {string} - e.g., "depuis le 03/11"
+     */
+    static periodLabel(from, until, startDate, endDate) {
+      const day = (date) => date.split("-").reverse().slice(0, 2).join("/");
+      if (from > startDate && until < endDate) return `du ${day(from)} au ${day(until)}`;
+      return from > startDate ? `depuis le ${day(from)}` : `jusqu'au ${day(until)}`;
+    }
+    /**
+     * Profile values of a student for report columns
+     * @param {object} student 
+     * @returns {object} - { [column of STUDENT_COLUMNS]: string }
+     */
+    static studentProfile(student) {
+      const guardian = (student.guardians || [])[0] || {};
+      return {
+        code: student.code || "",
+        lastName: student.lastName || "",
+        firstName: student.firstName || "",
+        gender: student.gender || "",
+        birthDate: student.birthDate || "",
+        guardian: [guardian.name, guardian.relation ? `(${guardian.relation})` : ""].filter(Boolean).join(" "),
+        guardianPhone: guardian.phone || ""
+      };
+    }
+    /**
+     * Generate daily attendance sheet
+     * @param {string} classId 
+     * @param {string} date 
+     * @param {string} sessionId - Session (optional, first arrival of the day otherwise)
+     * @returns {object}
+     */
+    generateDailySheet(classId, date, sessionId = void 0) {
+      const classObj = this.classManager.getById(classId);
+      if (!classObj) return null;
+      const students = this.studentManager.getSortedByName(classId, date);
+      const arrivals = this.storage.get("arrivals", []).filter(
+        (a) => a.classId === classId && a.date === date && (sessionId === void 0 || a.sessionId === sessionId)
+      );
+      const session = sessionId ? this.classManager.getSession(classId, date, sessionId) : null;
+      const closure = this.calendar ? this.calendar.getClosure(date) : null;
+      return {
+        classId,
+        className: classObj.name,
+        date,
+        closure: closure ? closure.name : null,
+        session: session ? session.label : null,
+        students: students.map((s) => {
+          const arrival = arrivals.find((a) => a.studentId === s.id);
+          return {
+            id: s.id,
+            name: s.name,
+            photoUrl: s.photoUrl,
+            arrived: !!arrival,
+            time: arrival ? arrival.time : null,
+            minutesLate: arrival ? arrival.minutesLate : 0,
+            status: arrival ? arrival.status : "absent"
+          };
+        })
+      };
+    }
+    /**
+     * Days a class meets in a period (scheduled and school open)
+     * @param {string} classId 
+     * @param {string} startDate 
+     * @param {string} endDate 
+     * @returns {array} - ISO date strings
+     */
+    getSchoolDays(classId, startDate, endDate) {
+      return SchoolCalendar.datesBetween(startDate, endDate).filter(
+        (date) => this.isSchoolDay(date) && this.classManager.getSessions(classId, date).length > 0
+      );
+    }
+    /**
+     * Does a date count in reports (school open)?
+     * @param {string} date 
+     * @returns {boolean}
+     */
+    isSchoolDay(date) {
+      return !this.calendar || this.calendar.isSchoolDay(date);
+    }
+    /**
+     * Export all data as JSON
+     * When storage is encrypted, the backup is encrypted with the same passphrase.
+     * @returns {Promise<string>}
+     */
+    async exportJSON() {
+      const data = this.storage.exportAll();
+      [...SYNC_STORAGE_KEYS, RESTORE_POINTS_KEY].forEach((key) => delete data[key]);
+      return this.storage.sealBackup(JSON.stringify(data, null, 2));
+    }
+    /**
+     * Is this file an encrypted backup?
+     * @param {string} jsonData 
+     * @returns {boolean}
+     */
+    isEncryptedBackup(jsonData) {
+      try {
+        return Encryption.isEncryptedBackup(JSON.parse(jsonData));
+      } catch (error) {
+        return false;
+      }
+    }
+    /**
+     * Decrypt an encrypted backup
+     * @param {string} jsonData 
+     * @param {string} passphrase 
+     * @returns {Promise<string>} - Backup JSON, ready for previewImport()
+     * @throws {Error} on a wrong passphrase
+     */
+    decryptBackup(jsonData, passphrase) {
+      return Encryption.openBackup(JSON.parse(jsonData), passphrase);
+    }
+    /**
+     * Dry-run an import: parse, upgrade, validate and compare with current data.
+     * Nothing is written.
+     * @param {string} jsonData 
+     * @returns {object} - { success, error, preview }
+     */
+    previewImport(jsonData) {
+      let data;
+      try {
+        const parsed = JSON.parse(jsonData);
+        const shapeErrors = BackupValidator.checkShape(parsed);
+        if (shapeErrors.length > 0) {
+          return { success: false, error: shapeErrors.join(", ") };
+        }
+        data = SchemaMigrator.migrate(parsed);
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+      const validation = BackupValidator.validate(data);
+      if (validation.errors.length > 0) {
+        return { success: false, error: validation.errors.join(", ") };
+      }
+      const current = {};
+      COLLECTIONS.forEach((name) => {
+        current[name] = this.storage.get(name, []);
+      });
+      return {
+        success: true,
+        preview: {
+          data,
+          records: validation.records,
+          invalid: validation.invalid,
+          diff: BackupValidator.diff(current, validation.records)
+        }
+      };
+    }
+    /**
+     * Write a previewed import
+     * - replace: collections become exactly the valid backup records
+     * - merge: backup records are added or replace current ones with the same id;
+     *   conflicting records (same student/date, same name...) keep the current version
+     * @param {object} preview - From previewImport()
+     * @param {string} mode - 'replace' or 'merge'
+     * @returns {object} - { success, error }
+     */
+    applyImport(preview, mode = "replace") {
+      if (mode !== "replace" && mode !== "merge") {
+        return { success: false, error: `Unknown import mode: ${mode}` };
+      }
+      Object.entries(preview.data).forEach(([key, value]) => {
+        if (COLLECTIONS.includes(key) || key === RESTORE_POINTS_KEY) return;
+        if (key === "journal" && this.journal) {
+          this.journal.mergeEntries(value);
+        } else if (key === PHOTOS_KEY && mode === "merge" && Array.isArray(value)) {
+          const current = this.storage.get(PHOTOS_KEY, []);
+          const ids = new Set(current.map((photo) => photo.id));
+          this.storage.set(PHOTOS_KEY, [...current, ...value.filter((photo) => !ids.has(photo.id))]);
+        } else if (mode === "replace" || this.storage.get(key) === null) {
+          this.storage.set(key, value);
+        }
+      });
+      COLLECTIONS.forEach((name) => {
+        if (mode === "replace") {
+          this.storage.set(name, preview.records[name]);
+          return;
+        }
+        const { added, changed } = preview.diff[name];
+        const merged = this.storage.get(name, []);
+        const indexById = new Map(merged.map((r, i) => [r.id, i]));
+        changed.forEach((record) => {
+          merged[indexById.get(record.id)] = record;
+        });
+        merged.push(...added);
+        this.storage.set(name, merged);
+      });
+      this.journal?.record("import", "backup", null, {
+        id: null,
+        mode,
+        ...this.summarizeDiff(preview.diff, mode)
+      });
+      return { success: true };
+    }
+    /**
+     * Count the records an import writes or removes, per collection
+     * @param {object} diff - From previewImport()
+     * @param {string} mode - 'replace' or 'merge'
+     * @returns {object} - { [collection]: { added, changed, removed } }
+     */
+    summarizeDiff(diff, mode) {
+      const summary = {};
+      Object.entries(diff).forEach(([name, entry]) => {
+        summary[name] = {
+          added: entry.added.length + (mode === "replace" ? entry.conflicting.length : 0),
+          changed: entry.changed.length,
+          removed: mode === "replace" ? entry.removed.length : 0
+        };
+      });
+      return summary;
+    }
+    /**
+     * Import data from JSON
+     * Backups from older versions are upgraded to the current schema first,
+     * invalid records are skipped.
+     * @param {string} jsonData 
+     * @param {string} mode - 'replace' or 'merge'
+     */
+    importJSON(jsonData, mode = "replace") {
+      const result = this.previewImport(jsonData);
+      if (!result.success) return result;
+      return this.applyImport(result.preview, mode);
+    }
+  };
+  function csvValue(value) {
+    const text = String(value ?? "");
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // js/models/Settings.js
+  var Settings = class _Settings {
+    constructor(storage) {
+      this.storage = storage;
+      this.values = _Settings.defaults();
+    }
+    /**
+     * Default values for every setting
+     */
+    static defaults() {
+      return {
+        userName: "",
+        dailySnapshots: true,
+        restorePointsLimit: 10,
+        // Students sorted by 'given' or 'family' name (see utils/Names.js)
+        nameOrder: "given",
+        // Minutes after the start time; 0 turns a tier off
+        lateness: {
+          graceMinutes: 0,
+          veryLateMinutes: 0,
+          absentMinutes: 0
+        }
+      };
+    }
+    /**
+     * Load settings from storage
+     */
+    async load() {
+      this.values = { ..._Settings.defaults(), ...this.storage.get("settings", {}) };
+    }
+    /**
+     * Save settings to storage
+     */
+    save() {
+      this.storage.set("settings", this.values);
+    }
+    /**
+     * Get a setting
+     * @param {string} key 
+     * @returns {any}
+     */
+    get(key) {
+      return this.values[key];
+    }
+    /**
+     * Change a setting
+     * @param {string} key 
+     * @param {any} value 
+     */
+    set(key, value) {
+      this.values[key] = value;
+      this.save();
+    }
+  };
+
+  // js/models/Journal.js
+  var Journal = class {
+    constructor(storage, settings) {
+      this.storage = storage;
+      this.settings = settings;
+      this.entries = [];
+      this.listeners = /* @__PURE__ */ new Set();
+      this.redactionListeners = /* @__PURE__ */ new Set();
+    }
+    /**
+     * Load journal from storage
+     */
+    async load() {
+      this.entries = this.storage.get("journal", []);
+    }
+    /**
+     * Get all entries, oldest first
+     * @returns {array}
+     */
+    getAll() {
+      return [...this.entries];
+    }
+    /**
+     * Record a change
+     * @param {string} action - 'create', 'update', 'delete' or 'import'
+     * @param {string} entity - 'class', 'student', 'arrival', 'calendar' or 'backup'
+     * @param {object|null} before - Record before the change (null on create)
+     * @param {object|null} after - Record after the change (null on delete)
+     * @returns {object} - The journal entry
+     */
+    record(action, entity, before, after) {
+      const entry = {
+        id: this.generateId(),
+        at: (/* @__PURE__ */ new Date()).toISOString(),
+        actor: this.settings && this.settings.get("userName") || "",
+        action,
+        entity,
+        entityId: (after || before || {}).id || null,
+        before: before ? { ...before } : null,
+        after: after ? { ...after } : null
+      };
+      this.entries.push(entry);
+      this.storage.putRecord("journal", entry);
+      this.listeners.forEach((listener) => listener(entry));
+      return entry;
+    }
+    /**
+     * Be told about every new entry (i.e. every local change)
+     * @param {function} listener - Called with the journal entry
+     * @returns {function} - Unsubscribe
+     */
+    subscribe(listener) {
+      this.listeners.add(listener);
+      return () => this.listeners.delete(listener);
+    }
+    /**
+     * Be told about redacted entries
+     * @param {function} listener - Called with the redacted entries
+     * @returns {function} - Unsubscribe
+     */
+    subscribeRedactions(listener) {
+      this.redactionListeners.add(listener);
+      return () => this.redactionListeners.delete(listener);
+    }
+    /**
+     * Add entries coming from a backup (existing ids are kept as-is)
+     * @param {array} entries 
+     * @returns {number} - Number of entries added
+     */
+    mergeEntries(entries) {
+      const known = new Set(this.entries.map((e) => e.id));
+      const added = (Array.isArray(entries) ? entries : []).filter((e) => e && e.id && e.at && !known.has(e.id));
+      added.forEach((entry) => {
+        this.entries.push(entry);
+        this.storage.putRecord("journal", entry);
+      });
+      this.entries.sort((a, b) => a.at.localeCompare(b.at));
+      return added.length;
+    }
+    /**
+     * Strip the records out of entries, keeping who changed what and when
+     * @param {function} predicate - Entries to redact
+     * @returns {number} - Number of entries redacted
+     */
+    redact(predicate) {
+      const now = (/* @__PURE__ */ new Date()).toISOString();
+      const redacted = this.entries.filter((e) => !e.redacted && predicate(e));
+      redacted.forEach((entry) => {
+        entry.before = entry.before && { id: entry.before.id };
+        entry.after = entry.after && { id: entry.after.id };
+        entry.redacted = true;
+        entry.updatedAt = now;
+        this.storage.putRecord("journal", entry);
+      });
+      if (redacted.length > 0) {
+        this.redactionListeners.forEach((listener) => listener(redacted));
+      }
+      return redacted.length;
+    }
+    /**
+     * Find entries, newest first
+     * @param {object} filters - { entity, action, entityId, actor, from, to }
+     *   from/to are ISO dates (YYYY-MM-DD), inclusive
+     * @returns {array}
+     */
+    query(filters = {}) {
+      const { entity, action, entityId, actor, from, to } = filters;
+      return this.entries.filter((e) => !entity || e.entity === entity).filter((e) => !action || e.action === action).filter((e) => !entityId || e.entityId === entityId).filter((e) => !actor || e.actor === actor).filter((e) => !from || e.at.substr(0, 10) >= from).filter((e) => !to || e.at.substr(0, 10) <= to).reverse();
+    }
+    /**
+     * List the fields that differ between before and after
+     * @param {object} entry 
+     * @returns {array} - [{ field, before, after }]
+     */
+    static changedFields(entry) {
+      const before = entry.before || {};
+      const after = entry.after || {};
+      const fields = /* @__PURE__ */ new Set([...Object.keys(before), ...Object.keys(after)]);
+      return [...fields].filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])).map((field) => ({ field, before: before[field], after: after[field] }));
+    }
+    /**
+     * Generate unique ID
+     */
+    generateId() {
+      return "jnl_" + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    }
+  };
+
+  // js/utils/Storage.js
+  var Storage = class {
+    constructor(namespace = "lateness-tracker") {
+      this.namespace = namespace;
+      this.listeners = /* @__PURE__ */ new Set();
+      this.errorListeners = /* @__PURE__ */ new Set();
+      this.failed = /* @__PURE__ */ new Map();
+      if (typeof window !== "undefined") {
+        window.addEventListener("storage", (event) => this.handleStorageEvent(event));
+      }
+    }
+    /**
+     * Prepare the backend (nothing to do for localStorage)
+     */
+    async open() {
+    }
+    /**
+     * Wait for pending writes (localStorage writes are synchronous)
+     */
+    async flush() {
+    }
+    /**
+     * Release the backend (nothing to do for localStorage)
+     */
+    close() {
+    }
+    /**
+     * Encryption needs the IndexedDB backend
+     */
+    isLocked() {
+      return false;
+    }
+    isEncrypted() {
+      return false;
+    }
+    supportsEncryption() {
+      return false;
+    }
+    /**
+     * localStorage holds a few megabytes per site
+     */
+    hasLargeQuota() {
+      return false;
+    }
+    async sealBackup(json) {
+      return json;
+    }
+    /**
+     * Save data to localStorage
+     * @param {string} key - Storage key
+     * @param {any} data - Data to store
+     * @returns {boolean}
+     */
+    set(key, data) {
+      let serialized;
+      try {
+        serialized = JSON.stringify(data);
+        localStorage.setItem(`${this.namespace}:${key}`, serialized);
+        this.failed.delete(key);
+        return true;
+      } catch (error) {
+        console.error(`Storage error: ${key}`, error);
+        if (serialized !== void 0) {
+          this.failed.set(key, serialized);
+          this.reportWriteError(error);
+        }
+        return false;
+      }
+    }
+    /**
+     * Load data from localStorage
+     * @param {string} key - Storage key
+     * @param {any} defaultValue - Default if not found
+     * @returns {any}
+     */
+    get(key, defaultValue = null) {
+      try {
+        const item = this.failed.has(key) ? this.failed.get(key) : localStorage.getItem(`${this.namespace}:${key}`);
+        return item ? JSON.parse(item) : defaultValue;
+      } catch (error) {
+        console.error(`Storage read error: ${key}`, error);
+        return defaultValue;
+      }
+    }
+    /**
+     * Remove a key
+     * @param {string} key - Storage key
+     */
+    remove(key) {
+      this.failed.delete(key);
+      localStorage.removeItem(`${this.namespace}:${key}`);
+    }
+    /**
+     * Get all records of a collection
+     * @param {string} collection - Storage key holding an array of records
+     * @returns {array}
+     */
+    getRecords(collection) {
+      return this.get(collection, []);
+    }
+    /**
+     * Insert or replace a single record (matched by id)
+     * @param {string} collection - Storage key holding an array of records
+     * @param {object} record - Record with an `id`
+     */
+    putRecord(collection, record) {
+      const records = this.getRecords(collection);
+      const index = records.findIndex((r) => r.id === record.id);
+      if (index !== -1) {
+        records[index] = record;
+      } else {
+        records.push(record);
+      }
+      return this.set(collection, records);
+    }
+    /**
+     * Delete a single record by id
+     * @param {string} collection - Storage key holding an array of records
+     * @param {string} id - Record ID
+     */
+    deleteRecord(collection, id) {
+      return this.set(collection, this.getRecords(collection).filter((r) => r.id !== id));
+    }
+    /**
+     * Export all data as JSON
+     * @returns {object}
+     */
+    exportAll() {
+      const data = {};
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key.startsWith(`${this.namespace}:`)) {
+          const shortKey = key.replace(`${this.namespace}:`, "");
+          data[shortKey] = this.get(shortKey);
+        }
+      }
+      this.failed.forEach((serialized, key) => {
+        data[key] = this.get(key);
+      });
+      return data;
+    }
+    /**
+     * Import data from JSON
+     * @param {object} data - Data to import
+     */
+    importAll(data) {
+      Object.entries(data).forEach(([key, value]) => {
+        this.set(key, value);
+      });
+    }
+    /**
+     * Listen for changes made by other tabs or windows
+     * @param {function} listener - Called with the list of changed keys
+     * @returns {function} - Unsubscribe
+     */
+    subscribe(listener) {
+      this.listeners.add(listener);
+      return () => this.listeners.delete(listener);
+    }
+    /**
+     * Be told when data could not be saved
+     * @param {function} listener - Called with the error
+     * @returns {function} - Unsubscribe
+     */
+    onWriteError(listener) {
+      this.errorListeners.add(listener);
+      return () => this.errorListeners.delete(listener);
+    }
+    /**
+     * Are some changes not saved yet because their write failed?
+     * @returns {boolean}
+     */
+    hasFailedWrites() {
+      return this.failed.size > 0;
+    }
+    /**
+     * Write the values that could not be saved again
+     * @returns {Promise<boolean>} - Whether everything is saved now
+     */
+    async retryWrites() {
+      let lastError = null;
+      this.failed.forEach((serialized, key) => {
+        try {
+          localStorage.setItem(`${this.namespace}:${key}`, serialized);
+          this.failed.delete(key);
+        } catch (error) {
+          lastError = error;
+        }
+      });
+      if (lastError) this.reportWriteError(lastError);
+      return this.failed.size === 0;
+    }
+    /**
+     * Report a failed write
+     * @param {Error} error
+     */
+    reportWriteError(error) {
+      this.errorListeners.forEach((listener) => {
+        try {
+          listener(error);
+        } catch (listenerError) {
+          console.error("Storage listener error", listenerError);
+        }
+      });
+    }
+    /**
+     * Notify listeners of external changes
+     * @param {array} keys - Changed keys
+     */
+    notify(keys) {
+      if (keys.length === 0) return;
+      this.listeners.forEach((listener) => {
+        try {
+          listener(keys);
+        } catch (error) {
+          console.error("Storage listener error", error);
+        }
+      });
+    }
+    /**
+     * Forward `storage` events for this namespace
+     * @param {StorageEvent} event
+     */
+    handleStorageEvent(event) {
+      if (event.storageArea !== localStorage) return;
+      if (event.key === null) {
+        this.notify(["*"]);
+      } else if (event.key.startsWith(`${this.namespace}:`)) {
+        this.notify([event.key.replace(`${this.namespace}:`, "")]);
+      }
+    }
+    /**
+     * Clear all app data
+     */
+    clearAll() {
+      const keys = [];
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key.startsWith(`${this.namespace}:`)) {
+          keys.push(key);
+        }
+      }
+      keys.forEach((key) => localStorage.removeItem(key));
+      this.failed.clear();
+    }
+  };
+
+  // js/utils/IndexedDBStorage.js
+  var DB_VERSION = 1;
+  var IndexedDBStorage = class {
+    constructor(namespace = "lateness-tracker") {
+      this.namespace = namespace;
+      this.db = null;
+      this.legacy = new Storage(namespace);
+      this.cache = /* @__PURE__ */ new Map();
+      this.records = /* @__PURE__ */ new Map();
+      this.seq = 0;
+      this.queue = Promise.resolve();
+      this.channel = null;
+      this.listeners = /* @__PURE__ */ new Set();
+      this.errorListeners = /* @__PURE__ */ new Set();
+      this.failedOps = [];
+      this.encryption = null;
+      this.key = null;
+      this.locked = false;
+      this.legacy.subscribe((keys) => this.notify(keys));
+    }
+    /**
+     * Is IndexedDB available in this browser?
+     * @returns {boolean}
+     */
+    static isSupported() {
+      return typeof indexedDB !== "undefined";
+    }
+    /**
+     * Open the database, load its content and migrate localStorage data once.
+     * Falls back to localStorage if IndexedDB cannot be opened.
+     */
+    async open() {
+      try {
+        this.db = await this.openDatabase();
+        this.encryption = await this.readMeta("encryption");
+        if (this.encryption) {
+          this.locked = true;
+          return;
+        }
+        await this.loadAll();
+        await this.migrateFromLocalStorage();
+        this.openChannel();
+      } catch (error) {
+        console.error("IndexedDB unavailable, using localStorage", error);
+        this.db = null;
+      }
+    }
+    /**
+     * Is the data encrypted and waiting for the passphrase?
+     * @returns {boolean}
+     */
+    isLocked() {
+      return this.locked;
+    }
+    /**
+     * Is the data encrypted with a passphrase?
+     * @returns {boolean}
+     */
+    isEncrypted() {
+      return !!this.encryption;
+    }
+    /**
+     * Can this backend encrypt its data?
+     * @returns {boolean}
+     */
+    supportsEncryption() {
+      return !!this.db && Encryption.isSupported();
+    }
+    /**
+     * Decrypt and load the data
+     * @param {string} passphrase
+     * @throws {Error} on a wrong passphrase
+     */
+    async unlock(passphrase) {
+      this.key = await Encryption.unlockKey(passphrase, this.encryption);
+      this.locked = false;
+      await this.loadAll();
+      this.openChannel();
+    }
+    /**
+     * Encrypt all stored data with a passphrase
+     * @param {string} passphrase
+     */
+    async enableEncryption(passphrase) {
+      const { key, params } = await Encryption.createKey(passphrase);
+      await this.rewriteAll(key, params);
+    }
+    /**
+     * Re-encrypt all stored data with a new passphrase
+     * @param {string} oldPassphrase
+     * @param {string} newPassphrase
+     * @throws {Error} if the current passphrase is wrong
+     */
+    async changePassphrase(oldPassphrase, newPassphrase) {
+      await Encryption.unlockKey(oldPassphrase, this.encryption);
+      await this.enableEncryption(newPassphrase);
+    }
+    /**
+     * Store all data in clear again
+     * @param {string} passphrase
+     * @throws {Error} if the passphrase is wrong
+     */
+    async disableEncryption(passphrase) {
+      await Encryption.unlockKey(passphrase, this.encryption);
+      await this.rewriteAll(null, null);
+    }
+    /**
+     * Is there room for much more than localStorage's few megabytes?
+     * @returns {boolean} - false on the localStorage fallback
+     */
+    hasLargeQuota() {
+      return !!this.db;
+    }
+    /**
+     * Encrypt backup content with the storage passphrase (no-op if not encrypted)
+     * @param {string} json
+     * @returns {Promise<string>}
+     */
+    async sealBackup(json) {
+      if (!this.key) return json;
+      return Encryption.sealBackup(this.key, this.encryption, json);
+    }
+    /**
+     * Stop listening to other tabs and close the database
+     */
+    close() {
+      this.channel?.close();
+      this.channel = null;
+      if (this.db) this.db.close();
+      this.db = null;
+    }
+    /**
+     * Delete the whole database (forgotten passphrase, deleted workspace)
+     */
+    async deleteDatabase() {
+      this.close();
+      await requestToPromise(indexedDB.deleteDatabase(this.namespace));
+    }
+    /**
+     * Rewrite every value and record with a new key (null = in clear)
+     * @param {CryptoKey|null} key
+     * @param {object|null} params - Encryption parameters to store
+     */
+    async rewriteAll(key, params) {
+      await this.flush();
+      const ops = this.currentOps([...this.cache.keys()], [...this.records.keys()]);
+      ops.push(params ? { store: "meta", type: "put", key: "encryption", value: params } : { store: "meta", type: "delete", key: "encryption" });
+      const previous = { key: this.key, encryption: this.encryption };
+      this.key = key;
+      try {
+        await this.commit(ops);
+        this.encryption = params;
+      } catch (error) {
+        this.key = previous.key;
+        throw error;
+      }
+      this.channel?.postMessage({ encryptionChanged: true });
+    }
+    /**
+     * Wait until all pending writes are committed
+     */
+    flush() {
+      return this.queue;
+    }
+    /**
+     * Save data
+     * @param {string} key - Storage key
+     * @param {any} data - Data to store
+     * @returns {boolean} - Whether the write was queued; failures of the write
+     *   itself are reported to onWriteError() listeners
+     */
+    set(key, data) {
+      if (!this.db) return this.legacy.set(key, data);
+      try {
+        this.enqueue(this.prepareSet(key, data));
+        return true;
+      } catch (error) {
+        console.error(`Storage error: ${key}`, error);
+        return false;
+      }
+    }
+    /**
+     * Load data
+     * @param {string} key - Storage key
+     * @param {any} defaultValue - Default if not found
+     * @returns {any}
+     */
+    get(key, defaultValue = null) {
+      if (!this.db) return this.legacy.get(key, defaultValue);
+      if (!this.cache.has(key)) {
+        const collection = this.records.get(key);
+        if (!collection) return defaultValue;
+        this.cache.set(key, this.serializeCollection(collection));
+      }
+      try {
+        return JSON.parse(this.cache.get(key));
+      } catch (error) {
+        console.error(`Storage read error: ${key}`, error);
+        return defaultValue;
+      }
+    }
+    /**
+     * Remove a key
+     * @param {string} key - Storage key
+     */
+    remove(key) {
+      if (!this.db) return this.legacy.remove(key);
+      this.cache.delete(key);
+      const ops = [{ store: "kv", type: "delete", key }];
+      this.dropCollection(key, ops);
+      this.enqueue(ops);
+    }
+    /**
+     * Get all records of a collection
+     * @param {string} collection - Storage key holding an array of records
+     * @returns {array}
+     */
+    getRecords(collection) {
+      return this.get(collection, []);
+    }
+    /**
+     * Insert or replace a single record without rewriting the collection
+     * @param {string} collection - Storage key holding an array of records
+     * @param {object} record - Record with an `id`
+     */
+    putRecord(collection, record) {
+      if (!this.db) return this.legacy.putRecord(collection, record);
+      const ops = [];
+      if (!this.records.has(collection)) {
+        ops.push({ store: "kv", type: "put", key: collection, value: { kind: "collection" } });
+      }
+      const rows = this.ensureCollection(collection);
+      const json = JSON.stringify(record);
+      const existing = rows.get(record.id);
+      const seq = existing ? existing.seq : ++this.seq;
+      rows.set(record.id, { seq, json });
+      this.cache.delete(collection);
+      ops.push(this.recordPut(collection, record, seq));
+      this.enqueue(ops);
+      return true;
+    }
+    /**
+     * Delete a single record by id
+     * @param {string} collection - Storage key holding an array of records
+     * @param {string} id - Record ID
+     */
+    deleteRecord(collection, id) {
+      if (!this.db) return this.legacy.deleteRecord(collection, id);
+      const rows = this.records.get(collection);
+      if (!rows || !rows.delete(id)) return false;
+      this.cache.delete(collection);
+      this.enqueue([{ store: "records", type: "delete", key: [collection, id] }]);
+      return true;
+    }
+    /**
+     * Export all data as JSON
+     * @returns {object}
+     */
+    exportAll() {
+      if (!this.db) return this.legacy.exportAll();
+      const data = {};
+      const keys = /* @__PURE__ */ new Set([...this.cache.keys(), ...this.records.keys()]);
+      keys.forEach((key) => {
+        data[key] = this.get(key);
+      });
+      return data;
+    }
+    /**
+     * Import data from JSON
+     * @param {object} data - Data to import
+     */
+    importAll(data) {
+      Object.entries(data).forEach(([key, value]) => {
+        this.set(key, value);
+      });
+    }
+    /**
+     * Clear all app data
+     */
+    clearAll() {
+      if (!this.db) return this.legacy.clearAll();
+      this.cache.clear();
+      this.records.clear();
+      this.enqueue([
+        { store: "kv", type: "clear" },
+        { store: "records", type: "clear" }
+      ]);
+    }
+    /**
+     * Listen for changes made by other tabs or windows
+     * @param {function} listener - Called with the list of changed keys
+     * @returns {function} - Unsubscribe
+     */
+    subscribe(listener) {
+      this.listeners.add(listener);
+      return () => this.listeners.delete(listener);
+    }
+    /**
+     * Be told when data could not be saved
+     * @param {function} listener - Called with the error
+     * @returns {function} - Unsubscribe
+     */
+    onWriteError(listener) {
+      this.errorListeners.add(listener);
+      const unsubscribeLegacy = this.legacy.onWriteError(listener);
+      return () => {
+        this.errorListeners.delete(listener);
+        unsubscribeLegacy();
+      };
+    }
+    /**
+     * Are some changes not saved yet because their write failed?
+     * @returns {boolean}
+     */
+    hasFailedWrites() {
+      if (!this.db) return this.legacy.hasFailedWrites();
+      return this.failedOps.length > 0;
+    }
+    /**
+     * Write again what failed writes touched, from the in-memory copy (which
+     * also holds the changes made since)
+     * @returns {Promise<boolean>} - Whether everything is saved now
+     */
+    async retryWrites() {
+      if (!this.db) return this.legacy.retryWrites();
+      const failed = this.failedOps;
+      this.failedOps = [];
+      if (failed.some((op) => op.type === "clear")) {
+        this.enqueue([
+          { store: "kv", type: "clear" },
+          { store: "records", type: "clear" },
+          ...this.currentOps([...this.cache.keys()], [...this.records.keys()])
+        ]);
+      } else {
+        this.enqueue(this.currentOps(
+          failed.filter((op) => op.store === "kv").map((op) => op.key),
+          [],
+          failed.filter((op) => op.store === "records").map((op) => op.type === "delete" ? op.key : [op.value.collection, op.value.id])
+        ));
+      }
+      await this.flush();
+      return this.failedOps.length === 0;
+    }
+    /**
+     * Report a failed write
+     * @param {Error} error
+     */
+    reportWriteError(error) {
+      this.errorListeners.forEach((listener) => {
+        try {
+          listener(error);
+        } catch (listenerError) {
+          console.error("Storage listener error", listenerError);
+        }
+      });
+    }
+    /**
+     * Notify listeners of external changes
+     * @param {array} keys - Changed keys
+     */
+    notify(keys) {
+      if (keys.length === 0) return;
+      this.listeners.forEach((listener) => {
+        try {
+          listener(keys);
+        } catch (error) {
+          console.error("Storage listener error", error);
+        }
+      });
+    }
+    /**
+     * Start receiving writes committed by other tabs
+     */
+    openChannel() {
+      if (typeof BroadcastChannel === "undefined") {
+        console.warn("BroadcastChannel unsupported: changes from other tabs need a reload");
+        return;
+      }
+      this.channel = new BroadcastChannel(`${this.namespace}:changes`);
+      this.channel.onmessage = (event) => {
+        if (event.data.encryptionChanged) {
+          this.notify(["@encryption"]);
+        } else {
+          this.applyRemote(event.data.ops);
+        }
+      };
+    }
+    /**
+     * Apply operations committed by another tab to the in-memory copy
+     * @param {array} ops
+     */
+    applyRemote(ops) {
+      const keys = /* @__PURE__ */ new Set();
+      ops.forEach((op) => {
+        if (op.store === "kv") {
+          if (op.type === "clear") {
+            this.cache.clear();
+            keys.add("*");
+            return;
+          }
+          keys.add(op.key);
+          this.cache.delete(op.key);
+          if (op.type === "put" && op.value.kind === "collection") {
+            this.ensureCollection(op.key);
+          } else {
+            this.records.delete(op.key);
+            if (op.type === "put") this.cache.set(op.key, op.value.value);
+          }
+        } else if (op.store === "records") {
+          if (op.type === "clear") {
+            this.records.forEach((rows, key) => this.cache.delete(key));
+            this.records.clear();
+            keys.add("*");
+            return;
+          }
+          const [collection, id] = op.type === "put" ? [op.value.collection, op.value.id] : op.key;
+          keys.add(collection);
+          this.cache.delete(collection);
+          if (op.type === "put") {
+            this.ensureCollection(collection).set(id, {
+              seq: op.value.seq,
+              json: JSON.stringify(op.value.data)
+            });
+            this.seq = Math.max(this.seq, op.value.seq);
+          } else {
+            const rows = this.records.get(collection);
+            if (rows) rows.delete(id);
+          }
+        }
+      });
+      this.notify([...keys]);
+    }
+    /**
+     * Open (and create if needed) the namespace database
+     * @returns {Promise<IDBDatabase>}
+     */
+    openDatabase() {
+      return new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.namespace, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains("kv")) {
+            db.createObjectStore("kv");
+          }
+          if (!db.objectStoreNames.contains("records")) {
+            db.createObjectStore("records", { keyPath: ["collection", "id"] });
+          }
+          if (!db.objectStoreNames.contains("meta")) {
+            db.createObjectStore("meta");
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error("IndexedDB upgrade blocked"));
+      });
+    }
+    /**
+     * Read every stored value and record into memory
+     */
+    async loadAll() {
+      const tx = this.db.transaction(["kv", "records"], "readonly");
+      const [keys, values, rows] = await Promise.all([
+        requestToPromise(tx.objectStore("kv").getAllKeys()),
+        requestToPromise(tx.objectStore("kv").getAll()),
+        requestToPromise(tx.objectStore("records").getAll())
+      ]);
+      this.cache.clear();
+      this.records.clear();
+      for (let i = 0; i < keys.length; i++) {
+        const entry = values[i];
+        if (entry.kind === "collection") {
+          this.ensureCollection(keys[i]);
+        } else {
+          this.cache.set(keys[i], entry.enc ? await this.decrypt(entry.enc) : entry.value);
+        }
+      }
+      for (const row of rows) {
+        this.ensureCollection(row.collection).set(row.id, {
+          seq: row.seq,
+          json: row.enc ? await this.decrypt(row.enc) : JSON.stringify(row.data)
+        });
+        this.seq = Math.max(this.seq, row.seq);
+      }
+    }
+    /**
+     * Read a value from the meta store
+     * @param {string} key
+     * @returns {Promise<any>}
+     */
+    readMeta(key) {
+      const tx = this.db.transaction("meta", "readonly");
+      return requestToPromise(tx.objectStore("meta").get(key));
+    }
+    /**
+     * Decrypt a stored value with the unlocked key
+     * @param {string} payload
+     * @returns {Promise<string>}
+     */
+    decrypt(payload) {
+      if (!this.key) throw new Error("Storage is locked");
+      return Encryption.decrypt(this.key, payload);
+    }
+    /**
+     * Copy `namespace:*` localStorage data into IndexedDB on first launch
+     */
+    async migrateFromLocalStorage() {
+      const migratedAt = await this.readMeta("migratedFromLocalStorage");
+      if (migratedAt) return;
+      const legacyData = this.legacy.exportAll();
+      const hasData = this.cache.size > 0 || this.records.size > 0;
+      const ops = [];
+      if (!hasData) {
+        Object.entries(legacyData).forEach(([key, value]) => {
+          ops.push(...this.prepareSet(key, value));
+        });
+      }
+      ops.push({
+        store: "meta",
+        type: "put",
+        key: "migratedFromLocalStorage",
+        value: (/* @__PURE__ */ new Date()).toISOString()
+      });
+      await this.commit(ops);
+      if (!hasData && Object.keys(legacyData).length > 0) {
+        this.legacy.clearAll();
+        console.log(`\u{1F4E6} Migrated ${Object.keys(legacyData).length} keys from localStorage`);
+      }
+    }
+    /**
+     * Update the in-memory copy and compute the writes for a set()
+     * @param {string} key
+     * @param {any} data
+     * @returns {array} - Pending operations
+     */
+    prepareSet(key, data) {
+      const serialized = JSON.stringify(data);
+      const ops = this.isCollection(data) ? this.diffCollection(key, data) : this.replaceValue(key, serialized);
+      this.cache.set(key, serialized);
+      return ops;
+    }
+    /**
+     * Is this value an array of records that can be stored row by row?
+     * @param {any} data
+     * @returns {boolean}
+     */
+    isCollection(data) {
+      return Array.isArray(data) && data.every((r) => r && typeof r === "object" && typeof r.id === "string") && new Set(data.map((r) => r.id)).size === data.length;
+    }
+    /**
+     * Compute the writes needed to turn the stored collection into `data`
+     * @param {string} key
+     * @param {array} data
+     * @returns {array} - Pending operations
+     */
+    diffCollection(key, data) {
+      const isNew = !this.records.has(key);
+      const rows = this.ensureCollection(key);
+      const ops = [];
+      if (isNew) {
+        ops.push({ store: "kv", type: "put", key, value: { kind: "collection" } });
+      }
+      const seen = /* @__PURE__ */ new Set();
+      data.forEach((record) => {
+        const json = JSON.stringify(record);
+        const existing = rows.get(record.id);
+        seen.add(record.id);
+        if (existing && existing.json === json) return;
+        const seq = existing ? existing.seq : ++this.seq;
+        rows.set(record.id, { seq, json });
+        ops.push(this.recordPut(key, record, seq));
+      });
+      [...rows.keys()].forEach((id) => {
+        if (!seen.has(id)) {
+          rows.delete(id);
+          ops.push({ store: "records", type: "delete", key: [key, id] });
+        }
+      });
+      return ops;
+    }
+    /**
+     * Compute the writes needed to store a plain value under `key`
+     * @param {string} key
+     * @param {string} serialized
+     * @returns {array} - Pending operations
+     */
+    replaceValue(key, serialized) {
+      const ops = [{ store: "kv", type: "put", key, value: { kind: "value", value: serialized } }];
+      this.dropCollection(key, ops);
+      return ops;
+    }
+    /**
+     * Forget a collection and queue the deletion of its rows
+     * @param {string} key
+     * @param {array} ops - Operations list to append to
+     */
+    dropCollection(key, ops) {
+      const rows = this.records.get(key);
+      if (!rows) return;
+      rows.forEach((row, id) => {
+        ops.push({ store: "records", type: "delete", key: [key, id] });
+      });
+      this.records.delete(key);
+    }
+    /**
+     * Get (or create) the in-memory rows of a collection
+     * @param {string} key
+     * @returns {Map}
+     */
+    ensureCollection(key) {
+      if (!this.records.has(key)) {
+        this.records.set(key, /* @__PURE__ */ new Map());
+      }
+      return this.records.get(key);
+    }
+    /**
+     * Rebuild the serialized array of a collection, in insertion order
+     * @param {Map} rows
+     * @returns {string}
+     */
+    serializeCollection(rows) {
+      const sorted = [...rows.values()].sort((a, b) => a.seq - b.seq);
+      return `[${sorted.map((row) => row.json).join(",")}]`;
+    }
+    /**
+     * Writes storing the in-memory state of some keys and records
+     * @param {array} keys - Values or collections (with all their records)
+     * @param {array} collections - Collections written with all their records
+     * @param {array} records - [collection, id] of single records
+     * @returns {array} - Operations (deletions for what is gone)
+     */
+    currentOps(keys, collections = [], records = []) {
+      const ops = [];
+      new Set(keys).forEach((key) => {
+        if (this.records.has(key)) {
+          ops.push({ store: "kv", type: "put", key, value: { kind: "collection" } });
+          collections.push(key);
+        } else if (this.cache.has(key)) {
+          ops.push({ store: "kv", type: "put", key, value: { kind: "value", value: this.cache.get(key) } });
+        } else {
+          ops.push({ store: "kv", type: "delete", key });
+        }
+      });
+      new Set(collections).forEach((collection) => {
+        (this.records.get(collection) || /* @__PURE__ */ new Map()).forEach((row, id) => records.push([collection, id]));
+      });
+      const done = /* @__PURE__ */ new Set();
+      records.forEach(([collection, id]) => {
+        if (done.has(`${collection}:${id}`)) return;
+        done.add(`${collection}:${id}`);
+        const row = this.records.has(collection) && this.records.get(collection).get(id);
+        ops.push(row ? this.recordPut(collection, JSON.parse(row.json), row.seq) : { store: "records", type: "delete", key: [collection, id] });
+      });
+      return ops;
+    }
+    /**
+     * Build a record write operation
+     */
+    recordPut(collection, record, seq) {
+      return { store: "records", type: "put", value: { collection, id: record.id, seq, data: record } };
+    }
+    /**
+     * Queue operations in a single transaction, after previous writes
+     * @param {array} ops
+     */
+    enqueue(ops) {
+      if (ops.length === 0) return;
+      this.queue = this.queue.then(() => this.commit(ops)).then(() => this.channel?.postMessage({ ops })).catch((error) => {
+        console.error("Storage write error", error);
+        this.failedOps.push(...ops);
+        this.reportWriteError(error);
+      });
+    }
+    /**
+     * Apply operations in one readwrite transaction
+     * @param {array} ops
+     * @returns {Promise}
+     */
+    async commit(ops) {
+      if (this.key) {
+        ops = await Promise.all(ops.map((op) => this.sealOp(op)));
+      }
+      const stores = [...new Set(ops.map((op) => op.store))];
+      const tx = this.db.transaction(stores, "readwrite");
+      ops.forEach((op) => {
+        const store = tx.objectStore(op.store);
+        if (op.type === "put") {
+          op.key !== void 0 ? store.put(op.value, op.key) : store.put(op.value);
+        } else if (op.type === "delete") {
+          store.delete(op.key);
+        } else if (op.type === "clear") {
+          store.clear();
+        }
+      });
+      return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+      });
+    }
+    /**
+     * Encrypt the data carried by a write operation
+     * @param {object} op
+     * @returns {Promise<object>}
+     */
+    async sealOp(op) {
+      if (op.type !== "put") return op;
+      if (op.store === "records") {
+        const { data, ...row } = op.value;
+        return { ...op, value: { ...row, enc: await Encryption.encrypt(this.key, JSON.stringify(data)) } };
+      }
+      if (op.store === "kv" && op.value.kind === "value") {
+        return { ...op, value: { kind: "value", enc: await Encryption.encrypt(this.key, op.value.value) } };
+      }
+      return op;
+    }
+  };
+  function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // js/models/WorkspaceManager.js
+  var DEFAULT_NAMESPACE = "lateness-tracker";
+  var WorkspaceManager = class {
+    constructor() {
+      this.registry = new Storage("lateness-tracker-workspaces");
+      this.workspaces = [];
+      this.activeId = null;
+      this.load();
+    }
+    /**
+     * Load the workspace list (creating the default workspace on first launch)
+     */
+    load() {
+      const data = this.registry.get("registry", null);
+      if (data && data.workspaces && data.workspaces.length > 0) {
+        this.workspaces = data.workspaces;
+        this.activeId = data.activeId;
+      } else {
+        this.workspaces = [{
+          id: "default",
+          name: "My School",
+          namespace: DEFAULT_NAMESPACE,
+          createdAt: (/* @__PURE__ */ new Date()).toISOString()
+        }];
+        this.activeId = "default";
+        this.save();
+      }
+      if (!this.getById(this.activeId)) {
+        this.activeId = this.workspaces[0].id;
+      }
+    }
+    /**
+     * Save the workspace list
+     */
+    save() {
+      this.registry.set("registry", {
+        activeId: this.activeId,
+        workspaces: this.workspaces
+      });
+    }
+    /**
+     * Get all workspaces
+     * @returns {array}
+     */
+    getAll() {
+      return [...this.workspaces];
+    }
+    /**
+     * Get workspace by ID
+     * @param {string} id
+     * @returns {object|null}
+     */
+    getById(id) {
+      return this.workspaces.find((w) => w.id === id) || null;
+    }
+    /**
+     * Get the workspace opened at launch
+     * @returns {object}
+     */
+    getActive() {
+      return this.getById(this.activeId);
+    }
+    /**
+     * Create a workspace
+     * @param {string} name
+     * @returns {object}
+     */
+    create(name) {
+      const id = this.generateId();
+      const workspace = {
+        id,
+        name: name.trim(),
+        namespace: `${DEFAULT_NAMESPACE}@${id}`,
+        createdAt: (/* @__PURE__ */ new Date()).toISOString()
+      };
+      this.workspaces.push(workspace);
+      this.save();
+      return workspace;
+    }
+    /**
+     * Rename a workspace
+     * @param {string} id
+     * @param {string} name
+     */
+    rename(id, name) {
+      const workspace = this.getById(id);
+      if (workspace) {
+        workspace.name = name.trim();
+        this.save();
+      }
+      return workspace;
+    }
+    /**
+     * Make a workspace the active one (takes effect on next launch/reload)
+     * @param {string} id
+     */
+    setActive(id) {
+      if (!this.getById(id)) return false;
+      this.activeId = id;
+      this.save();
+      return true;
+    }
+    /**
+     * Delete a workspace and all of its data
+     * @param {string} id
+     * @returns {Promise<object>} - { success, error }
+     */
+    async delete(id) {
+      const workspace = this.getById(id);
+      if (!workspace) return { success: false, error: "Unknown workspace" };
+      if (id === this.activeId) return { success: false, error: "Switch to another workspace first" };
+      if (IndexedDBStorage.isSupported()) {
+        await new IndexedDBStorage(workspace.namespace).deleteDatabase();
+      }
+      new Storage(workspace.namespace).clearAll();
+      this.workspaces = this.workspaces.filter((w) => w.id !== id);
+      this.save();
+      return { success: true };
+    }
+    /**
+     * Create the (unopened) storage backend of a workspace
+     * @param {object} workspace
+     * @returns {Storage|IndexedDBStorage}
+     */
+    createStorage(workspace) {
+      return IndexedDBStorage.isSupported() ? new IndexedDBStorage(workspace.namespace) : new Storage(workspace.namespace);
+    }
+    /**
+     * Generate unique ID
+     */
+    generateId() {
+      return "ws_" + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    }
+  };
+
+  // js/models/YearRollover.js
+  var YearRollover = class _YearRollover {
+    constructor(classManager, studentManager, backupManager) {
+      this.classManager = classManager;
+      this.studentManager = studentManager;
+      this.backupManager = backupManager;
+    }
+    /**
+     * Suggested rollover: every current class moves up one level
+     * @returns {object} - { fromYear, toYear, classes: [{ fromId, name }] }
+     */
+    plan() {
+      const fromYear = this.classManager.getCurrentYear();
+      return {
+        fromYear,
+        toYear: ClassManager.nextSchoolYear(fromYear),
+        classes: this.classManager.getByYear(fromYear).map((c) => ({
+          fromId: c.id,
+          name: _YearRollover.suggestName(c.name)
+        }))
+      };
+    }
+    /**
+     * Archive the current year and create the next one
+     * @param {object} plan - { toYear, classes: [{ fromId, name }], promotions }
+     *   where `promotions` maps student ids to an index of `classes`
+     * @returns {object} - { success, error, classes, promoted }
+     */
+    run(plan) {
+      const fromYear = this.classManager.getCurrentYear();
+      const names = plan.classes.map((c) => c.name.trim());
+      if (!/^\d{4}-\d{4}$/.test(plan.toYear) || plan.toYear <= fromYear) {
+        return { success: false, error: `The new school year must come after ${fromYear}` };
+      }
+      if (names.length === 0 || names.some((name) => !name)) {
+        return { success: false, error: "Every new class needs a name" };
+      }
+      if (new Set(names).size !== names.length) {
+        return { success: false, error: "Class names must be different" };
+      }
+      return this.backupManager.protect("before-rollover", () => {
+        const archived = this.classManager.getByYear(fromYear);
+        archived.forEach((c) => this.classManager.update(c.id, { archived: true }));
+        const classes = plan.classes.map((entry, i) => {
+          const from = this.classManager.getById(entry.fromId);
+          const newClass = this.classManager.add(
+            names[i],
+            from ? this.classManager.copySchedule(from.schedule) : this.classManager.defaultSchedule()
+          );
+          return this.classManager.update(newClass.id, {
+            schoolYear: plan.toYear,
+            ...from ? {
+              teacher: from.teacher || "",
+              room: from.room || "",
+              level: from.level ? _YearRollover.suggestName(from.level) : "",
+              subject: from.subject || "",
+              color: from.color || null
+            } : {},
+            ...from && from.lateness ? { lateness: from.lateness } : {}
+          });
+        });
+        let promoted = 0;
+        Object.entries(plan.promotions || {}).forEach(([studentId, index]) => {
+          if (classes[index] && this.studentManager.promote(studentId, classes[index].id)) {
+            promoted++;
+          }
+        });
+        return { success: true, error: null, classes, promoted };
+      });
+    }
+    /**
+     * Name of a class one level up (first number + 1)
+     * @param {string} name - e.g., "1AEP"
+     * @returns {string} - e.g., "2AEP"
+     */
+    static suggestName(name) {
+      return name.replace(/\d+/, (n) => String(Number(n) + 1));
+    }
+  };
+
+  // js/models/TimetableCalendar.js
+  var DAY_NAMES3 = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+  var MAX_WEEKS = 4;
+  var UID_DOMAIN = "lateness-tracker";
+  var TimetableCalendar = class {
+    constructor(classManager, calendar = null) {
+      this.classManager = classManager;
+      this.calendar = calendar;
+    }
+    /**
+     * Import a timetable into a class, or into a new class
+     * @param {string} text - .ics content
+     * @param {object} target - { classId } to update a class, { name } to create one
+     * @returns {object} - { success, error, class, sessions, overrides, skipped }
+     */
+    importICS(text, { classId = null, name = "" } = {}) {
+      let events;
+      try {
+        events = ICalendar.parse(text);
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+      const existing = classId ? this.classManager.getById(classId) : null;
+      if (classId && !existing) {
+        return { success: false, error: "Unknown class" };
+      }
+      const weekly = events.filter((e) => e.rule && e.rule.freq === "WEEKLY" && e.startTime && !e.recurrenceId);
+      if (weekly.length === 0) {
+        return { success: false, error: "No weekly recurring events with times in this file" };
+      }
+      const prefix = `${existing ? existing.name : name.trim()} \xB7 `;
+      const labelOf = (event) => event.summary.startsWith(prefix) ? event.summary.slice(prefix.length) : event.summary;
+      const weeks = Math.min(MAX_WEEKS, Math.max(...weekly.map((e) => e.rule.interval)));
+      const anchorDate = weekStart(weekly.map((e) => e.startDate).sort()[0]);
+      const weekOf = (date) => {
+        const count = Math.round((Date.parse(weekStart(date)) - Date.parse(anchorDate)) / (7 * 864e5));
+        return (count % weeks + weeks) % weeks;
+      };
+      const schedules = Array.from({ length: weeks }, () => emptySchedule());
+      const slots = /* @__PURE__ */ new Map();
+      weekly.forEach((event) => {
+        const days = event.rule.byDay.length > 0 ? event.rule.byDay.map((code) => DAY_NAMES3[WEEKDAY_CODES.indexOf(code)]).filter(Boolean) : [dayName(event.startDate)];
+        const first = weekOf(event.startDate);
+        schedules.forEach((schedule, week) => {
+          if ((week - first + weeks) % event.rule.interval !== 0) return;
+          days.forEach((day) => {
+            const session = {
+              id: null,
+              label: labelOf(event),
+              startTime: event.startTime,
+              endTime: event.endTime || event.startTime
+            };
+            schedule[day].enabled = true;
+            schedule[day].sessions.push(session);
+            slots.set(`${event.uid}|${week}|${day}`, session);
+          });
+        });
+      });
+      schedules.forEach((schedule, week) => {
+        Object.entries(schedule).forEach(([day, entry]) => {
+          const current = existing ? (this.classManager.getWeekSchedule(existing, week)[day] || {}).sessions || [] : [];
+          entry.sessions.sort((a, b) => a.startTime.localeCompare(b.startTime));
+          entry.sessions.forEach((session, i) => {
+            session.id = current[i] ? current[i].id : this.classManager.generateSessionId();
+          });
+        });
+      });
+      const overrides = {};
+      const sessionsOn = (date) => {
+        if (!overrides[date]) {
+          const entry = schedules[weekOf(date)][dayName(date)];
+          overrides[date] = { sessions: entry.sessions.map((s) => ({ ...s, cancelled: false })) };
+        }
+        return overrides[date].sessions;
+      };
+      const slotOf = (uid, date) => slots.get(`${uid}|${weekOf(date)}|${dayName(date)}`);
+      const changeSession = (date, sessionId, changes2) => {
+        const session = sessionsOn(date).find((s) => s.id === sessionId);
+        if (session) Object.assign(session, changes2);
+      };
+      weekly.forEach((event) => {
+        event.exdates.forEach((date) => {
+          const slot = slotOf(event.uid, date);
+          if (slot) changeSession(date, slot.id, { cancelled: true });
+        });
+      });
+      let skipped = 0;
+      events.filter((event) => !weekly.includes(event)).forEach((event) => {
+        if (!event.startTime || event.rule) {
+          skipped++;
+          return;
+        }
+        const slot = event.recurrenceId ? slotOf(event.uid, event.recurrenceId) : null;
+        if (slot && !event.cancelled && event.startDate === event.recurrenceId) {
+          changeSession(event.startDate, slot.id, {
+            label: labelOf(event) || slot.label,
+            startTime: event.startTime,
+            endTime: event.endTime || event.startTime
+          });
+          return;
+        }
+        if (slot) {
+          changeSession(event.recurrenceId, slot.id, { cancelled: true });
+        }
+        if (event.cancelled) {
+          if (!slot) skipped++;
+          return;
+        }
+        sessionsOn(event.startDate).push({
+          id: this.classManager.generateSessionId(),
+          label: labelOf(event) || (slot ? slot.label : ""),
+          startTime: event.startTime,
+          endTime: event.endTime || event.startTime,
+          cancelled: false
+        });
+      });
+      const changes = {
+        schedule: schedules[0],
+        rotation: weeks > 1 ? { anchorDate, skipClosedWeeks: false, schedules: schedules.slice(1) } : null,
+        overrides: { ...existing && existing.overrides || {}, ...overrides }
+      };
+      const classObj = existing ? this.classManager.update(classId, changes) : this.classManager.update(this.classManager.add(name.trim(), schedules[0]).id, changes);
+      return {
+        success: true,
+        error: null,
+        class: classObj,
+        sessions: schedules.reduce((sum, schedule) => sum + Object.values(schedule).reduce((n, entry) => n + entry.sessions.length, 0), 0),
+        overrides: Object.keys(overrides).length,
+        skipped
+      };
+    }
+    /**
+     * .ics file of a class timetable
+     * @param {string} classId
+     * @param {boolean} withCalendar - Add the school calendar (terms, holidays...)
+     * @returns {string|null}
+     */
+    exportICS(classId, withCalendar = false) {
+      const classObj = this.classManager.getById(classId);
+      if (!classObj) return null;
+      const events = this.toEvents(classId);
+      if (withCalendar && this.calendar) {
+        events.push(...this.calendar.toEvents());
+      }
+      return ICalendar.build(events, `${classObj.name} ${classObj.schoolYear || ""}`.trim());
+    }
+    /**
+     * Events of a class timetable over its school year
+     * @param {string} classId
+     * @returns {array} - Events for ICalendar.build()
+     */
+    toEvents(classId) {
+      const classObj = this.classManager.getById(classId);
+      if (!classObj) return [];
+      const { from, until } = this.getYearRange(classObj);
+      const weeks = this.classManager.getWeekCount(classId);
+      const occurrences = /* @__PURE__ */ new Map();
+      const single = [];
+      for (let date = from; date <= until; date = addDays(date, 1)) {
+        if (this.calendar && !this.calendar.isSchoolDay(date)) continue;
+        const template = this.classManager.getTemplateSessions(classId, date);
+        this.classManager.getSessions(classId, date).forEach((session) => {
+          const planned = template.find((s) => s.id === session.id);
+          if (planned && planned.startTime === session.startTime && planned.endTime === session.endTime) {
+            if (!occurrences.has(session.id)) occurrences.set(session.id, { session: planned, dates: [] });
+            occurrences.get(session.id).dates.push(date);
+          } else {
+            single.push({ date, session });
+          }
+        });
+      }
+      const summary = (session) => [classObj.name, (session.label || "").trim()].filter(Boolean).join(" \xB7 ");
+      const events = [];
+      occurrences.forEach(({ session, dates }) => {
+        const held = new Set(dates);
+        const ruleDates = [];
+        for (let date = dates[0]; date <= until; date = addDays(date, 7 * weeks)) {
+          ruleDates.push(date);
+        }
+        const ruled = new Set(ruleDates);
+        events.push({
+          uid: `${session.id}@${UID_DOMAIN}`,
+          summary: summary(session),
+          startDate: dates[0],
+          startTime: session.startTime,
+          endTime: session.endTime,
+          rule: { freq: "WEEKLY", interval: weeks, byDay: [WEEKDAY_CODES[dayIndex(dates[0])]], until },
+          exdates: ruleDates.filter((date) => !held.has(date))
+        });
+        dates.filter((date) => !ruled.has(date)).forEach((date) => single.push({ date, session }));
+      });
+      single.forEach(({ date, session }) => {
+        events.push({
+          uid: `${session.id}-${date.replace(/-/g, "")}@${UID_DOMAIN}`,
+          summary: summary(session),
+          startDate: date,
+          startTime: session.startTime,
+          endTime: session.endTime
+        });
+      });
+      return events;
+    }
+    /**
+     * First and last day of the school year of a class: its terms, when set
+     * in the school calendar, else September to June
+     * @param {object} classObj
+     * @returns {object} - { from, until }
+     */
+    getYearRange(classObj) {
+      const start = parseInt(classObj.schoolYear) || (/* @__PURE__ */ new Date()).getFullYear();
+      const range = { from: `${start}-09-01`, until: `${start + 1}-06-30` };
+      const terms = (this.calendar ? this.calendar.getAll() : []).filter(
+        (e) => e.type === "term" && e.endDate >= range.from && e.startDate <= range.until
+      );
+      if (terms.length === 0) return range;
+      return {
+        from: terms.map((e) => e.startDate).sort()[0],
+        until: terms.map((e) => e.endDate).sort().reverse()[0]
+      };
+    }
+  };
+  function emptySchedule() {
+    return Object.fromEntries(
+      ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"].map((day) => [day, { enabled: false, sessions: [] }])
+    );
+  }
+  function dayIndex(date) {
+    return (/* @__PURE__ */ new Date(date + "T00:00:00Z")).getUTCDay();
+  }
+  function dayName(date) {
+    return DAY_NAMES3[dayIndex(date)];
+  }
+
+  // js/views/JournalView.js
+  var PAGE_SIZE = 100;
+  var ACTION_LABELS = {
+    create: "\u2795 Created",
+    update: "\u270F\uFE0F Updated",
+    delete: "\u{1F5D1}\uFE0F Deleted",
+    import: "\u{1F4E5} Imported"
+  };
+  var JournalView = class {
+    constructor(ui) {
+      this.ui = ui;
+      this.app = ui.app;
+      this.filters = { entity: "", action: "", from: "", to: "", text: "" };
+      this.limit = PAGE_SIZE;
+    }
+    /**
+     * Render journal view
+     */
+    render(container) {
+      const entries = this.getFilteredEntries();
+      const ui = this.ui;
+      container.innerHTML = `
+            <div class="journal-view">
+                <div class="view-header">
+                    <h2>Change Journal</h2>
+                    <button class="btn btn-secondary" onclick="window.app.ui.journalView.exportCSV()">
+                        \u{1F4CA} Export CSV
+                    </button>
+                </div>
+
+                <div class="form-group">
+                    <label>Your name (recorded with every change)</label>
+                    <input type="text" value="${ui.escapeHtml(this.app.settings.get("userName"))}"
+                           placeholder="e.g., Mme Alaoui"
+                           onchange="window.app.ui.journalView.setUserName(this.value)">
+                </div>
+
+                <div class="journal-filters">
+                    <select onchange="window.app.ui.journalView.setFilter('entity', this.value)">
+                        <option value="">All records</option>
+                        ${["class", "student", "arrival", "calendar", "backup"].map((entity) => `
+                            <option value="${entity}" ${this.filters.entity === entity ? "selected" : ""}>${entity}</option>
+                        `).join("")}
+                    </select>
+                    <select onchange="window.app.ui.journalView.setFilter('action', this.value)">
+                        <option value="">All changes</option>
+                        ${Object.keys(ACTION_LABELS).map((action) => `
+                            <option value="${action}" ${this.filters.action === action ? "selected" : ""}>${action}</option>
+                        `).join("")}
+                    </select>
+                    <input type="date" value="${this.filters.from}" title="From"
+                           onchange="window.app.ui.journalView.setFilter('from', this.value)">
+                    <input type="date" value="${this.filters.to}" title="To"
+                           onchange="window.app.ui.journalView.setFilter('to', this.value)">
+                    <input type="search" value="${ui.escapeHtml(this.filters.text)}" placeholder="Search name..."
+                           onchange="window.app.ui.journalView.setFilter('text', this.value)">
+                </div>
+
+                <ul class="journal-list">
+                    ${entries.slice(0, this.limit).map((entry) => this.renderEntry(entry)).join("")}
+                </ul>
+
+                ${entries.length === 0 ? '<p class="empty-state">No changes recorded</p>' : ""}
+                ${entries.length > this.limit ? `
+                    <button class="btn btn-secondary" onclick="window.app.ui.journalView.showMore()">
+                        Show more (${entries.length - this.limit})
+                    </button>
+                ` : ""}
+            </div>
+        `;
+    }
+    /**
+     * Render a journal entry
+     */
+    renderEntry(entry) {
+      const ui = this.ui;
+      const changes = entry.action === "update" ? Journal.changedFields(entry) : [];
+      return `
+            <li class="journal-entry ${entry.action}">
+                <div class="journal-meta">
+                    <span>${new Date(entry.at).toLocaleString()}</span>
+                    <span>${ui.escapeHtml(entry.actor || "Unknown")}</span>
+                </div>
+                <div class="journal-summary">
+                    ${ACTION_LABELS[entry.action] || entry.action} ${entry.entity}:
+                    <strong>${ui.escapeHtml(this.describe(entry))}</strong>
+                </div>
+                ${changes.length > 0 ? `
+                    <ul class="journal-changes">
+                        ${changes.map((c) => `
+                            <li>${ui.escapeHtml(c.field)}:
+                                <del>${ui.escapeHtml(this.formatValue(c.before))}</del> \u2192
+                                ${ui.escapeHtml(this.formatValue(c.after))}
+                            </li>
+                        `).join("")}
+                    </ul>
+                ` : ""}
+            </li>
+        `;
+    }
+    /**
+     * Human readable label for the record an entry is about
+     * @param {object} entry
+     * @returns {string}
+     */
+    describe(entry) {
+      const record = entry.after || entry.before || {};
+      switch (entry.entity) {
+        case "class":
+        case "student":
+          return record.name || record.id;
+        case "arrival":
+          return `${this.studentName(record.studentId)} \u2014 ${record.date} ${record.time}` + (ArrivalTracker.isLate(record.status) ? ` (${ARRIVAL_STATUSES[record.status].toLowerCase()}, ${record.minutesLate}min)` : "");
+        case "calendar":
+          return `${record.name} (${record.startDate}` + (record.endDate !== record.startDate ? ` \u2192 ${record.endDate})` : ")");
+        case "backup":
+          return `${record.mode} restore`;
+        default:
+          return record.id || "";
+      }
+    }
+    /**
+     * Resolve a student name, including deleted students (from the journal)
+     */
+    studentName(studentId) {
+      const student = this.app.studentManager.getById(studentId);
+      if (student) return student.name;
+      const known = this.app.journal.query({ entity: "student", entityId: studentId })[0];
+      const record = known && (known.before || known.after);
+      return record ? record.name : studentId;
+    }
+    /**
+     * Format a field value for display
+     */
+    formatValue(value) {
+      if (value === void 0 || value === null) return "\u2014";
+      if (typeof value === "object") {
+        const json = JSON.stringify(value);
+        return json.length > 80 ? json.substr(0, 77) + "..." : json;
+      }
+      return String(value);
+    }
+    /**
+     * Apply filters to the journal
+     * @returns {array}
+     */
+    getFilteredEntries() {
+      const { text, ...filters } = this.filters;
+      const entries = this.app.journal.query(filters);
+      if (!text) return entries;
+      const search = text.toLowerCase();
+      return entries.filter(
+        (entry) => this.describe(entry).toLowerCase().includes(search) || (entry.actor || "").toLowerCase().includes(search)
+      );
+    }
+    /**
+     * Change a filter and re-render
+     */
+    setFilter(name, value) {
+      this.filters[name] = value;
+      this.limit = PAGE_SIZE;
+      this.ui.refreshCurrentView();
+    }
+    /**
+     * Show next page of entries
+     */
+    showMore() {
+      this.limit += PAGE_SIZE;
+      this.ui.refreshCurrentView();
+    }
+    /**
+     * Save the name recorded with changes
+     */
+    setUserName(name) {
+      this.app.settings.set("userName", name.trim());
+    }
+    /**
+     * Export filtered entries as CSV
+     */
+    exportCSV() {
+      const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+      const lines = ["Date,Auteur,Action,Type,Enregistrement,Modifications"];
+      this.getFilteredEntries().forEach((entry) => {
+        const changes = entry.action === "update" ? Journal.changedFields(entry).map((c) => `${c.field}: ${this.formatValue(c.before)} \u2192 ${this.formatValue(c.after)}`).join("; ") : "";
+        lines.push([
+          entry.at,
+          entry.actor || "",
+          entry.action,
+          entry.entity,
+          this.describe(entry),
+          changes
+        ].map(quote).join(","));
+      });
+      this.ui.downloadFile(lines.join("\n"), `journal_${this.ui.currentDate}.csv`, "text/csv");
+    }
+  };
+
+  // js/views/UI.js
+  var UI = class {
+    constructor(app) {
+      this.app = app;
+      this.currentClassId = null;
+      this.currentSessionId = null;
+      this.currentYear = null;
+      this.currentDate = (/* @__PURE__ */ new Date()).toISOString().split("T")[0];
+      this.overrideDate = null;
+      this.scheduleWeek = 0;
+      this.views = {};
+      this.journalView = new JournalView(this);
+    }
+    init() {
+      this.renderApp();
+      this.setupEventListeners();
+      this.showClassSelector();
+      if (this.app.storage.hasFailedWrites()) {
+        this.showWriteError(null);
+      }
+    }
+    /**
+     * Render main app structure
+     */
+    renderApp() {
+      const app = document.getElementById("app");
+      app.innerHTML = `
+            <header class="app-header">
+                <div class="header-title">
+                    <h1>\u{1F4DA} Lateness Tracker</h1>
+                    <button class="workspace-badge" onclick="window.app.ui.showWorkspacesModal()">
+                        ${this.escapeHtml(this.app.workspace.name)}
+                    </button>
+                </div>
+                <div class="header-controls">
+                    <input type="date" id="datePicker" value="${this.currentDate}">
+                    <button id="menuBtn" class="icon-btn">\u2630</button>
+                </div>
+            </header>
+            
+            <div id="writeError" class="write-error hidden"></div>
+            
+            <nav id="classNav" class="class-nav"></nav>
+            
+            <main id="mainContent" class="main-content">
+                <div class="welcome-screen">
+                    <p>Select a class to start tracking</p>
+                </div>
+            </main>
+            
+            <nav id="bottomNav" class="bottom-nav">
+                <button class="nav-btn active" data-view="tracker">\u{1F44B} Arrival</button>
+                <button class="nav-btn" data-view="students">\u{1F465} Students</button>
+                <button class="nav-btn" data-view="schedule">\u{1F4C5} Schedule</button>
+                <button class="nav-btn" data-view="reports">\u{1F4CA} Reports</button>
+            </nav>
+
+            <div id="modal" class="modal hidden"></div>
+            <div id="sidebar" class="sidebar hidden"></div>
+        `;
+    }
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+      document.getElementById("datePicker").addEventListener("change", (e) => {
+        this.currentDate = e.target.value;
+        this.currentSessionId = null;
+        this.refreshCurrentView();
+      });
+      document.getElementById("bottomNav").addEventListener("click", (e) => {
+        if (e.target.classList.contains("nav-btn")) {
+          const view = e.target.dataset.view;
+          this.switchView(view);
+        }
+      });
+      document.getElementById("menuBtn").addEventListener("click", () => {
+        this.toggleSidebar();
+      });
+      document.getElementById("modal").addEventListener("click", (e) => {
+        if (e.target.id === "modal") this.closeModal();
+      });
+    }
+    /**
+     * Show class selector
+     */
+    showClassSelector() {
+      const years = this.app.classManager.getYears();
+      if (!years.includes(this.currentYear)) this.currentYear = null;
+      const classes = this.app.classManager.getByYear(this.getViewedYear());
+      const nav = document.getElementById("classNav");
+      const yearSelect = years.length > 1 ? `
+            <select class="year-select" onchange="window.app.ui.selectYear(this.value)">
+                ${years.map((year) => `
+                    <option value="${year}" ${year === this.getViewedYear() ? "selected" : ""}>${year}</option>
+                `).join("")}
+            </select>
+        ` : "";
+      if (classes.length === 0) {
+        nav.innerHTML = `
+                ${yearSelect}
+                <button class="add-class-btn" onclick="window.app.ui.showAddClassModal()">
+                    + Add Class
+                </button>
+            `;
+      } else {
+        const groups = this.app.classManager.groupByLevel(classes);
+        nav.innerHTML = yearSelect + groups.map((group) => `
+                ${groups.length > 1 || group.level ? `<span class="class-level">${this.escapeHtml(group.level || "Other")}</span>` : ""}
+                ${group.classes.map((c) => `
+                    <button class="class-btn ${this.currentClassId === c.id ? "active" : ""} ${c.color ? "colored" : ""}" 
+                            data-class-id="${c.id}" ${c.color ? `style="--class-color: ${this.escapeHtml(c.color)}"` : ""}>
+                        ${this.escapeHtml(c.name)}
+                    </button>
+                `).join("")}
+            `).join("");
+        nav.querySelectorAll(".class-btn").forEach((btn) => {
+          btn.addEventListener("click", () => {
+            this.selectClass(btn.dataset.classId);
+          });
+        });
+        if (!this.currentClassId) {
+          this.selectClass(groups[0].classes[0].id);
+        }
+      }
+    }
+    /**
+     * School year shown in the class bar
+     * @returns {string}
+     */
+    getViewedYear() {
+      return this.currentYear || this.app.classManager.getCurrentYear();
+    }
+    /**
+     * Show the classes of another school year
+     */
+    selectYear(year) {
+      this.currentYear = year === this.app.classManager.getCurrentYear() ? null : year;
+      this.currentClassId = null;
+      this.showClassSelector();
+      this.refreshCurrentView();
+    }
+    /**
+     * Select a class
+     */
+    selectClass(classId) {
+      this.currentClassId = classId;
+      this.currentSessionId = null;
+      document.querySelectorAll(".class-btn").forEach((btn) => {
+        btn.classList.toggle("active", btn.dataset.classId === classId);
+      });
+      this.refreshCurrentView();
+    }
+    /**
+     * Switch between views
+     */
+    switchView(viewName) {
+      document.querySelectorAll(".nav-btn").forEach((btn) => {
+        btn.classList.toggle("active", btn.dataset.view === viewName);
+      });
+      const main = document.getElementById("mainContent");
+      switch (viewName) {
+        case "tracker":
+          this.renderTrackerView(main);
+          break;
+        case "students":
+          this.renderStudentsView(main);
+          break;
+        case "schedule":
+          this.renderScheduleView(main);
+          break;
+        case "reports":
+          this.renderReportsView(main);
+          break;
+        case "journal":
+          this.journalView.render(main);
+          break;
+      }
+      this.currentView = viewName;
+    }
+    /**
+     * Render arrival tracker view
+     */
+    renderTrackerView(container) {
+      if (!this.currentClassId) {
+        container.innerHTML = '<p class="empty-state">Select a class first</p>';
+        return;
+      }
+      const students = this.app.studentManager.getSortedByName(this.currentClassId, this.currentDate);
+      const classObj = this.app.classManager.getById(this.currentClassId);
+      const archived = !!classObj.archived;
+      const closure = this.app.calendar.getClosure(this.currentDate);
+      const sessions = closure ? [] : this.app.classManager.getSessions(this.currentClassId, this.currentDate);
+      const session = this.getCurrentSession(sessions);
+      const arrivals = this.app.arrivalTracker.getByClassAndDate(
+        this.currentClassId,
+        this.currentDate,
+        session ? session.id : null
+      );
+      container.innerHTML = `
+            <div class="tracker-view">
+                <div class="tracker-header">
+                    <h2>${this.escapeHtml(classObj.name)}</h2>
+                    <p class="date-display">${this.formatDate(this.currentDate)}</p>
+                    ${sessions.length > 1 ? `
+                        <div class="session-tabs">
+                            ${sessions.map((s, i) => `
+                                <button class="session-tab ${s.id === session.id ? "active" : ""}"
+                                        onclick="window.app.ui.selectSession('${s.id}')">
+                                    ${this.escapeHtml(ClassManager.sessionLabel(s, i))}
+                                </button>
+                            `).join("")}
+                        </div>
+                    ` : ""}
+                    ${archived ? `<p class="archived-info">\u{1F5C4}\uFE0F School year ${classObj.schoolYear} (read-only)</p>` : ""}
+                    ${closure ? `<p class="no-class">\u{1F3D6}\uFE0F No school: ${this.escapeHtml(closure.name)}</p>` : session ? `<p class="schedule-info">Class: ${session.startTime} - ${session.endTime}${this.app.classManager.getWeekCount(this.currentClassId) > 1 ? ` \xB7 ${ClassManager.weekLabel(this.app.classManager.getWeekIndex(this.currentClassId, this.currentDate))}` : ""}${this.app.classManager.getOverride(this.currentClassId, this.currentDate) ? " (changed for this date)" : ""}</p>` : '<p class="no-class">No class scheduled</p>'}
+                </div>
+                
+                <div class="students-grid ${closure || archived ? "closed" : ""}">
+                    ${students.map((s) => {
+        const arrival = arrivals.find((a) => a.studentId === s.id);
+        return this.renderStudentCard(s, arrival);
+      }).join("")}
+                </div>
+                
+                <div class="tracker-stats">
+                    <span>Present: ${arrivals.length}</span>
+                    <span>Absent: ${students.length - arrivals.length}</span>
+                </div>
+            </div>
+        `;
+      if (closure || archived) return;
+      container.querySelectorAll(".student-card").forEach((card) => {
+        card.addEventListener("click", () => {
+          this.toggleArrival(card.dataset.studentId);
+        });
+      });
+    }
+    /**
+     * Session shown in the tracker: the selected one, else the one in
+     * progress (today) or the first of the day
+     * @param {array} sessions - Sessions of the current class and date
+     * @returns {object|null}
+     */
+    getCurrentSession(sessions) {
+      let session = sessions.find((s) => s.id === this.currentSessionId);
+      if (!session) {
+        const today = (/* @__PURE__ */ new Date()).toISOString().split("T")[0];
+        session = this.currentDate === today ? this.app.classManager.detectSession(
+          this.currentClassId,
+          this.currentDate,
+          (/* @__PURE__ */ new Date()).toTimeString().substr(0, 5)
+        ) : sessions[0] || null;
+      }
+      this.currentSessionId = session ? session.id : null;
+      return session;
+    }
+    /**
+     * Select a session in the tracker
+     */
+    selectSession(sessionId) {
+      this.currentSessionId = sessionId;
+      this.refreshCurrentView();
+    }
+    /**
+     * Render student card
+     */
+    renderStudentCard(student, arrival) {
+      const hasArrived = !!arrival;
+      const statusClass = hasArrived ? arrival.status : "absent";
+      const statusText = hasArrived ? ArrivalTracker.isLate(arrival.status) ? `${ARRIVAL_STATUSES[arrival.status]} \xB7 ${arrival.minutesLate}min` : "On time" : "Absent";
+      const photo = this.app.photos.get(student.id) || student.photoUrl;
+      return `
+            <div class="student-card ${statusClass}" data-student-id="${student.id}">
+                <div class="student-photo">
+                    ${photo ? `<img src="${this.escapeHtml(photo)}" alt="${this.escapeHtml(student.name)}">` : '<div class="photo-placeholder">\u{1F464}</div>'}
+                </div>
+                <div class="student-name">${this.escapeHtml(student.name)}</div>
+                <div class="student-status">${statusText}</div>
+                ${hasArrived ? `<div class="arrival-time">${arrival.time}</div>` : ""}
+            </div>
+        `;
+    }
+    /**
+     * Toggle student arrival
+     */
+    toggleArrival(studentId) {
+      const sessionId = this.currentSessionId;
+      const existing = this.app.arrivalTracker.hasArrived(studentId, this.currentDate, sessionId);
+      if (existing) {
+        this.app.arrivalTracker.removeArrival(studentId, this.currentDate, sessionId);
+      } else {
+        this.app.arrivalTracker.markArrival(studentId, this.currentClassId, this.currentDate, null, sessionId);
+      }
+      this.refreshCurrentView();
+    }
+    /**
+     * Render students management view
+     */
+    renderStudentsView(container) {
+      if (!this.currentClassId) {
+        container.innerHTML = '<p class="empty-state">Select a class first</p>';
+        return;
+      }
+      const classObj = this.app.classManager.getById(this.currentClassId);
+      const archived = !!classObj?.archived;
+      container.innerHTML = `
+            <div class="students-view">
+                <div class="view-header">
+                    <h2>Students - ${this.escapeHtml(classObj?.name || "Select Class")}</h2>
+                    ${archived ? "" : `
+                        <button class="btn btn-primary" onclick="window.app.ui.showAddStudentModal()">
+                            + Add Student
+                        </button>
+                    `}
+                </div>
+                
+                ${archived ? `
+                    <p class="archived-info">\u{1F5C4}\uFE0F School year ${classObj.schoolYear} (read-only)</p>
+                ` : `
+                    <div class="import-section">
+                        <button class="btn btn-secondary" onclick="window.app.ui.showImportModal()">
+                            \u{1F4E5} Import CSV
+                        </button>
+                        <button class="btn btn-secondary" onclick="window.app.ui.showPhotoImportModal()">
+                            \u{1F5BC}\uFE0F Import Photos
+                        </button>
+                    </div>
+                `}
+                
+                <div class="student-search-bar">
+                    <input type="search" class="student-search" placeholder="\u{1F50D} Name, student code, guardian..."
+                           value="${this.escapeHtml(this.studentQuery || "")}"
+                           oninput="window.app.ui.searchStudents(this.value)">
+                    <select class="name-order" title="Sort students" onchange="window.app.ui.setNameOrder(this.value)">
+                        ${Object.entries(NAME_ORDERS).map(([value, label]) => `
+                            <option value="${value}" ${this.app.settings.get("nameOrder") === value ? "selected" : ""}>${label}</option>
+                        `).join("")}
+                    </select>
+                </div>
+                
+                <div id="studentResults">${this.renderStudentList()}</div>
+            </div>
+        `;
+    }
+    /**
+     * Students of the class, or the students of every class matching the search
+     * @returns {string} HTML
+     */
+    renderStudentList() {
+      const studentManager = this.app.studentManager;
+      const query = (this.studentQuery || "").trim();
+      const students = query ? studentManager.search(query) : studentManager.getSortedByName(this.currentClassId);
+      const leavers = query ? "" : this.renderTransfersOut() + this.renderWithdrawn();
+      if (students.length === 0) {
+        return `<p class="empty-state">${query ? "No student found" : "No students yet"}</p>${leavers}`;
+      }
+      return `
+            <ul class="student-list">
+                ${students.map((s) => {
+        const classObj = this.app.classManager.getById(s.classId);
+        const readOnly = !classObj || classObj.archived;
+        const photo = this.app.photos.get(s.id) || s.photoUrl;
+        return `
+                        <li class="student-item">
+                            <button class="student-thumb" title="Photo" ${readOnly ? "disabled" : ""}
+                                    onclick="window.app.ui.showPhotoModal('${s.id}')">
+                                ${photo ? `<img src="${this.escapeHtml(photo)}" alt="">` : "\u{1F4F7}"}
+                            </button>
+                            <span class="student-item-name">
+                                ${this.escapeHtml(s.name)}
+                                ${s.code ? `<small class="student-code">${this.escapeHtml(s.code)}</small>` : ""}
+                                ${s.classId !== this.currentClassId && classObj ? `
+                                    <small class="student-history">${this.escapeHtml(classObj.name)} ${classObj.schoolYear}</small>
+                                ` : this.renderStudentHistory(s)}
+                                ${this.renderTransferIn(s)}
+                                ${s.withdrawnOn ? `
+                                    <small class="student-history">Withdrawn on ${this.formatShortDate(s.withdrawnOn)}</small>
+                                ` : ""}
+                            </span>
+                            <span>
+                                <button class="icon-btn" title="${readOnly ? "Profile" : "Edit"}"
+                                        onclick="window.app.ui.showStudentForm('${s.id}')">${readOnly ? "\u{1F441}\uFE0F" : "\u270F\uFE0F"}</button>
+                                ${readOnly ? "" : `
+                                    <button class="icon-btn" title="Transfer to another class"
+                                            onclick="window.app.ui.showTransferModal('${s.id}')">\u21C4</button>
+                                    <button class="icon-btn danger" title="Withdraw or delete"
+                                            onclick="window.app.ui.showRemoveStudentModal('${s.id}')">\u{1F5D1}\uFE0F</button>
+                                `}
+                            </span>
+                        </li>
+                    `;
+      }).join("")}
+            </ul>
+            ${leavers}
+        `;
+    }
+    /**
+     * Students who left the school, still in the reports of the days before
+     * @returns {string} HTML
+     */
+    renderWithdrawn() {
+      const students = this.app.studentManager.getWithdrawn(this.currentClassId);
+      if (students.length === 0) return "";
+      const archived = this.app.classManager.isArchived(this.currentClassId);
+      return `
+            <h3>Withdrawn</h3>
+            <ul class="student-list transferred">
+                ${students.map((s) => `
+                    <li class="student-item">
+                        <span class="student-item-name">
+                            ${this.escapeHtml(s.name)}
+                            <small class="student-history">Since ${this.formatShortDate(s.withdrawnOn)}</small>
+                        </span>
+                        ${archived ? "" : `
+                            <span>
+                                <button class="icon-btn" title="Take back in the class"
+                                        onclick="window.app.ui.reinstateStudent('${s.id}')">\u21A9\uFE0F</button>
+                                <button class="icon-btn danger" title="Delete"
+                                        onclick="window.app.ui.showRemoveStudentModal('${s.id}')">\u{1F5D1}\uFE0F</button>
+                            </span>
+                        `}
+                    </li>
+                `).join("")}
+            </ul>
+        `;
+    }
+    /**
+     * When and where from the student joined the class (last transfer)
+     */
+    renderTransferIn(student) {
+      const transfer = (student.transfers || []).slice(-1)[0];
+      if (!transfer || transfer.toClassId !== student.classId) return "";
+      const from = this.app.classManager.getById(transfer.fromClassId);
+      return `
+            <small class="student-history">
+                Since ${this.formatShortDate(transfer.date)}${from ? `, from ${this.escapeHtml(from.name)}` : ""}
+            </small>
+        `;
+    }
+    /**
+     * Students who left the current class for another one
+     * @returns {string} HTML
+     */
+    renderTransfersOut() {
+      const transfers = this.app.studentManager.getTransfersOut(this.currentClassId);
+      if (transfers.length === 0) return "";
+      const archived = this.app.classManager.isArchived(this.currentClassId);
+      return `
+            <h3>Transferred</h3>
+            <ul class="student-list transferred">
+                ${transfers.map(({ student, transfer }) => {
+        const to = this.app.classManager.getById(transfer.toClassId);
+        const last = student.transfers[student.transfers.length - 1] === transfer;
+        return `
+                        <li class="student-item">
+                            <span class="student-item-name">
+                                ${this.escapeHtml(student.name)}
+                                <small class="student-history">
+                                    ${this.formatShortDate(transfer.date)} \u2192 ${to ? this.escapeHtml(to.name) : "deleted class"}
+                                </small>
+                            </span>
+                            ${last && !archived ? `
+                                <button class="icon-btn" title="Cancel the transfer"
+                                        onclick="window.app.ui.cancelTransfer('${student.id}')">\u21A9\uFE0F</button>
+                            ` : ""}
+                        </li>
+                    `;
+      }).join("")}
+            </ul>
+        `;
+    }
+    /**
+     * Ask where and from when a student changes class
+     * @param {string} studentId
+     */
+    showTransferModal(studentId) {
+      const student = this.app.studentManager.getById(studentId);
+      const classObj = student && this.app.classManager.getById(student.classId);
+      if (!classObj) return;
+      const classes = this.app.classManager.getByYear(classObj.schoolYear).filter((c) => c.id !== classObj.id && !c.archived);
+      if (classes.length === 0) {
+        alert(`No other class in ${classObj.schoolYear}`);
+        return;
+      }
+      this.showModal(`
+            <h2>Transfer ${this.escapeHtml(student.name)}</h2>
+            <p class="help-text">
+                Arrivals recorded in ${this.escapeHtml(classObj.name)} stay there; reports list the student
+                in each class for the days spent in it.
+            </p>
+            <form onsubmit="window.app.ui.applyTransfer(event, '${studentId}')">
+                <div class="form-group">
+                    <label>New class</label>
+                    <select name="toClassId" required>
+                        ${classes.map((c) => `<option value="${c.id}">${this.escapeHtml(c.name)}</option>`).join("")}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>First day in the new class</label>
+                    <input type="date" name="transferDate" value="${this.currentDate}" required>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn" onclick="window.app.ui.closeModal()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Transfer</button>
+                </div>
+            </form>
+        `);
+    }
+    /**
+     * Move a student to another class
+     */
+    applyTransfer(e, studentId) {
+      e.preventDefault();
+      const form = e.target;
+      const date = form.transferDate.value;
+      if (!this.checkLeavingDate(studentId, date)) return;
+      const result = this.app.studentManager.transfer(studentId, form.toClassId.value, date);
+      if (!result.success) {
+        alert(result.error);
+        return;
+      }
+      this.refreshCurrentView();
+      this.closeModal();
+    }
+    /**
+     * Arrivals already recorded in the class from the day a student leaves
+     * on would end up outside of it
+     * @param {string} studentId
+     * @param {string} date - First day out of the class
+     * @returns {boolean} - false (after telling) when there are some
+     */
+    checkLeavingDate(studentId, date) {
+      const student = this.app.studentManager.getById(studentId);
+      const later = this.app.arrivalTracker.getAll().filter((a) => a.studentId === studentId && a.classId === student.classId && a.date >= date).map((a) => a.date).sort();
+      if (later.length > 0) {
+        alert(`Arrivals are recorded in this class until ${this.formatShortDate(later[later.length - 1])}: choose a later date, or remove them first`);
+        return false;
+      }
+      return true;
+    }
+    /**
+     * Put a transferred student back in the previous class
+     * @param {string} studentId
+     */
+    cancelTransfer(studentId) {
+      const student = this.app.studentManager.getById(studentId);
+      const transfer = student && (student.transfers || []).slice(-1)[0];
+      if (!transfer) return;
+      const recorded = this.app.arrivalTracker.getAll().some((a) => a.studentId === studentId && a.classId === transfer.toClassId);
+      if (recorded) {
+        alert("Arrivals are already recorded in the new class: the transfer cannot be cancelled");
+        return;
+      }
+      if (!confirm(`Cancel the transfer of ${student.name}?`)) return;
+      this.app.studentManager.cancelTransfer(studentId);
+      this.refreshCurrentView();
+    }
+    /**
+     * Search students by name, code or guardian in the whole workspace
+     * @param {string} query
+     */
+    searchStudents(query) {
+      this.studentQuery = query;
+      document.getElementById("studentResults").innerHTML = this.renderStudentList();
+    }
+    /**
+     * Sort students by given or family name (everywhere: tracker, lists, reports)
+     * @param {string} order - Key of NAME_ORDERS
+     */
+    setNameOrder(order) {
+      this.app.settings.set("nameOrder", order);
+      document.getElementById("studentResults").innerHTML = this.renderStudentList();
+    }
+    /**
+     * Classes of the student in past years (e.g., "1AEP 2025-2026")
+     */
+    renderStudentHistory(student) {
+      const history = this.app.studentManager.getHistory(student.id).map((s) => this.app.classManager.getById(s.classId)).filter(Boolean);
+      return history.length > 0 ? `
+            <small class="student-history">
+                ${history.map((c) => `${this.escapeHtml(c.name)} ${c.schoolYear}`).join(" \xB7 ")}
+            </small>
+        ` : "";
+    }
+    /**
+     * Render schedule view
+     */
+    renderScheduleView(container) {
+      if (!this.currentClassId) {
+        container.innerHTML = '<p class="empty-state">Select a class first</p>';
+        return;
+      }
+      const classManager = this.app.classManager;
+      const classObj = classManager.getById(this.currentClassId);
+      const days = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+      const dayNames = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+      const weeks = classManager.getWeekCount(classObj.id);
+      if (this.scheduleWeek >= weeks) this.scheduleWeek = 0;
+      const weekSchedule = classManager.getWeekSchedule(classObj, this.scheduleWeek);
+      container.innerHTML = `
+            <div class="schedule-view">
+                <div class="view-header">
+                    <h2>Schedule - ${this.escapeHtml(classObj.name)}</h2>
+                    <button class="icon-btn" title="Edit class" onclick="window.app.ui.showEditClassModal('${classObj.id}')">\u270F\uFE0F</button>
+                </div>
+                
+                ${classObj.archived ? `
+                    <p class="archived-info">\u{1F5C4}\uFE0F School year ${classObj.schoolYear} (read-only)</p>
+                ` : ""}
+                
+                <fieldset class="schedule-fields" ${classObj.archived ? "disabled" : ""}>
+                
+                    ${this.renderRotationSection(classObj)}
+                
+                    ${weeks > 1 ? `
+                        <div class="session-tabs">
+                            ${Array.from({ length: weeks }, (_, week) => `
+                                <button class="session-tab ${week === this.scheduleWeek ? "active" : ""}"
+                                        onclick="window.app.ui.selectScheduleWeek(${week})">
+                                    ${ClassManager.weekLabel(week)}
+                                </button>
+                            `).join("")}
+                        </div>
+                    ` : ""}
+                
+                    <div class="schedule-grid">
+                        ${days.map((day, i) => {
+        const schedule = weekSchedule[day] || { enabled: false, sessions: [] };
+        return `
+                                <div class="schedule-day ${schedule.enabled ? "enabled" : ""}">
+                                    <label class="day-name">
+                                        <input type="checkbox" ${schedule.enabled ? "checked" : ""} 
+                                               onchange="window.app.ui.toggleDay('${day}')">
+                                        ${dayNames[i]}
+                                    </label>
+                                    ${schedule.enabled ? `
+                                        <div class="session-list">
+                                            ${schedule.sessions.map((session, index) => `
+                                                <div class="time-inputs">
+                                                    <input type="text" class="session-label" value="${this.escapeHtml(session.label || "")}"
+                                                           placeholder="${ClassManager.sessionLabel({}, index)}"
+                                                           onchange="window.app.ui.updateSchedule('${day}', '${session.id}', 'label', this.value)">
+                                                    <input type="time" value="${session.startTime}"
+                                                           onchange="window.app.ui.updateSchedule('${day}', '${session.id}', 'startTime', this.value)">
+                                                    <span>to</span>
+                                                    <input type="time" value="${session.endTime}"
+                                                           onchange="window.app.ui.updateSchedule('${day}', '${session.id}', 'endTime', this.value)">
+                                                    <button class="icon-btn danger" title="Remove session"
+                                                            onclick="window.app.ui.removeSession('${day}', '${session.id}')">\u2715</button>
+                                                </div>
+                                            `).join("")}
+                                            <button class="btn btn-secondary add-session-btn" onclick="window.app.ui.addSession('${day}')">
+                                                + Session
+                                            </button>
+                                        </div>
+                                    ` : '<span class="no-class">No class</span>'}
+                                </div>
+                            `;
+      }).join("")}
+                    </div>
+                
+                    ${this.renderOverrideSection(classObj)}
+                
+                    ${this.renderLatenessSection(classObj)}
+                
+                </fieldset>
+                
+                ${this.renderTimetableFileSection(classObj)}
+            </div>
+        `;
+    }
+    /**
+     * Render the .ics export/import of the timetable (phone calendars)
+     */
+    renderTimetableFileSection(classObj) {
+      return `
+            <div class="override-section">
+                <h3>Calendar file (.ics)</h3>
+                <p class="help-text">Add this timetable to a phone calendar, or read the one published by the school.</p>
+                <label>
+                    <input type="checkbox" id="icsWithCalendar">
+                    Include the school calendar (terms, holidays...)
+                </label>
+                <div class="override-actions">
+                    <button class="btn btn-secondary" onclick="window.app.ui.exportTimetable()">\u{1F4E4} Export .ics</button>
+                    ${classObj.archived ? "" : `
+                        <label class="btn btn-secondary file-btn">
+                            \u{1F4E5} Import .ics
+                            <input type="file" accept=".ics,text/calendar" hidden
+                                   onchange="window.app.ui.importTimetable(this.files[0])">
+                        </label>
+                    `}
+                </div>
+            </div>
+        `;
+    }
+    /**
+     * Download the timetable of the current class as .ics
+     */
+    exportTimetable() {
+      const classObj = this.app.classManager.getById(this.currentClassId);
+      const withCalendar = document.getElementById("icsWithCalendar").checked;
+      this.downloadFile(
+        this.app.timetableCalendar.exportICS(classObj.id, withCalendar),
+        `timetable-${classObj.name}.ics`,
+        "text/calendar"
+      );
+    }
+    /**
+     * Replace the timetable of the current class with an .ics file
+     */
+    async importTimetable(file) {
+      if (!file) return;
+      if (!confirm("Replace the weekly schedule of this class with the timetable of this file?")) return;
+      const result = this.app.timetableCalendar.importICS(await file.text(), { classId: this.currentClassId });
+      this.reportTimetableImport(result);
+      this.refreshCurrentView();
+    }
+    /**
+     * Create a class from an .ics timetable
+     */
+    async importTimetableClass(e) {
+      e.preventDefault();
+      const form = e.target;
+      const file = form.icsFile.files[0];
+      const result = this.app.timetableCalendar.importICS(await file.text(), { name: form.className.value });
+      this.reportTimetableImport(result);
+      if (result.success) {
+        this.currentYear = null;
+        this.currentClassId = result.class.id;
+        this.showClassSelector();
+        this.refreshCurrentView();
+        this.showClassesModal();
+      }
+    }
+    /**
+     * Tell how an .ics timetable import went
+     */
+    reportTimetableImport(result) {
+      if (!result.success) {
+        alert(`Import failed: ${result.error}`);
+        return;
+      }
+      alert(`Imported ${result.sessions} weekly sessions and ${result.overrides} changed dates` + (result.skipped > 0 ? ` (${result.skipped} events ignored: all-day or not weekly)` : ""));
+    }
+    /**
+     * Render the lateness rules of a class (empty fields use the global rules)
+     */
+    renderLatenessSection(classObj) {
+      const own = classObj.lateness || {};
+      const defaults = this.app.settings.get("lateness");
+      return `
+            <div class="override-section">
+                <h3>Lateness rules</h3>
+                <p class="help-text">Leave empty to use the rules of all classes (\u2630 \u2192 Lateness rules).</p>
+                ${this.renderLatenessFields(own, defaults, "window.app.ui.updateClassLateness")}
+            </div>
+        `;
+    }
+    /**
+     * Render lateness rule inputs
+     * @param {object} values - Current values (missing = empty)
+     * @param {object} placeholders - Values shown when empty
+     * @param {string} handler - Called with (rule, value) on change
+     */
+    renderLatenessFields(values, placeholders, handler) {
+      const fields = [
+        ["graceMinutes", "Grace period (minutes counted on time)"],
+        ["veryLateMinutes", "Very late from (minutes, 0 = off)"],
+        ["absentMinutes", "Counted absent from (minutes, 0 = off)"]
+      ];
+      return fields.map(([rule, label]) => `
+            <div class="form-group">
+                <label>${label}</label>
+                <input type="number" min="0" value="${values[rule] ?? ""}" placeholder="${placeholders[rule] ?? ""}"
+                       onchange="${handler}('${rule}', this.value)">
+            </div>
+        `).join("");
+    }
+    /**
+     * Change a lateness rule of the current class (empty = global rule)
+     */
+    updateClassLateness(rule, value) {
+      const classObj = this.app.classManager.getById(this.currentClassId);
+      const { [rule]: previous, ...lateness } = classObj.lateness || {};
+      if (value !== "") {
+        lateness[rule] = Math.max(0, parseInt(value) || 0);
+      }
+      this.app.classManager.update(this.currentClassId, { lateness });
+    }
+    /**
+     * Show global lateness rules modal
+     */
+    showLatenessModal() {
+      this.showModal(`
+            <h2>Lateness Rules</h2>
+            <p class="help-text">
+                Used by every class without its own rules (Schedule view).
+                Arrivals already recorded keep their status: use "Recompute lateness" on a date to update them.
+            </p>
+            ${this.renderLatenessFields(this.app.settings.get("lateness"), {}, "window.app.ui.updateLateness")}
+            <div class="form-actions">
+                <button type="button" class="btn" onclick="window.app.ui.closeModal()">Close</button>
+            </div>
+        `);
+    }
+    /**
+     * Change a global lateness rule
+     */
+    updateLateness(rule, value) {
+      this.app.settings.set("lateness", {
+        ...this.app.settings.get("lateness"),
+        [rule]: Math.max(0, parseInt(value) || 0)
+      });
+    }
+    /**
+     * Render the week rotation settings (A/B weeks...)
+     */
+    renderRotationSection(classObj) {
+      const classManager = this.app.classManager;
+      const rotation = classObj.rotation;
+      const weeks = classManager.getWeekCount(classObj.id);
+      return `
+            <form class="rotation-form" onsubmit="window.app.ui.saveRotation(event)">
+                <label>
+                    Rotation
+                    <select name="weeks">
+                        ${[1, 2, 3, 4].map((n) => `
+                            <option value="${n}" ${n === weeks ? "selected" : ""}>
+                                ${n === 1 ? "Same every week" : `${n} weeks`}
+                            </option>
+                        `).join("")}
+                    </select>
+                </label>
+                <label>
+                    Week A starts
+                    <input type="date" name="anchorDate" value="${rotation ? rotation.anchorDate : this.currentDate}">
+                </label>
+                <label>
+                    <input type="checkbox" name="skipClosedWeeks" ${!rotation || rotation.skipClosedWeeks ? "checked" : ""}>
+                    Vacation weeks don't count
+                </label>
+                <button type="submit" class="btn btn-secondary">Apply</button>
+                ${weeks > 1 ? `
+                    <p class="help-text">
+                        ${this.formatDate(this.currentDate)} is in
+                        ${ClassManager.weekLabel(classManager.getWeekIndex(classObj.id, this.currentDate))}
+                    </p>
+                ` : ""}
+            </form>
+        `;
+    }
+    /**
+     * Save the week rotation of the current class
+     */
+    saveRotation(e) {
+      e.preventDefault();
+      const form = e.target;
+      const weeks = parseInt(form.weeks.value);
+      const current = this.app.classManager.getWeekCount(this.currentClassId);
+      if (weeks < current && !confirm(`Remove the schedules of weeks ${ClassManager.weekLabel(weeks).slice(-1)}-${ClassManager.weekLabel(current - 1).slice(-1)}?`)) {
+        return;
+      }
+      this.app.classManager.setRotation(this.currentClassId, {
+        weeks,
+        anchorDate: form.anchorDate.value,
+        skipClosedWeeks: form.skipClosedWeeks.checked
+      });
+      this.refreshCurrentView();
+    }
+    /**
+     * Pick the rotation week edited in the schedule view
+     */
+    selectScheduleWeek(week) {
+      this.scheduleWeek = week;
+      this.refreshCurrentView();
+    }
+    /**
+     * Render the schedule changes for one date (exam day, assembly...)
+     */
+    renderOverrideSection(classObj) {
+      const classManager = this.app.classManager;
+      const date = this.overrideDate || this.currentDate;
+      const override = classManager.getOverride(classObj.id, date);
+      const templateIds = new Set(classManager.getTemplateSessions(classObj.id, date).map((s) => s.id));
+      const sessions = classManager.getDaySessions(classObj.id, date);
+      const recorded = this.app.arrivalTracker.getByClassAndDate(classObj.id, date).length;
+      const otherDates = classManager.getOverrideDates(classObj.id).filter((d) => d !== date);
+      return `
+            <div class="override-section">
+                <h3>Changes for one date</h3>
+                <div class="form-group">
+                    <input type="date" value="${date}" onchange="window.app.ui.selectOverrideDate(this.value)">
+                </div>
+                
+                ${override ? `
+                    <div class="session-list">
+                        ${sessions.map((session, index) => `
+                            <div class="time-inputs ${session.cancelled ? "cancelled" : ""}">
+                                <input type="text" class="session-label" value="${this.escapeHtml(session.label || "")}"
+                                       placeholder="${ClassManager.sessionLabel({}, index)}"
+                                       onchange="window.app.ui.updateOverride('${session.id}', 'label', this.value)">
+                                <input type="time" value="${session.startTime}"
+                                       onchange="window.app.ui.updateOverride('${session.id}', 'startTime', this.value)">
+                                <span>to</span>
+                                <input type="time" value="${session.endTime}"
+                                       onchange="window.app.ui.updateOverride('${session.id}', 'endTime', this.value)">
+                                ${templateIds.has(session.id) ? `
+                                    <label class="cancel-session">
+                                        <input type="checkbox" ${session.cancelled ? "checked" : ""}
+                                               onchange="window.app.ui.updateOverride('${session.id}', 'cancelled', this.checked)">
+                                        Cancelled
+                                    </label>
+                                ` : `
+                                    <button class="icon-btn danger" title="Remove extra session"
+                                            onclick="window.app.ui.removeOverrideSession('${session.id}')">\u2715</button>
+                                `}
+                            </div>
+                        `).join("")}
+                    </div>
+                    <div class="override-actions">
+                        <button class="btn btn-secondary" onclick="window.app.ui.addOverrideSession()">+ Extra session</button>
+                        <button class="btn" onclick="window.app.ui.removeOverride()">Back to weekly schedule</button>
+                    </div>
+                ` : `
+                    <p class="help-text">
+                        ${sessions.length > 0 ? `Weekly schedule: ${sessions.map((s) => `${s.startTime} - ${s.endTime}`).join(", ")}` : "No class in the weekly schedule"}
+                    </p>
+                    <button class="btn btn-secondary" onclick="window.app.ui.createOverride()">Change this date</button>
+                `}
+                
+                ${recorded > 0 ? `
+                    <p class="help-text">${recorded} arrivals already recorded on this date.</p>
+                    <button class="btn btn-secondary" onclick="window.app.ui.recalculateArrivals()">
+                        Recompute lateness of recorded arrivals
+                    </button>
+                ` : ""}
+                
+                ${otherDates.length > 0 ? `
+                    <p class="help-text">Other changed dates:</p>
+                    <div class="override-dates">
+                        ${otherDates.map((d) => `
+                            <button class="btn btn-secondary" onclick="window.app.ui.selectOverrideDate('${d}')">${d}</button>
+                        `).join("")}
+                    </div>
+                ` : ""}
+            </div>
+        `;
+    }
+    /**
+     * Render reports view
+     */
+    renderReportsView(container) {
+      const classObj = this.app.classManager.getById(this.currentClassId);
+      const now = /* @__PURE__ */ new Date();
+      const yearClasses = this.app.classManager.getByYear(this.getViewedYear());
+      container.innerHTML = `
+            <div class="reports-view">
+                <h2>Reports - ${this.escapeHtml(classObj?.name || "Select Class")}</h2>
+                
+                <div class="report-options">
+                    <label>
+                        Classes:
+                        <select id="reportScope">
+                            ${classObj ? `<option value="">${this.escapeHtml(classObj.name)}</option>` : ""}
+                            ${Object.entries(CLASS_FIELDS).map(([field, label]) => {
+        const values = this.app.classManager.getFieldValues(field, yearClasses);
+        return values.length === 0 ? "" : `
+                                    <optgroup label="${label}">
+                                        ${values.map((value) => `
+                                            <option value="${field}:${this.escapeHtml(value)}">
+                                                ${label}: ${this.escapeHtml(value)}
+                                            </option>
+                                        `).join("")}
+                                    </optgroup>
+                                `;
+      }).join("")}
+                        </select>
+                    </label>
+                    
+                    <label>
+                        Month:
+                        <select id="reportMonth">
+                            ${Array.from(
+        { length: 12 },
+        (_, i) => `<option value="${i + 1}" ${i + 1 === now.getMonth() + 1 ? "selected" : ""}>
+                                    ${new Date(0, i).toLocaleString("default", { month: "long" })}
+                                </option>`
+      ).join("")}
+                        </select>
+                    </label>
+                    
+                    <label>
+                        Year:
+                        <select id="reportYear">
+                            ${Array.from(
+        { length: 3 },
+        (_, i) => `<option value="${now.getFullYear() - i}" ${i === 0 ? "selected" : ""}>
+                                    ${now.getFullYear() - i}
+                                </option>`
+      ).join("")}
+                        </select>
+                    </label>
+                </div>
+                
+                <div class="report-columns">
+                    <span>Student columns:</span>
+                    ${Object.entries(STUDENT_COLUMNS).map(([column, title]) => `
+                        <label>
+                            <input type="checkbox" name="reportColumn" value="${column}">
+                            ${title}
+                        </label>
+                    `).join("")}
+                </div>
+                
+                <div class="report-actions">
+                    <button class="btn btn-primary" onclick="window.app.ui.generatePDFReport()">
+                        \u{1F4C4} Generate PDF
+                    </button>
+                    <button class="btn btn-secondary" onclick="window.app.ui.generateCSVReport()">
+                        \u{1F4CA} Export CSV
+                    </button>
+                </div>
+                
+                <div id="reportPreview" class="report-preview"></div>
+            </div>
+        `;
+    }
+    /**
+     * Show add class modal
+     */
+    showAddClassModal() {
+      this.showModal(`
+            <h2>Add Class</h2>
+            <form onsubmit="window.app.ui.addClass(event)">
+                <div class="form-group">
+                    <label>Class Name</label>
+                    <input type="text" name="className" placeholder="e.g., 1AEP" required>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn" onclick="window.app.ui.closeModal()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Add</button>
+                </div>
+            </form>
+        `);
+    }
+    /**
+     * Add new class
+     */
+    addClass(e) {
+      e.preventDefault();
+      const form = e.target;
+      const name = form.className.value;
+      this.app.classManager.add(name);
+      this.currentYear = null;
+      this.showClassSelector();
+      this.closeModal();
+    }
+    /**
+     * Show the classes of the school year shown, to add, rename or delete them
+     */
+    showClassesModal() {
+      const year = this.getViewedYear();
+      const classes = this.app.classManager.getByYear(year);
+      const trashed = this.app.trash.getAll().length;
+      this.showModal(`
+            <h2>Classes ${year}</h2>
+            ${classes.length === 0 ? '<p class="empty-state">No classes yet</p>' : `
+                <ul class="workspace-list">
+                    ${classes.map((c) => `
+                        <li class="workspace-item">
+                            <span class="workspace-name">
+                                ${this.escapeHtml(c.name)}
+                                <span class="help-text">
+                                    ${[c.level, c.teacher, c.room].filter(Boolean).map((v) => this.escapeHtml(v)).join(" \xB7 ")}
+                                    ${this.app.studentManager.getSortedByName(c.id).length} students
+                                </span>
+                            </span>
+                            <span class="workspace-actions">
+                                <button class="icon-btn" title="Edit" onclick="window.app.ui.showEditClassModal('${c.id}')">\u270F\uFE0F</button>
+                                <button class="icon-btn danger" title="Delete" onclick="window.app.ui.deleteClass('${c.id}')">\u{1F5D1}\uFE0F</button>
+                            </span>
+                        </li>
+                    `).join("")}
+                </ul>
+            `}
+            ${year === this.app.classManager.getCurrentYear() ? `
+                <form onsubmit="window.app.ui.importTimetableClass(event)">
+                    <div class="form-group">
+                        <label>New class from a timetable (.ics)</label>
+                        <input type="text" name="className" placeholder="Class name, e.g., 1AEP" required>
+                        <input type="file" name="icsFile" accept=".ics,text/calendar" required>
+                    </div>
+                    <div class="form-actions">
+                        <button type="submit" class="btn btn-secondary">\u{1F4E5} Import</button>
+                    </div>
+                </form>
+            ` : ""}
+            <div class="form-actions">
+                <button type="button" class="btn" onclick="window.app.ui.showTrashModal()">\u{1F5D1}\uFE0F Trash (${trashed})</button>
+                <button type="button" class="btn" onclick="window.app.ui.closeModal()">Close</button>
+                ${year === this.app.classManager.getCurrentYear() ? `
+                    <button type="button" class="btn btn-primary" onclick="window.app.ui.showAddClassModal()">+ Add Class</button>
+                ` : ""}
+            </div>
+        `);
+    }
+    /**
+     * Show the edit form of a class
+     */
+    showEditClassModal(classId) {
+      const classObj = this.app.classManager.getById(classId);
+      if (!classObj) return;
+      this.showModal(`
+            <h2>Edit Class</h2>
+            <form onsubmit="window.app.ui.saveClass(event, '${classId}')">
+                <div class="form-group">
+                    <label>Class Name</label>
+                    <input type="text" name="className" value="${this.escapeHtml(classObj.name)}" required>
+                </div>
+                ${Object.entries(CLASS_FIELDS).map(([field, label]) => `
+                    <div class="form-group">
+                        <label>${label}</label>
+                        <input type="text" name="${field}" value="${this.escapeHtml(classObj[field] || "")}" list="${field}Values">
+                        <datalist id="${field}Values">
+                            ${this.app.classManager.getFieldValues(field).map(
+        (value) => `<option value="${this.escapeHtml(value)}">`
+      ).join("")}
+                        </datalist>
+                    </div>
+                `).join("")}
+                <div class="form-group">
+                    <label>Color</label>
+                    <div class="color-choices">
+                        <label class="color-choice">
+                            <input type="radio" name="color" value="" ${!classObj.color ? "checked" : ""}>
+                            <span class="color-swatch none">\u2715</span>
+                        </label>
+                        ${CLASS_COLORS.map((color) => `
+                            <label class="color-choice">
+                                <input type="radio" name="color" value="${color}" ${classObj.color === color ? "checked" : ""}>
+                                <span class="color-swatch" style="background: ${color}"></span>
+                            </label>
+                        `).join("")}
+                    </div>
+                </div>
+                <p class="help-text">
+                    ${classObj.schoolYear}${classObj.archived ? " (archived)" : ""} \xB7
+                    ${this.app.studentManager.getSortedByName(classId).length} students \xB7
+                    ${this.app.arrivalTracker.getAll().filter((a) => a.classId === classId).length} arrivals
+                </p>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-danger" onclick="window.app.ui.deleteClass('${classId}')">Delete class</button>
+                    <button type="button" class="btn" onclick="window.app.ui.showClassesModal()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Save</button>
+                </div>
+            </form>
+        `);
+    }
+    /**
+     * Save the name and description of a class
+     */
+    saveClass(e, classId) {
+      e.preventDefault();
+      const form = e.target;
+      const name = form.className.value.trim();
+      if (!name) return;
+      const updates = { name, color: form.color.value || null };
+      Object.keys(CLASS_FIELDS).forEach((field) => {
+        updates[field] = form[field].value.trim();
+      });
+      this.app.classManager.update(classId, updates);
+      this.showClassSelector();
+      this.refreshCurrentView();
+      this.showClassesModal();
+    }
+    /**
+     * Move a class with its students and arrivals to the trash
+     */
+    deleteClass(classId) {
+      const classObj = this.app.classManager.getById(classId);
+      if (!classObj) return;
+      const students = this.app.studentManager.getByClass(classId).length;
+      if (!confirm(`Delete ${classObj.name} and its ${students} students? It stays in the trash for ${RETENTION_DAYS} days.`)) {
+        return;
+      }
+      const item = this.app.trash.deleteClass(classId);
+      if (this.currentClassId === classId) {
+        this.currentClassId = null;
+      }
+      this.showClassSelector();
+      this.refreshCurrentView();
+      this.showModal(`
+            <h2>Class Deleted</h2>
+            <p>
+                ${this.escapeHtml(classObj.name)} was moved to the trash with
+                ${item.students.length} students and ${item.arrivals.length} arrivals.
+            </p>
+            <div class="form-actions">
+                <button type="button" class="btn" onclick="window.app.ui.restoreClass('${item.id}')">\u21A9\uFE0F Undo</button>
+                <button type="button" class="btn btn-primary" onclick="window.app.ui.showClassesModal()">OK</button>
+            </div>
+        `);
+    }
+    /**
+     * Show deleted classes
+     */
+    showTrashModal() {
+      const items = this.app.trash.getAll();
+      this.showModal(`
+            <h2>Trash</h2>
+            <p class="help-text">Deleted classes and students are kept ${RETENTION_DAYS} days with their arrivals.</p>
+            ${items.length === 0 ? '<p class="empty-state">The trash is empty</p>' : `
+                <ul class="workspace-list">
+                    ${items.map((item) => `
+                        <li class="workspace-item">
+                            <span class="workspace-name">
+                                ${item.student ? `
+                                    ${this.escapeHtml(item.student.name)}
+                                ` : `
+                                    ${this.escapeHtml(item.class.name)} ${item.class.schoolYear || ""}
+                                `}
+                                <span class="help-text">
+                                    ${item.student ? "" : `${item.students.length} students, `}${item.arrivals.length} arrivals \xB7
+                                    deleted ${this.formatDate(item.deletedAt)} \xB7
+                                    purged ${this.formatDate(new Date(Trash.expiresAt(item)).toISOString())}
+                                </span>
+                            </span>
+                            <span class="workspace-actions">
+                                <button class="btn btn-secondary"
+                                        onclick="window.app.ui.${item.student ? "restoreStudent" : "restoreClass"}('${item.id}')">Restore</button>
+                                <button class="icon-btn danger" title="Delete for good" onclick="window.app.ui.purgeTrashItem('${item.id}')">\u2715</button>
+                            </span>
+                        </li>
+                    `).join("")}
+                </ul>
+            `}
+            <div class="form-actions">
+                <button type="button" class="btn" onclick="window.app.ui.showClassesModal()">Back</button>
+            </div>
+        `);
+    }
+    /**
+     * Put a deleted class back
+     */
+    restoreClass(itemId) {
+      const result = this.app.trash.restore(itemId);
+      if (!result.success) {
+        alert(result.error);
+        return;
+      }
+      this.currentYear = result.class.schoolYear === this.app.classManager.getCurrentYear() ? null : result.class.schoolYear;
+      this.currentClassId = result.class.id;
+      this.showClassSelector();
+      this.refreshCurrentView();
+      this.showClassesModal();
+    }
+    /**
+     * Put a deleted student back
+     */
+    restoreStudent(itemId) {
+      const result = this.app.trash.restore(itemId);
+      if (!result.success) {
+        alert(result.error);
+        return;
+      }
+      this.refreshCurrentView();
+      this.closeModal();
+    }
+    /**
+     * Delete a trashed class or student for good
+     */
+    purgeTrashItem(itemId) {
+      const item = this.app.trash.getById(itemId);
+      const what = item && (item.student ? `${item.student.name} and the arrivals` : `${item.class.name}, its students and arrivals`);
+      if (item && confirm(`Delete ${what} for good?`)) {
+        this.app.trash.purge(itemId);
+        this.showTrashModal();
+      }
+    }
+    /**
+     * Show add student modal
+     */
+    showAddStudentModal() {
+      this.showStudentForm(null);
+    }
+    /**
+     * Student profile form, to add a student or edit one
+     * (read-only for the students of a past school year)
+     * @param {string|null} studentId
+     */
+    showStudentForm(studentId) {
+      const student = studentId ? this.app.studentManager.getById(studentId) : null;
+      if (studentId && !student) return;
+      const classObj = this.app.classManager.getById(student ? student.classId : this.currentClassId);
+      const readOnly = !classObj || !!classObj.archived;
+      const value = (field) => student ? this.escapeHtml(student[field] || "") : "";
+      const guardians = student && student.guardians && student.guardians.length > 0 ? student.guardians : [{}];
+      this.showModal(`
+            <h2>${student ? this.escapeHtml(student.name) : "Add Student"}</h2>
+            <form onsubmit="window.app.ui.saveStudent(event, ${student ? `'${student.id}'` : "null"})">
+                <fieldset class="student-fields" ${readOnly ? "disabled" : ""}>
+                    <div class="form-group">
+                        <label>Name</label>
+                        <input type="text" name="studentName" value="${value("name")}" placeholder="As shown in the class" required>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label>First name</label>
+                            <input type="text" name="firstName" value="${value("firstName")}">
+                        </div>
+                        <div class="form-group">
+                            <label>Last name</label>
+                            <input type="text" name="lastName" value="${value("lastName")}">
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label>Student code</label>
+                            <input type="text" name="code" value="${value("code")}" placeholder="Official code">
+                        </div>
+                        <div class="form-group">
+                            <label>Gender</label>
+                            <select name="gender">
+                                <option value="">\u2014</option>
+                                ${Object.entries(GENDERS).map(([gender, label]) => `
+                                    <option value="${gender}" ${student && student.gender === gender ? "selected" : ""}>${label}</option>
+                                `).join("")}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label>Birth date</label>
+                            <input type="date" name="birthDate" value="${value("birthDate")}">
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label>Photo URL (optional)</label>
+                        <input type="url" name="photoUrl" value="${value("photoUrl")}" placeholder="https://...">
+                    </div>
+                    <h3>Guardians</h3>
+                    <div id="guardianRows">
+                        ${guardians.map((guardian) => this.renderGuardianRow(guardian)).join("")}
+                    </div>
+                    <button type="button" class="btn btn-secondary" onclick="window.app.ui.addGuardianRow()">+ Add guardian</button>
+                </fieldset>
+                <div class="form-actions">
+                    <button type="button" class="btn" onclick="window.app.ui.closeModal()">${readOnly ? "Close" : "Cancel"}</button>
+                    ${readOnly ? "" : `<button type="submit" class="btn btn-primary">${student ? "Save" : "Add"}</button>`}
+                </div>
+            </form>
+        `);
+    }
+    /**
+     * Contact fields of one guardian in the student form
+     * @param {object} guardian - { name, relation, phone, email }
+     * @returns {string} HTML
+     */
+    renderGuardianRow(guardian = {}) {
+      const value = (field) => this.escapeHtml(guardian[field] || "");
+      return `
+            <div class="guardian-row">
+                <input type="text" name="guardianName" value="${value("name")}" placeholder="Name">
+                <input type="text" name="guardianRelation" value="${value("relation")}" placeholder="Mother, father..." list="guardianRelations">
+                <input type="tel" name="guardianPhone" value="${value("phone")}" placeholder="Phone">
+                <input type="email" name="guardianEmail" value="${value("email")}" placeholder="Email">
+                <button type="button" class="icon-btn danger" title="Remove"
+                        onclick="this.closest('.guardian-row').remove()">\u2715</button>
+                <datalist id="guardianRelations">
+                    <option value="Mother"><option value="Father"><option value="Guardian">
+                </datalist>
+            </div>
+        `;
+    }
+    /**
+     * Add empty guardian fields to the student form
+     */
+    addGuardianRow() {
+      document.getElementById("guardianRows").insertAdjacentHTML("beforeend", this.renderGuardianRow());
+    }
+    /**
+     * Add a student, or save the profile of one
+     */
+    saveStudent(e, studentId) {
+      e.preventDefault();
+      const form = e.target;
+      const studentManager = this.app.studentManager;
+      const text = (input) => input.value.trim();
+      const profile = {
+        name: text(form.studentName),
+        firstName: text(form.firstName),
+        lastName: text(form.lastName),
+        code: text(form.code),
+        gender: form.gender.value,
+        birthDate: form.birthDate.value,
+        photoUrl: text(form.photoUrl) || null,
+        guardians: [...form.querySelectorAll(".guardian-row")].map((row) => ({
+          name: text(row.querySelector("[name=guardianName]")),
+          relation: text(row.querySelector("[name=guardianRelation]")),
+          phone: text(row.querySelector("[name=guardianPhone]")),
+          email: text(row.querySelector("[name=guardianEmail]"))
+        })).filter((g) => g.name || g.relation || g.phone || g.email)
+      };
+      const error = studentManager.checkProfile(profile, studentId);
+      if (error) {
+        alert(error);
+        return;
+      }
+      if (studentId) {
+        studentManager.update(studentId, profile);
+      } else {
+        const { name, photoUrl, ...details } = profile;
+        studentManager.add(name, this.currentClassId, photoUrl, details);
+      }
+      this.refreshCurrentView();
+      this.closeModal();
+    }
+    /**
+     * Photo of a student: take one, pick one, or remove it
+     * @param {string} studentId
+     */
+    showPhotoModal(studentId) {
+      const student = this.app.studentManager.getById(studentId);
+      if (!student) return;
+      const photo = this.app.photos.get(studentId);
+      this.showModal(`
+            <h2>${this.escapeHtml(student.name)}</h2>
+            <div class="photo-editor">
+                <div class="student-photo large">
+                    ${photo ? `<img src="${photo}" alt="">` : '<div class="photo-placeholder">\u{1F464}</div>'}
+                </div>
+                <label class="btn btn-primary file-btn">
+                    \u{1F4F7} Take Photo
+                    <input type="file" accept="image/*" capture="environment" hidden
+                           onchange="window.app.ui.pickStudentPhoto('${studentId}', this.files[0])">
+                </label>
+                <label class="btn btn-secondary file-btn">
+                    \u{1F5BC}\uFE0F Choose File
+                    <input type="file" accept="image/*" hidden
+                           onchange="window.app.ui.pickStudentPhoto('${studentId}', this.files[0])">
+                </label>
+                ${this.app.photos.has(studentId) ? `
+                    <button class="btn btn-danger" onclick="window.app.ui.removeStudentPhoto('${studentId}')">Remove</button>
+                ` : ""}
+            </div>
+            <p class="help-text">Photos stay on this device (and in backups): they show even offline.</p>
+            <div class="form-actions">
+                <button type="button" class="btn" onclick="window.app.ui.closeModal()">Close</button>
+            </div>
+        `);
+    }
+    /**
+     * Crop the photo just taken or picked
+     * @param {string} studentId
+     * @param {File} file
+     */
+    async pickStudentPhoto(studentId, file) {
+      if (!file) return;
+      let image;
+      try {
+        image = await StudentPhotos.loadImage(file);
+      } catch (error) {
+        alert(error.message);
+        return;
+      }
+      this.photoCrop = { studentId, image, crop: { zoom: 1, x: 0.5, y: 0.5 } };
+      this.showModal(`
+            <h2>Crop Photo</h2>
+            <form class="photo-crop" onsubmit="window.app.ui.savePhotoCrop(event)" oninput="window.app.ui.updatePhotoCrop(this)">
+                <canvas id="photoCropPreview" width="${PHOTO_SIZE}" height="${PHOTO_SIZE}"></canvas>
+                <label>Zoom <input type="range" name="zoom" min="1" max="4" step="0.05" value="1"></label>
+                <label>Horizontal <input type="range" name="x" min="0" max="1" step="0.01" value="0.5"></label>
+                <label>Vertical <input type="range" name="y" min="0" max="1" step="0.01" value="0.5"></label>
+                <div class="form-actions">
+                    <button type="button" class="btn" onclick="window.app.ui.showPhotoModal('${studentId}')">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Save</button>
+                </div>
+            </form>
+        `);
+      StudentPhotos.draw(document.getElementById("photoCropPreview"), image, this.photoCrop.crop);
+    }
+    /**
+     * Follow the crop sliders
+     * @param {HTMLFormElement} form
+     */
+    updatePhotoCrop(form) {
+      const { image, crop } = this.photoCrop;
+      Object.assign(crop, {
+        zoom: parseFloat(form.zoom.value),
+        x: parseFloat(form.x.value),
+        y: parseFloat(form.y.value)
+      });
+      StudentPhotos.draw(document.getElementById("photoCropPreview"), image, crop);
+    }
+    /**
+     * Store the cropped photo
+     */
+    async savePhotoCrop(e) {
+      e.preventDefault();
+      const { studentId, image, crop } = this.photoCrop;
+      await this.app.photos.setImage(studentId, image, crop);
+      this.photoCrop = null;
+      this.refreshCurrentView();
+      this.showPhotoModal(studentId);
+    }
+    /**
+     * Delete the photo taken for a student
+     * @param {string} studentId
+     */
+    removeStudentPhoto(studentId) {
+      if (!confirm("Remove this photo?")) return;
+      this.app.photos.delete(studentId);
+      this.refreshCurrentView();
+      this.showPhotoModal(studentId);
+    }
+    /**
+     * Give photos to the whole class from files named after the students
+     */
+    showPhotoImportModal() {
+      this.showModal(`
+            <h2>Import Photos</h2>
+            <p class="help-text">
+                Image files (or a ZIP archive of them) named after the student code or name,
+                e.g., J130000001.jpg or Sara El Amrani.png. Photos are cropped to a square.
+            </p>
+            <form onsubmit="window.app.ui.importPhotos(event)">
+                <div class="form-group">
+                    <label>Files or ZIP archive</label>
+                    <input type="file" name="photoFiles" accept="image/*,.zip" multiple>
+                </div>
+                <div class="form-group">
+                    <label>Or a folder</label>
+                    <input type="file" name="photoFolder" webkitdirectory>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn" onclick="window.app.ui.closeModal()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Import</button>
+                </div>
+            </form>
+        `);
+    }
+    /**
+     * Match the chosen photo files with the students of the class
+     */
+    async importPhotos(e) {
+      e.preventDefault();
+      const form = e.target;
+      const files = [...form.photoFiles.files, ...form.photoFolder.files];
+      if (files.length === 0) return;
+      let result;
+      try {
+        result = await this.app.photos.assignFiles(files, this.currentClassId);
+      } catch (error) {
+        alert(error.message);
+        return;
+      }
+      const list = (names) => names.slice(0, 10).join(", ") + (names.length > 10 ? "..." : "");
+      alert(`${result.assigned} photos imported` + (result.unmatched.length > 0 ? `
+No student found for: ${list(result.unmatched)}` : "") + (result.failed.length > 0 ? `
+Not readable: ${list(result.failed)}` : ""));
+      this.refreshCurrentView();
+      this.closeModal();
+    }
+    /**
+     * Show import modal
+     */
+    showImportModal() {
+      this.rosterImport = null;
+      this.showModal(`
+            <h2>Import Students</h2>
+            <p class="help-text">An Excel workbook or a CSV file, e.g., the class list exported by the school information system: you choose the columns on the next step.</p>
+            <form onsubmit="window.app.ui.readRoster(event)">
+                <div class="form-group">
+                    <label>File</label>
+                    <input type="file" name="rosterFile" accept=".xlsx,.csv,.txt,text/csv">
+                </div>
+                <div class="form-group">
+                    <label>Or paste the list</label>
+                    <textarea name="csvContent" rows="6" placeholder="Ahmed&#10;Sara,https://...&#10;Khalid"></textarea>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn" onclick="window.app.ui.closeModal()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Next</button>
+                </div>
+            </form>
+        `);
+    }
+    /**
+     * Read a roster file (or pasted list) and guess its columns
+     */
+    async readRoster(e) {
+      e.preventDefault();
+      const form = e.target;
+      const file = form.rosterFile.files[0];
+      let roster;
+      try {
+        roster = file ? await StudentManager.readRoster(await file.arrayBuffer(), file.name) : await StudentManager.readRoster(new TextEncoder().encode(form.csvContent.value).buffer, "list.csv");
+      } catch (error) {
+        alert(error.message);
+        return;
+      }
+      if (roster.sheets.length === 0 || roster.sheets[0].rows.length === 0) {
+        alert("No students in this file");
+        return;
+      }
+      this.rosterImport = { ...roster, sheet: 0 };
+      this.selectRosterSheet(0);
+    }
+    /**
+     * Roster import: read another sheet of the workbook
+     * @param {number} index
+     */
+    selectRosterSheet(index) {
+      const state = this.rosterImport;
+      const rows = state.sheets[index].rows;
+      const { headerRow, mapping, classLabel } = StudentManager.detectHeader(rows);
+      const currentClass = this.app.classManager.getById(this.currentClassId);
+      Object.assign(state, {
+        sheet: index,
+        rows,
+        headerRow,
+        mapping,
+        classLabel,
+        // A list of another class goes to a new class
+        newClass: !currentClass || this.app.classManager.isArchived(currentClass.id) || !!classLabel && Names.key(classLabel) !== Names.key(currentClass.name)
+      });
+      this.showRosterMapping();
+    }
+    /**
+     * Roster import: column mapping and preview
+     */
+    showRosterMapping() {
+      const { encoding, delimiter, sheets, sheet, rows, headerRow, mapping, classLabel, newClass } = this.rosterImport;
+      const currentClass = this.app.classManager.getById(this.currentClassId);
+      const width = Math.max(...rows.map((row) => row.length));
+      const columns = Array.from(
+        { length: width },
+        (_, i) => headerRow >= 0 && rows[headerRow][i] ? rows[headerRow][i] : `Column ${i + 1}`
+      );
+      const delimiters = { ",": "Comma", ";": "Semicolon", "	": "Tab", "|": "Pipe" };
+      this.showModal(`
+            <h2>Import Students</h2>
+            <p class="help-text">${encoding ? `${encoding} file \xB7 ` : ""}${rows.length} rows</p>
+            <form onsubmit="window.app.ui.applyRosterImport(event)" onchange="window.app.ui.updateRosterMapping(this)">
+                <div class="roster-options">
+                    ${sheets.length > 1 ? `
+                        <label>
+                            Sheet
+                            <select name="sheet">
+                                ${sheets.map((s, i) => `
+                                    <option value="${i}" ${i === sheet ? "selected" : ""}>${this.escapeHtml(s.name)}</option>
+                                `).join("")}
+                            </select>
+                        </label>
+                    ` : ""}
+                    ${delimiter ? `
+                        <label>
+                            Separator
+                            <select name="delimiter">
+                                ${Object.entries(delimiters).map(([value, label]) => `
+                                    <option value="${this.escapeHtml(value)}" ${value === delimiter ? "selected" : ""}>${label}</option>
+                                `).join("")}
+                            </select>
+                        </label>
+                    ` : ""}
+                    <label>
+                        Header row
+                        <select name="headerRow">
+                            <option value="-1">None</option>
+                            ${rows.slice(0, 20).map((row, i) => `
+                                <option value="${i}" ${i === headerRow ? "selected" : ""}>
+                                    ${i + 1}: ${this.escapeHtml(row.filter(Boolean).join(", ").slice(0, 40))}
+                                </option>
+                            `).join("")}
+                        </select>
+                    </label>
+                </div>
+                <div class="roster-mapping">
+                    ${Object.entries(ROSTER_FIELDS).map(([field, label]) => `
+                        <label>
+                            ${label}
+                            <select name="map_${field}">
+                                <option value="-1">\u2014</option>
+                                ${columns.map((column, i) => `
+                                    <option value="${i}" ${mapping[field] === i ? "selected" : ""}>${this.escapeHtml(column)}</option>
+                                `).join("")}
+                            </select>
+                        </label>
+                    `).join("")}
+                </div>
+                <div class="roster-options">
+                    ${currentClass && !this.app.classManager.isArchived(currentClass.id) ? `
+                        <label>
+                            <input type="radio" name="rosterTarget" value="current" ${newClass ? "" : "checked"}>
+                            Into ${this.escapeHtml(currentClass.name)}
+                        </label>
+                    ` : ""}
+                    <label>
+                        <input type="radio" name="rosterTarget" value="new" ${newClass ? "checked" : ""}>
+                        Into a new class
+                        <input type="text" name="newClassName" value="${this.escapeHtml(classLabel)}" placeholder="Class name">
+                    </label>
+                </div>
+                <div id="rosterPreview">${this.renderRosterPreview()}</div>
+                <label>
+                    <input type="checkbox" name="includeDuplicates">
+                    Also import the possible duplicates
+                </label>
+                <div class="form-actions">
+                    <button type="button" class="btn" onclick="window.app.ui.showImportModal()">Back</button>
+                    <button type="submit" class="btn btn-primary">Import</button>
+                </div>
+            </form>
+        `);
+    }
+    /**
+     * Preview table of the roster being imported
+     * @returns {string} HTML
+     */
+    renderRosterPreview() {
+      const preview = this.getRosterPreview();
+      const errors = preview.filter((entry) => entry.errors.length > 0).length;
+      const duplicates = preview.filter((entry) => entry.errors.length === 0 && entry.duplicate).length;
+      return `
+            <p class="help-text">
+                ${preview.length - errors - duplicates} new students${duplicates > 0 ? ` \xB7 ${duplicates} possible duplicates` : ""}${errors > 0 ? ` \xB7 ${errors} rows with errors (not imported)` : ""}
+            </p>
+            <div class="roster-preview">
+                <table class="rollover-table">
+                    <thead><tr><th>Row</th><th>Name</th><th>Code</th><th>Birth date</th><th>Photo</th><th></th></tr></thead>
+                    <tbody>
+                        ${preview.map((entry) => `
+                            <tr class="${entry.errors.length > 0 ? "row-error" : entry.duplicate ? "row-duplicate" : ""}">
+                                <td>${entry.row}</td>
+                                <td>${this.escapeHtml(entry.name)}</td>
+                                <td>${this.escapeHtml(entry.code)}</td>
+                                <td>${entry.birthDate || ""}</td>
+                                <td>${entry.photoUrl ? "\u{1F4F7}" : ""}</td>
+                                <td>${this.escapeHtml(entry.errors.length > 0 ? entry.errors.join(", ") : entry.duplicate || "")}</td>
+                            </tr>
+                        `).join("")}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+    /**
+     * Rows of the roster being imported, checked against the class they go to
+     * @returns {array}
+     */
+    getRosterPreview() {
+      const { rows, mapping, headerRow, newClass } = this.rosterImport;
+      return this.app.studentManager.previewImport(rows, mapping, newClass ? null : this.currentClassId, headerRow);
+    }
+    /**
+     * Apply the sheet, separator, header, column and class choices of the roster import
+     * @param {HTMLFormElement} form
+     */
+    updateRosterMapping(form) {
+      const state = this.rosterImport;
+      if (form.sheet && parseInt(form.sheet.value) !== state.sheet) {
+        this.selectRosterSheet(parseInt(form.sheet.value));
+        return;
+      }
+      if (form.delimiter && form.delimiter.value !== state.delimiter) {
+        state.delimiter = form.delimiter.value;
+        state.sheets[0].rows = CSV.parse(state.text, state.delimiter);
+        this.selectRosterSheet(0);
+        return;
+      }
+      state.newClass = form.rosterTarget.value === "new";
+      state.classLabel = form.newClassName.value;
+      const headerRow = parseInt(form.headerRow.value);
+      if (headerRow !== state.headerRow) {
+        state.headerRow = headerRow;
+        state.mapping = StudentManager.guessMapping(state.rows[headerRow] || []).mapping;
+        this.showRosterMapping();
+        return;
+      }
+      Object.keys(ROSTER_FIELDS).forEach((field) => {
+        state.mapping[field] = parseInt(form[`map_${field}`].value);
+      });
+      document.getElementById("rosterPreview").innerHTML = this.renderRosterPreview();
+    }
+    /**
+     * Import the previewed roster
+     */
+    applyRosterImport(e) {
+      e.preventDefault();
+      const form = e.target;
+      const state = this.rosterImport;
+      const className = form.newClassName.value.trim();
+      if (state.newClass && !className) {
+        alert("Name the new class");
+        return;
+      }
+      const preview = this.getRosterPreview();
+      const result = this.app.backupManager.protect("before-roster-import", () => {
+        const classId = state.newClass ? this.app.classManager.add(className).id : this.currentClassId;
+        return { classId, ...this.app.studentManager.importRows(preview, classId, form.includeDuplicates.checked) };
+      });
+      alert(`Imported ${result.imported} students` + (result.skipped > 0 ? `, skipped ${result.skipped} duplicates` : "") + (result.errors.length > 0 ? ". Errors: " + result.errors.join(", ") : ""));
+      this.rosterImport = null;
+      if (state.newClass) {
+        this.currentYear = null;
+        this.currentClassId = result.classId;
+        this.showClassSelector();
+      }
+      this.refreshCurrentView();
+      this.closeModal();
+    }
+    /**
+     * Delete student
+     */
+    deleteStudent(studentId) {
+      const item = this.app.trash.deleteStudent(studentId);
+      if (!item) return;
+      this.refreshCurrentView();
+      this.showModal(`
+            <h2>Student Deleted</h2>
+            <p>
+                ${this.escapeHtml(item.student.name)} was moved to the trash with
+                ${item.arrivals.length} arrivals for ${RETENTION_DAYS} days.
+            </p>
+            <div class="form-actions">
+                <button type="button" class="btn" onclick="window.app.ui.restoreStudent('${item.id}')">\u21A9\uFE0F Undo</button>
+                <button type="button" class="btn btn-primary" onclick="window.app.ui.closeModal()">OK</button>
+            </div>
+        `);
+    }
+    /**
+     * Withdraw a student who left, delete one added by mistake, or erase
+     * everything about a student
+     * @param {string} studentId
+     */
+    showRemoveStudentModal(studentId) {
+      const student = this.app.studentManager.getById(studentId);
+      if (!student) return;
+      const arrivals = this.app.arrivalTracker.getAll().filter((a) => a.studentId === studentId).length;
+      this.showModal(`
+            <h2>Remove ${this.escapeHtml(student.name)}</h2>
+            ${student.withdrawnOn ? "" : `
+                <form onsubmit="window.app.ui.withdrawStudent(event, '${studentId}')">
+                    <h3>Withdraw</h3>
+                    <p class="help-text">
+                        The student left the school: off the tracker from this date on,
+                        still in the reports of the days before.
+                    </p>
+                    <div class="form-group">
+                        <label>First day out of the class</label>
+                        <input type="date" name="withdrawalDate" value="${this.currentDate}" required>
+                    </div>
+                    <div class="form-actions">
+                        <button type="submit" class="btn btn-primary">Withdraw</button>
+                    </div>
+                </form>
+            `}
+            <h3>Delete</h3>
+            <p class="help-text">
+                Added by mistake: the student and ${arrivals} arrivals leave the reports
+                and stay in the trash for ${RETENTION_DAYS} days.
+            </p>
+            <div class="form-actions">
+                <button type="button" class="btn" onclick="window.app.ui.deleteStudent('${studentId}')">\u{1F5D1}\uFE0F Move to trash</button>
+            </div>
+            <h3>Erase all data</h3>
+            <p class="help-text">
+                For a privacy request: the student's records in every school year, arrivals and photo
+                are deleted for good, also from the trash and restore points of this device, and the
+                history of changes keeps only who made them and when. With sync, the deletions and the
+                cleaned history replace the copies on the server and the other devices, but not what
+                their own trash or restore points hold. Backup files already saved are not affected.
+            </p>
+            <div class="form-actions">
+                <button type="button" class="btn btn-danger" onclick="window.app.ui.eraseStudent('${studentId}')">Erase all data</button>
+            </div>
+            <div class="form-actions">
+                <button type="button" class="btn" onclick="window.app.ui.closeModal()">Cancel</button>
+            </div>
+        `);
+    }
+    /**
+     * Mark a student as withdrawn from a date on
+     */
+    withdrawStudent(e, studentId) {
+      e.preventDefault();
+      const date = e.target.withdrawalDate.value;
+      if (!this.checkLeavingDate(studentId, date)) return;
+      const result = this.app.studentManager.withdraw(studentId, date);
+      if (!result.success) {
+        alert(result.error);
+        return;
+      }
+      this.refreshCurrentView();
+      this.closeModal();
+    }
+    /**
+     * Take a withdrawn student back in the class
+     */
+    reinstateStudent(studentId) {
+      const student = this.app.studentManager.getById(studentId);
+      if (student && confirm(`Take ${student.name} back in the class?`)) {
+        this.app.studentManager.reinstate(studentId);
+        this.refreshCurrentView();
+      }
+    }
+    /**
+     * Erase everything about a student, after confirmation
+     * @param {string} studentId
+     */
+    eraseStudent(studentId) {
+      const student = this.app.studentManager.getById(studentId);
+      if (!student) return;
+      const typed = prompt(`Erase all data of ${student.name}? This cannot be undone.
+Type the student's name to confirm:`);
+      if (typed === null) return;
+      if (typed.trim() !== student.name) {
+        alert("The name does not match: nothing was erased");
+        return;
+      }
+      const result = this.app.trash.eraseStudent(studentId);
+      this.refreshCurrentView();
+      this.showModal(`
+            <h2>Data Erased</h2>
+            <p>${result.students} student records and ${result.arrivals} arrivals were erased.</p>
+            <div class="form-actions">
+                <button type="button" class="btn btn-primary" onclick="window.app.ui.closeModal()">OK</button>
+            </div>
+        `);
+    }
+    /**
+     * Toggle day in schedule
+     */
+    toggleDay(day) {
+      const classManager = this.app.classManager;
+      const classObj = classManager.getById(this.currentClassId);
+      const current = classManager.getWeekSchedule(classObj, this.scheduleWeek)[day]?.enabled || false;
+      classManager.setDayEnabled(this.currentClassId, day, !current, this.scheduleWeek);
+      this.refreshCurrentView();
+    }
+    /**
+     * Update a session of the schedule (label or time)
+     */
+    updateSchedule(day, sessionId, field, value) {
+      this.app.classManager.updateSession(this.currentClassId, day, sessionId, { [field]: value }, this.scheduleWeek);
+    }
+    /**
+     * Add a session to a day of the schedule
+     */
+    addSession(day) {
+      this.app.classManager.addSession(this.currentClassId, day, this.scheduleWeek);
+      this.refreshCurrentView();
+    }
+    /**
+     * Remove a session from a day of the schedule
+     */
+    removeSession(day, sessionId) {
+      if (!confirm("Remove this session? Arrivals already recorded are kept.")) return;
+      this.app.classManager.removeSession(this.currentClassId, day, sessionId, this.scheduleWeek);
+      this.refreshCurrentView();
+    }
+    /**
+     * Pick the date whose schedule changes are edited
+     */
+    selectOverrideDate(date) {
+      this.overrideDate = date;
+      this.refreshCurrentView();
+    }
+    /**
+     * Start changing the schedule of the selected date
+     */
+    createOverride() {
+      this.app.classManager.createOverride(this.currentClassId, this.overrideDate || this.currentDate);
+      this.refreshCurrentView();
+    }
+    /**
+     * Update a session of the selected date (label, time or cancelled)
+     */
+    updateOverride(sessionId, field, value) {
+      this.app.classManager.updateOverrideSession(
+        this.currentClassId,
+        this.overrideDate || this.currentDate,
+        sessionId,
+        { [field]: value }
+      );
+      if (field === "cancelled") this.refreshCurrentView();
+    }
+    /**
+     * Add an extra session on the selected date
+     */
+    addOverrideSession() {
+      this.app.classManager.addOverrideSession(this.currentClassId, this.overrideDate || this.currentDate);
+      this.refreshCurrentView();
+    }
+    /**
+     * Remove an extra session from the selected date
+     */
+    removeOverrideSession(sessionId) {
+      this.app.classManager.removeOverrideSession(this.currentClassId, this.overrideDate || this.currentDate, sessionId);
+      this.refreshCurrentView();
+    }
+    /**
+     * Use the weekly schedule again on the selected date
+     */
+    removeOverride() {
+      this.app.classManager.removeOverride(this.currentClassId, this.overrideDate || this.currentDate);
+      this.refreshCurrentView();
+    }
+    /**
+     * Recompute minutesLate/status of arrivals recorded on the selected date
+     */
+    recalculateArrivals() {
+      const date = this.overrideDate || this.currentDate;
+      const updated = this.app.arrivalTracker.recalculate(this.currentClassId, date);
+      alert(updated > 0 ? `${updated} arrivals updated` : "All arrivals were already up to date");
+      this.refreshCurrentView();
+    }
+    /**
+     * Generate PDF report
+     */
+    async generatePDFReport() {
+      const month = parseInt(document.getElementById("reportMonth").value);
+      const year = parseInt(document.getElementById("reportYear").value);
+      const columns = this.getReportColumns();
+      const reports = this.getReportClassIds().map(
+        (classId) => this.app.reportGenerator.generateMonthlyReport(classId, year, month, columns)
+      );
+      if (reports.length === 0) return;
+      const html = this.generateReportHTML(reports);
+      const printWindow = window.open("", "_blank");
+      printWindow.document.write(html);
+      printWindow.document.close();
+      printWindow.print();
+    }
+    /**
+     * Generate CSV report
+     */
+    generateCSVReport() {
+      const month = parseInt(document.getElementById("reportMonth").value);
+      const year = parseInt(document.getElementById("reportYear").value);
+      const columns = this.getReportColumns();
+      const reports = this.getReportClassIds().map(
+        (classId) => this.app.reportGenerator.generateMonthlyReport(classId, year, month, columns)
+      );
+      if (reports.length === 0) return;
+      const csv = reports.map((report) => this.app.reportGenerator.generateCSV(report)).join("\n\n\n");
+      const name = reports.length === 1 ? reports[0].className : document.getElementById("reportScope").value.split(":").slice(1).join(":");
+      this.downloadFile(csv, `rapport_${name}_${month}_${year}.csv`, "text/csv");
+    }
+    /**
+     * Student profile columns chosen in the reports view
+     * @returns {array} - Keys of STUDENT_COLUMNS
+     */
+    getReportColumns() {
+      return [...document.querySelectorAll("input[name=reportColumn]:checked")].map((input) => input.value);
+    }
+    /**
+     * Classes chosen in the reports view: the current class, or every class
+     * of the school year shown with a level, teacher...
+     * @returns {array}
+     */
+    getReportClassIds() {
+      const scope = document.getElementById("reportScope").value;
+      if (!scope) return this.currentClassId ? [this.currentClassId] : [];
+      const [field, ...value] = scope.split(":");
+      return this.app.classManager.filter({ [field]: value.join(":"), schoolYear: this.getViewedYear() }).map((c) => c.id);
+    }
+    /**
+     * Download JSON backup of all data
+     */
+    async exportBackup() {
+      const json = await this.app.reportGenerator.exportJSON();
+      this.downloadFile(json, `lateness-tracker_${this.currentDate}.json`, "application/json");
+    }
+    /**
+     * Show restore backup modal
+     */
+    showRestoreModal() {
+      this.pendingImport = null;
+      this.showModal(`
+            <h2>Restore Backup</h2>
+            <p class="help-text">Choose a JSON backup. Nothing is changed until you confirm.</p>
+            <div class="form-group">
+                <input type="file" accept=".json,application/json"
+                       onchange="window.app.ui.previewRestore(this.files[0])">
+            </div>
+            <div id="restorePreview"></div>
+            <div class="form-actions">
+                <button type="button" class="btn" onclick="window.app.ui.closeModal()">Cancel</button>
+            </div>
+        `);
     }
     /**
-     * Show class selector
+     * Dry-run the selected backup and show what would change
      */
-    showClassSelector() {
-      const classes = this.app.classManager.getAll();
-      const nav = document.getElementById("classNav");
-      if (classes.length === 0) {
-        nav.innerHTML = `
-                <button class="add-class-btn" onclick="window.app.ui.showAddClassModal()">
-                    + Add Class
-                </button>
+    async previewRestore(file) {
+      if (!file) return;
+      const container = document.getElementById("restorePreview");
+      const text = await file.text();
+      if (this.app.reportGenerator.isEncryptedBackup(text)) {
+        this.pendingImport = null;
+        this.restoreText = text;
+        container.innerHTML = `
+                <form onsubmit="window.app.ui.decryptRestore(event)">
+                    <div class="form-group">
+                        <label>This backup is encrypted. Passphrase:</label>
+                        <input type="password" name="passphrase" required>
+                    </div>
+                    <button type="submit" class="btn btn-primary">Decrypt</button>
+                    <p id="decryptError" class="error-text"></p>
+                </form>
             `;
-      } else {
-        nav.innerHTML = classes.map((c) => `
-                <button class="class-btn ${this.currentClassId === c.id ? "active" : ""}" 
-                        data-class-id="${c.id}">
-                    ${c.name}
-                </button>
-            `).join("");
-        nav.querySelectorAll(".class-btn").forEach((btn) => {
-          btn.addEventListener("click", () => {
-            this.selectClass(btn.dataset.classId);
-          });
-        });
-        if (!this.currentClassId) {
-          this.selectClass(classes[0].id);
-        }
+        return;
       }
+      this.showRestorePreview(text);
     }
     /**
-     * Select a class
+     * Decrypt the selected encrypted backup, then preview it
      */
-    selectClass(classId) {
-      this.currentClassId = classId;
-      document.querySelectorAll(".class-btn").forEach((btn) => {
-        btn.classList.toggle("active", btn.dataset.classId === classId);
-      });
-      this.refreshCurrentView();
+    async decryptRestore(e) {
+      e.preventDefault();
+      try {
+        const json = await this.app.reportGenerator.decryptBackup(this.restoreText, e.target.passphrase.value);
+        this.restoreText = null;
+        this.showRestorePreview(json);
+      } catch (error) {
+        document.getElementById("decryptError").textContent = error.message;
+      }
     }
     /**
-     * Switch between views
+     * Show the dry-run summary of a backup
      */
-    switchView(viewName) {
-      document.querySelectorAll(".nav-btn").forEach((btn) => {
-        btn.classList.toggle("active", btn.dataset.view === viewName);
-      });
-      const main = document.getElementById("mainContent");
-      switch (viewName) {
-        case "tracker":
-          this.renderTrackerView(main);
-          break;
-        case "students":
-          this.renderStudentsView(main);
-          break;
-        case "schedule":
-          this.renderScheduleView(main);
-          break;
-        case "reports":
-          this.renderReportsView(main);
-          break;
+    showRestorePreview(jsonData) {
+      const container = document.getElementById("restorePreview");
+      const result = this.app.reportGenerator.previewImport(jsonData);
+      if (!result.success) {
+        this.pendingImport = null;
+        container.innerHTML = `<p class="error-text">\u274C ${this.escapeHtml(result.error)}</p>`;
+        return;
       }
-      this.currentView = viewName;
+      this.pendingImport = result.preview;
+      const { diff, invalid } = result.preview;
+      const collections = Object.keys(diff);
+      container.innerHTML = `
+            <table class="import-summary">
+                <thead>
+                    <tr>
+                        <th></th>
+                        ${collections.map((name) => `<th>${name}</th>`).join("")}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${["added", "changed", "conflicting", "unchanged", "removed"].map((kind) => `
+                        <tr class="${kind}">
+                            <td>${kind === "removed" ? "removed (replace)" : kind}</td>
+                            ${collections.map((name) => `<td>${diff[name][kind].length}</td>`).join("")}
+                        </tr>
+                    `).join("")}
+                    <tr class="invalid">
+                        <td>invalid</td>
+                        ${collections.map(
+        (name) => `<td>${invalid.filter((i) => i.collection === name).length}</td>`
+      ).join("")}
+                    </tr>
+                </tbody>
+            </table>
+            
+            ${invalid.length > 0 ? `
+                <ul class="import-errors">
+                    ${invalid.slice(0, 10).map((i) => `
+                        <li>${i.collection} ${this.escapeHtml(i.id || `#${i.index + 1}`)}: ${this.escapeHtml(i.reason)}</li>
+                    `).join("")}
+                    ${invalid.length > 10 ? `<li>\u2026 ${invalid.length - 10} more</li>` : ""}
+                </ul>
+                <p class="help-text">Invalid records are skipped.</p>
+            ` : ""}
+            
+            <div class="form-group import-modes">
+                <label>
+                    <input type="radio" name="importMode" value="merge" checked>
+                    Merge by id \u2014 add new records, update changed ones, keep current data on conflicts
+                </label>
+                <label>
+                    <input type="radio" name="importMode" value="replace">
+                    Replace everything \u2014 current data is replaced by the backup
+                </label>
+            </div>
+            <button type="button" class="btn btn-primary" onclick="window.app.ui.applyRestore()">
+                Restore
+            </button>
+        `;
     }
     /**
-     * Render arrival tracker view
+     * Apply the previewed backup
      */
-    renderTrackerView(container) {
-      if (!this.currentClassId) {
-        container.innerHTML = '<p class="empty-state">Select a class first</p>';
+    async applyRestore() {
+      if (!this.pendingImport) return;
+      const mode = document.querySelector('input[name="importMode"]:checked').value;
+      const removed = Object.values(this.pendingImport.diff).reduce((sum, entry) => sum + entry.removed.length, 0);
+      if (mode === "replace" && removed > 0 && !confirm(`Replace everything? ${removed} current records will be removed.`)) {
         return;
       }
-      const students = this.app.studentManager.getSortedByName(this.currentClassId);
-      const arrivals = this.app.arrivalTracker.getByClassAndDate(this.currentClassId, this.currentDate);
-      const classObj = this.app.classManager.getById(this.currentClassId);
-      const dayOfWeek = new Date(this.currentDate).getDay();
-      const schedule = this.app.classManager.getScheduleForDay(this.currentClassId, dayOfWeek);
-      container.innerHTML = `
-            <div class="tracker-view">
-                <div class="tracker-header">
-                    <h2>${classObj.name}</h2>
-                    <p class="date-display">${this.formatDate(this.currentDate)}</p>
-                    ${schedule && schedule.enabled ? `<p class="schedule-info">Class: ${schedule.startTime} - ${schedule.endTime}</p>` : '<p class="no-class">No class scheduled</p>'}
+      this.app.backupManager.snapshot("before-import");
+      const result = this.app.reportGenerator.applyImport(this.pendingImport, mode);
+      this.pendingImport = null;
+      if (!result.success) {
+        alert(`Restore failed: ${result.error}`);
+        return;
+      }
+      await this.app.storage.flush();
+      await this.app.loadData();
+      if (!this.app.classManager.getById(this.currentClassId)) {
+        this.currentClassId = null;
+      }
+      this.closeModal();
+      this.showClassSelector();
+      this.refreshCurrentView();
+      alert("Backup restored");
+    }
+    /**
+     * Show restore points modal
+     */
+    showRestorePointsModal() {
+      const points = this.app.backupManager.getAll();
+      const settings = this.app.settings;
+      this.showModal(`
+            <h2>Restore Points</h2>
+            <p class="help-text">
+                A copy of your data is kept once a day and before a backup restore,
+                a class deletion or a roster import.
+                ${this.app.storage.hasLargeQuota() ? "" : `
+                    This browser keeps the data in its small local storage: only the last
+                    ${LOCAL_STORAGE_LIMIT} restore point is kept.
+                `}
+            </p>
+            ${points.length === 0 ? '<p class="empty-state">No restore points yet</p>' : `
+                <ul class="restore-point-list">
+                    ${points.map((p) => `
+                        <li class="restore-point-item">
+                            <span class="restore-point-info">
+                                <strong>${new Date(p.createdAt).toLocaleString()}</strong>
+                                <span class="help-text">
+                                    ${RESTORE_POINT_REASONS[p.reason] || p.reason} \xB7
+                                    ${p.counts.classes} classes, ${p.counts.students} students, ${p.counts.arrivals} arrivals
+                                </span>
+                            </span>
+                            <span class="restore-point-actions">
+                                <button class="btn btn-secondary" onclick="window.app.ui.showRestorePoint('${p.id}')">Open</button>
+                                <button class="icon-btn" title="Download" onclick="window.app.ui.downloadRestorePoint('${p.id}')">\u{1F4BE}</button>
+                                <button class="icon-btn danger" title="Delete" onclick="window.app.ui.deleteRestorePoint('${p.id}')">\u{1F5D1}\uFE0F</button>
+                            </span>
+                        </li>
+                    `).join("")}
+                </ul>
+            `}
+            <form onsubmit="window.app.ui.saveRestorePointSettings(event)">
+                <div class="form-group">
+                    <label>
+                        <input type="checkbox" name="dailySnapshots" ${settings.get("dailySnapshots") ? "checked" : ""}>
+                        Take a restore point every day
+                    </label>
                 </div>
-                
-                <div class="students-grid">
-                    ${students.map((s) => {
-        const arrival = arrivals.find((a) => a.studentId === s.id);
-        return this.renderStudentCard(s, arrival);
-      }).join("")}
+                <div class="form-group">
+                    <label>Restore points to keep</label>
+                    <input type="number" name="restorePointsLimit" min="1" max="100"
+                           value="${settings.get("restorePointsLimit")}" required>
                 </div>
-                
-                <div class="tracker-stats">
-                    <span>Present: ${arrivals.length}</span>
-                    <span>Absent: ${students.length - arrivals.length}</span>
+                <div class="form-actions">
+                    <button type="button" class="btn" onclick="window.app.ui.closeModal()">Close</button>
+                    <button type="button" class="btn btn-secondary" onclick="window.app.ui.createRestorePoint()">Create now</button>
+                    <button type="submit" class="btn btn-primary">Save</button>
                 </div>
-            </div>
-        `;
-      container.querySelectorAll(".student-card").forEach((card) => {
-        card.addEventListener("click", () => {
-          this.toggleArrival(card.dataset.studentId);
-        });
-      });
+            </form>
+        `);
     }
     /**
-     * Render student card
+     * Save restore point settings
      */
-    renderStudentCard(student, arrival) {
-      const hasArrived = !!arrival;
-      const statusClass = hasArrived ? arrival.status : "absent";
-      const statusText = hasArrived ? arrival.minutesLate > 0 ? `${arrival.minutesLate}min late` : "On time" : "Absent";
-      return `
-            <div class="student-card ${statusClass}" data-student-id="${student.id}">
-                <div class="student-photo">
-                    ${student.photoUrl ? `<img src="${student.photoUrl}" alt="${student.name}">` : '<div class="photo-placeholder">\u{1F464}</div>'}
-                </div>
-                <div class="student-name">${student.name}</div>
-                <div class="student-status">${statusText}</div>
-                ${hasArrived ? `<div class="arrival-time">${arrival.time}</div>` : ""}
+    saveRestorePointSettings(e) {
+      e.preventDefault();
+      const form = e.target;
+      this.app.settings.set("dailySnapshots", form.dailySnapshots.checked);
+      this.app.settings.set("restorePointsLimit", Math.max(1, parseInt(form.restorePointsLimit.value) || 1));
+      this.app.backupManager.prune();
+      this.app.backupManager.takeDailySnapshot();
+      this.showRestorePointsModal();
+    }
+    /**
+     * Take a manual restore point
+     */
+    createRestorePoint() {
+      this.app.backupManager.snapshot("manual");
+      this.showRestorePointsModal();
+    }
+    /**
+     * Show what a restore point contains, with the restore dry run
+     */
+    showRestorePoint(id) {
+      const manager = this.app.backupManager;
+      const point = manager.getAll().find((p) => p.id === id);
+      const details = manager.describe(id);
+      if (!point || !details) return;
+      this.showModal(`
+            <h2>Restore Point</h2>
+            <p class="help-text">
+                ${new Date(point.createdAt).toLocaleString()} \xB7 ${RESTORE_POINT_REASONS[point.reason] || point.reason}
+                ${details.firstDate ? `<br>Arrivals from ${this.formatDate(details.firstDate)} to ${this.formatDate(details.lastDate)}` : ""}
+            </p>
+            <table class="import-summary">
+                <thead>
+                    <tr><th>Class</th><th>Students</th><th>Arrivals</th></tr>
+                </thead>
+                <tbody>
+                    ${details.classes.map((c) => `
+                        <tr>
+                            <td>${this.escapeHtml(c.name)}</td>
+                            <td>${c.students}</td>
+                            <td>${c.arrivals}</td>
+                        </tr>
+                    `).join("")}
+                </tbody>
+            </table>
+            <h3>Compared to current data</h3>
+            <div id="restorePreview"></div>
+            <div class="form-actions">
+                <button type="button" class="btn" onclick="window.app.ui.showRestorePointsModal()">Back</button>
             </div>
-        `;
+        `);
+      this.showRestorePreview(manager.toJSON(id));
     }
     /**
-     * Toggle student arrival
+     * Download a restore point as a JSON backup
      */
-    toggleArrival(studentId) {
-      const existing = this.app.arrivalTracker.hasArrived(studentId, this.currentDate);
-      if (existing) {
-        this.app.arrivalTracker.removeArrival(studentId, this.currentDate);
-      } else {
-        this.app.arrivalTracker.markArrival(studentId, this.currentClassId, this.currentDate);
-      }
-      this.refreshCurrentView();
+    async downloadRestorePoint(id) {
+      const manager = this.app.backupManager;
+      const point = manager.getById(id);
+      const json = await this.app.storage.sealBackup(manager.toJSON(id));
+      const date = point.createdAt.split("T")[0];
+      this.downloadFile(json, `lateness-tracker-restore-point_${date}.json`, "application/json");
     }
     /**
-     * Render students management view
+     * Delete a restore point
      */
-    renderStudentsView(container) {
-      if (!this.currentClassId) {
-        container.innerHTML = '<p class="empty-state">Select a class first</p>';
-        return;
-      }
-      const students = this.app.studentManager.getSortedByName(this.currentClassId);
-      container.innerHTML = `
-            <div class="students-view">
-                <div class="view-header">
-                    <h2>Students - ${this.app.classManager.getById(this.currentClassId)?.name}</h2>
-                    <button class="btn btn-primary" onclick="window.app.ui.showAddStudentModal()">
-                        + Add Student
-                    </button>
-                </div>
-                
-                <div class="import-section">
-                    <button class="btn btn-secondary" onclick="window.app.ui.showImportModal()">
-                        \u{1F4E5} Import CSV
-                    </button>
-                </div>
-                
-                <ul class="student-list">
-                    ${students.map((s) => `
-                        <li class="student-item">
-                            <span>${s.name}</span>
-                            <button class="icon-btn danger" onclick="window.app.ui.deleteStudent('${s.id}')">\u{1F5D1}\uFE0F</button>
+    deleteRestorePoint(id) {
+      if (!confirm("Delete this restore point?")) return;
+      this.app.backupManager.delete(id);
+      this.showRestorePointsModal();
+    }
+    /**
+     * Show school calendar modal
+     */
+    showCalendarModal() {
+      const entries = this.app.calendar.getAll();
+      const typeOptions = (selected) => Object.entries(CALENDAR_TYPES).map(
+        ([type, label]) => `<option value="${type}" ${type === selected ? "selected" : ""}>${label}</option>`
+      ).join("");
+      this.showModal(`
+            <h2>School Calendar</h2>
+            <p class="help-text">
+                Holidays, vacations and closures are not school days: nothing can be marked
+                and they are left out of reports. When terms are set, days outside them are too.
+            </p>
+            ${entries.length === 0 ? '<p class="empty-state">No dates yet</p>' : `
+                <ul class="calendar-list">
+                    ${entries.map((e) => `
+                        <li class="calendar-item ${e.type}">
+                            <span class="calendar-info">
+                                <strong>${this.escapeHtml(e.name)}</strong>
+                                <span class="help-text">
+                                    ${CALENDAR_TYPES[e.type] || e.type} \xB7
+                                    ${this.formatDate(e.startDate)}${e.endDate !== e.startDate ? ` \u2192 ${this.formatDate(e.endDate)}` : ""}
+                                </span>
+                            </span>
+                            <button class="icon-btn danger" title="Delete" onclick="window.app.ui.deleteCalendarEntry('${e.id}')">\u{1F5D1}\uFE0F</button>
                         </li>
                     `).join("")}
                 </ul>
-                
-                ${students.length === 0 ? '<p class="empty-state">No students yet</p>' : ""}
+            `}
+            <form onsubmit="window.app.ui.addCalendarEntry(event)">
+                <div class="form-group">
+                    <label>Type</label>
+                    <select name="entryType">${typeOptions("holiday")}</select>
+                </div>
+                <div class="form-group">
+                    <label>Name</label>
+                    <input type="text" name="entryName" placeholder="e.g., F\xEAte du Tr\xF4ne">
+                </div>
+                <div class="form-group date-range">
+                    <label>From <input type="date" name="startDate" value="${this.currentDate}" required></label>
+                    <label>To <input type="date" name="endDate"></label>
+                </div>
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-primary">Add</button>
+                </div>
+            </form>
+            <div class="form-group">
+                <label>Import an .ics file as</label>
+                <select id="icsType">${typeOptions("holiday")}</select>
+                <input type="file" accept=".ics,text/calendar"
+                       onchange="window.app.ui.importCalendar(this.files[0])">
             </div>
-        `;
+            <div class="form-actions">
+                <button type="button" class="btn" onclick="window.app.ui.closeModal()">Close</button>
+            </div>
+        `);
     }
     /**
-     * Render schedule view
+     * Add a calendar entry
      */
-    renderScheduleView(container) {
-      if (!this.currentClassId) {
-        container.innerHTML = '<p class="empty-state">Select a class first</p>';
+    addCalendarEntry(e) {
+      e.preventDefault();
+      const form = e.target;
+      this.app.calendar.add({
+        type: form.entryType.value,
+        name: form.entryName.value,
+        startDate: form.startDate.value,
+        endDate: form.endDate.value
+      });
+      this.showCalendarModal();
+      this.refreshCurrentView();
+    }
+    /**
+     * Delete a calendar entry
+     */
+    deleteCalendarEntry(id) {
+      const entry = this.app.calendar.getById(id);
+      if (!entry || !confirm(`Delete "${entry.name}"?`)) return;
+      this.app.calendar.delete(id);
+      this.showCalendarModal();
+      this.refreshCurrentView();
+    }
+    /**
+     * Import the events of an .ics file into the calendar
+     */
+    async importCalendar(file) {
+      if (!file) return;
+      const type = document.getElementById("icsType").value;
+      const result = this.app.calendar.importICS(await file.text(), type);
+      if (result.error) {
+        alert(`Import failed: ${result.error}`);
         return;
       }
-      const classObj = this.app.classManager.getById(this.currentClassId);
-      const days = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
-      const dayNames = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
-      container.innerHTML = `
-            <div class="schedule-view">
-                <h2>Schedule - ${classObj.name}</h2>
-                
-                <div class="schedule-grid">
-                    ${days.map((day, i) => {
-        const schedule = classObj.schedule[day] || { enabled: false };
-        return `
-                            <div class="schedule-day ${schedule.enabled ? "enabled" : ""}">
-                                <label class="day-name">
-                                    <input type="checkbox" ${schedule.enabled ? "checked" : ""} 
-                                           onchange="window.app.ui.toggleDay('${day}')">
-                                    ${dayNames[i]}
-                                </label>
-                                ${schedule.enabled ? `
-                                    <div class="time-inputs">
-                                        <input type="time" value="${schedule.startTime || "08:00"}"
-                                               onchange="window.app.ui.updateSchedule('${day}', 'startTime', this.value)">
-                                        <span>to</span>
-                                        <input type="time" value="${schedule.endTime || "12:00"}"
-                                               onchange="window.app.ui.updateSchedule('${day}', 'endTime', this.value)">
-                                    </div>
-                                ` : '<span class="no-class">No class</span>'}
-                            </div>
-                        `;
-      }).join("")}
-                </div>
-            </div>
-        `;
+      alert(`Imported ${result.imported} dates${result.skipped > 0 ? ` (${result.skipped} already in the calendar)` : ""}`);
+      this.showCalendarModal();
+      this.refreshCurrentView();
     }
     /**
-     * Render reports view
+     * Show the new school year wizard: next year's classes
      */
-    renderReportsView(container) {
-      const classObj = this.app.classManager.getById(this.currentClassId);
-      const now = /* @__PURE__ */ new Date();
-      container.innerHTML = `
-            <div class="reports-view">
-                <h2>Reports - ${classObj?.name || "Select Class"}</h2>
-                
-                <div class="report-options">
-                    <label>
-                        Month:
-                        <select id="reportMonth">
-                            ${Array.from(
-        { length: 12 },
-        (_, i) => `<option value="${i + 1}" ${i + 1 === now.getMonth() + 1 ? "selected" : ""}>
-                                    ${new Date(0, i).toLocaleString("default", { month: "long" })}
-                                </option>`
-      ).join("")}
-                        </select>
-                    </label>
-                    
-                    <label>
-                        Year:
-                        <select id="reportYear">
-                            ${Array.from(
-        { length: 3 },
-        (_, i) => `<option value="${now.getFullYear() - i}" ${i === 0 ? "selected" : ""}>
-                                    ${now.getFullYear() - i}
-                                </option>`
-      ).join("")}
-                        </select>
-                    </label>
+    showRolloverModal() {
+      const plan = this.app.yearRollover.plan();
+      this.showModal(`
+            <h2>New School Year</h2>
+            <p class="help-text">
+                The classes of ${plan.fromYear} are archived: still in reports, but read-only.
+                Give the name of each class next year, then choose the students moving up.
+            </p>
+            <form onsubmit="window.app.ui.showRolloverStudents(event)">
+                <div class="form-group">
+                    <label>New school year</label>
+                    <input type="text" name="toYear" value="${plan.toYear}" pattern="\\d{4}-\\d{4}" required>
                 </div>
-                
-                <div class="report-actions">
-                    <button class="btn btn-primary" onclick="window.app.ui.generatePDFReport()">
-                        \u{1F4C4} Generate PDF
-                    </button>
-                    <button class="btn btn-secondary" onclick="window.app.ui.generateCSVReport()">
-                        \u{1F4CA} Export CSV
-                    </button>
+                <table class="rollover-table">
+                    <thead><tr><th>${plan.fromYear}</th><th>${plan.toYear}</th></tr></thead>
+                    <tbody>
+                        ${plan.classes.map((c) => `
+                            <tr>
+                                <td>${this.escapeHtml(this.app.classManager.getById(c.fromId).name)}</td>
+                                <td>
+                                    <input type="text" name="class_${c.fromId}" value="${this.escapeHtml(c.name)}"
+                                           placeholder="Not continued">
+                                </td>
+                            </tr>
+                        `).join("")}
+                        <tr>
+                            <td><em>New class</em></td>
+                            <td><input type="text" name="newClass" placeholder="e.g., 1AEP"></td>
+                        </tr>
+                    </tbody>
+                </table>
+                <div class="form-actions">
+                    <button type="button" class="btn" onclick="window.app.ui.closeModal()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Next</button>
                 </div>
-                
-                <div id="reportPreview" class="report-preview"></div>
-            </div>
-        `;
+            </form>
+        `);
     }
     /**
-     * Show add class modal
+     * New school year wizard: students moving up
      */
-    showAddClassModal() {
+    showRolloverStudents(e) {
+      e.preventDefault();
+      const form = e.target;
+      const plan = this.app.yearRollover.plan();
+      const classes = plan.classes.map((c) => ({ fromId: c.fromId, name: form[`class_${c.fromId}`].value.trim() })).filter((c) => c.name);
+      if (form.newClass.value.trim()) {
+        classes.push({ fromId: null, name: form.newClass.value.trim() });
+      }
+      if (classes.length === 0) {
+        alert("Name at least one class for next year");
+        return;
+      }
+      this.rolloverPlan = { toYear: form.toYear.value.trim(), classes };
+      const fromClasses = this.app.classManager.getByYear(plan.fromYear);
       this.showModal(`
-            <h2>Add Class</h2>
-            <form onsubmit="window.app.ui.addClass(event)">
-                <div class="form-group">
-                    <label>Class Name</label>
-                    <input type="text" name="className" placeholder="e.g., 1AEP" required>
-                </div>
+            <h2>New School Year ${this.escapeHtml(this.rolloverPlan.toYear)}</h2>
+            <p class="help-text">Students keep their history; the ones not moving up stay in ${plan.fromYear} only.</p>
+            <form onsubmit="window.app.ui.applyRollover(event)">
+                ${fromClasses.map((fromClass) => {
+        const target = classes.findIndex((c) => c.fromId === fromClass.id);
+        const students = this.app.studentManager.getSortedByName(fromClass.id);
+        return students.length === 0 ? "" : `
+                        <h3>${this.escapeHtml(fromClass.name)}</h3>
+                        <ul class="rollover-students">
+                            ${students.map((s) => `
+                                <li>
+                                    <span>${this.escapeHtml(s.name)}</span>
+                                    <select name="student_${s.id}">
+                                        <option value="">Not moving up</option>
+                                        ${classes.map((c, i) => `
+                                            <option value="${i}" ${i === target ? "selected" : ""}>
+                                                ${this.escapeHtml(c.name)}
+                                            </option>
+                                        `).join("")}
+                                    </select>
+                                </li>
+                            `).join("")}
+                        </ul>
+                    `;
+      }).join("")}
                 <div class="form-actions">
-                    <button type="button" class="btn" onclick="window.app.ui.closeModal()">Cancel</button>
-                    <button type="submit" class="btn btn-primary">Add</button>
+                    <button type="button" class="btn" onclick="window.app.ui.showRolloverModal()">Back</button>
+                    <button type="submit" class="btn btn-primary">Start ${this.escapeHtml(this.rolloverPlan.toYear)}</button>
                 </div>
             </form>
         `);
     }
     /**
-     * Add new class
+     * Archive the current year and create the next one
      */
-    addClass(e) {
+    applyRollover(e) {
       e.preventDefault();
-      const form = e.target;
-      const name = form.className.value;
-      this.app.classManager.add(name);
-      this.showClassSelector();
+      const promotions = {};
+      new FormData(e.target).forEach((value, name) => {
+        if (name.startsWith("student_") && value !== "") {
+          promotions[name.slice("student_".length)] = Number(value);
+        }
+      });
+      const result = this.app.yearRollover.run({ ...this.rolloverPlan, promotions });
+      if (!result.success) {
+        alert(result.error);
+        return;
+      }
+      alert(`School year ${this.rolloverPlan.toYear} started: ${result.classes.length} classes, ${result.promoted} students moved up`);
+      this.rolloverPlan = null;
+      this.currentYear = null;
+      this.currentClassId = null;
       this.closeModal();
+      this.showClassSelector();
+      this.refreshCurrentView();
     }
     /**
-     * Show add student modal
+     * Show sync settings modal
      */
-    showAddStudentModal() {
+    showSyncModal() {
+      const sync = this.app.syncManager;
+      const config = sync.config;
       this.showModal(`
-            <h2>Add Student</h2>
-            <form onsubmit="window.app.ui.addStudent(event)">
+            <h2>Sync</h2>
+            <p class="help-text">
+                Share classes, students and arrivals between devices through your own server
+                (see server/sync-server.js).
+            </p>
+            <form onsubmit="window.app.ui.saveSyncSettings(event)">
+                <div class="form-group import-modes">
+                    <label>
+                        <input type="checkbox" name="enabled" ${config.enabled ? "checked" : ""}>
+                        Enable sync
+                    </label>
+                </div>
                 <div class="form-group">
-                    <label>Name</label>
-                    <input type="text" name="studentName" placeholder="Student name" required>
+                    <label>Server URL</label>
+                    <input type="url" name="endpoint" value="${this.escapeHtml(config.endpoint)}"
+                           placeholder="http://192.168.1.10:8787">
                 </div>
                 <div class="form-group">
-                    <label>Photo URL (optional)</label>
-                    <input type="url" name="photoUrl" placeholder="https://...">
+                    <label>Access token (optional)</label>
+                    <input type="password" name="token" value="${this.escapeHtml(config.token)}">
                 </div>
+                <p class="help-text">
+                    Last sync: ${config.lastSyncAt ? new Date(config.lastSyncAt).toLocaleString() : "never"}<br>
+                    Pending changes: ${sync.getPendingCount()}
+                    ${config.lastError ? `<br><span class="error-text">Last error: ${this.escapeHtml(config.lastError)}</span>` : ""}
+                </p>
                 <div class="form-actions">
-                    <button type="button" class="btn" onclick="window.app.ui.closeModal()">Cancel</button>
-                    <button type="submit" class="btn btn-primary">Add</button>
+                    <button type="button" class="btn" onclick="window.app.ui.closeModal()">Close</button>
+                    ${sync.isEnabled() ? `
+                        <button type="button" class="btn btn-secondary" onclick="window.app.ui.syncNow()">Sync now</button>
+                    ` : ""}
+                    <button type="submit" class="btn btn-primary">Save</button>
                 </div>
             </form>
         `);
     }
     /**
-     * Add new student
+     * Save sync settings
      */
-    addStudent(e) {
+    saveSyncSettings(e) {
       e.preventDefault();
       const form = e.target;
-      const name = form.studentName.value;
-      const photoUrl = form.photoUrl.value || null;
-      this.app.studentManager.add(name, this.currentClassId, photoUrl);
-      this.refreshCurrentView();
-      this.closeModal();
+      this.app.syncManager.configure({
+        enabled: form.enabled.checked,
+        endpoint: form.endpoint.value.trim(),
+        token: form.token.value.trim()
+      });
+      this.showSyncModal();
     }
     /**
-     * Show import modal
+     * Run a sync now and show the result
      */
-    showImportModal() {
+    async syncNow() {
+      const result = await this.app.syncManager.sync();
+      alert(result.success ? `Synced: ${result.pushed} sent, ${result.pulled} received` : `Sync failed: ${result.error}`);
+      this.showSyncModal();
+    }
+    /**
+     * Show workspaces modal
+     */
+    showWorkspacesModal() {
+      const manager = this.app.workspaceManager;
+      const activeId = this.app.workspace.id;
       this.showModal(`
-            <h2>Import Students from CSV</h2>
-            <p class="help-text">CSV format: name,photoUrl (optional)</p>
-            <form onsubmit="window.app.ui.importStudents(event)">
+            <h2>Workspaces</h2>
+            <p class="help-text">Each workspace (school, shared device...) has its own classes, students and arrivals.</p>
+            <ul class="workspace-list">
+                ${manager.getAll().map((w) => `
+                    <li class="workspace-item ${w.id === activeId ? "active" : ""}">
+                        <span class="workspace-name">${this.escapeHtml(w.name)}</span>
+                        <span class="workspace-actions">
+                            ${w.id === activeId ? '<span class="help-text">Open</span>' : `<button class="btn btn-secondary" onclick="window.app.switchWorkspace('${w.id}')">Open</button>`}
+                            <button class="icon-btn" title="Rename" onclick="window.app.ui.renameWorkspace('${w.id}')">\u270F\uFE0F</button>
+                            <button class="icon-btn" title="Export" onclick="window.app.ui.exportWorkspace('${w.id}')">\u{1F4BE}</button>
+                            ${w.id !== activeId ? `<button class="icon-btn danger" title="Delete" onclick="window.app.ui.deleteWorkspace('${w.id}')">\u{1F5D1}\uFE0F</button>` : ""}
+                        </span>
+                    </li>
+                `).join("")}
+            </ul>
+            <form onsubmit="window.app.ui.createWorkspace(event)">
                 <div class="form-group">
-                    <textarea name="csvContent" rows="10" placeholder="Ahmed&#10;Sara,https://...&#10;Khalid" required></textarea>
+                    <label>New workspace</label>
+                    <input type="text" name="workspaceName" placeholder="e.g., Lyc\xE9e Ibn Sina" required>
                 </div>
                 <div class="form-actions">
-                    <button type="button" class="btn" onclick="window.app.ui.closeModal()">Cancel</button>
-                    <button type="submit" class="btn btn-primary">Import</button>
+                    <button type="button" class="btn" onclick="window.app.ui.closeModal()">Close</button>
+                    <button type="submit" class="btn btn-primary">Create & open</button>
                 </div>
             </form>
         `);
     }
     /**
-     * Import students from CSV
+     * Create a workspace and switch to it
      */
-    importStudents(e) {
+    createWorkspace(e) {
       e.preventDefault();
-      const form = e.target;
-      const csvContent = form.csvContent.value;
-      const result = this.app.studentManager.importFromCSV(csvContent, this.currentClassId);
-      alert(`Imported ${result.imported} students${result.errors.length > 0 ? ". Errors: " + result.errors.join(", ") : ""}`);
-      this.refreshCurrentView();
-      this.closeModal();
+      const workspace = this.app.workspaceManager.create(e.target.workspaceName.value);
+      this.app.switchWorkspace(workspace.id);
     }
     /**
-     * Delete student
+     * Rename a workspace
      */
-    deleteStudent(studentId) {
-      if (confirm("Delete this student?")) {
-        this.app.studentManager.delete(studentId);
-        this.refreshCurrentView();
+    renameWorkspace(id) {
+      const workspace = this.app.workspaceManager.getById(id);
+      const name = prompt("Workspace name", workspace.name);
+      if (!name || !name.trim()) return;
+      this.app.workspaceManager.rename(id, name);
+      if (id === this.app.workspace.id) {
+        this.app.workspace = this.app.workspaceManager.getById(id);
+        document.querySelector(".workspace-badge").textContent = this.app.workspace.name;
       }
+      this.showWorkspacesModal();
     }
     /**
-     * Toggle day in schedule
+     * Download the JSON backup of one workspace
      */
-    toggleDay(day) {
-      const classObj = this.app.classManager.getById(this.currentClassId);
-      const current = classObj.schedule[day]?.enabled || false;
-      this.app.classManager.update(this.currentClassId, {
-        schedule: {
-          ...classObj.schedule,
-          [day]: current ? { enabled: false } : { enabled: true, startTime: "08:00", endTime: "12:00" }
+    async exportWorkspace(id) {
+      const manager = this.app.workspaceManager;
+      const workspace = manager.getById(id);
+      let json;
+      if (id === this.app.workspace.id) {
+        json = await this.app.reportGenerator.exportJSON();
+      } else {
+        const storage = manager.createStorage(workspace);
+        await storage.open();
+        if (storage.isLocked()) {
+          storage.close();
+          alert("This workspace is encrypted: open it to export it.");
+          return;
         }
-      });
-      this.refreshCurrentView();
+        json = await new ReportGenerator(storage).exportJSON();
+        storage.close();
+      }
+      const fileName = workspace.name.replace(/[^\w\u0600-\u06FF-]+/g, "_");
+      this.downloadFile(json, `lateness-tracker_${fileName}_${this.currentDate}.json`, "application/json");
     }
     /**
-     * Update schedule time
+     * Delete a workspace and its data
      */
-    updateSchedule(day, field, value) {
-      const classObj = this.app.classManager.getById(this.currentClassId);
-      this.app.classManager.update(this.currentClassId, {
-        schedule: {
-          ...classObj.schedule,
-          [day]: {
-            ...classObj.schedule[day],
-            [field]: value
-          }
-        }
+    async deleteWorkspace(id) {
+      const workspace = this.app.workspaceManager.getById(id);
+      if (!confirm(`Delete workspace "${workspace.name}" and ALL of its data?`)) return;
+      const result = await this.app.workspaceManager.delete(id);
+      if (!result.success) {
+        alert(result.error);
+      }
+      this.showWorkspacesModal();
+    }
+    /**
+     * Ask for the passphrase before the app loads its data
+     * @returns {Promise} - Resolves once storage is unlocked
+     */
+    showUnlockScreen() {
+      return new Promise((resolve) => {
+        this.onUnlocked = resolve;
+        document.getElementById("app").innerHTML = `
+                <div class="unlock-screen">
+                    <h1>\u{1F512} Lateness Tracker</h1>
+                    <p class="help-text">
+                        ${this.escapeHtml(this.app.workspace.name)}: student data on this device is encrypted.
+                    </p>
+                    <form onsubmit="window.app.ui.unlock(event)">
+                        <div class="form-group">
+                            <input type="password" name="passphrase" placeholder="Passphrase" autofocus required>
+                        </div>
+                        <p id="unlockError" class="error-text"></p>
+                        <button type="submit" class="btn btn-primary">Unlock</button>
+                    </form>
+                    ${this.app.workspaceManager.getAll().length > 1 ? `
+                        <select class="unlock-workspace" onchange="window.app.switchWorkspace(this.value)">
+                            ${this.app.workspaceManager.getAll().map((w) => `
+                                <option value="${w.id}" ${w.id === this.app.workspace.id ? "selected" : ""}>
+                                    ${this.escapeHtml(w.name)}
+                                </option>
+                            `).join("")}
+                        </select>
+                    ` : ""}
+                    <button class="btn unlock-erase" onclick="window.app.ui.eraseEncryptedData()">
+                        Forgot passphrase? Erase all data
+                    </button>
+                </div>
+            `;
       });
     }
     /**
-     * Generate PDF report
+     * Try to unlock storage with the entered passphrase
      */
-    async generatePDFReport() {
-      const month = parseInt(document.getElementById("reportMonth").value);
-      const year = parseInt(document.getElementById("reportYear").value);
-      const report = this.app.reportGenerator.generateMonthlyReport(
-        this.currentClassId,
-        year,
-        month
-      );
-      const html = this.generateReportHTML(report);
-      const printWindow = window.open("", "_blank");
-      printWindow.document.write(html);
-      printWindow.document.close();
-      printWindow.print();
+    async unlock(e) {
+      e.preventDefault();
+      const error = document.getElementById("unlockError");
+      error.textContent = "";
+      try {
+        await this.app.storage.unlock(e.target.passphrase.value);
+        this.onUnlocked();
+      } catch (err) {
+        error.textContent = err.message;
+      }
     }
     /**
-     * Generate CSV report
+     * Erase encrypted data when the passphrase is lost
      */
-    generateCSVReport() {
-      const month = parseInt(document.getElementById("reportMonth").value);
-      const year = parseInt(document.getElementById("reportYear").value);
-      const report = this.app.reportGenerator.generateMonthlyReport(
-        this.currentClassId,
-        year,
-        month
-      );
-      const csv = this.app.reportGenerator.generateCSV(report);
-      const blob = new Blob([csv], { type: "text/csv" });
+    async eraseEncryptedData() {
+      if (!confirm("Erase ALL data on this device? It cannot be recovered without the passphrase.")) return;
+      if (!confirm("Really erase everything? Only a backup can bring it back.")) return;
+      await this.app.storage.deleteDatabase();
+      location.reload();
+    }
+    /**
+     * Show encryption settings modal
+     */
+    showEncryptionModal() {
+      const encrypted = this.app.storage.isEncrypted();
+      this.showModal(`
+            <h2>Encryption</h2>
+            <p class="help-text">
+                ${encrypted ? "Data on this device is encrypted. The passphrase is asked at every launch and is needed to restore backups." : "Encrypt student data on this device with a passphrase. There is no way to recover a forgotten passphrase."}
+            </p>
+            <form onsubmit="window.app.ui.saveEncryption(event)">
+                ${encrypted ? `
+                    <div class="form-group">
+                        <label>Current passphrase</label>
+                        <input type="password" name="current" required>
+                    </div>
+                ` : ""}
+                <div class="form-group">
+                    <label>${encrypted ? "New passphrase (empty to turn encryption off)" : "Passphrase"}</label>
+                    <input type="password" name="passphrase" minlength="8" ${encrypted ? "" : "required"}>
+                </div>
+                <div class="form-group">
+                    <label>Confirm passphrase</label>
+                    <input type="password" name="confirmation">
+                </div>
+                <p id="encryptionError" class="error-text"></p>
+                <div class="form-actions">
+                    <button type="button" class="btn" onclick="window.app.ui.closeModal()">Cancel</button>
+                    ${encrypted ? '<button type="button" class="btn btn-secondary" onclick="location.reload()">Lock now</button>' : ""}
+                    <button type="submit" class="btn btn-primary">${encrypted ? "Save" : "Encrypt"}</button>
+                </div>
+            </form>
+        `);
+    }
+    /**
+     * Enable, change or disable encryption
+     */
+    async saveEncryption(e) {
+      e.preventDefault();
+      const form = e.target;
+      const storage = this.app.storage;
+      const passphrase = form.passphrase.value;
+      const error = document.getElementById("encryptionError");
+      if (passphrase !== form.confirmation.value) {
+        error.textContent = "Passphrases do not match";
+        return;
+      }
+      try {
+        if (!storage.isEncrypted()) {
+          await storage.enableEncryption(passphrase);
+        } else if (passphrase) {
+          await storage.changePassphrase(form.current.value, passphrase);
+        } else {
+          await storage.disableEncryption(form.current.value);
+        }
+      } catch (err) {
+        error.textContent = err.message;
+        return;
+      }
+      this.closeModal();
+      alert(storage.isEncrypted() ? "Data encrypted" : "Encryption turned off");
+    }
+    /**
+     * Download text content as a file
+     */
+    downloadFile(content, filename, type) {
+      const blob = new Blob([content], { type });
       const url = URL.createObjectURL(blob);
       const a = document.createElement("a");
       a.href = url;
-      a.download = `rapport_${report.className}_${month}_${year}.csv`;
+      a.download = filename;
       a.click();
       URL.revokeObjectURL(url);
     }
     /**
-     * Generate report HTML for PDF
+     * Generate report HTML for PDF (one page per class)
+     * @param {array} reports - Monthly reports
      */
-    generateReportHTML(report) {
+    generateReportHTML(reports) {
       return `
             <!DOCTYPE html>
             <html>
             <head>
                 <meta charset="UTF-8">
-                <title>Rapport - ${report.className} - ${report.monthName}</title>
+                <title>Rapport - ${reports.map((r) => r.className).join(", ")} - ${reports[0].monthName}</title>
                 <style>
                     body { font-family: Arial, sans-serif; padding: 20px; }
                     h1 { text-align: center; }
@@ -1041,31 +8869,72 @@
                     th { background: #f0f0f0; }
                     .text-center { text-align: center; }
                     .text-right { text-align: right; }
+                    .class-info { text-align: center; color: #555; margin: 4px 0; }
+                    .report-page + .report-page { page-break-before: always; }
                 </style>
             </head>
             <body>
-                <h1>Rapport de Retards - ${report.className}</h1>
+                ${reports.map((report) => this.generateReportSection(report)).join("")}
+            </body>
+            </html>
+        `;
+    }
+    /**
+     * Generate the report page of one class
+     * @param {object} report - Monthly report
+     */
+    generateReportSection(report) {
+      const sessionLabels = report.sessionLabels.length > 1 ? report.sessionLabels : [];
+      return `
+            <div class="report-page">
+                <h1>Rapport de Retards - ${this.escapeHtml(report.className)}</h1>
                 <p class="text-center">${report.monthName} ${report.year}</p>
+                ${report.classInfo.length > 0 ? `
+                    <p class="class-info">
+                        ${report.classInfo.map(
+        (info) => `${info.title} : ${this.escapeHtml(info.value)}`
+      ).join(" \xB7 ")}
+                    </p>
+                ` : ""}
                 <table>
                     <thead>
                         <tr>
                             <th>\xC9l\xE8ve</th>
+                            ${report.studentColumns.map((column) => `<th>${STUDENT_COLUMNS[column]}</th>`).join("")}
                             <th class="text-center">Jours</th>
                             <th class="text-center">\xC0 l'heure</th>
                             <th class="text-center">Retards</th>
                             <th class="text-right">Minutes</th>
                             <th class="text-right">Moyenne</th>
+                            <th class="text-center">Absences</th>
+                            ${report.lateStatuses.map(
+        (status) => `<th class="text-center">${STATUS_COLUMNS[status]}</th>`
+      ).join("")}
+                            ${sessionLabels.map(
+        (label) => `<th class="text-center">Retards ${this.escapeHtml(label)}</th>`
+      ).join("")}
                         </tr>
                     </thead>
                     <tbody>
                         ${report.students.map((s) => `
                             <tr>
-                                <td>${s.name}</td>
+                                <td>
+                                    ${this.escapeHtml(s.name)}
+                                    ${s.period ? `<small>(${s.period})</small>` : ""}
+                                </td>
+                                ${report.studentColumns.map((column) => `<td>${this.escapeHtml(s.profile[column])}</td>`).join("")}
                                 <td class="text-center">${s.totalDays}</td>
                                 <td class="text-center">${s.onTime}</td>
                                 <td class="text-center">${s.tardies}</td>
                                 <td class="text-right">${s.totalMinutesLate}</td>
                                 <td class="text-right">${s.avgMinutesLate}</td>
+                                <td class="text-center">${s.absentDays}</td>
+                                ${report.lateStatuses.map(
+        (status) => `<td class="text-center">${s.byStatus[status]}</td>`
+      ).join("")}
+                                ${sessionLabels.map(
+        (label) => `<td class="text-center">${s.sessions[label] ? s.sessions[label].tardies : 0}</td>`
+      ).join("")}
                             </tr>
                         `).join("")}
                     </tbody>
@@ -1073,8 +8942,7 @@
                 <p style="margin-top: 20px; text-align: right;">
                     G\xE9n\xE9r\xE9 le ${(/* @__PURE__ */ new Date()).toLocaleDateString()}
                 </p>
-            </body>
-            </html>
+            </div>
         `;
     }
     /**
@@ -1085,6 +8953,32 @@
       modal.innerHTML = `<div class="modal-content">${content}</div>`;
       modal.classList.remove("hidden");
     }
+    /**
+     * Warn that changes could not be saved on this device
+     * @param {Error|null} error
+     */
+    showWriteError(error) {
+      const bar = document.getElementById("writeError");
+      if (!bar) return;
+      const full = error && error.name === "QuotaExceededError";
+      bar.innerHTML = `
+            <span>
+                \u26A0\uFE0F Changes could not be saved on this device${full ? ": the storage is full" : ""}.
+                They are kept until the app is closed: free some space (old restore points, photos)
+                or download a backup, then retry.
+            </span>
+            <button class="btn btn-secondary" onclick="window.app.ui.retryWrites()">Retry</button>
+        `;
+      bar.classList.remove("hidden");
+    }
+    /**
+     * Save again the changes whose write failed
+     */
+    async retryWrites() {
+      if (await this.app.storage.retryWrites()) {
+        document.getElementById("writeError").classList.add("hidden");
+      }
+    }
     /**
      * Close modal
      */
@@ -1095,127 +8989,190 @@
      * Toggle sidebar
      */
     toggleSidebar() {
-      document.getElementById("sidebar").classList.toggle("hidden");
-    }
-    /**
-     * Refresh current view
-     */
-    refreshCurrentView() {
-      this.switchView(this.currentView || "tracker");
+      const sidebar = document.getElementById("sidebar");
+      if (sidebar.classList.contains("hidden")) {
+        this.renderSidebar();
+      }
+      sidebar.classList.toggle("hidden");
     }
     /**
-     * Format date
+     * Render sidebar menu
      */
-    formatDate(dateStr) {
-      const date = new Date(dateStr);
-      return date.toLocaleDateString("en-US", {
-        weekday: "long",
-        year: "numeric",
-        month: "long",
-        day: "numeric"
-      });
-    }
-  };
-
-  // js/utils/Storage.js
-  var Storage = class {
-    constructor(namespace = "lateness-tracker") {
-      this.namespace = namespace;
+    renderSidebar() {
+      document.getElementById("sidebar").innerHTML = `
+            <div class="sidebar-header">
+                <h2>Menu</h2>
+                <button class="icon-btn" onclick="window.app.ui.toggleSidebar()">\u2715</button>
+            </div>
+            <ul class="sidebar-menu">
+                <li><button onclick="window.app.ui.runMenuAction('showWorkspacesModal')">\u{1F3EB} Workspaces</button></li>
+                <li><button onclick="window.app.ui.runMenuAction('showClassesModal')">\u{1F3F7}\uFE0F Classes</button></li>
+                <li><button onclick="window.app.ui.runMenuAction('showCalendarModal')">\u{1F4C6} School calendar</button></li>
+                <li><button onclick="window.app.ui.runMenuAction('showLatenessModal')">\u23F1\uFE0F Lateness rules</button></li>
+                <li><button onclick="window.app.ui.runMenuAction('showRolloverModal')">\u{1F393} New school year</button></li>
+                <li><button onclick="window.app.ui.runMenuAction('exportBackup')">\u{1F4BE} Export backup</button></li>
+                <li><button onclick="window.app.ui.runMenuAction('showRestoreModal')">\u267B\uFE0F Restore backup</button></li>
+                <li><button onclick="window.app.ui.runMenuAction('showRestorePointsModal')">\u{1F552} Restore points</button></li>
+                <li><button onclick="window.app.ui.runMenuAction('switchView', 'journal')">\u{1F4DC} Change journal</button></li>
+                <li><button onclick="window.app.ui.runMenuAction('showSyncModal')">\u{1F504} Sync</button></li>
+                ${this.app.storage.supportsEncryption() ? `
+                    <li><button onclick="window.app.ui.runMenuAction('showEncryptionModal')">\u{1F512} Encryption</button></li>
+                ` : ""}
+            </ul>
+        `;
     }
     /**
-     * Save data to localStorage
-     * @param {string} key - Storage key
-     * @param {any} data - Data to store
+     * Close sidebar and run a UI action
      */
-    set(key, data) {
-      try {
-        const serialized = JSON.stringify(data);
-        localStorage.setItem(`${this.namespace}:${key}`, serialized);
-        return true;
-      } catch (error) {
-        console.error(`Storage error: ${key}`, error);
-        return false;
-      }
+    runMenuAction(action, ...args) {
+      document.getElementById("sidebar").classList.add("hidden");
+      this[action](...args);
     }
     /**
-     * Load data from localStorage
-     * @param {string} key - Storage key
-     * @param {any} defaultValue - Default if not found
-     * @returns {any}
+     * Data changed in another tab or window
      */
-    get(key, defaultValue = null) {
-      try {
-        const item = localStorage.getItem(`${this.namespace}:${key}`);
-        return item ? JSON.parse(item) : defaultValue;
-      } catch (error) {
-        console.error(`Storage read error: ${key}`, error);
-        return defaultValue;
+    handleExternalChange() {
+      if (this.currentClassId && !this.app.classManager.getById(this.currentClassId)) {
+        this.currentClassId = null;
       }
+      this.showClassSelector();
+      this.refreshCurrentView();
     }
     /**
-     * Remove a key
-     * @param {string} key - Storage key
+     * Refresh current view
      */
-    remove(key) {
-      localStorage.removeItem(`${this.namespace}:${key}`);
+    refreshCurrentView() {
+      this.switchView(this.currentView || "tracker");
     }
     /**
-     * Export all data as JSON
-     * @returns {object}
+     * Escape text for HTML output
      */
-    exportAll() {
-      const data = {};
-      for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (key.startsWith(`${this.namespace}:`)) {
-          const shortKey = key.replace(`${this.namespace}:`, "");
-          data[shortKey] = this.get(shortKey);
-        }
-      }
-      return data;
+    escapeHtml(text) {
+      return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;");
     }
     /**
-     * Import data from JSON
-     * @param {object} data - Data to import
+     * Format date
      */
-    importAll(data) {
-      Object.entries(data).forEach(([key, value]) => {
-        this.set(key, value);
+    formatDate(dateStr) {
+      const date = new Date(dateStr);
+      return date.toLocaleDateString("en-US", {
+        weekday: "long",
+        year: "numeric",
+        month: "long",
+        day: "numeric"
       });
     }
     /**
-     * Clear all app data
+     * Format date without the weekday and year (e.g., "Mar 4")
      */
-    clearAll() {
-      const keys = [];
-      for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (key.startsWith(`${this.namespace}:`)) {
-          keys.push(key);
-        }
-      }
-      keys.forEach((key) => localStorage.removeItem(key));
+    formatShortDate(dateStr) {
+      return new Date(dateStr).toLocaleDateString("en-US", { month: "short", day: "numeric" });
     }
   };
 
   // js/app.js
   var App = class {
     constructor() {
-      this.storage = new Storage();
-      this.classManager = new ClassManager(this.storage);
-      this.studentManager = new StudentManager(this.storage);
-      this.arrivalTracker = new ArrivalTracker(this.storage, this.classManager);
-      this.reportGenerator = new ReportGenerator(this.storage, this.studentManager, this.classManager);
+      this.workspaceManager = new WorkspaceManager();
+      this.workspace = this.workspaceManager.getActive();
+      this.storage = this.workspaceManager.createStorage(this.workspace);
+      this.settings = new Settings(this.storage);
+      this.journal = new Journal(this.storage, this.settings);
+      this.calendar = new SchoolCalendar(this.storage, this.journal);
+      this.classManager = new ClassManager(this.storage, this.journal, this.settings, this.calendar);
+      this.studentManager = new StudentManager(this.storage, this.journal, this.settings);
+      this.photos = new StudentPhotos(this.storage, this.studentManager);
+      this.arrivalTracker = new ArrivalTracker(this.storage, this.classManager, this.journal, this.calendar);
+      this.reportGenerator = new ReportGenerator(
+        this.storage,
+        this.studentManager,
+        this.classManager,
+        this.journal,
+        this.calendar
+      );
+      this.syncManager = new SyncManager(this.storage, this.journal);
+      this.backupManager = new BackupManager(this.storage, this.settings);
+      this.yearRollover = new YearRollover(this.classManager, this.studentManager, this.backupManager);
+      this.timetableCalendar = new TimetableCalendar(this.classManager, this.calendar);
+      this.trash = new Trash(
+        this.storage,
+        this.classManager,
+        this.studentManager,
+        this.arrivalTracker,
+        this.backupManager,
+        this.photos,
+        this.journal
+      );
       this.ui = new UI(this);
+      this.storage.onWriteError((error) => this.ui.showWriteError(error));
       this.init();
     }
     async init() {
-      console.log("\u{1F4F1} Lateness Tracker starting...");
+      console.log(`\u{1F4F1} Lateness Tracker starting (${this.workspace.name})...`);
+      await this.storage.open();
+      if (this.storage.isLocked()) {
+        await this.ui.showUnlockScreen();
+      }
+      try {
+        await new SchemaMigrator(this.storage).run();
+      } catch (error) {
+        console.error("Schema migration failed", error);
+        document.getElementById("app").innerHTML = `<div style="padding:20px;color:red;"><h2>Error</h2><p>${error.message}</p></div>`;
+        return;
+      }
+      await this.loadData();
+      this.storage.subscribe((keys) => this.handleExternalChange(keys));
+      this.syncManager.subscribe((keys) => this.handleExternalChange(keys));
+      this.ui.init();
+      this.syncManager.start();
+      this.backupManager.start();
+      console.log("\u2705 App initialized");
+    }
+    // Load (or reload) every manager from storage
+    async loadData() {
+      await this.settings.load();
+      await this.journal.load();
+      await this.calendar.load();
       await this.classManager.load();
       await this.studentManager.load();
+      await this.photos.load();
       await this.arrivalTracker.load();
-      this.ui.init();
-      console.log("\u2705 App initialized");
+      await this.syncManager.load();
+      await this.backupManager.load();
+      await this.trash.load();
+    }
+    // Reload what another tab or window changed, then refresh the screen
+    async handleExternalChange(keys) {
+      if (keys.includes("@encryption")) {
+        location.reload();
+        return;
+      }
+      const loaders = {
+        settings: this.settings,
+        journal: this.journal,
+        calendar: this.calendar,
+        classes: this.classManager,
+        students: this.studentManager,
+        photos: this.photos,
+        arrivals: this.arrivalTracker,
+        syncConfig: this.syncManager,
+        restorePoints: this.backupManager,
+        trash: this.trash
+      };
+      const all = keys.includes("*");
+      const changed = Object.keys(loaders).filter((key) => all || keys.includes(key));
+      for (const key of changed) {
+        await loaders[key].load();
+      }
+      if (changed.some((key) => !["syncConfig", "restorePoints", "trash"].includes(key))) {
+        this.ui.handleExternalChange();
+      }
+    }
+    // Open another workspace (reloads the app on its data)
+    switchWorkspace(id) {
+      if (this.workspaceManager.setActive(id)) {
+        location.reload();
+      }
     }
     // Get current app state
     getState() {
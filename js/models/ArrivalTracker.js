@@ -1,11 +1,32 @@
 /**
  * ArrivalTracker - Track student arrivals
+ *
+ * A student arrives once per session: arrivals are keyed by student, date
+ * and sessionId (null when the class has no session that day).
+ * Arrivals cannot be marked on days the school calendar says are closed, and
+ * arrivals already recorded on such days are left out of statistics.
+ *
+ * The status depends on how late the student is and the class's lateness
+ * rules: on time within the grace period, then late, very late and finally
+ * counted absent.
  */
 
+export const ARRIVAL_STATUSES = {
+    'on-time': 'On time',
+    late: 'Late',
+    'very-late': 'Very late',
+    'counted-absent': 'Counted absent'
+};
+
+// Statuses counted as tardies
+export const LATE_STATUSES = ['late', 'very-late', 'counted-absent'];
+
 export class ArrivalTracker {
-    constructor(storage, classManager) {
+    constructor(storage, classManager, journal = null, calendar = null) {
         this.storage = storage;
         this.classManager = classManager;
+        this.journal = journal;
+        this.calendar = calendar;
         this.arrivals = [];
     }
 
@@ -14,6 +35,7 @@ export class ArrivalTracker {
      */
     async load() {
         this.arrivals = this.storage.get('arrivals', []);
+        this.removeDuplicates();
     }
 
     /**
@@ -44,10 +66,14 @@ export class ArrivalTracker {
      * Get arrivals for a class on a specific date
      * @param {string} classId 
      * @param {string} date 
+     * @param {string} sessionId - Only this session (optional)
      * @returns {array}
      */
-    getByClassAndDate(classId, date) {
-        return this.arrivals.filter(a => a.classId === classId && a.date === date);
+    getByClassAndDate(classId, date, sessionId = undefined) {
+        return this.arrivals.filter(a => 
+            a.classId === classId && a.date === date &&
+            (sessionId === undefined || a.sessionId === sessionId)
+        );
     }
 
     /**
@@ -56,81 +82,235 @@ export class ArrivalTracker {
      * @param {string} classId 
      * @param {string} date - ISO date string
      * @param {string} time - HH:MM format (optional, defaults to now)
+     * @param {string} sessionId - Session (optional, detected from the time)
      * @returns {object}
      */
-    markArrival(studentId, classId, date, time = null) {
+    markArrival(studentId, classId, date, time = null, sessionId = null) {
+        if (this.classManager.isArchived(classId)) {
+            return { success: false, message: 'Archived class (read-only)' };
+        }
+
+        const closure = this.calendar?.getClosure(date);
+        if (closure) {
+            return { success: false, message: `No school: ${closure.name}` };
+        }
+
+        const arrivalTime = time || new Date().toTimeString().substr(0, 5);
+        const session = sessionId ?
+            this.classManager.getSession(classId, date, sessionId)?.session :
+            this.classManager.detectSession(classId, date, arrivalTime);
+        const arrivalSessionId = session ? session.id : sessionId;
+
         // Check if already arrived
-        const existing = this.arrivals.find(a => 
-            a.studentId === studentId && a.date === date
-        );
+        const existing = this.hasArrived(studentId, date, arrivalSessionId);
         
         if (existing) {
             return { success: false, message: 'Already marked', arrival: existing };
         }
 
-        // Calculate minutes late
-        const arrivalTime = time || new Date().toTimeString().substr(0, 5);
-        const dayOfWeek = new Date(date).getDay();
-        const schedule = this.classManager.getScheduleForDay(classId, dayOfWeek);
-        
-        let minutesLate = 0;
-        let status = 'on-time';
-        
-        if (schedule && schedule.enabled && schedule.startTime) {
-            const [scheduleHour, scheduleMin] = schedule.startTime.split(':').map(Number);
-            const [arrivalHour, arrivalMin] = arrivalTime.split(':').map(Number);
-            
-            const scheduleMinutes = scheduleHour * 60 + scheduleMin;
-            const arrivalMinutes = arrivalHour * 60 + arrivalMin;
-            
-            minutesLate = Math.max(0, arrivalMinutes - scheduleMinutes);
-            status = minutesLate > 0 ? 'late' : 'on-time';
-        }
+        const { minutesLate, status } = this.computeLateness(
+            session, arrivalTime, this.classManager.getLatenessRules(classId)
+        );
 
+        const now = new Date().toISOString();
         const arrival = {
             id: this.generateId(),
             studentId,
             classId,
             date,
+            sessionId: arrivalSessionId,
             time: arrivalTime,
             minutesLate,
             status,
-            createdAt: new Date().toISOString()
+            createdAt: now,
+            updatedAt: now
         };
 
         this.arrivals.push(arrival);
-        this.save();
+        this.storage.putRecord('arrivals', arrival);
+        this.journal?.record('create', 'arrival', null, arrival);
         
         return { success: true, arrival };
     }
 
+    /**
+     * Calculate minutes late and status for an arrival time
+     * @param {object|null} session - { startTime }
+     * @param {string} time - HH:MM
+     * @param {object} rules - { graceMinutes, veryLateMinutes, absentMinutes }
+     * @returns {object} - { minutesLate, status }
+     */
+    computeLateness(session, time, rules = {}) {
+        let minutesLate = 0;
+        let status = 'on-time';
+        
+        if (session && session.startTime) {
+            const [scheduleHour, scheduleMin] = session.startTime.split(':').map(Number);
+            const [arrivalHour, arrivalMin] = time.split(':').map(Number);
+            
+            const scheduleMinutes = scheduleHour * 60 + scheduleMin;
+            const arrivalMinutes = arrivalHour * 60 + arrivalMin;
+            
+            minutesLate = Math.max(0, arrivalMinutes - scheduleMinutes);
+            status = ArrivalTracker.statusFor(minutesLate, rules);
+        }
+        
+        return { minutesLate, status };
+    }
+
+    /**
+     * Status tier for a number of minutes late
+     * @param {number} minutesLate 
+     * @param {object} rules - { graceMinutes, veryLateMinutes, absentMinutes } (0 = tier off)
+     * @returns {string}
+     */
+    static statusFor(minutesLate, rules) {
+        const { graceMinutes = 0, veryLateMinutes = 0, absentMinutes = 0 } = rules;
+        
+        if (minutesLate <= graceMinutes) return 'on-time';
+        if (absentMinutes > 0 && minutesLate >= absentMinutes) return 'counted-absent';
+        if (veryLateMinutes > 0 && minutesLate >= veryLateMinutes) return 'very-late';
+        return 'late';
+    }
+
+    /**
+     * Is this status a tardy?
+     * @param {string} status 
+     * @returns {boolean}
+     */
+    static isLate(status) {
+        return LATE_STATUSES.includes(status);
+    }
+
+    /**
+     * Count arrivals per status
+     * @param {array} arrivals 
+     * @returns {object} - { 'on-time': n, late: n, 'very-late': n, 'counted-absent': n }
+     */
+    static countByStatus(arrivals) {
+        const counts = Object.fromEntries(Object.keys(ARRIVAL_STATUSES).map(status => [status, 0]));
+        arrivals.forEach(a => {
+            counts[a.status] = (counts[a.status] || 0) + 1;
+        });
+        return counts;
+    }
+
+    /**
+     * Recompute minutesLate/status of the arrivals recorded for a class on a
+     * date, after its schedule changed for that date
+     * @param {string} classId 
+     * @param {string} date 
+     * @returns {number} - Number of arrivals updated
+     */
+    recalculate(classId, date) {
+        let updated = 0;
+        
+        this.getByClassAndDate(classId, date).forEach(arrival => {
+            const found = arrival.sessionId && this.classManager.getSession(classId, date, arrival.sessionId);
+            let session = found && !found.session.cancelled ? found.session : null;
+            
+            // Session cancelled or never matched: attach to the one the time falls in
+            if (!session) {
+                const detected = this.classManager.detectSession(classId, date, arrival.time);
+                if (detected && !this.hasArrived(arrival.studentId, date, detected.id)) {
+                    session = detected;
+                }
+            }
+            // No session that day any more: leave the arrival as recorded
+            if (!session) return;
+            
+            const changes = {
+                sessionId: session.id,
+                ...this.computeLateness(session, arrival.time, this.classManager.getLatenessRules(classId))
+            };
+            if (Object.keys(changes).every(key => changes[key] === arrival[key])) return;
+            
+            const index = this.arrivals.indexOf(arrival);
+            this.arrivals[index] = { ...arrival, ...changes, updatedAt: new Date().toISOString() };
+            this.storage.putRecord('arrivals', this.arrivals[index]);
+            this.journal?.record('update', 'arrival', arrival, this.arrivals[index]);
+            updated++;
+        });
+        
+        return updated;
+    }
+
     /**
      * Remove arrival (undo)
      * @param {string} studentId 
      * @param {string} date 
+     * @param {string} sessionId - Session (optional, first arrival of the day otherwise)
      * @returns {boolean}
      */
-    removeArrival(studentId, date) {
-        const index = this.arrivals.findIndex(a => 
-            a.studentId === studentId && a.date === date
-        );
+    removeArrival(studentId, date, sessionId = undefined) {
+        const arrival = this.hasArrived(studentId, date, sessionId);
+        const index = this.arrivals.indexOf(arrival);
         
-        if (index !== -1) {
-            this.arrivals.splice(index, 1);
-            this.save();
+        if (index !== -1 && !this.classManager.isArchived(arrival.classId)) {
+            const [removed] = this.arrivals.splice(index, 1);
+            this.storage.deleteRecord('arrivals', removed.id);
+            this.journal?.record('delete', 'arrival', removed, null);
             return true;
         }
         return false;
     }
 
+    /**
+     * Delete every arrival matching a condition (e.g., of a deleted class)
+     * @param {function} predicate 
+     * @returns {array} - The deleted arrivals
+     */
+    deleteWhere(predicate) {
+        const removed = this.arrivals.filter(predicate);
+        this.arrivals = this.arrivals.filter(a => !predicate(a));
+        removed.forEach(arrival => {
+            this.storage.deleteRecord('arrivals', arrival.id);
+            this.journal?.record('delete', 'arrival', arrival, null);
+        });
+        return removed;
+    }
+
+    /**
+     * Delete arrivals, leaving only their ids in the journal (data erase)
+     * @param {function} predicate 
+     * @returns {array} - Ids of the deleted arrivals
+     */
+    eraseWhere(predicate) {
+        const ids = this.arrivals.filter(predicate).map(a => a.id);
+        this.arrivals = this.arrivals.filter(a => !predicate(a));
+        ids.forEach(id => {
+            this.storage.deleteRecord('arrivals', id);
+            this.journal?.record('delete', 'arrival', { id }, null);
+        });
+        return ids;
+    }
+
+    /**
+     * Put back arrivals deleted earlier (trash), as newer than their deletion
+     * @param {array} records 
+     */
+    restoreRecords(records) {
+        const now = new Date().toISOString();
+        records.forEach(record => {
+            const restored = { ...record, updatedAt: now };
+            this.arrivals.push(restored);
+            this.storage.putRecord('arrivals', restored);
+            this.journal?.record('create', 'arrival', null, restored);
+        });
+    }
+
     /**
      * Check if student has arrived
      * @param {string} studentId 
      * @param {string} date 
+     * @param {string} sessionId - Session (optional, any session otherwise)
      * @returns {object|null}
      */
-    hasArrived(studentId, date) {
-        return this.arrivals.find(a => a.studentId === studentId && a.date === date) || null;
+    hasArrived(studentId, date, sessionId = undefined) {
+        return this.arrivals.find(a => 
+            a.studentId === studentId && a.date === date &&
+            (sessionId === undefined || a.sessionId === sessionId)
+        ) || null;
     }
 
     /**
@@ -141,7 +321,7 @@ export class ArrivalTracker {
      * @returns {object}
      */
     getStudentStats(studentId, startDate = null, endDate = null) {
-        let filtered = this.arrivals.filter(a => a.studentId === studentId);
+        let filtered = this.arrivals.filter(a => a.studentId === studentId && this.isSchoolDay(a.date));
         
         if (startDate) {
             filtered = filtered.filter(a => a.date >= startDate);
@@ -151,9 +331,10 @@ export class ArrivalTracker {
         }
 
         const total = filtered.length;
-        const tardies = filtered.filter(a => a.status === 'late').length;
+        const late = filtered.filter(a => ArrivalTracker.isLate(a.status));
+        const tardies = late.length;
         const onTime = filtered.filter(a => a.status === 'on-time').length;
-        const totalMinutesLate = filtered.reduce((sum, a) => sum + a.minutesLate, 0);
+        const totalMinutesLate = late.reduce((sum, a) => sum + a.minutesLate, 0);
         const avgMinutesLate = tardies > 0 ? Math.round(totalMinutesLate / tardies) : 0;
 
         return {
@@ -161,7 +342,9 @@ export class ArrivalTracker {
             onTime,
             tardies,
             totalMinutesLate,
-            avgMinutesLate
+            avgMinutesLate,
+            byStatus: ArrivalTracker.countByStatus(filtered),
+            bySession: this.getSessionStats(filtered)
         };
     }
 
@@ -173,7 +356,7 @@ export class ArrivalTracker {
      * @returns {object}
      */
     getClassStats(classId, startDate = null, endDate = null) {
-        let filtered = this.arrivals.filter(a => a.classId === classId);
+        let filtered = this.arrivals.filter(a => a.classId === classId && this.isSchoolDay(a.date));
         
         if (startDate) {
             filtered = filtered.filter(a => a.date >= startDate);
@@ -182,17 +365,74 @@ export class ArrivalTracker {
             filtered = filtered.filter(a => a.date <= endDate);
         }
 
-        const tardies = filtered.filter(a => a.status === 'late').length;
+        const tardies = filtered.filter(a => ArrivalTracker.isLate(a.status)).length;
         const onTime = filtered.filter(a => a.status === 'on-time').length;
 
         return {
             totalArrivals: filtered.length,
             onTime,
             tardies,
-            latenessRate: filtered.length > 0 ? Math.round((tardies / filtered.length) * 100) : 0
+            byStatus: ArrivalTracker.countByStatus(filtered),
+            latenessRate: filtered.length > 0 ? Math.round((tardies / filtered.length) * 100) : 0,
+            bySession: this.getSessionStats(filtered)
         };
     }
 
+    /**
+     * Does a date count in statistics (school open)?
+     * @param {string} date 
+     * @returns {boolean}
+     */
+    isSchoolDay(date) {
+        return !this.calendar || this.calendar.isSchoolDay(date);
+    }
+
+    /**
+     * Lateness per session (grouped by session label, e.g. morning/afternoon)
+     * @param {array} arrivals 
+     * @returns {object} - { [label]: { totalArrivals, tardies, totalMinutesLate } }
+     */
+    getSessionStats(arrivals) {
+        const stats = {};
+        
+        arrivals.forEach(a => {
+            const label = this.classManager.getSessionLabel(a.classId, a.date, a.sessionId);
+            const entry = stats[label] || (stats[label] = { totalArrivals: 0, tardies: 0, totalMinutesLate: 0 });
+            entry.totalArrivals++;
+            if (ArrivalTracker.isLate(a.status)) {
+                entry.tardies++;
+                entry.totalMinutesLate += a.minutesLate;
+            }
+        });
+        
+        return stats;
+    }
+
+    /**
+     * Merge arrivals marked concurrently in two tabs/devices for the same
+     * student, date and session: the earliest one is kept, so every tab picks the same.
+     * Every tab and device runs it when loading, so the merge is not journaled
+     * (nor synced): each one drops the same duplicates by itself.
+     */
+    removeDuplicates() {
+        const sorted = [...this.arrivals].sort((a, b) =>
+            (a.createdAt || '').localeCompare(b.createdAt || '') || a.id.localeCompare(b.id)
+        );
+        const seen = new Set();
+        const duplicates = sorted.filter(a => {
+            const key = `${a.studentId}|${a.date}|${a.sessionId || ''}`;
+            if (seen.has(key)) return true;
+            seen.add(key);
+            return false;
+        });
+
+        if (duplicates.length === 0) return;
+
+        const ids = new Set(duplicates.map(a => a.id));
+        this.arrivals = this.arrivals.filter(a => !ids.has(a.id));
+        duplicates.forEach(a => this.storage.deleteRecord('arrivals', a.id));
+    }
+
     /**
      * Generate unique ID
      */
@@ -0,0 +1,241 @@
+/**
+ * BackupManager - Automatic local restore points
+ *
+ * A snapshot of the data is taken once a day and before risky operations
+ * (backup restore, class deletion, roster import, new school year). Only the
+ * most recent `restorePointsLimit` snapshots are kept. Restoring goes through
+ * the same validated import as JSON backups (ReportGenerator.previewImport).
+ *
+ * Snapshots are stored next to the data: on the localStorage fallback, where
+ * space is a few megabytes, only LOCAL_STORAGE_LIMIT of them are kept.
+ */
+
+import { SYNC_STORAGE_KEYS } from './SyncManager.js';
+import { PHOTOS_KEY } from './StudentPhotos.js';
+import { TRASH_KEY } from './Trash.js';
+
+export const RESTORE_POINTS_KEY = 'restorePoints';
+
+// Not part of snapshots: the journal is never rolled back, photos are too big to copy
+// every day (restoring leaves them as they are), the trash is already a copy of
+// deleted data, the rest is device state
+const EXCLUDED_KEYS = ['journal', PHOTOS_KEY, TRASH_KEY, RESTORE_POINTS_KEY, ...SYNC_STORAGE_KEYS];
+
+// Restore points kept when the data is in localStorage
+export const LOCAL_STORAGE_LIMIT = 1;
+
+const DAILY_CHECK_INTERVAL = 60 * 60 * 1000;
+
+export const RESTORE_POINT_REASONS = {
+    daily: 'Daily',
+    manual: 'Manual',
+    'before-import': 'Before backup restore',
+    'before-class-delete': 'Before class deletion',
+    'before-roster-import': 'Before roster import',
+    'before-rollover': 'Before new school year'
+};
+
+export class BackupManager {
+    constructor(storage, settings) {
+        this.storage = storage;
+        this.settings = settings;
+        this.restorePoints = [];
+        this.dailyTimer = null;
+    }
+
+    /**
+     * Load restore points from storage
+     */
+    async load() {
+        this.restorePoints = this.storage.get(RESTORE_POINTS_KEY, []);
+    }
+
+    /**
+     * Take the daily snapshot now and check again every hour
+     */
+    start() {
+        clearInterval(this.dailyTimer);
+        this.takeDailySnapshot();
+        this.dailyTimer = setInterval(() => this.takeDailySnapshot(), DAILY_CHECK_INTERVAL);
+    }
+
+    /**
+     * Get restore points, newest first (without their data)
+     * @returns {array}
+     */
+    getAll() {
+        return this.restorePoints
+            .map(({ data, ...point }) => point)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Get a restore point with its data
+     * @param {string} id
+     * @returns {object|null}
+     */
+    getById(id) {
+        return this.restorePoints.find(p => p.id === id) || null;
+    }
+
+    /**
+     * Take a snapshot if none was taken today
+     * @returns {object|null} - The new restore point
+     */
+    takeDailySnapshot() {
+        if (!this.settings.get('dailySnapshots')) return null;
+
+        const today = new Date().toISOString().split('T')[0];
+        const hasToday = this.restorePoints.some(p =>
+            p.reason === 'daily' && p.createdAt.startsWith(today)
+        );
+        return hasToday ? null : this.snapshot('daily');
+    }
+
+    /**
+     * Take a snapshot of the current data
+     * @param {string} reason - Key of RESTORE_POINT_REASONS
+     * @returns {object} - The restore point (without data)
+     */
+    snapshot(reason) {
+        const data = this.storage.exportAll();
+        EXCLUDED_KEYS.forEach(key => delete data[key]);
+
+        const summary = {
+            id: this.generateId(),
+            createdAt: new Date().toISOString(),
+            reason,
+            counts: BackupManager.count(data)
+        };
+        const point = { ...summary, data };
+
+        // Make room first when space is short
+        if (!this.storage.hasLargeQuota()) this.prune(1);
+        this.restorePoints.push(point);
+        this.storage.putRecord(RESTORE_POINTS_KEY, point);
+        this.prune();
+
+        return summary;
+    }
+
+    /**
+     * Run a risky operation after taking a snapshot
+     * @param {string} reason - Key of RESTORE_POINT_REASONS
+     * @param {function} operation
+     * @returns {any} - What the operation returns
+     */
+    protect(reason, operation) {
+        this.snapshot(reason);
+        return operation();
+    }
+
+    /**
+     * Delete a restore point
+     * @param {string} id
+     */
+    delete(id) {
+        this.restorePoints = this.restorePoints.filter(p => p.id !== id);
+        this.storage.deleteRecord(RESTORE_POINTS_KEY, id);
+    }
+
+    /**
+     * Remove students and their arrivals from every restore point, including
+     * the trash copied by older snapshots
+     * @param {Set} studentIds
+     */
+    forgetStudents(studentIds) {
+        const erased = student => studentIds.has(student.id);
+        const erasedArrival = arrival => studentIds.has(arrival.studentId);
+
+        this.restorePoints.forEach(point => {
+            const { students = [], arrivals = [], trash } = point.data;
+            const trashed = Array.isArray(trash) ? trash : [];
+            if (!students.some(erased) && !arrivals.some(erasedArrival) &&
+                !trashed.some(item => item.student ? erased(item.student) : (item.students || []).some(erased))) return;
+
+            point.data = {
+                ...point.data,
+                students: students.filter(s => !erased(s)),
+                arrivals: arrivals.filter(a => !erasedArrival(a)),
+                ...(trash ? {
+                    trash: trashed
+                        .filter(item => !item.student || !erased(item.student))
+                        .map(item => item.student ? item : {
+                            ...item,
+                            students: (item.students || []).filter(s => !erased(s)),
+                            arrivals: (item.arrivals || []).filter(a => !erasedArrival(a))
+                        })
+                } : {})
+            };
+            point.counts = BackupManager.count(point.data);
+            this.storage.putRecord(RESTORE_POINTS_KEY, point);
+        });
+    }
+
+    /**
+     * Keep only the most recent restore points
+     * @param {number} room - Restore points about to be added
+     */
+    prune(room = 0) {
+        const limit = Math.min(
+            Math.max(1, Number(this.settings.get('restorePointsLimit')) || 1),
+            this.storage.hasLargeQuota() ? Infinity : LOCAL_STORAGE_LIMIT
+        );
+        const sorted = [...this.restorePoints].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        sorted.slice(Math.max(0, limit - room)).forEach(point => this.delete(point.id));
+    }
+
+    /**
+     * Describe what a restore point contains
+     * @param {string} id
+     * @returns {object|null} - { classes: [{ name, students, arrivals }], firstDate, lastDate }
+     */
+    describe(id) {
+        const point = this.getById(id);
+        if (!point) return null;
+
+        const { classes = [], students = [], arrivals = [] } = point.data;
+        const dates = arrivals.map(a => a.date).sort();
+
+        return {
+            classes: classes.map(c => ({
+                name: c.name,
+                students: students.filter(s => s.classId === c.id).length,
+                arrivals: arrivals.filter(a => a.classId === c.id).length
+            })),
+            firstDate: dates[0] || null,
+            lastDate: dates[dates.length - 1] || null
+        };
+    }
+
+    /**
+     * Backup JSON of a restore point, for ReportGenerator.previewImport()
+     * @param {string} id
+     * @returns {string|null}
+     */
+    toJSON(id) {
+        const point = this.getById(id);
+        return point ? JSON.stringify(point.data, null, 2) : null;
+    }
+
+    /**
+     * Count records per collection
+     * @param {object} data
+     * @returns {object}
+     */
+    static count(data) {
+        return {
+            classes: (data.classes || []).length,
+            students: (data.students || []).length,
+            arrivals: (data.arrivals || []).length
+        };
+    }
+
+    /**
+     * Generate unique ID
+     */
+    generateId() {
+        return 'rp_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    }
+}
@@ -1,10 +1,48 @@
 /**
  * ClassManager - Manage classes and schedules
+ *
+ * A schedule maps weekday names to { enabled, sessions }, each session being
+ * { id, label, startTime, endTime } (e.g., a morning and an afternoon session).
+ *
+ * `overrides` maps ISO dates to { sessions } replacing the weekly template on
+ * that date only (moved, cancelled or extra sessions). Overridden sessions keep
+ * the template session ids so arrivals stay attached; cancelled ones are kept
+ * with `cancelled: true`.
+ *
+ * `lateness` holds the class's own lateness rules (see getLatenessRules()),
+ * any rule left out uses the global setting.
+ *
+ * `rotation` ({ anchorDate, skipClosedWeeks, schedules }) turns the schedule
+ * into an N-week rotation: `schedule` is week A, `rotation.schedules` holds
+ * weeks B, C... Week A is the week of `anchorDate`; with `skipClosedWeeks`,
+ * weeks without any school day (school calendar) do not count.
+ *
+ * `schoolYear` ("2026-2027") groups classes by school year; the current year
+ * is the most recent one. Classes of past years are `archived`: kept for
+ * reports, but read-only.
+ *
+ * `teacher`, `room`, `level`, `subject` (free text, '' when unknown) and
+ * `color` (one of CLASS_COLORS, or null) describe the class.
  */
 
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+export const CLASS_COLORS = ['#4CAF50', '#2196F3', '#FF9800', '#9C27B0', '#F44336', '#009688', '#795548', '#607D8B'];
+
+// Descriptive fields of a class, by their display name
+export const CLASS_FIELDS = {
+    teacher: 'Teacher',
+    room: 'Room',
+    level: 'Level',
+    subject: 'Subject'
+};
+
 export class ClassManager {
-    constructor(storage) {
+    constructor(storage, journal = null, settings = null, calendar = null) {
         this.storage = storage;
+        this.journal = journal;
+        this.settings = settings;
+        this.calendar = calendar;
         this.classes = [];
     }
 
@@ -45,14 +83,25 @@ export class ClassManager {
      * @param {object} schedule - Weekly schedule
      */
     add(name, schedule = {}) {
+        const now = new Date().toISOString();
         const newClass = {
             id: this.generateId(),
             name,
             schedule: schedule || this.defaultSchedule(),
-            createdAt: new Date().toISOString()
+            overrides: {},
+            schoolYear: this.getCurrentYear(),
+            archived: false,
+            teacher: '',
+            room: '',
+            level: '',
+            subject: '',
+            color: null,
+            createdAt: now,
+            updatedAt: now
         };
         this.classes.push(newClass);
-        this.save();
+        this.storage.putRecord('classes', newClass);
+        this.journal?.record('create', 'class', null, newClass);
         return newClass;
     }
 
@@ -64,50 +113,569 @@ export class ClassManager {
     update(id, updates) {
         const index = this.classes.findIndex(c => c.id === id);
         if (index !== -1) {
-            this.classes[index] = { ...this.classes[index], ...updates };
-            this.save();
+            const before = this.classes[index];
+            this.classes[index] = { ...before, ...updates, updatedAt: new Date().toISOString() };
+            this.storage.putRecord('classes', this.classes[index]);
+            this.journal?.record('update', 'class', before, this.classes[index]);
             return this.classes[index];
         }
         return null;
     }
 
     /**
-     * Delete a class
+     * Delete a class (its students and arrivals stay: see Trash.deleteClass())
      * @param {string} id 
      */
     delete(id) {
+        const before = this.getById(id);
         this.classes = this.classes.filter(c => c.id !== id);
-        this.save();
+        if (before) {
+            this.storage.deleteRecord('classes', id);
+            this.journal?.record('delete', 'class', before, null);
+        }
+    }
+
+    /**
+     * Put back records deleted earlier (trash), as newer than their deletion
+     * @param {array} records 
+     */
+    restoreRecords(records) {
+        const now = new Date().toISOString();
+        records.forEach(record => {
+            const restored = { ...record, updatedAt: now };
+            this.classes.push(restored);
+            this.storage.putRecord('classes', restored);
+            this.journal?.record('create', 'class', null, restored);
+        });
+    }
+
+    /**
+     * Classes matching every given field (e.g., { level: '1AEP', schoolYear: '2026-2027' })
+     * @param {object} criteria 
+     * @returns {array} - By name
+     */
+    filter(criteria) {
+        return this.classes
+            .filter(c => Object.entries(criteria).every(([field, value]) => (c[field] || '') === value))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Values used by the classes for a field, e.g., every level
+     * @param {string} field - Key of CLASS_FIELDS
+     * @param {array} classes - Classes to look at (all by default)
+     * @returns {array} - Sorted, without empty values
+     */
+    getFieldValues(field, classes = this.classes) {
+        return [...new Set(classes.map(c => (c[field] || '').trim()).filter(Boolean))].sort();
+    }
+
+    /**
+     * Group classes by level (classes without a level last)
+     * @param {array} classes 
+     * @returns {array} - [{ level, classes }]
+     */
+    groupByLevel(classes) {
+        const levels = this.getFieldValues('level', classes);
+        const groups = levels.map(level => ({
+            level,
+            classes: classes.filter(c => (c.level || '').trim() === level)
+        }));
+        const other = classes.filter(c => !(c.level || '').trim());
+        if (other.length > 0) groups.push({ level: '', classes: other });
+        return groups;
+    }
+
+    /**
+     * Current school year: the most recent year of the classes
+     * @returns {string} - e.g., "2026-2027"
+     */
+    getCurrentYear() {
+        return this.getYears()[0] || ClassManager.schoolYearOf(new Date().toISOString().split('T')[0]);
+    }
+
+    /**
+     * School years with classes, most recent first
+     * @returns {array}
+     */
+    getYears() {
+        return [...new Set(this.classes.map(c => c.schoolYear).filter(Boolean))].sort().reverse();
+    }
+
+    /**
+     * Get the classes of a school year
+     * @param {string} year 
+     * @returns {array}
+     */
+    getByYear(year) {
+        return this.classes.filter(c => c.schoolYear === year);
+    }
+
+    /**
+     * Is a class archived (past school year, read-only)?
+     * @param {string} classId 
+     * @returns {boolean}
+     */
+    isArchived(classId) {
+        const classObj = this.getById(classId);
+        return !!(classObj && classObj.archived);
+    }
+
+    /**
+     * School year of a date (years start in August)
+     * @param {string} date - YYYY-MM-DD
+     * @returns {string} - e.g., "2026-2027"
+     */
+    static schoolYearOf(date) {
+        const [year, month] = date.split('-').map(Number);
+        const start = month >= 8 ? year : year - 1;
+        return `${start}-${start + 1}`;
+    }
+
+    /**
+     * The school year after a year
+     * @param {string} year - e.g., "2026-2027"
+     * @returns {string} - e.g., "2027-2028"
+     */
+    static nextSchoolYear(year) {
+        const start = parseInt(year) + 1;
+        return `${start}-${start + 1}`;
+    }
+
+    /**
+     * Lateness rules of a class: its own values over the global settings
+     * @param {string} classId 
+     * @returns {object} - { graceMinutes, veryLateMinutes, absentMinutes }
+     */
+    getLatenessRules(classId) {
+        const classObj = this.getById(classId);
+        const defaults = (this.settings && this.settings.get('lateness')) || {};
+        return { ...defaults, ...((classObj && classObj.lateness) || {}) };
     }
 
     /**
      * Get schedule for a specific day
      * @param {string} classId 
      * @param {number} dayOfWeek - 0=Sunday, 1=Monday, etc.
-     * @returns {object|null} - { startTime, endTime } or null if no class
+     * @param {string} date - ISO date string, picks the rotation week (optional, week A otherwise)
+     * @returns {object|null} - { enabled, sessions } or null if no class
+     */
+    getScheduleForDay(classId, dayOfWeek, date = null) {
+        const classObj = this.getById(classId);
+        if (!classObj) return null;
+        
+        const dayName = DAY_NAMES[dayOfWeek];
+        const week = date ? this.getWeekIndex(classId, date) : 0;
+        
+        return this.getWeekSchedule(classObj, week)[dayName] || null;
+    }
+
+    /**
+     * Get the schedule of one week of the rotation
+     * @param {object} classObj 
+     * @param {number} week - 0 = week A
+     * @returns {object}
+     */
+    getWeekSchedule(classObj, week) {
+        if (week === 0 || !classObj.rotation) return classObj.schedule;
+        return classObj.rotation.schedules[week - 1] || {};
+    }
+
+    /**
+     * Number of weeks in the rotation of a class
+     * @param {string} classId 
+     * @returns {number}
+     */
+    getWeekCount(classId) {
+        const classObj = this.getById(classId);
+        return classObj && classObj.rotation ? classObj.rotation.schedules.length + 1 : 1;
+    }
+
+    /**
+     * Rotation week of a date
+     * @param {string} classId 
+     * @param {string} date 
+     * @returns {number} - 0 = week A, 1 = week B...
+     */
+    getWeekIndex(classId, date) {
+        const classObj = this.getById(classId);
+        if (!classObj || !classObj.rotation) return 0;
+        
+        const { anchorDate, skipClosedWeeks } = classObj.rotation;
+        const weeks = this.getWeekCount(classId);
+        const anchor = weekStart(anchorDate);
+        const current = weekStart(date);
+        const direction = current >= anchor ? 1 : -1;
+        
+        // Count the weeks from the anchor up to the date's week (excluded), or
+        // back from the week before the anchor down to the date's week (included)
+        const [from, to] = direction === 1 ? [anchor, current] : [addDays(anchor, -7), addDays(current, -7)];
+        
+        let count = 0;
+        for (let week = from; week !== to; week = addDays(week, 7 * direction)) {
+            // Weeks the school is closed (vacations) do not move the rotation
+            if (!skipClosedWeeks || !this.calendar || this.calendar.isSchoolWeek(week)) {
+                count += direction;
+            }
+        }
+        
+        return ((count % weeks) + weeks) % weeks;
+    }
+
+    /**
+     * Turn the weekly schedule into an N-week rotation (1 = no rotation)
+     * @param {string} classId 
+     * @param {object} options - { weeks, anchorDate, skipClosedWeeks }
+     * @returns {object|null} - Updated class
+     */
+    setRotation(classId, { weeks, anchorDate, skipClosedWeeks = true }) {
+        const classObj = this.getById(classId);
+        if (!classObj) return null;
+        
+        if (weeks <= 1) {
+            return this.update(classId, { rotation: null });
+        }
+        
+        // New weeks start as a copy of week A
+        const schedules = Array.from({ length: weeks - 1 }, (_, i) => 
+            (classObj.rotation && classObj.rotation.schedules[i]) || this.copySchedule(classObj.schedule)
+        );
+        return this.update(classId, {
+            rotation: {
+                anchorDate: anchorDate || (classObj.rotation && classObj.rotation.anchorDate) || 
+                    new Date().toISOString().split('T')[0],
+                skipClosedWeeks,
+                schedules
+            }
+        });
+    }
+
+    /**
+     * Copy a weekly schedule with new session ids
+     * @param {object} schedule 
+     * @returns {object}
+     */
+    copySchedule(schedule) {
+        return Object.fromEntries(Object.entries(schedule).map(([day, entry]) => [day, {
+            ...entry,
+            sessions: (entry.sessions || []).map(s => ({ ...s, id: this.generateSessionId() }))
+        }]));
+    }
+
+    /**
+     * Display name of a rotation week
+     * @param {number} week - 0 = week A
+     * @returns {string}
+     */
+    static weekLabel(week) {
+        return `Week ${String.fromCharCode(65 + week)}`;
+    }
+
+    /**
+     * Get the sessions of a class on a date, in time order
+     * @param {string} classId 
+     * @param {string} date - ISO date string
+     * @returns {array} - [{ id, label, startTime, endTime }]
+     */
+    getSessions(classId, date) {
+        return this.getDaySessions(classId, date).filter(s => !s.cancelled);
+    }
+
+    /**
+     * Get the sessions of a class on a date, cancelled ones included
+     * @param {string} classId 
+     * @param {string} date 
+     * @returns {array}
+     */
+    getDaySessions(classId, date) {
+        const override = this.getOverride(classId, date);
+        const sessions = override ? override.sessions : this.getTemplateSessions(classId, date);
+        
+        return [...sessions].sort((a, b) => a.startTime.localeCompare(b.startTime));
+    }
+
+    /**
+     * Get the weekly template sessions for the weekday of a date
+     * @param {string} classId 
+     * @param {string} date 
+     * @returns {array}
      */
-    getScheduleForDay(classId, dayOfWeek) {
+    getTemplateSessions(classId, date) {
+        const schedule = this.getScheduleForDay(classId, new Date(date).getDay(), date);
+        if (!schedule || !schedule.enabled) return [];
+        
+        return schedule.sessions || [];
+    }
+
+    /**
+     * Get the schedule override of a class on a date
+     * @param {string} classId 
+     * @param {string} date 
+     * @returns {object|null} - { sessions }
+     */
+    getOverride(classId, date) {
+        const classObj = this.getById(classId);
+        return (classObj && classObj.overrides && classObj.overrides[date]) || null;
+    }
+
+    /**
+     * Get the dates a class has an override for
+     * @param {string} classId 
+     * @returns {array} - ISO date strings, in order
+     */
+    getOverrideDates(classId) {
+        const classObj = this.getById(classId);
+        return Object.keys((classObj && classObj.overrides) || {}).sort();
+    }
+
+    /**
+     * Start an override for a date, from the weekly template
+     * @param {string} classId 
+     * @param {string} date 
+     * @returns {object|null} - Updated class
+     */
+    createOverride(classId, date) {
+        if (this.getOverride(classId, date)) return this.getById(classId);
+        
+        return this.updateOverride(classId, date, () => 
+            this.getTemplateSessions(classId, date).map(s => ({ ...s, cancelled: false }))
+        );
+    }
+
+    /**
+     * Change (move, rename, cancel) a session of a date override
+     * @param {string} classId 
+     * @param {string} date 
+     * @param {string} sessionId 
+     * @param {object} updates - { label, startTime, endTime, cancelled }
+     */
+    updateOverrideSession(classId, date, sessionId, updates) {
+        return this.updateOverride(classId, date, sessions => 
+            sessions.map(s => s.id === sessionId ? { ...s, ...updates } : s)
+        );
+    }
+
+    /**
+     * Add an extra session on a date
+     * @param {string} classId 
+     * @param {string} date 
+     */
+    addOverrideSession(classId, date) {
+        return this.updateOverride(classId, date, sessions => 
+            [...sessions, { ...this.newSession(), cancelled: false }]
+        );
+    }
+
+    /**
+     * Remove an extra session from a date (template sessions can only be cancelled)
+     * @param {string} classId 
+     * @param {string} date 
+     * @param {string} sessionId 
+     */
+    removeOverrideSession(classId, date, sessionId) {
+        return this.updateOverride(classId, date, sessions => sessions.filter(s => s.id !== sessionId));
+    }
+
+    /**
+     * Go back to the weekly template on a date
+     * @param {string} classId 
+     * @param {string} date 
+     */
+    removeOverride(classId, date) {
+        const classObj = this.getById(classId);
+        if (!classObj || !this.getOverride(classId, date)) return null;
+        
+        const { [date]: removed, ...overrides } = classObj.overrides;
+        return this.update(classId, { overrides });
+    }
+
+    /**
+     * Replace the sessions of a date override
+     * @param {string} classId 
+     * @param {string} date 
+     * @param {function} change - Receives the current sessions, returns the new ones
+     */
+    updateOverride(classId, date, change) {
         const classObj = this.getById(classId);
         if (!classObj) return null;
         
-        const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-        const dayName = dayNames[dayOfWeek];
+        const current = this.getOverride(classId, date);
+        const sessions = current ? current.sessions : this.getTemplateSessions(classId, date);
+        return this.update(classId, {
+            overrides: { ...(classObj.overrides || {}), [date]: { sessions: change(sessions) } }
+        });
+    }
+
+    /**
+     * Find a session of a class on a date
+     * @param {string} classId 
+     * @param {string} date 
+     * @param {string} sessionId 
+     * @returns {object|null} - { session, index, label }
+     */
+    getSession(classId, date, sessionId) {
+        const sessions = this.getDaySessions(classId, date);
+        const index = sessions.findIndex(s => s.id === sessionId);
+        if (index === -1) return null;
+        
+        return { session: sessions[index], index, label: ClassManager.sessionLabel(sessions[index], index) };
+    }
+
+    /**
+     * Label of a session on a date, for grouping arrivals in stats and reports
+     * @param {string} classId 
+     * @param {string} date 
+     * @param {string|null} sessionId 
+     * @returns {string}
+     */
+    getSessionLabel(classId, date, sessionId) {
+        const found = sessionId && this.getSession(classId, date, sessionId);
+        if (found) return found.label;
         
-        return classObj.schedule[dayName] || null;
+        // Session since removed from the schedule, or no session that day
+        return sessionId ? 'Other session' : 'Unscheduled';
+    }
+
+    /**
+     * Session a student arriving at `time` is coming to: the one in progress,
+     * else the next one, else the last one of the day
+     * @param {string} classId 
+     * @param {string} date 
+     * @param {string} time - HH:MM
+     * @returns {object|null}
+     */
+    detectSession(classId, date, time) {
+        const sessions = this.getSessions(classId, date);
+        if (sessions.length === 0) return null;
+        
+        const endOf = (session, index) => session.endTime ||
+            (sessions[index + 1] ? sessions[index + 1].startTime : '24:00');
+        
+        return sessions.find((s, i) => time < endOf(s, i)) || sessions[sessions.length - 1];
+    }
+
+    /**
+     * Turn a weekday on or off
+     * @param {string} classId 
+     * @param {string} day - Day name (e.g., "monday")
+     * @param {boolean} enabled 
+     * @param {number} week - Rotation week (0 = week A)
+     */
+    setDayEnabled(classId, day, enabled, week = 0) {
+        return this.updateDay(classId, day, schedule => {
+            const sessions = schedule.sessions || [];
+            return {
+                enabled,
+                sessions: enabled && sessions.length === 0 ? [this.newSession()] : sessions
+            };
+        }, week);
+    }
+
+    /**
+     * Add a session to a weekday
+     * @param {string} classId 
+     * @param {string} day 
+     * @param {number} week - Rotation week (0 = week A)
+     * @returns {object|null} - Updated class
+     */
+    addSession(classId, day, week = 0) {
+        return this.updateDay(classId, day, schedule => {
+            const sessions = schedule.sessions || [];
+            const last = [...sessions].sort((a, b) => a.startTime.localeCompare(b.startTime)).pop();
+            const session = last && last.endTime ?
+                this.newSession(last.endTime, '') :
+                this.newSession();
+            return { ...schedule, enabled: true, sessions: [...sessions, session] };
+        }, week);
+    }
+
+    /**
+     * Update a session of a weekday
+     * @param {string} classId 
+     * @param {string} day 
+     * @param {string} sessionId 
+     * @param {object} updates - { label, startTime, endTime }
+     * @param {number} week - Rotation week (0 = week A)
+     */
+    updateSession(classId, day, sessionId, updates, week = 0) {
+        return this.updateDay(classId, day, schedule => ({
+            ...schedule,
+            sessions: (schedule.sessions || []).map(s => s.id === sessionId ? { ...s, ...updates } : s)
+        }), week);
+    }
+
+    /**
+     * Remove a session from a weekday (arrivals recorded for it are kept)
+     * @param {string} classId 
+     * @param {string} day 
+     * @param {string} sessionId 
+     * @param {number} week - Rotation week (0 = week A)
+     */
+    removeSession(classId, day, sessionId, week = 0) {
+        return this.updateDay(classId, day, schedule => {
+            const sessions = (schedule.sessions || []).filter(s => s.id !== sessionId);
+            return { enabled: schedule.enabled && sessions.length > 0, sessions };
+        }, week);
+    }
+
+    /**
+     * Replace the schedule of one weekday
+     * @param {string} classId 
+     * @param {string} day 
+     * @param {function} change - Receives the current day, returns the new one
+     * @param {number} week - Rotation week (0 = week A)
+     */
+    updateDay(classId, day, change, week = 0) {
+        const classObj = this.getById(classId);
+        if (!classObj) return null;
+        
+        const weekSchedule = this.getWeekSchedule(classObj, week);
+        const current = weekSchedule[day] || { enabled: false, sessions: [] };
+        const updated = { ...weekSchedule, [day]: change(current) };
+        
+        if (week === 0 || !classObj.rotation) {
+            return this.update(classId, { schedule: updated });
+        }
+        const schedules = [...classObj.rotation.schedules];
+        schedules[week - 1] = updated;
+        return this.update(classId, { rotation: { ...classObj.rotation, schedules } });
+    }
+
+    /**
+     * Create a session
+     * @param {string} startTime 
+     * @param {string} endTime 
+     */
+    newSession(startTime = '08:00', endTime = '12:00') {
+        return { id: this.generateSessionId(), label: '', startTime, endTime };
+    }
+
+    /**
+     * Display name of a session
+     * @param {object} session 
+     * @param {number} index - Position in the day
+     * @returns {string}
+     */
+    static sessionLabel(session, index) {
+        return (session.label || '').trim() || `Session ${index + 1}`;
     }
 
     /**
      * Default weekly schedule template
      */
     defaultSchedule() {
+        const day = () => ({
+            enabled: true,
+            sessions: [{ id: this.generateSessionId(), label: '', startTime: '12:30', endTime: '14:20' }]
+        });
         return {
-            monday: { enabled: true, startTime: '12:30', endTime: '14:20' },
-            tuesday: { enabled: true, startTime: '12:30', endTime: '14:20' },
-            wednesday: { enabled: true, startTime: '12:30', endTime: '14:20' },
-            thursday: { enabled: true, startTime: '12:30', endTime: '14:20' },
-            friday: { enabled: true, startTime: '12:30', endTime: '14:20' },
-            saturday: { enabled: true, startTime: '12:30', endTime: '14:20' },
-            sunday: { enabled: false }
+            monday: day(),
+            tuesday: day(),
+            wednesday: day(),
+            thursday: day(),
+            friday: day(),
+            saturday: day(),
+            sunday: { enabled: false, sessions: [] }
         };
     }
 
@@ -117,4 +685,32 @@ export class ClassManager {
     generateId() {
         return 'cls_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
     }
+
+    /**
+     * Generate unique session ID
+     */
+    generateSessionId() {
+        return 'ses_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    }
+}
+
+/**
+ * Monday of the week of a date
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+export function weekStart(date) {
+    const day = new Date(date + 'T00:00:00Z').getUTCDay();
+    return addDays(date, -((day + 6) % 7));
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days 
+ * @returns {string}
+ */
+export function addDays(date, days) {
+    const d = new Date(date + 'T00:00:00Z');
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split('T')[0];
 }
@@ -0,0 +1,159 @@
+/**
+ * Journal - Append-only change journal (audit trail)
+ *
+ * Every add/update/delete made through the managers is recorded with who did
+ * it, when, and the record before and after the change. Entries are never
+ * removed; they are only modified when the data of a student is erased
+ * (redact), to keep the trail without the personal data. A redacted entry
+ * gets an `updatedAt` so that it replaces the copies synced earlier.
+ */
+
+export class Journal {
+    constructor(storage, settings) {
+        this.storage = storage;
+        this.settings = settings;
+        this.entries = [];
+        this.listeners = new Set();
+        this.redactionListeners = new Set();
+    }
+
+    /**
+     * Load journal from storage
+     */
+    async load() {
+        this.entries = this.storage.get('journal', []);
+    }
+
+    /**
+     * Get all entries, oldest first
+     * @returns {array}
+     */
+    getAll() {
+        return [...this.entries];
+    }
+
+    /**
+     * Record a change
+     * @param {string} action - 'create', 'update', 'delete' or 'import'
+     * @param {string} entity - 'class', 'student', 'arrival', 'calendar' or 'backup'
+     * @param {object|null} before - Record before the change (null on create)
+     * @param {object|null} after - Record after the change (null on delete)
+     * @returns {object} - The journal entry
+     */
+    record(action, entity, before, after) {
+        const entry = {
+            id: this.generateId(),
+            at: new Date().toISOString(),
+            actor: (this.settings && this.settings.get('userName')) || '',
+            action,
+            entity,
+            entityId: (after || before || {}).id || null,
+            before: before ? { ...before } : null,
+            after: after ? { ...after } : null
+        };
+
+        this.entries.push(entry);
+        this.storage.putRecord('journal', entry);
+        this.listeners.forEach(listener => listener(entry));
+        return entry;
+    }
+
+    /**
+     * Be told about every new entry (i.e. every local change)
+     * @param {function} listener - Called with the journal entry
+     * @returns {function} - Unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Be told about redacted entries
+     * @param {function} listener - Called with the redacted entries
+     * @returns {function} - Unsubscribe
+     */
+    subscribeRedactions(listener) {
+        this.redactionListeners.add(listener);
+        return () => this.redactionListeners.delete(listener);
+    }
+
+    /**
+     * Add entries coming from a backup (existing ids are kept as-is)
+     * @param {array} entries 
+     * @returns {number} - Number of entries added
+     */
+    mergeEntries(entries) {
+        const known = new Set(this.entries.map(e => e.id));
+        const added = (Array.isArray(entries) ? entries : []).filter(e => e && e.id && e.at && !known.has(e.id));
+
+        added.forEach(entry => {
+            this.entries.push(entry);
+            this.storage.putRecord('journal', entry);
+        });
+        this.entries.sort((a, b) => a.at.localeCompare(b.at));
+        return added.length;
+    }
+
+    /**
+     * Strip the records out of entries, keeping who changed what and when
+     * @param {function} predicate - Entries to redact
+     * @returns {number} - Number of entries redacted
+     */
+    redact(predicate) {
+        const now = new Date().toISOString();
+        const redacted = this.entries.filter(e => !e.redacted && predicate(e));
+        redacted.forEach(entry => {
+            entry.before = entry.before && { id: entry.before.id };
+            entry.after = entry.after && { id: entry.after.id };
+            entry.redacted = true;
+            entry.updatedAt = now;
+            this.storage.putRecord('journal', entry);
+        });
+        if (redacted.length > 0) {
+            this.redactionListeners.forEach(listener => listener(redacted));
+        }
+        return redacted.length;
+    }
+
+    /**
+     * Find entries, newest first
+     * @param {object} filters - { entity, action, entityId, actor, from, to }
+     *   from/to are ISO dates (YYYY-MM-DD), inclusive
+     * @returns {array}
+     */
+    query(filters = {}) {
+        const { entity, action, entityId, actor, from, to } = filters;
+
+        return this.entries
+            .filter(e => !entity || e.entity === entity)
+            .filter(e => !action || e.action === action)
+            .filter(e => !entityId || e.entityId === entityId)
+            .filter(e => !actor || e.actor === actor)
+            .filter(e => !from || e.at.substr(0, 10) >= from)
+            .filter(e => !to || e.at.substr(0, 10) <= to)
+            .reverse();
+    }
+
+    /**
+     * List the fields that differ between before and after
+     * @param {object} entry 
+     * @returns {array} - [{ field, before, after }]
+     */
+    static changedFields(entry) {
+        const before = entry.before || {};
+        const after = entry.after || {};
+        const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+        return [...fields]
+            .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+            .map(field => ({ field, before: before[field], after: after[field] }));
+    }
+
+    /**
+     * Generate unique ID
+     */
+    generateId() {
+        return 'jnl_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    }
+}
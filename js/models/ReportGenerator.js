@@ -2,67 +2,146 @@
  * ReportGenerator - Generate reports (PDF/CSV)
  */
 
+import { SchemaMigrator } from '../utils/SchemaMigrator.js';
+import { BackupValidator, COLLECTIONS } from '../utils/BackupValidator.js';
+import { SYNC_STORAGE_KEYS } from './SyncManager.js';
+import { RESTORE_POINTS_KEY } from './BackupManager.js';
+import { PHOTOS_KEY } from './StudentPhotos.js';
+import { Encryption } from '../utils/Encryption.js';
+import { SchoolCalendar } from './SchoolCalendar.js';
+import { ArrivalTracker, LATE_STATUSES } from './ArrivalTracker.js';
+
+// Report header titles of the class description
+export const CLASS_FIELD_TITLES = {
+    teacher: 'Enseignant',
+    room: 'Salle',
+    level: 'Niveau',
+    subject: 'Matière'
+};
+
+// Report column titles of the student profile, shown on demand
+export const STUDENT_COLUMNS = {
+    code: 'Code élève',
+    lastName: 'Nom de famille',
+    firstName: 'Prénom',
+    gender: 'Sexe',
+    birthDate: 'Date de naissance',
+    guardian: 'Responsable',
+    guardianPhone: 'Téléphone du responsable'
+};
+
+// Report column titles of the lateness tiers
+export const STATUS_COLUMNS = {
+    late: 'Retards simples',
+    'very-late': 'Retards graves',
+    'counted-absent': 'Comptés absents'
+};
+
 export class ReportGenerator {
-    constructor(storage, studentManager, classManager) {
+    constructor(storage, studentManager, classManager, journal = null, calendar = null) {
         this.storage = storage;
         this.studentManager = studentManager;
         this.classManager = classManager;
+        this.journal = journal;
+        this.calendar = calendar;
     }
 
     /**
      * Generate monthly report for a class
+     * Students who joined or left the class during the month are listed for
+     * the days they belonged to it only (`period` tells which).
      * @param {string} classId 
      * @param {number} year 
      * @param {number} month - 1-12
+     * @param {array} studentColumns - Profile columns to add (keys of STUDENT_COLUMNS)
      * @returns {object}
      */
-    generateMonthlyReport(classId, year, month) {
+    generateMonthlyReport(classId, year, month, studentColumns = []) {
         const classObj = this.classManager.getById(classId);
         if (!classObj) return null;
 
-        const students = this.studentManager.getByClass(classId);
         const startDate = `${year}-${String(month).padStart(2, '0')}-01`;
         const endDate = new Date(year, month, 0).toISOString().split('T')[0]; // Last day of month
+        const stays = this.studentManager.getByClassDuring(classId, startDate, endDate)
+            .sort((a, b) => this.studentManager.compareNames(a.student, b.student) || a.from.localeCompare(b.from));
+        const schoolDays = this.getSchoolDays(classId, startDate, endDate);
 
         const report = {
             classId,
             className: classObj.name,
+            // Description lines for report headers: [{ field, title, value }]
+            classInfo: Object.keys(CLASS_FIELD_TITLES)
+                .filter(field => (classObj[field] || '').trim())
+                .map(field => ({ field, title: CLASS_FIELD_TITLES[field], value: classObj[field].trim() })),
             year,
             month,
             monthName: new Date(year, month - 1).toLocaleString('default', { month: 'long' }),
             generatedAt: new Date().toISOString(),
+            schoolDays: schoolDays.length,
+            sessionLabels: [],
+            lateStatuses: [],
+            studentColumns: studentColumns.filter(column => STUDENT_COLUMNS[column]),
             students: []
         };
 
-        students.forEach(student => {
+        // Position of each session label in the day, to order report columns
+        const sessionOrder = {};
+
+        stays.forEach(({ student, from, until }) => {
             const arrivals = this.storage.get('arrivals', []).filter(a => 
                 a.studentId === student.id && 
-                a.date >= startDate && 
-                a.date <= endDate
+                a.date >= from && 
+                a.date <= until &&
+                this.isSchoolDay(a.date)
             );
+            const memberDays = schoolDays.filter(date => date >= from && date <= until).length;
 
-            const tardies = arrivals.filter(a => a.status === 'late');
+            const tardies = arrivals.filter(a => ArrivalTracker.isLate(a.status));
             const totalMinutesLate = tardies.reduce((sum, a) => sum + a.minutesLate, 0);
+            
+            // Tardies per session (morning, afternoon...)
+            const sessions = {};
+            arrivals.forEach(a => {
+                const label = this.classManager.getSessionLabel(a.classId, a.date, a.sessionId);
+                const found = this.classManager.getSession(a.classId, a.date, a.sessionId);
+                sessionOrder[label] = Math.min(sessionOrder[label] ?? 99, found ? found.index : 99);
+                sessions[label] = sessions[label] || { arrivals: 0, tardies: 0, totalMinutesLate: 0 };
+                sessions[label].arrivals++;
+                if (ArrivalTracker.isLate(a.status)) {
+                    sessions[label].tardies++;
+                    sessions[label].totalMinutesLate += a.minutesLate;
+                }
+            });
 
             report.students.push({
                 id: student.id,
                 name: student.name,
                 photoUrl: student.photoUrl,
-                totalDays: arrivals.length,
+                profile: ReportGenerator.studentProfile(student),
+                period: from > startDate || until < endDate ? ReportGenerator.periodLabel(from, until, startDate, endDate) : '',
+                totalDays: new Set(arrivals.map(a => a.date)).size,
+                absentDays: Math.max(0, memberDays - new Set(arrivals.map(a => a.date)).size),
+                totalSessions: arrivals.length,
                 onTime: arrivals.filter(a => a.status === 'on-time').length,
                 tardies: tardies.length,
                 totalMinutesLate,
                 avgMinutesLate: tardies.length > 0 ? Math.round(totalMinutesLate / tardies.length) : 0,
+                byStatus: ArrivalTracker.countByStatus(arrivals),
+                sessions,
                 arrivals: arrivals.map(a => ({
                     date: a.date,
+                    session: this.classManager.getSessionLabel(a.classId, a.date, a.sessionId),
                     time: a.time,
-                    minutesLate: a.minutesLate
+                    minutesLate: a.minutesLate,
+                    status: a.status
                 }))
             });
         });
 
-        // Sort by name
-        report.students.sort((a, b) => a.name.localeCompare(b.name));
+        report.sessionLabels = Object.keys(sessionOrder).sort((a, b) => sessionOrder[a] - sessionOrder[b]);
+        // Tardies are broken out by tier once tiers beyond "late" are in use
+        const usedStatuses = LATE_STATUSES.filter(status => report.students.some(s => s.byStatus[status] > 0));
+        report.lateStatuses = usedStatuses.some(status => status !== 'late') ? LATE_STATUSES : [];
 
         return report;
     }
@@ -77,46 +156,100 @@ export class ReportGenerator {
         
         // Header
         lines.push(`Rapport de retards - ${report.className} - ${report.monthName} ${report.year}`);
+        report.classInfo.forEach(info => lines.push(`${info.title}: ${info.value}`));
         lines.push('');
         
-        // Column headers
-        lines.push('Nom,Délais,Retards,Minutes de retard, Moyenne');
+        // Column headers (one tardies column per tier and per session when there are several)
+        const sessionLabels = report.sessionLabels.length > 1 ? report.sessionLabels : [];
+        const profileColumns = report.studentColumns || [];
+        lines.push('Nom' + profileColumns.map(column => `,${STUDENT_COLUMNS[column]}`).join('') +
+            ',Délais,Retards,Minutes de retard, Moyenne,Absences' +
+            report.lateStatuses.map(status => `,${STATUS_COLUMNS[status]}`).join('') +
+            sessionLabels.map(label => `,Retards ${label}`).join(''));
         
         // Student rows
         report.students.forEach(s => {
-            lines.push(`${s.name},${s.totalDays},${s.tardies},${s.totalMinutesLate},${s.avgMinutesLate}`);
+            lines.push(csvValue(s.period ? `${s.name} (${s.period})` : s.name) + profileColumns.map(column => `,${csvValue(s.profile[column])}`).join('') +
+                `,${s.totalDays},${s.tardies},${s.totalMinutesLate},${s.avgMinutesLate},${s.absentDays}` +
+                report.lateStatuses.map(status => `,${s.byStatus[status]}`).join('') +
+                sessionLabels.map(label => `,${s.sessions[label] ? s.sessions[label].tardies : 0}`).join(''));
         });
         
         // Summary
         const totalDays = report.students.reduce((sum, s) => sum + s.totalDays, 0);
         const totalTardies = report.students.reduce((sum, s) => sum + s.tardies, 0);
         const totalMinutes = report.students.reduce((sum, s) => sum + s.totalMinutesLate, 0);
+        const totalAbsences = report.students.reduce((sum, s) => sum + s.absentDays, 0);
         
         lines.push('');
-        lines.push(`Total,${totalDays},${totalTardies},${totalMinutes},${totalTardies > 0 ? Math.round(totalMinutes / totalTardies) : 0}`);
+        lines.push('Total' + profileColumns.map(() => ',').join('') + `,${totalDays},${totalTardies},${totalMinutes},${totalTardies > 0 ? Math.round(totalMinutes / totalTardies) : 0},${totalAbsences}` +
+            report.lateStatuses.map(status => 
+                `,${report.students.reduce((sum, s) => sum + s.byStatus[status], 0)}`
+            ).join('') +
+            sessionLabels.map(label => 
+                `,${report.students.reduce((sum, s) => sum + (s.sessions[label] ? s.sessions[label].tardies : 0), 0)}`
+            ).join(''));
 
         return lines.join('\n');
     }
 
+    /**
+     * Part of the month a student spent in the class
+     * @param {string} from - First day in the class
+     * @param {string} until - Last day in the class
+     * @param {string} startDate - First day of the month
+     * @param {string} endDate - Last day of the month
+     * @returns {string} - e.g., "depuis le 03/11"
+     */
+    static periodLabel(from, until, startDate, endDate) {
+        const day = date => date.split('-').reverse().slice(0, 2).join('/');
+        if (from > startDate && until < endDate) return `du ${day(from)} au ${day(until)}`;
+        return from > startDate ? `depuis le ${day(from)}` : `jusqu'au ${day(until)}`;
+    }
+
+    /**
+     * Profile values of a student for report columns
+     * @param {object} student 
+     * @returns {object} - { [column of STUDENT_COLUMNS]: string }
+     */
+    static studentProfile(student) {
+        const guardian = (student.guardians || [])[0] || {};
+        return {
+            code: student.code || '',
+            lastName: student.lastName || '',
+            firstName: student.firstName || '',
+            gender: student.gender || '',
+            birthDate: student.birthDate || '',
+            guardian: [guardian.name, guardian.relation ? `(${guardian.relation})` : ''].filter(Boolean).join(' '),
+            guardianPhone: guardian.phone || ''
+        };
+    }
+
     /**
      * Generate daily attendance sheet
      * @param {string} classId 
      * @param {string} date 
+     * @param {string} sessionId - Session (optional, first arrival of the day otherwise)
      * @returns {object}
      */
-    generateDailySheet(classId, date) {
+    generateDailySheet(classId, date, sessionId = undefined) {
         const classObj = this.classManager.getById(classId);
         if (!classObj) return null;
 
-        const students = this.studentManager.getSortedByName(classId);
+        const students = this.studentManager.getSortedByName(classId, date);
         const arrivals = this.storage.get('arrivals', []).filter(a => 
-            a.classId === classId && a.date === date
+            a.classId === classId && a.date === date &&
+            (sessionId === undefined || a.sessionId === sessionId)
         );
+        const session = sessionId ? this.classManager.getSession(classId, date, sessionId) : null;
+        const closure = this.calendar ? this.calendar.getClosure(date) : null;
 
         return {
             classId,
             className: classObj.name,
             date,
+            closure: closure ? closure.name : null,
+            session: session ? session.label : null,
             students: students.map(s => {
                 const arrival = arrivals.find(a => a.studentId === s.id);
                 return {
@@ -132,25 +265,197 @@ export class ReportGenerator {
         };
     }
 
+    /**
+     * Days a class meets in a period (scheduled and school open)
+     * @param {string} classId 
+     * @param {string} startDate 
+     * @param {string} endDate 
+     * @returns {array} - ISO date strings
+     */
+    getSchoolDays(classId, startDate, endDate) {
+        return SchoolCalendar.datesBetween(startDate, endDate).filter(date =>
+            this.isSchoolDay(date) && this.classManager.getSessions(classId, date).length > 0
+        );
+    }
+
+    /**
+     * Does a date count in reports (school open)?
+     * @param {string} date 
+     * @returns {boolean}
+     */
+    isSchoolDay(date) {
+        return !this.calendar || this.calendar.isSchoolDay(date);
+    }
+
     /**
      * Export all data as JSON
-     * @returns {string}
+     * When storage is encrypted, the backup is encrypted with the same passphrase.
+     * @returns {Promise<string>}
      */
-    exportJSON() {
-        return JSON.stringify(this.storage.exportAll(), null, 2);
+    async exportJSON() {
+        const data = this.storage.exportAll();
+        [...SYNC_STORAGE_KEYS, RESTORE_POINTS_KEY].forEach(key => delete data[key]);
+        return this.storage.sealBackup(JSON.stringify(data, null, 2));
     }
 
     /**
-     * Import data from JSON
+     * Is this file an encrypted backup?
      * @param {string} jsonData 
+     * @returns {boolean}
      */
-    importJSON(jsonData) {
+    isEncryptedBackup(jsonData) {
         try {
-            const data = JSON.parse(jsonData);
-            this.storage.importAll(data);
-            return { success: true };
+            return Encryption.isEncryptedBackup(JSON.parse(jsonData));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Decrypt an encrypted backup
+     * @param {string} jsonData 
+     * @param {string} passphrase 
+     * @returns {Promise<string>} - Backup JSON, ready for previewImport()
+     * @throws {Error} on a wrong passphrase
+     */
+    decryptBackup(jsonData, passphrase) {
+        return Encryption.openBackup(JSON.parse(jsonData), passphrase);
+    }
+
+    /**
+     * Dry-run an import: parse, upgrade, validate and compare with current data.
+     * Nothing is written.
+     * @param {string} jsonData 
+     * @returns {object} - { success, error, preview }
+     */
+    previewImport(jsonData) {
+        let data;
+        try {
+            const parsed = JSON.parse(jsonData);
+            const shapeErrors = BackupValidator.checkShape(parsed);
+            if (shapeErrors.length > 0) {
+                return { success: false, error: shapeErrors.join(', ') };
+            }
+            data = SchemaMigrator.migrate(parsed);
         } catch (error) {
             return { success: false, error: error.message };
         }
+
+        const validation = BackupValidator.validate(data);
+        if (validation.errors.length > 0) {
+            return { success: false, error: validation.errors.join(', ') };
+        }
+
+        const current = {};
+        COLLECTIONS.forEach(name => {
+            current[name] = this.storage.get(name, []);
+        });
+
+        return {
+            success: true,
+            preview: {
+                data,
+                records: validation.records,
+                invalid: validation.invalid,
+                diff: BackupValidator.diff(current, validation.records)
+            }
+        };
     }
+
+    /**
+     * Write a previewed import
+     * - replace: collections become exactly the valid backup records
+     * - merge: backup records are added or replace current ones with the same id;
+     *   conflicting records (same student/date, same name...) keep the current version
+     * @param {object} preview - From previewImport()
+     * @param {string} mode - 'replace' or 'merge'
+     * @returns {object} - { success, error }
+     */
+    applyImport(preview, mode = 'replace') {
+        if (mode !== 'replace' && mode !== 'merge') {
+            return { success: false, error: `Unknown import mode: ${mode}` };
+        }
+
+        // Keys other than the validated collections (settings...) are restored as-is,
+        // merge only fills the ones missing here (photos: the students without one).
+        // The journal is append-only: backup entries are always added to the current ones.
+        Object.entries(preview.data).forEach(([key, value]) => {
+            if (COLLECTIONS.includes(key) || key === RESTORE_POINTS_KEY) return;
+            if (key === 'journal' && this.journal) {
+                this.journal.mergeEntries(value);
+            } else if (key === PHOTOS_KEY && mode === 'merge' && Array.isArray(value)) {
+                const current = this.storage.get(PHOTOS_KEY, []);
+                const ids = new Set(current.map(photo => photo.id));
+                this.storage.set(PHOTOS_KEY, [...current, ...value.filter(photo => !ids.has(photo.id))]);
+            } else if (mode === 'replace' || this.storage.get(key) === null) {
+                this.storage.set(key, value);
+            }
+        });
+
+        COLLECTIONS.forEach(name => {
+            if (mode === 'replace') {
+                this.storage.set(name, preview.records[name]);
+                return;
+            }
+
+            const { added, changed } = preview.diff[name];
+            const merged = this.storage.get(name, []);
+            const indexById = new Map(merged.map((r, i) => [r.id, i]));
+
+            changed.forEach(record => {
+                merged[indexById.get(record.id)] = record;
+            });
+            merged.push(...added);
+            this.storage.set(name, merged);
+        });
+
+        this.journal?.record('import', 'backup', null, {
+            id: null,
+            mode,
+            ...this.summarizeDiff(preview.diff, mode)
+        });
+
+        return { success: true };
+    }
+
+    /**
+     * Count the records an import writes or removes, per collection
+     * @param {object} diff - From previewImport()
+     * @param {string} mode - 'replace' or 'merge'
+     * @returns {object} - { [collection]: { added, changed, removed } }
+     */
+    summarizeDiff(diff, mode) {
+        const summary = {};
+        Object.entries(diff).forEach(([name, entry]) => {
+            summary[name] = {
+                added: entry.added.length + (mode === 'replace' ? entry.conflicting.length : 0),
+                changed: entry.changed.length,
+                removed: mode === 'replace' ? entry.removed.length : 0
+            };
+        });
+        return summary;
+    }
+
+    /**
+     * Import data from JSON
+     * Backups from older versions are upgraded to the current schema first,
+     * invalid records are skipped.
+     * @param {string} jsonData 
+     * @param {string} mode - 'replace' or 'merge'
+     */
+    importJSON(jsonData, mode = 'replace') {
+        const result = this.previewImport(jsonData);
+        if (!result.success) return result;
+        return this.applyImport(result.preview, mode);
+    }
+}
+
+/**
+ * A CSV field, quoted when needed
+ * @param {string} value
+ * @returns {string}
+ */
+function csvValue(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
 }
@@ -0,0 +1,215 @@
+/**
+ * SchoolCalendar - Term dates, holidays, vacations and closures
+ *
+ * Entries are date ranges { id, type, name, startDate, endDate } (inclusive).
+ * When terms are defined, days outside every term are not school days.
+ * Holidays, vacations and closures are never school days.
+ */
+
+import { ICalendar } from '../utils/ICalendar.js';
+
+export const CALENDAR_TYPES = {
+    term: 'Term',
+    holiday: 'Holiday',
+    vacation: 'Vacation',
+    closure: 'Closure'
+};
+
+export class SchoolCalendar {
+    constructor(storage, journal = null) {
+        this.storage = storage;
+        this.journal = journal;
+        this.entries = [];
+        this.weekCache = new Map();
+    }
+
+    /**
+     * Load calendar from storage
+     */
+    async load() {
+        this.entries = this.storage.get('calendar', []);
+        this.weekCache.clear();
+    }
+
+    /**
+     * Get all entries, by start date
+     * @returns {array}
+     */
+    getAll() {
+        return [...this.entries].sort((a, b) => a.startDate.localeCompare(b.startDate));
+    }
+
+    /**
+     * Get entry by ID
+     * @param {string} id
+     * @returns {object|null}
+     */
+    getById(id) {
+        return this.entries.find(e => e.id === id) || null;
+    }
+
+    /**
+     * Add an entry
+     * @param {object} data - { type, name, startDate, endDate }
+     * @returns {object}
+     */
+    add(data) {
+        const now = new Date().toISOString();
+        const entry = {
+            id: this.generateId(),
+            type: data.type,
+            name: (data.name || '').trim() || CALENDAR_TYPES[data.type],
+            startDate: data.startDate,
+            endDate: data.endDate && data.endDate >= data.startDate ? data.endDate : data.startDate,
+            createdAt: now,
+            updatedAt: now
+        };
+        this.entries.push(entry);
+        this.weekCache.clear();
+        this.storage.putRecord('calendar', entry);
+        this.journal?.record('create', 'calendar', null, entry);
+        return entry;
+    }
+
+    /**
+     * Update an entry
+     * @param {string} id
+     * @param {object} updates
+     */
+    update(id, updates) {
+        const index = this.entries.findIndex(e => e.id === id);
+        if (index !== -1) {
+            const before = this.entries[index];
+            this.entries[index] = { ...before, ...updates, updatedAt: new Date().toISOString() };
+            this.weekCache.clear();
+            this.storage.putRecord('calendar', this.entries[index]);
+            this.journal?.record('update', 'calendar', before, this.entries[index]);
+            return this.entries[index];
+        }
+        return null;
+    }
+
+    /**
+     * Delete an entry
+     * @param {string} id
+     */
+    delete(id) {
+        const before = this.getById(id);
+        this.entries = this.entries.filter(e => e.id !== id);
+        this.weekCache.clear();
+        if (before) {
+            this.storage.deleteRecord('calendar', id);
+            this.journal?.record('delete', 'calendar', before, null);
+        }
+    }
+
+    /**
+     * Why there is no school on a date
+     * @param {string} date - ISO date string
+     * @returns {object|null} - The holiday/vacation/closure entry (or a term
+     *   placeholder when outside term dates), null on a school day
+     */
+    getClosure(date) {
+        const covering = this.entries.filter(e => e.startDate <= date && date <= e.endDate);
+        const closure = covering.find(e => e.type !== 'term');
+        if (closure) return closure;
+
+        const hasTerms = this.entries.some(e => e.type === 'term');
+        if (hasTerms && !covering.some(e => e.type === 'term')) {
+            return { type: 'term', name: 'Outside term dates', startDate: date, endDate: date };
+        }
+        return null;
+    }
+
+    /**
+     * Is the school open on a date?
+     * @param {string} date
+     * @returns {boolean}
+     */
+    isSchoolDay(date) {
+        return !this.getClosure(date);
+    }
+
+    /**
+     * Is the school open at least one day of a week (Monday to Saturday)?
+     * @param {string} monday - First day of the week
+     * @returns {boolean}
+     */
+    isSchoolWeek(monday) {
+        if (!this.weekCache.has(monday)) {
+            const saturday = new Date(monday + 'T00:00:00Z');
+            saturday.setUTCDate(saturday.getUTCDate() + 5);
+            const dates = SchoolCalendar.datesBetween(monday, saturday.toISOString().split('T')[0]);
+            this.weekCache.set(monday, dates.some(d => this.isSchoolDay(d)));
+        }
+        return this.weekCache.get(monday);
+    }
+
+    /**
+     * Add the events of an .ics file
+     * @param {string} text - File content
+     * @param {string} type - Entry type for every event
+     * @returns {object} - { imported, skipped, error }
+     */
+    importICS(text, type) {
+        let events;
+        try {
+            events = ICalendar.parse(text);
+        } catch (error) {
+            return { imported: 0, skipped: 0, error: error.message };
+        }
+
+        let imported = 0;
+        let skipped = 0;
+        events.forEach(event => {
+            const exists = this.entries.some(e =>
+                e.startDate === event.startDate && e.endDate === event.endDate &&
+                e.name === (event.summary || CALENDAR_TYPES[type])
+            );
+            if (exists) {
+                skipped++;
+                return;
+            }
+            this.add({ type, name: event.summary, startDate: event.startDate, endDate: event.endDate });
+            imported++;
+        });
+
+        return { imported, skipped, error: null };
+    }
+
+    /**
+     * Entries as all-day events for ICalendar.build()
+     * @returns {array}
+     */
+    toEvents() {
+        return this.getAll().map(e => ({
+            uid: `${e.id}@lateness-tracker`,
+            summary: e.type === 'term' ? e.name : `${e.name} (${CALENDAR_TYPES[e.type] || e.type})`,
+            startDate: e.startDate,
+            endDate: e.endDate
+        }));
+    }
+
+    /**
+     * Every date of a range
+     * @param {string} startDate
+     * @param {string} endDate
+     * @returns {array} - YYYY-MM-DD dates, inclusive
+     */
+    static datesBetween(startDate, endDate) {
+        const dates = [];
+        const d = new Date(startDate + 'T00:00:00Z');
+        for (let date = startDate; date <= endDate; date = d.toISOString().split('T')[0]) {
+            dates.push(date);
+            d.setUTCDate(d.getUTCDate() + 1);
+        }
+        return dates;
+    }
+
+    /**
+     * Generate unique ID
+     */
+    generateId() {
+        return 'cal_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    }
+}
@@ -0,0 +1,62 @@
+/**
+ * Settings - App preferences, stored with the data
+ */
+
+export class Settings {
+    constructor(storage) {
+        this.storage = storage;
+        this.values = Settings.defaults();
+    }
+
+    /**
+     * Default values for every setting
+     */
+    static defaults() {
+        return {
+            userName: '',
+            dailySnapshots: true,
+            restorePointsLimit: 10,
+            // Students sorted by 'given' or 'family' name (see utils/Names.js)
+            nameOrder: 'given',
+            // Minutes after the start time; 0 turns a tier off
+            lateness: {
+                graceMinutes: 0,
+                veryLateMinutes: 0,
+                absentMinutes: 0
+            }
+        };
+    }
+
+    /**
+     * Load settings from storage
+     */
+    async load() {
+        this.values = { ...Settings.defaults(), ...this.storage.get('settings', {}) };
+    }
+
+    /**
+     * Save settings to storage
+     */
+    save() {
+        this.storage.set('settings', this.values);
+    }
+
+    /**
+     * Get a setting
+     * @param {string} key 
+     * @returns {any}
+     */
+    get(key) {
+        return this.values[key];
+    }
+
+    /**
+     * Change a setting
+     * @param {string} key 
+     * @param {any} value 
+     */
+    set(key, value) {
+        this.values[key] = value;
+        this.save();
+    }
+}
@@ -1,10 +1,85 @@
 /**
  * StudentManager - Manage students per class
+ *
+ * A student moved up to next year's class is a new record pointing back to
+ * last year's one (`previousId`): the archived class keeps its roster and
+ * arrivals untouched.
+ *
+ * Besides `name` (as shown everywhere), a student has a profile: official
+ * student `code` (unique in the workspace, shared by the records of the same
+ * student over the years), `firstName`, `lastName`, `gender` (F/M),
+ * `birthDate` and `guardians` [{ name, relation, phone, email }].
+ *
+ * A student changing class during the year keeps the same record: `classId`
+ * becomes the new class and `transfers` [{ date, fromClassId, toClassId }]
+ * tell which class the student belonged to on each date (the new one from
+ * `date` on). Arrivals keep the class they were recorded in.
+ *
+ * A student leaving the school is withdrawn rather than deleted: from
+ * `withdrawnOn` on, the student is no longer in the class (tracker, rolls)
+ * but stays in the reports of the days before, with the arrivals recorded.
+ *
+ * Students are sorted by given or family name (`nameOrder` setting) in
+ * Arabic/French alphabetical order; names are compared with the spelling
+ * variants of Arabic letters unified (utils/Names.js).
+ *
+ * Roster imports (CSV or Excel files) go through a preview: the header row is
+ * found below any title rows, columns are mapped to ROSTER_FIELDS, then each
+ * row is checked (missing name, bad photo URL or birth date) and compared
+ * with the class and the rest of the file to warn about duplicates.
  */
 
+import { CSV } from '../utils/CSV.js';
+import { XLSX } from '../utils/XLSX.js';
+import { Names } from '../utils/Names.js';
+import { addDays } from './ClassManager.js';
+
+export const GENDERS = {
+    F: 'Female',
+    M: 'Male'
+};
+
+export const ROSTER_FIELDS = {
+    name: 'Full name',
+    firstName: 'First name',
+    lastName: 'Last name',
+    photoUrl: 'Photo URL',
+    code: 'Student code',
+    gender: 'Gender',
+    birthDate: 'Birth date'
+};
+
+// Column headings recognised for each field, in English, French and Arabic
+// (school information system exports)
+const HEADER_ALIASES = {
+    name: ['name', 'full name', 'student', 'student name', 'nom complet', 'nom et prénom', 'élève', 'nom de l\'élève',
+        'الاسم الكامل', 'اسم التلميذ', 'الاسم والنسب'],
+    firstName: ['first name', 'firstname', 'given name', 'prénom', 'الاسم', 'الإسم'],
+    lastName: ['last name', 'lastname', 'surname', 'family name', 'nom', 'nom de famille', 'النسب'],
+    photoUrl: ['photo', 'photourl', 'photo url', 'picture', 'image'],
+    code: ['code', 'student code', 'student id', 'id', 'matricule', 'code massar', 'code élève', 'massar', 'numéro',
+        'رقم التلميذ', 'رمز التلميذ', 'الرمز'],
+    gender: ['gender', 'sex', 'sexe', 'genre', 'النوع', 'الجنس'],
+    birthDate: ['birth date', 'birthdate', 'date of birth', 'date de naissance', 'né le', 'تاريخ الازدياد', 'تاريخ الميلاد']
+};
+
+// Gender cell values, as written in exports
+const GENDER_VALUES = {
+    F: ['f', 'female', 'girl', 'féminin', 'fille', 'أنثى', 'انثى', 'بنت'],
+    M: ['m', 'male', 'boy', 'masculin', 'garçon', 'ذكر', 'ولد']
+};
+
+// Label of the class name in the title rows of an export: "Classe : 1AEP-1"
+const CLASS_LABEL = /^(?:classe|class|القسم|الفصل)\s*[:：]?\s*(.*)$/i;
+
+// Title rows above the header row that are searched
+const MAX_TITLE_ROWS = 20;
+
 export class StudentManager {
-    constructor(storage) {
+    constructor(storage, journal = null, settings = null) {
         this.storage = storage;
+        this.journal = journal;
+        this.settings = settings;
         this.students = [];
     }
 
@@ -39,6 +114,169 @@ export class StudentManager {
         return this.students.filter(s => s.classId === classId);
     }
 
+    /**
+     * Get the students belonging to a class on a date (transfers applied)
+     * @param {string} classId 
+     * @param {string} date - YYYY-MM-DD
+     * @returns {array}
+     */
+    getByClassOn(classId, date) {
+        return this.students.filter(s => this.getClassOn(s, date) === classId);
+    }
+
+    /**
+     * Get the students belonging to a class during (part of) a period
+     * @param {string} classId 
+     * @param {string} startDate 
+     * @param {string} endDate 
+     * @returns {array} - [{ student, from, until }] with the first and last day
+     *   of the period spent in the class (one entry per stay)
+     */
+    getByClassDuring(classId, startDate, endDate) {
+        const stays = [];
+        this.students.forEach(student => {
+            this.getEnrollments(student)
+                .filter(e => e.classId === classId && (!e.from || e.from <= endDate) && (!e.until || e.until >= startDate))
+                .forEach(e => stays.push({
+                    student,
+                    from: e.from && e.from > startDate ? e.from : startDate,
+                    until: e.until && e.until < endDate ? e.until : endDate
+                }));
+        });
+        return stays;
+    }
+
+    /**
+     * Classes of a student over time
+     * @param {object} student 
+     * @returns {array} - [{ classId, from, until }] inclusive dates, null when open-ended
+     */
+    getEnrollments(student) {
+        const transfers = student.transfers || [];
+        const enrollments = transfers.map((transfer, i) => ({
+            classId: transfer.fromClassId,
+            from: i > 0 ? transfers[i - 1].date : null,
+            until: addDays(transfer.date, -1)
+        }));
+        enrollments.push({
+            classId: student.classId,
+            from: transfers.length > 0 ? transfers[transfers.length - 1].date : null,
+            until: student.withdrawnOn ? addDays(student.withdrawnOn, -1) : null
+        });
+        return enrollments;
+    }
+
+    /**
+     * Class of a student on a date
+     * @param {object} student 
+     * @param {string} date 
+     * @returns {string|null} - null once withdrawn
+     */
+    getClassOn(student, date) {
+        if (student.withdrawnOn && date >= student.withdrawnOn) return null;
+        const transfer = (student.transfers || []).find(t => date < t.date);
+        return transfer ? transfer.fromClassId : student.classId;
+    }
+
+    /**
+     * Move a student to another class from a date on
+     * @param {string} id 
+     * @param {string} toClassId 
+     * @param {string} date - First day in the new class
+     * @returns {object} - { success, error, student }
+     */
+    transfer(id, toClassId, date) {
+        const student = this.getById(id);
+        if (!student) return { success: false, error: 'Unknown student' };
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return { success: false, error: 'Choose the date of the transfer' };
+        if (student.withdrawnOn) return { success: false, error: 'The student was withdrawn' };
+
+        const transfers = student.transfers || [];
+        const last = transfers[transfers.length - 1];
+        if (last && date <= last.date) {
+            return { success: false, error: `The student already changed class on ${last.date}` };
+        }
+        if (toClassId === student.classId) {
+            return { success: false, error: 'The student is already in this class' };
+        }
+
+        const updated = this.update(id, {
+            classId: toClassId,
+            transfers: [...transfers, { date, fromClassId: student.classId, toClassId }]
+        });
+        return { success: true, error: null, student: updated };
+    }
+
+    /**
+     * Cancel the last transfer of a student
+     * @param {string} id 
+     * @returns {object|null} - The student, back in the previous class
+     */
+    cancelTransfer(id) {
+        const student = this.getById(id);
+        if (!student || !student.transfers || student.transfers.length === 0) return null;
+
+        const transfers = student.transfers.slice(0, -1);
+        return this.update(id, {
+            classId: student.transfers[student.transfers.length - 1].fromClassId,
+            transfers
+        });
+    }
+
+    /**
+     * Withdraw a student from the school from a date on
+     * @param {string} id 
+     * @param {string} date - First day the student is no longer in the class
+     * @returns {object} - { success, error, student }
+     */
+    withdraw(id, date) {
+        const student = this.getById(id);
+        if (!student) return { success: false, error: 'Unknown student' };
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return { success: false, error: 'Choose the date of the withdrawal' };
+
+        const last = (student.transfers || []).slice(-1)[0];
+        if (last && date <= last.date) {
+            return { success: false, error: `The student changed class on ${last.date}` };
+        }
+
+        return { success: true, error: null, student: this.update(id, { withdrawnOn: date }) };
+    }
+
+    /**
+     * Take a withdrawn student back in the class
+     * @param {string} id 
+     * @returns {object|null}
+     */
+    reinstate(id) {
+        const student = this.getById(id);
+        if (!student || !student.withdrawnOn) return null;
+        return this.update(id, { withdrawnOn: null });
+    }
+
+    /**
+     * Withdrawn students of a class
+     * @param {string} classId 
+     * @returns {array} - By withdrawal date
+     */
+    getWithdrawn(classId) {
+        return this.getByClass(classId)
+            .filter(s => s.withdrawnOn)
+            .sort((a, b) => a.withdrawnOn.localeCompare(b.withdrawnOn));
+    }
+
+    /**
+     * Students who left a class for another one
+     * @param {string} classId 
+     * @returns {array} - [{ student, transfer }] by transfer date
+     */
+    getTransfersOut(classId) {
+        return this.students
+            .flatMap(student => (student.transfers || [])
+                .filter(t => t.fromClassId === classId && student.classId !== classId)
+                .map(transfer => ({ student, transfer })))
+            .sort((a, b) => a.transfer.date.localeCompare(b.transfer.date));
+    }
+
     /**
      * Get student by ID
      * @param {string} id 
@@ -53,17 +291,28 @@ export class StudentManager {
      * @param {string} name - Student name
      * @param {string} classId - Class ID
      * @param {string} photoUrl - Optional photo URL
+     * @param {object} details - Profile fields, e.g., { code, birthDate }
      */
-    add(name, classId, photoUrl = null) {
+    add(name, classId, photoUrl = null, details = {}) {
+        const now = new Date().toISOString();
         const student = {
+            code: '',
+            firstName: '',
+            lastName: '',
+            gender: '',
+            birthDate: '',
+            guardians: [],
+            ...details,
             id: this.generateId(),
             name: name.trim(),
             classId,
             photoUrl,
-            createdAt: new Date().toISOString()
+            createdAt: now,
+            updatedAt: now
         };
         this.students.push(student);
-        this.save();
+        this.storage.putRecord('students', student);
+        this.journal?.record('create', 'student', null, student);
         return student;
     }
 
@@ -75,8 +324,10 @@ export class StudentManager {
     update(id, updates) {
         const index = this.students.findIndex(s => s.id === id);
         if (index !== -1) {
-            this.students[index] = { ...this.students[index], ...updates };
-            this.save();
+            const before = this.students[index];
+            this.students[index] = { ...before, ...updates, updatedAt: new Date().toISOString() };
+            this.storage.putRecord('students', this.students[index]);
+            this.journal?.record('update', 'student', before, this.students[index]);
             return this.students[index];
         }
         return null;
@@ -87,52 +338,422 @@ export class StudentManager {
      * @param {string} id 
      */
     delete(id) {
+        const before = this.getById(id);
+        this.students = this.students.filter(s => s.id !== id);
+        if (before) {
+            this.storage.deleteRecord('students', id);
+            this.journal?.record('delete', 'student', before, null);
+        }
+    }
+
+    /**
+     * Delete a student, leaving only its id in the journal (data erase)
+     * @param {string} id 
+     */
+    erase(id) {
+        if (!this.getById(id)) return;
         this.students = this.students.filter(s => s.id !== id);
-        this.save();
+        this.storage.deleteRecord('students', id);
+        this.journal?.record('delete', 'student', { id }, null);
+    }
+
+    /**
+     * Delete every student of a class
+     * @param {string} classId 
+     * @returns {array} - The deleted students
+     */
+    deleteByClass(classId) {
+        const removed = this.getByClass(classId);
+        removed.forEach(student => this.delete(student.id));
+        return removed;
+    }
+
+    /**
+     * Put back records deleted earlier (trash), as newer than their deletion
+     * @param {array} records 
+     */
+    restoreRecords(records) {
+        const now = new Date().toISOString();
+        records.forEach(record => {
+            const restored = { ...record, updatedAt: now };
+            this.students.push(restored);
+            this.storage.putRecord('students', restored);
+            this.journal?.record('create', 'student', null, restored);
+        });
+    }
+
+    /**
+     * Move a student up to another (next year's) class
+     * @param {string} id - Student of the archived class
+     * @param {string} classId - New class
+     * @returns {object|null} - The new student record
+     */
+    promote(id, classId) {
+        const previous = this.getById(id);
+        if (!previous) return null;
+
+        const { id: previousId, createdAt, updatedAt, transfers, withdrawnOn, ...profile } = previous;
+        const now = new Date().toISOString();
+        const student = {
+            ...profile,
+            id: this.generateId(),
+            classId,
+            previousId,
+            createdAt: now,
+            updatedAt: now
+        };
+        this.students.push(student);
+        this.storage.putRecord('students', student);
+        this.journal?.record('create', 'student', null, student);
+        return student;
+    }
+
+    /**
+     * Records of the same student in past years, most recent first
+     * @param {string} id 
+     * @returns {array}
+     */
+    getHistory(id) {
+        const history = [];
+        let student = this.getById(id);
+        while (student && student.previousId) {
+            student = this.getById(student.previousId);
+            if (!student || history.includes(student)) break;
+            history.push(student);
+        }
+        return history;
     }
 
     /**
-     * Import students from CSV
-     * CSV format: name,photoUrl (optional)
+     * Every record of a student: past years and the years after
+     * @param {string} id 
+     * @returns {array}
+     */
+    getLinkedRecords(id) {
+        const student = this.getById(id);
+        if (!student) return [];
+
+        const records = [student, ...this.getHistory(id)];
+        let added = true;
+        while (added) {
+            const later = this.students.filter(s => !records.includes(s) && records.some(r => r.id === s.previousId));
+            records.push(...later);
+            added = later.length > 0;
+        }
+        return records;
+    }
+
+    /**
+     * Another student with this official code (the same student's records
+     * in other school years aside)
+     * @param {string} code 
+     * @param {string} exceptId - Student being edited
+     * @returns {object|null}
+     */
+    findByCode(code, exceptId = null) {
+        if (!code) return null;
+        const except = exceptId ? [exceptId, ...this.getHistory(exceptId).map(s => s.id)] : [];
+        return this.students.find(s =>
+            s.code === code && !except.includes(s.id) && !this.getHistory(s.id).some(h => h.id === exceptId)
+        ) || null;
+    }
+
+    /**
+     * Check a profile before saving it
+     * @param {object} profile - { name, code, gender, birthDate, guardians }
+     * @param {string} id - Student being edited, null for a new one
+     * @returns {string|null} - Error message
+     */
+    checkProfile(profile, id = null) {
+        if (!(profile.name || '').trim()) return 'The name is required';
+        if (this.findByCode(profile.code, id)) {
+            return `Student code ${profile.code} is already used by ${this.findByCode(profile.code, id).name}`;
+        }
+        if (profile.gender && !GENDERS[profile.gender]) return 'Unknown gender';
+        if (profile.birthDate && !StudentManager.toISODate(profile.birthDate)) return 'Invalid birth date';
+        if ((profile.guardians || []).some(g => !(g.name || '').trim() && !(g.phone || '').trim())) {
+            return 'Each guardian needs a name or a phone number';
+        }
+        return null;
+    }
+
+    /**
+     * Find students by name, code or guardian
+     * @param {string} query 
+     * @param {array} students - Where to look (all students by default)
+     * @returns {array} - Sorted by name
+     */
+    search(query, students = this.students) {
+        const key = Names.key(query);
+        if (!key) return [];
+
+        return students.filter(s => [
+            s.name, s.firstName, s.lastName, s.code,
+            ...(s.guardians || []).flatMap(g => [g.name, g.phone, g.email])
+        ].some(value => Names.key(value).includes(key)))
+            .sort((a, b) => this.compareNames(a, b));
+    }
+
+    /**
+     * Import students from CSV, without preview: columns are guessed from
+     * the header (name,photoUrl when there is none), duplicates are skipped
      * @param {string} csvContent 
      * @param {string} classId 
-     * @returns {object} - { success, imported, errors }
+     * @returns {object} - { success, imported, skipped, errors }
      */
     importFromCSV(csvContent, classId) {
-        const lines = csvContent.trim().split('\n');
-        const results = { success: true, imported: 0, errors: [] };
-        
-        // Skip header if present
-        const startIndex = lines[0].toLowerCase().includes('name') ? 1 : 0;
-        
-        for (let i = startIndex; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-            
-            const parts = line.split(',').map(p => p.trim());
-            const name = parts[0];
-            const photoUrl = parts[1] || null;
-            
-            if (name) {
-                this.add(name, classId, photoUrl);
-                results.imported++;
-            } else {
-                results.errors.push(`Line ${i + 1}: Empty name`);
+        return this.importTable(CSV.parse(csvContent), classId);
+    }
+
+    /**
+     * Import students from the first sheet of an Excel workbook, without preview
+     * @param {ArrayBuffer} buffer - .xlsx file content
+     * @param {string} classId 
+     * @returns {Promise<object>} - { success, imported, skipped, errors }
+     */
+    async importFromXLSX(buffer, classId) {
+        const sheets = await XLSX.read(buffer);
+        return this.importTable(sheets.length > 0 ? sheets[0].rows : [], classId);
+    }
+
+    /**
+     * Import the rows of a spreadsheet, without preview
+     * @param {array} rows 
+     * @param {string} classId 
+     * @returns {object} - { success, imported, skipped, errors }
+     */
+    importTable(rows, classId) {
+        const { headerRow, mapping } = StudentManager.detectHeader(rows);
+        return this.importRows(this.previewImport(rows, mapping, classId, headerRow), classId);
+    }
+
+    /**
+     * Read a roster file: CSV or Excel workbook
+     * @param {ArrayBuffer} buffer - File content
+     * @param {string} fileName - Tells the format
+     * @returns {Promise<object>} - { sheets: [{ name, rows }], text, encoding, delimiter }
+     *   where text and delimiter are only set for CSV files
+     */
+    static async readRoster(buffer, fileName) {
+        if (/\.xlsx$/i.test(fileName)) {
+            const sheets = (await XLSX.read(buffer)).filter(sheet => sheet.rows.some(row => row.some(Boolean)));
+            return { sheets, text: null, encoding: null, delimiter: null };
+        }
+
+        const { text, encoding } = CSV.decode(buffer);
+        const delimiter = CSV.detectDelimiter(text);
+        return { sheets: [{ name: fileName, rows: CSV.parse(text, delimiter) }], text, encoding, delimiter };
+    }
+
+    /**
+     * Find the header row below the title rows of an export, and the class
+     * name given in those title rows
+     * @param {array} rows 
+     * @returns {object} - { headerRow (-1 without header), mapping, classLabel }
+     */
+    static detectHeader(rows) {
+        let best = { headerRow: -1, found: 0, mapping: StudentManager.guessMapping(rows[0] || []).mapping };
+
+        rows.slice(0, MAX_TITLE_ROWS).forEach((row, index) => {
+            const { hasHeader, mapping } = StudentManager.guessMapping(row);
+            const found = Object.values(mapping).filter(column => column !== -1).length;
+            if (hasHeader && found > best.found) best = { headerRow: index, found, mapping };
+        });
+
+        return {
+            headerRow: best.headerRow,
+            mapping: best.mapping,
+            classLabel: StudentManager.findClassLabel(rows.slice(0, best.headerRow === -1 ? MAX_TITLE_ROWS : best.headerRow))
+        };
+    }
+
+    /**
+     * Class name in title rows: "Classe : 1AEP-1" in one cell, or the label
+     * and the name in two cells
+     * @param {array} rows 
+     * @returns {string}
+     */
+    static findClassLabel(rows) {
+        for (const row of rows) {
+            for (let i = 0; i < row.length; i++) {
+                const match = CLASS_LABEL.exec((row[i] || '').trim());
+                if (!match) continue;
+                const value = match[1] || row.slice(i + 1).find(cell => cell && cell.trim()) || '';
+                if (value.trim()) return value.trim();
             }
         }
-        
+        return '';
+    }
+
+    /**
+     * Columns of each roster field, from the first row of a file
+     * @param {array} header - First row
+     * @returns {object} - { hasHeader, mapping: { [field]: column index or -1 } }
+     */
+    static guessMapping(header) {
+        const headings = header.map(cell => Names.key(cell).replace(/\s*:$/, ''));
+        const mapping = {};
+        Object.entries(HEADER_ALIASES).forEach(([field, aliases]) => {
+            const keys = aliases.map(alias => Names.key(alias));
+            mapping[field] = headings.findIndex(heading => keys.includes(heading));
+        });
+
+        const hasHeader = Object.values(mapping).some(index => index !== -1);
+        if (!hasHeader) {
+            return { hasHeader, mapping: { ...mapping, name: 0, photoUrl: 1 } };
+        }
+        // A full name column wins over first/last name columns
+        if (mapping.name !== -1) {
+            mapping.firstName = -1;
+            mapping.lastName = -1;
+        }
+        return { hasHeader, mapping };
+    }
+
+    /**
+     * Check the rows of a roster file before importing them
+     * @param {array} rows - Spreadsheet rows
+     * @param {object} mapping - { [field]: column index or -1 }
+     * @param {string} classId 
+     * @param {number} headerRow - Index of the header row, -1 without header
+     * @returns {array} - [{ row, name, firstName, lastName, photoUrl, code, gender, birthDate,
+     *   errors, duplicate }] where
+     *   `errors` prevent the import (a student code already used is one) and
+     *   `duplicate` explains a likely duplicate
+     */
+    previewImport(rows, mapping, classId, headerRow = -1) {
+        const cell = (row, field) => mapping[field] >= 0 ? (row[mapping[field]] || '').trim() : '';
+        const existing = this.getByClass(classId);
+        const names = new Set(existing.map(s => Names.key(s.name)));
+        const seenNames = new Set();
+        const seenCodes = new Set();
+
+        const entries = rows.map((row, i) => ({ row, number: i + 1 })).slice(headerRow + 1)
+            // Blank rows and rows below the table (totals, signatures) have nothing in the mapped columns
+            .filter(({ row }) => Object.values(mapping).some(column => column >= 0 && (row[column] || '').trim()));
+
+        return entries.map(({ row, number }) => {
+            const name = cell(row, 'name') ||
+                [cell(row, 'firstName'), cell(row, 'lastName')].filter(Boolean).join(' ');
+            const entry = {
+                row: number,
+                name: name.replace(/\s+/g, ' '),
+                firstName: cell(row, 'firstName'),
+                lastName: cell(row, 'lastName'),
+                photoUrl: cell(row, 'photoUrl') || null,
+                code: cell(row, 'code'),
+                gender: StudentManager.parseGender(cell(row, 'gender')),
+                birthDate: StudentManager.toISODate(cell(row, 'birthDate')),
+                errors: [],
+                duplicate: null
+            };
+
+            if (!entry.name) entry.errors.push('Empty name');
+            if (entry.photoUrl && !/^(https?:\/\/|data:image\/)/i.test(entry.photoUrl)) {
+                entry.errors.push('Invalid photo URL');
+            }
+            if (entry.gender === null) entry.errors.push('Unknown gender');
+            if (entry.birthDate === null) entry.errors.push('Invalid birth date');
+
+            // Student codes are unique in the workspace
+            const owner = this.findByCode(entry.code);
+            if (owner) {
+                entry.errors.push(`Student code ${entry.code} is already used by ${owner.name}`);
+            } else if (entry.code && seenCodes.has(entry.code)) {
+                entry.errors.push(`Student code ${entry.code} is twice in this file`);
+            }
+
+            const key = Names.key(entry.name);
+            if (entry.name && names.has(key)) {
+                entry.duplicate = 'Already in this class';
+            } else if (entry.name && seenNames.has(key)) {
+                entry.duplicate = 'Twice in this file';
+            }
+            if (entry.name) seenNames.add(key);
+            if (entry.code) seenCodes.add(entry.code);
+
+            return entry;
+        });
+    }
+
+    /**
+     * Add the students of a checked roster
+     * @param {array} preview - Rows from previewImport()
+     * @param {string} classId 
+     * @param {boolean} includeDuplicates - Also add the likely duplicates
+     * @returns {object} - { success, imported, skipped, errors }
+     */
+    importRows(preview, classId, includeDuplicates = false) {
+        const results = { success: true, imported: 0, skipped: 0, errors: [] };
+
+        preview.forEach(entry => {
+            if (entry.errors.length > 0) {
+                results.errors.push(`Row ${entry.row}: ${entry.errors.join(', ')}`);
+            } else if (this.findByCode(entry.code)) {
+                // Added since the preview (or earlier in this file)
+                results.errors.push(`Row ${entry.row}: Student code ${entry.code} is already used by ${this.findByCode(entry.code).name}`);
+            } else if (entry.duplicate && !includeDuplicates) {
+                results.skipped++;
+            } else {
+                const { name, photoUrl, firstName, lastName, code, gender, birthDate } = entry;
+                this.add(name, classId, photoUrl, { firstName, lastName, code, gender, birthDate });
+                results.imported++;
+            }
+        });
+
         return results;
     }
 
+    /**
+     * Read a gender cell
+     * @param {string} value - e.g., "F", "Masculin", "ذكر"
+     * @returns {string|null} - F, M, '' when empty, null when unknown
+     */
+    static parseGender(value) {
+        const key = Names.key(value);
+        if (!key) return '';
+        return Object.keys(GENDER_VALUES).find(gender =>
+            GENDER_VALUES[gender].some(alias => Names.key(alias) === key)
+        ) || null;
+    }
+
+    /**
+     * Read a date written by a spreadsheet or typed in it
+     * @param {string} value - YYYY-MM-DD, or day first: DD/MM/YYYY, DD-MM-YYYY, DD.MM.YYYY
+     * @returns {string|null} - YYYY-MM-DD, '' when empty, null when not a date
+     */
+    static toISODate(value) {
+        if (!value) return '';
+        const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+        const dayFirst = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(value);
+        const [year, month, day] = iso ? iso.slice(1) : dayFirst ? [dayFirst[3], dayFirst[2], dayFirst[1]] : [];
+        if (!year) return null;
+
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== Number(day)) return null;
+        return date.toISOString().split('T')[0];
+    }
+
     /**
      * Get students sorted by name
      * @param {string} classId 
+     * @param {string} date - Students of the class on this date (transfers and
+     *   withdrawals applied), the students still in the class otherwise
      * @returns {array}
      */
-    getSortedByName(classId) {
-        return this.getByClass(classId).sort((a, b) => 
-            a.name.localeCompare(b.name)
-        );
+    getSortedByName(classId, date = null) {
+        const students = date ? this.getByClassOn(classId, date) : this.getByClass(classId).filter(s => !s.withdrawnOn);
+        return students.sort((a, b) => this.compareNames(a, b));
+    }
+
+    /**
+     * Alphabetical order of two students, by given or family name as set
+     * @param {object} a 
+     * @param {object} b 
+     * @returns {number}
+     */
+    compareNames(a, b) {
+        return Names.compareStudents(a, b, (this.settings && this.settings.get('nameOrder')) || 'given');
     }
 
     /**
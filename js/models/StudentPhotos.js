@@ -0,0 +1,210 @@
+/**
+ * StudentPhotos - Student photos stored on the device
+ *
+ * Photos are taken with the camera or picked from files, cropped to a square
+ * and downscaled to PHOTO_SIZE pixels before being stored as JPEG data URLs,
+ * one record per student { id: studentId, dataUrl, updatedAt }: they show
+ * offline and are part of JSON backups, but are not synced to other devices
+ * nor copied into restore points. A student moved up to next year's class
+ * keeps the photo of last year's record until a new one is taken.
+ */
+
+import { Zip } from '../utils/Zip.js';
+import { Names } from '../utils/Names.js';
+
+export const PHOTOS_KEY = 'photos';
+
+// Side of the stored square photos, in pixels
+export const PHOTO_SIZE = 256;
+
+const PHOTO_QUALITY = 0.8;
+
+const IMAGE_FILE = /\.(jpe?g|png|webp|gif|bmp)$/i;
+
+export class StudentPhotos {
+    constructor(storage, studentManager) {
+        this.storage = storage;
+        this.studentManager = studentManager;
+        this.photos = new Map();
+    }
+
+    /**
+     * Load photos from storage
+     */
+    async load() {
+        this.photos = new Map(this.storage.get(PHOTOS_KEY, []).map(photo => [photo.id, photo]));
+    }
+
+    /**
+     * Photo of a student, or of the same student in an earlier school year
+     * @param {string} studentId
+     * @returns {string|null} - Data URL
+     */
+    get(studentId) {
+        const ids = [studentId, ...this.studentManager.getHistory(studentId).map(s => s.id)];
+        const id = ids.find(id => this.photos.has(id));
+        return id ? this.photos.get(id).dataUrl : null;
+    }
+
+    /**
+     * Has this student record a photo of its own?
+     * @param {string} studentId
+     * @returns {boolean}
+     */
+    has(studentId) {
+        return this.photos.has(studentId);
+    }
+
+    /**
+     * Store a photo
+     * @param {string} studentId
+     * @param {string} dataUrl - Prepared with toDataUrl()
+     */
+    set(studentId, dataUrl) {
+        const photo = { id: studentId, dataUrl, updatedAt: new Date().toISOString() };
+        this.photos.set(studentId, photo);
+        this.storage.putRecord(PHOTOS_KEY, photo);
+    }
+
+    /**
+     * Crop, downscale and store a photo
+     * @param {string} studentId
+     * @param {Blob|ImageBitmap} source - Image file or decoded image
+     * @param {object} crop - See cropRect()
+     */
+    async setImage(studentId, source, crop = undefined) {
+        const image = source instanceof Blob ? await StudentPhotos.loadImage(source) : source;
+        this.set(studentId, StudentPhotos.toDataUrl(image, crop));
+    }
+
+    /**
+     * Delete the photo of a student record
+     * @param {string} studentId
+     */
+    delete(studentId) {
+        if (this.photos.delete(studentId)) {
+            this.storage.deleteRecord(PHOTOS_KEY, studentId);
+        }
+    }
+
+    /**
+     * Give photos to the students of a class from image files, or ZIP
+     * archives of images, named after the student code or name
+     * (e.g., "J130000001.jpg", "Sara El Amrani.png")
+     * @param {array} files - Files picked or from a folder
+     * @param {string} classId
+     * @returns {Promise<object>} - { assigned, unmatched: [file names], failed: [file names] }
+     */
+    async assignFiles(files, classId) {
+        const students = this.studentManager.getByClass(classId);
+        const result = { assigned: 0, unmatched: [], failed: [] };
+
+        const images = [];
+        for (const file of files) {
+            if (/\.zip$/i.test(file.name)) {
+                for (const [path, read] of Zip.read(await file.arrayBuffer())) {
+                    // macOS adds resource forks (__MACOSX/._photo.jpg)
+                    if (IMAGE_FILE.test(path) && !/(^|\/)(__MACOSX\/|\._)/.test(path)) {
+                        images.push({ name: path, blob: async () => new Blob([await read()]) });
+                    }
+                }
+            } else if (IMAGE_FILE.test(file.name) || (file.type || '').startsWith('image/')) {
+                images.push({ name: file.webkitRelativePath || file.name, blob: async () => file });
+            }
+        }
+
+        for (const image of images) {
+            const student = StudentPhotos.matchFile(image.name, students);
+            if (!student) {
+                result.unmatched.push(image.name);
+                continue;
+            }
+            try {
+                await this.setImage(student.id, await image.blob());
+                result.assigned++;
+            } catch (error) {
+                result.failed.push(image.name);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Student a photo file is named after: student code first, then name
+     * (either order of first and last name)
+     * @param {string} path - File name, possibly in folders
+     * @param {array} students
+     * @returns {object|null}
+     */
+    static matchFile(path, students) {
+        const base = path.split('/').pop().replace(/\.[^.]+$/, '');
+        const byCode = students.find(s => s.code && s.code.toLowerCase() === base.trim().toLowerCase());
+        if (byCode) return byCode;
+
+        const key = Names.key(base.replace(/[_.-]+/g, ' '));
+        return students.find(s => [
+            s.name,
+            `${s.firstName || ''} ${s.lastName || ''}`,
+            `${s.lastName || ''} ${s.firstName || ''}`
+        ].some(name => Names.key(name) === key)) || null;
+    }
+
+    /**
+     * Decode an image file
+     * @param {Blob} blob
+     * @returns {Promise<ImageBitmap>}
+     * @throws {Error} if the file is not an image
+     */
+    static async loadImage(blob) {
+        try {
+            return await createImageBitmap(blob);
+        } catch (error) {
+            throw new Error('Not an image');
+        }
+    }
+
+    /**
+     * Square part of an image to keep
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {object} crop - { zoom: 1 or more, x: 0-1, y: 0-1 } where x/y place the
+     *   square from the left/top edge to the right/bottom one (0.5: centered)
+     * @returns {object} - { sx, sy, size } in image pixels
+     */
+    static cropRect(width, height, { zoom = 1, x = 0.5, y = 0.5 } = {}) {
+        const size = Math.min(width, height) / Math.max(1, zoom);
+        return {
+            sx: (width - size) * Math.min(1, Math.max(0, x)),
+            sy: (height - size) * Math.min(1, Math.max(0, y)),
+            size
+        };
+    }
+
+    /**
+     * Draw the cropped image on a canvas (also used for the crop preview)
+     * @param {HTMLCanvasElement} canvas
+     * @param {ImageBitmap} image
+     * @param {object} crop - See cropRect()
+     */
+    static draw(canvas, image, crop) {
+        const { sx, sy, size } = StudentPhotos.cropRect(image.width, image.height, crop);
+        const context = canvas.getContext('2d');
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(image, sx, sy, size, size, 0, 0, canvas.width, canvas.height);
+    }
+
+    /**
+     * Cropped and downscaled photo
+     * @param {ImageBitmap} image
+     * @param {object} crop - See cropRect()
+     * @returns {string} - JPEG data URL
+     */
+    static toDataUrl(image, crop) {
+        const canvas = document.createElement('canvas');
+        canvas.width = PHOTO_SIZE;
+        canvas.height = PHOTO_SIZE;
+        StudentPhotos.draw(canvas, image, crop);
+        return canvas.toDataURL('image/jpeg', PHOTO_QUALITY);
+    }
+}
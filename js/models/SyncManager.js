@@ -0,0 +1,392 @@
+/**
+ * SyncManager - Optional sync with a self-hosted server
+ *
+ * Local changes (taken from the journal) are queued in the `syncOutbox`
+ * collection and sent to `<endpoint>/sync` together with the cursor of the
+ * last pull. The server answers with every change made since that cursor.
+ * Conflicts are resolved per record: the most recent `updatedAt` wins, on the
+ * server and on each device. See server/sync-server.js for the protocol.
+ *
+ * When the device is offline the outbox is left for the service worker
+ * (Background Sync), which pushes it as soon as the connection comes back.
+ *
+ * Journal entries never change, except when a student's data is erased: the
+ * redacted entries are pushed with a newer `updatedAt` and replace the full
+ * ones on the server and on the other devices.
+ */
+
+export const SYNCED_COLLECTIONS = ['classes', 'students', 'arrivals', 'calendar', 'journal'];
+
+// Keys describing this device's sync state: never exported in backups
+export const SYNC_STORAGE_KEYS = ['syncConfig', 'syncOutbox'];
+
+const ENTITY_COLLECTIONS = {
+    class: 'classes',
+    student: 'students',
+    arrival: 'arrivals',
+    calendar: 'calendar'
+};
+
+const PUSH_DELAY = 2000;
+const SYNC_INTERVAL = 5 * 60 * 1000;
+
+export class SyncManager {
+    constructor(storage, journal) {
+        this.storage = storage;
+        this.journal = journal;
+        this.config = SyncManager.defaultConfig();
+        this.listeners = new Set();
+        this.syncing = null;
+        this.pushTimer = null;
+        this.intervalTimer = null;
+
+        this.journal.subscribe(entry => this.track(entry));
+        this.journal.subscribeRedactions(entries => this.trackRedactions(entries));
+    }
+
+    /**
+     * Default sync configuration (sync disabled)
+     */
+    static defaultConfig() {
+        return {
+            enabled: false,
+            endpoint: '',
+            token: '',
+            deviceId: 'dev_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+            cursor: 0,
+            lastSyncAt: null,
+            lastError: null
+        };
+    }
+
+    /**
+     * Load sync configuration from storage
+     */
+    async load() {
+        const stored = this.storage.get('syncConfig', null);
+        this.config = { ...SyncManager.defaultConfig(), ...stored };
+        if (!stored) this.saveConfig();
+    }
+
+    /**
+     * Save sync configuration to storage
+     */
+    saveConfig() {
+        this.storage.set('syncConfig', this.config);
+    }
+
+    /**
+     * Change endpoint, token or enabled flag
+     * @param {object} updates - { enabled, endpoint, token }
+     */
+    configure(updates) {
+        const endpointChanged = updates.endpoint !== undefined && updates.endpoint !== this.config.endpoint;
+        const wasEnabled = this.isEnabled();
+        this.config = { ...this.config, ...updates };
+
+        // A new server has none of our data: pull everything
+        if (endpointChanged) {
+            this.config.cursor = 0;
+        }
+        // Changes made while sync was off were not tracked: push everything
+        if (this.isEnabled() && (endpointChanged || !wasEnabled)) {
+            this.queueAll();
+        }
+        this.saveConfig();
+        this.start();
+    }
+
+    /**
+     * Start (or stop) automatic syncing according to the configuration
+     */
+    start() {
+        clearInterval(this.intervalTimer);
+        this.intervalTimer = null;
+
+        if (!this.isEnabled()) return;
+
+        if (!this.onlineHandler && typeof window !== 'undefined') {
+            this.onlineHandler = () => this.sync();
+            window.addEventListener('online', this.onlineHandler);
+
+            // The service worker hands Background Sync over to open tabs
+            if ('serviceWorker' in navigator) {
+                navigator.serviceWorker.addEventListener('message', event => {
+                    if (event.data && event.data.type === 'sync-outbox' &&
+                        event.data.namespace === this.storage.namespace) {
+                        this.sync();
+                    }
+                });
+            }
+        }
+        this.intervalTimer = setInterval(() => this.sync(), SYNC_INTERVAL);
+        this.sync();
+    }
+
+    /**
+     * Is sync configured and turned on?
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.config.enabled && !!this.config.endpoint;
+    }
+
+    /**
+     * Be told when remote changes were applied locally
+     * @param {function} listener - Called with the list of changed keys
+     * @returns {function} - Unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Number of local changes not yet sent
+     * @returns {number}
+     */
+    getPendingCount() {
+        return this.storage.getRecords('syncOutbox').length;
+    }
+
+    /**
+     * Queue the change described by a journal entry
+     * @param {object} entry - Journal entry
+     */
+    track(entry) {
+        if (!this.isEnabled()) return;
+
+        this.enqueue('journal', entry, false);
+
+        if (entry.action === 'import') {
+            // A restored backup rewrote whole collections
+            this.queueAll();
+        } else if (ENTITY_COLLECTIONS[entry.entity]) {
+            const collection = ENTITY_COLLECTIONS[entry.entity];
+            if (entry.action === 'delete') {
+                this.enqueue(collection, { id: entry.entityId, updatedAt: entry.at }, true);
+            } else {
+                this.enqueue(collection, entry.after, false);
+            }
+        }
+
+        this.schedulePush();
+    }
+
+    /**
+     * Queue redacted journal entries, and make sure no full copy of them or
+     * of the records they were about is left in the outbox (even with sync
+     * turned off: the outbox would be pushed once it is back on)
+     * @param {array} entries - Redacted journal entries
+     */
+    trackRedactions(entries) {
+        const queued = new Map(this.storage.getRecords('syncOutbox').map(e => [e.id, e]));
+        const existing = {};
+
+        entries.forEach(entry => {
+            if (this.isEnabled() || queued.has(`journal:${entry.id}`)) {
+                this.enqueue('journal', entry, false);
+            }
+
+            // A change of an erased record waiting to be sent: send its deletion instead
+            const collection = ENTITY_COLLECTIONS[entry.entity];
+            const row = collection && queued.get(`${collection}:${entry.entityId}`);
+            if (row && !row.deleted) {
+                existing[collection] = existing[collection] ||
+                    new Set(this.storage.getRecords(collection).map(r => r.id));
+                if (!existing[collection].has(entry.entityId)) {
+                    this.enqueue(collection, { id: entry.entityId, updatedAt: entry.updatedAt }, true);
+                }
+            }
+        });
+
+        if (this.isEnabled()) this.schedulePush();
+    }
+
+    /**
+     * Queue every local record (first sync with a server, restored backup)
+     */
+    queueAll() {
+        SYNCED_COLLECTIONS.forEach(collection => {
+            this.storage.getRecords(collection).forEach(record => {
+                this.enqueue(collection, record, false);
+            });
+        });
+    }
+
+    /**
+     * Add (or replace) a change in the outbox
+     */
+    enqueue(collection, record, deleted) {
+        this.storage.putRecord('syncOutbox', {
+            id: `${collection}:${record.id}`,
+            collection,
+            recordId: record.id,
+            updatedAt: record.updatedAt || record.at || record.createdAt || new Date().toISOString(),
+            deleted,
+            record: deleted ? null : record
+        });
+    }
+
+    /**
+     * Push soon, grouping changes made in quick succession
+     */
+    schedulePush() {
+        clearTimeout(this.pushTimer);
+        this.pushTimer = setTimeout(() => this.sync(), PUSH_DELAY);
+    }
+
+    /**
+     * Push the outbox and pull remote changes
+     * @returns {Promise<object>} - { success, pushed, pulled, error }
+     */
+    sync() {
+        if (!this.isEnabled()) {
+            return Promise.resolve({ success: false, error: 'Sync is disabled' });
+        }
+        // One sync at a time
+        if (!this.syncing) {
+            this.syncing = this.runSync().finally(() => {
+                this.syncing = null;
+            });
+        }
+        return this.syncing;
+    }
+
+    /**
+     * Perform one push/pull round trip
+     */
+    async runSync() {
+        const outbox = this.storage.getRecords('syncOutbox');
+
+        try {
+            const response = await fetch(this.config.endpoint.replace(/\/$/, '') + '/sync', {
+                method: 'POST',
+                headers: this.headers(),
+                body: JSON.stringify({
+                    deviceId: this.config.deviceId,
+                    since: this.config.cursor,
+                    changes: outbox.map(({ collection, recordId, updatedAt, deleted, record }) =>
+                        ({ collection, id: recordId, updatedAt, deleted, record })
+                    )
+                })
+            });
+            if (!response.ok) {
+                throw new Error(`Server answered ${response.status}`);
+            }
+
+            const result = await response.json();
+            this.clearSent(outbox);
+            const changedKeys = this.applyRemote(result.changes || []);
+
+            this.config.cursor = result.cursor;
+            this.config.lastSyncAt = new Date().toISOString();
+            this.config.lastError = null;
+            this.saveConfig();
+            await this.storage.flush();
+
+            if (changedKeys.length > 0) {
+                this.listeners.forEach(listener => listener(changedKeys));
+            }
+            return { success: true, pushed: outbox.length, pulled: (result.changes || []).length };
+        } catch (error) {
+            console.error('Sync failed', error);
+            this.config.lastError = error.message;
+            this.saveConfig();
+            this.requestBackgroundSync();
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Remove sent changes from the outbox, unless they changed again meanwhile
+     * @param {array} sent - Outbox entries that were pushed
+     */
+    clearSent(sent) {
+        const current = new Map(this.storage.getRecords('syncOutbox').map(e => [e.id, e]));
+        sent.forEach(entry => {
+            const now = current.get(entry.id);
+            if (now && now.updatedAt === entry.updatedAt && now.deleted === entry.deleted) {
+                this.storage.deleteRecord('syncOutbox', entry.id);
+            }
+        });
+    }
+
+    /**
+     * Apply remote changes when they are newer than the local version
+     * @param {array} changes - [{ collection, id, updatedAt, deleted, record }]
+     * @returns {array} - Storage keys that changed
+     */
+    applyRemote(changes) {
+        const changed = new Set();
+        const outbox = new Map(this.storage.getRecords('syncOutbox').map(e => [e.id, e]));
+        const records = {};
+        SYNCED_COLLECTIONS.forEach(collection => {
+            records[collection] = new Map(this.storage.getRecords(collection).map(r => [r.id, r]));
+        });
+
+        changes.forEach(change => {
+            const local = records[change.collection];
+            if (!local) return;
+
+            // Journal entries are immutable: only add the missing ones, or
+            // redact the ones erased on another device
+            if (change.collection === 'journal') {
+                const existing = local.get(change.id);
+                if (!change.deleted && (!existing || (change.record.redacted && !existing.redacted))) {
+                    this.storage.putRecord('journal', change.record);
+                    changed.add('journal');
+                }
+                return;
+            }
+
+            const pending = outbox.get(`${change.collection}:${change.id}`);
+            const existing = local.get(change.id);
+            const localStamp = [
+                pending && pending.updatedAt,
+                existing && (existing.updatedAt || existing.createdAt)
+            ].filter(Boolean).sort().pop() || '';
+
+            if (change.updatedAt <= localStamp) return;
+
+            if (change.deleted) {
+                if (existing) this.storage.deleteRecord(change.collection, change.id);
+            } else {
+                this.storage.putRecord(change.collection, change.record);
+            }
+            if (pending) {
+                this.storage.deleteRecord('syncOutbox', pending.id);
+            }
+            changed.add(change.collection);
+        });
+
+        return [...changed];
+    }
+
+    /**
+     * Ask the service worker to push the outbox when back online
+     */
+    async requestBackgroundSync() {
+        if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+
+        try {
+            const registration = await navigator.serviceWorker.register('service-worker.js');
+            if (registration.sync) {
+                await registration.sync.register(`sync-outbox:${this.storage.namespace}`);
+            }
+        } catch (error) {
+            console.warn('Background sync unavailable', error);
+        }
+    }
+
+    /**
+     * Request headers, with the access token if configured
+     */
+    headers() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.config.token) {
+            headers.Authorization = `Bearer ${this.config.token}`;
+        }
+        return headers;
+    }
+}
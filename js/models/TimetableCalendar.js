@@ -0,0 +1,310 @@
+/**
+ * TimetableCalendar - Class timetables as iCalendar (.ics) files
+ *
+ * Import: weekly recurring events become the sessions of the weekly schedule
+ * (an INTERVAL of 2 or more becomes a week rotation), their excluded dates
+ * and modified occurrences become date overrides, one-off timed events become
+ * extra sessions on their date.
+ *
+ * Export: one weekly event per session over the school year (term dates when
+ * set), without non-school days and dates changed by an override; changed
+ * and extra sessions are one-off events.
+ */
+
+import { ICalendar, WEEKDAY_CODES } from '../utils/ICalendar.js';
+import { weekStart, addDays } from './ClassManager.js';
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Longest rotation the schedule view can edit (week A to D)
+const MAX_WEEKS = 4;
+
+const UID_DOMAIN = 'lateness-tracker';
+
+export class TimetableCalendar {
+    constructor(classManager, calendar = null) {
+        this.classManager = classManager;
+        this.calendar = calendar;
+    }
+
+    /**
+     * Import a timetable into a class, or into a new class
+     * @param {string} text - .ics content
+     * @param {object} target - { classId } to update a class, { name } to create one
+     * @returns {object} - { success, error, class, sessions, overrides, skipped }
+     */
+    importICS(text, { classId = null, name = '' } = {}) {
+        let events;
+        try {
+            events = ICalendar.parse(text);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+
+        const existing = classId ? this.classManager.getById(classId) : null;
+        if (classId && !existing) {
+            return { success: false, error: 'Unknown class' };
+        }
+
+        const weekly = events.filter(e => e.rule && e.rule.freq === 'WEEKLY' && e.startTime && !e.recurrenceId);
+        if (weekly.length === 0) {
+            return { success: false, error: 'No weekly recurring events with times in this file' };
+        }
+
+        // Exported timetables prefix the class name: "1AEP · Maths"
+        const prefix = `${existing ? existing.name : name.trim()} · `;
+        const labelOf = event => event.summary.startsWith(prefix) ? event.summary.slice(prefix.length) : event.summary;
+
+        const weeks = Math.min(MAX_WEEKS, Math.max(...weekly.map(e => e.rule.interval)));
+        const anchorDate = weekStart(weekly.map(e => e.startDate).sort()[0]);
+        const weekOf = date => {
+            const count = Math.round((Date.parse(weekStart(date)) - Date.parse(anchorDate)) / (7 * 86400000));
+            return ((count % weeks) + weeks) % weeks;
+        };
+
+        // One session per event and weekday, in every week the event repeats
+        const schedules = Array.from({ length: weeks }, () => emptySchedule());
+        const slots = new Map();
+        weekly.forEach(event => {
+            const days = event.rule.byDay.length > 0 ?
+                event.rule.byDay.map(code => DAY_NAMES[WEEKDAY_CODES.indexOf(code)]).filter(Boolean) :
+                [dayName(event.startDate)];
+            const first = weekOf(event.startDate);
+
+            schedules.forEach((schedule, week) => {
+                if ((week - first + weeks) % event.rule.interval !== 0) return;
+                days.forEach(day => {
+                    const session = {
+                        id: null,
+                        label: labelOf(event),
+                        startTime: event.startTime,
+                        endTime: event.endTime || event.startTime
+                    };
+                    schedule[day].enabled = true;
+                    schedule[day].sessions.push(session);
+                    slots.set(`${event.uid}|${week}|${day}`, session);
+                });
+            });
+        });
+
+        // Sessions in order, reusing the ids of the class's sessions so recorded arrivals stay attached
+        schedules.forEach((schedule, week) => {
+            Object.entries(schedule).forEach(([day, entry]) => {
+                const current = existing ?
+                    ((this.classManager.getWeekSchedule(existing, week)[day] || {}).sessions || []) : [];
+                entry.sessions.sort((a, b) => a.startTime.localeCompare(b.startTime));
+                entry.sessions.forEach((session, i) => {
+                    session.id = current[i] ? current[i].id : this.classManager.generateSessionId();
+                });
+            });
+        });
+
+        // Exceptions: date overrides starting from the imported template
+        const overrides = {};
+        const sessionsOn = date => {
+            if (!overrides[date]) {
+                const entry = schedules[weekOf(date)][dayName(date)];
+                overrides[date] = { sessions: entry.sessions.map(s => ({ ...s, cancelled: false })) };
+            }
+            return overrides[date].sessions;
+        };
+        const slotOf = (uid, date) => slots.get(`${uid}|${weekOf(date)}|${dayName(date)}`);
+        const changeSession = (date, sessionId, changes) => {
+            const session = sessionsOn(date).find(s => s.id === sessionId);
+            if (session) Object.assign(session, changes);
+        };
+
+        weekly.forEach(event => {
+            event.exdates.forEach(date => {
+                const slot = slotOf(event.uid, date);
+                if (slot) changeSession(date, slot.id, { cancelled: true });
+            });
+        });
+
+        let skipped = 0;
+        events.filter(event => !weekly.includes(event)).forEach(event => {
+            // All-day events are for the school calendar, other rules are not timetables
+            if (!event.startTime || event.rule) {
+                skipped++;
+                return;
+            }
+
+            const slot = event.recurrenceId ? slotOf(event.uid, event.recurrenceId) : null;
+            if (slot && !event.cancelled && event.startDate === event.recurrenceId) {
+                changeSession(event.startDate, slot.id, {
+                    label: labelOf(event) || slot.label,
+                    startTime: event.startTime,
+                    endTime: event.endTime || event.startTime
+                });
+                return;
+            }
+            if (slot) {
+                changeSession(event.recurrenceId, slot.id, { cancelled: true });
+            }
+            if (event.cancelled) {
+                if (!slot) skipped++;
+                return;
+            }
+
+            // Moved occurrence or one-off event: extra session on its date
+            sessionsOn(event.startDate).push({
+                id: this.classManager.generateSessionId(),
+                label: labelOf(event) || (slot ? slot.label : ''),
+                startTime: event.startTime,
+                endTime: event.endTime || event.startTime,
+                cancelled: false
+            });
+        });
+
+        const changes = {
+            schedule: schedules[0],
+            rotation: weeks > 1 ? { anchorDate, skipClosedWeeks: false, schedules: schedules.slice(1) } : null,
+            overrides: { ...((existing && existing.overrides) || {}), ...overrides }
+        };
+        const classObj = existing ?
+            this.classManager.update(classId, changes) :
+            this.classManager.update(this.classManager.add(name.trim(), schedules[0]).id, changes);
+
+        return {
+            success: true,
+            error: null,
+            class: classObj,
+            sessions: schedules.reduce((sum, schedule) =>
+                sum + Object.values(schedule).reduce((n, entry) => n + entry.sessions.length, 0), 0),
+            overrides: Object.keys(overrides).length,
+            skipped
+        };
+    }
+
+    /**
+     * .ics file of a class timetable
+     * @param {string} classId
+     * @param {boolean} withCalendar - Add the school calendar (terms, holidays...)
+     * @returns {string|null}
+     */
+    exportICS(classId, withCalendar = false) {
+        const classObj = this.classManager.getById(classId);
+        if (!classObj) return null;
+
+        const events = this.toEvents(classId);
+        if (withCalendar && this.calendar) {
+            events.push(...this.calendar.toEvents());
+        }
+        return ICalendar.build(events, `${classObj.name} ${classObj.schoolYear || ''}`.trim());
+    }
+
+    /**
+     * Events of a class timetable over its school year
+     * @param {string} classId
+     * @returns {array} - Events for ICalendar.build()
+     */
+    toEvents(classId) {
+        const classObj = this.classManager.getById(classId);
+        if (!classObj) return [];
+
+        const { from, until } = this.getYearRange(classObj);
+        const weeks = this.classManager.getWeekCount(classId);
+        const occurrences = new Map();
+        const single = [];
+
+        // Dates each template session really takes place on, and what differs from the template
+        for (let date = from; date <= until; date = addDays(date, 1)) {
+            if (this.calendar && !this.calendar.isSchoolDay(date)) continue;
+
+            const template = this.classManager.getTemplateSessions(classId, date);
+            this.classManager.getSessions(classId, date).forEach(session => {
+                const planned = template.find(s => s.id === session.id);
+                if (planned && planned.startTime === session.startTime && planned.endTime === session.endTime) {
+                    if (!occurrences.has(session.id)) occurrences.set(session.id, { session: planned, dates: [] });
+                    occurrences.get(session.id).dates.push(date);
+                } else {
+                    single.push({ date, session });
+                }
+            });
+        }
+
+        const summary = session => [classObj.name, (session.label || '').trim()].filter(Boolean).join(' · ');
+        const events = [];
+
+        occurrences.forEach(({ session, dates }) => {
+            const held = new Set(dates);
+            const ruleDates = [];
+            for (let date = dates[0]; date <= until; date = addDays(date, 7 * weeks)) {
+                ruleDates.push(date);
+            }
+            const ruled = new Set(ruleDates);
+
+            events.push({
+                uid: `${session.id}@${UID_DOMAIN}`,
+                summary: summary(session),
+                startDate: dates[0],
+                startTime: session.startTime,
+                endTime: session.endTime,
+                rule: { freq: 'WEEKLY', interval: weeks, byDay: [WEEKDAY_CODES[dayIndex(dates[0])]], until },
+                exdates: ruleDates.filter(date => !held.has(date))
+            });
+            // Rotations skipping vacation weeks get out of step with the rule
+            dates.filter(date => !ruled.has(date)).forEach(date => single.push({ date, session }));
+        });
+
+        single.forEach(({ date, session }) => {
+            events.push({
+                uid: `${session.id}-${date.replace(/-/g, '')}@${UID_DOMAIN}`,
+                summary: summary(session),
+                startDate: date,
+                startTime: session.startTime,
+                endTime: session.endTime
+            });
+        });
+
+        return events;
+    }
+
+    /**
+     * First and last day of the school year of a class: its terms, when set
+     * in the school calendar, else September to June
+     * @param {object} classObj
+     * @returns {object} - { from, until }
+     */
+    getYearRange(classObj) {
+        const start = parseInt(classObj.schoolYear) || new Date().getFullYear();
+        const range = { from: `${start}-09-01`, until: `${start + 1}-06-30` };
+
+        const terms = (this.calendar ? this.calendar.getAll() : []).filter(e =>
+            e.type === 'term' && e.endDate >= range.from && e.startDate <= range.until
+        );
+        if (terms.length === 0) return range;
+
+        return {
+            from: terms.map(e => e.startDate).sort()[0],
+            until: terms.map(e => e.endDate).sort().reverse()[0]
+        };
+    }
+}
+
+/**
+ * A weekly schedule without any session
+ * @returns {object}
+ */
+function emptySchedule() {
+    return Object.fromEntries(
+        ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+            .map(day => [day, { enabled: false, sessions: [] }])
+    );
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} - 0 = Sunday
+ */
+function dayIndex(date) {
+    return new Date(date + 'T00:00:00Z').getUTCDay();
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} - e.g., "monday"
+ */
+function dayName(date) {
+    return DAY_NAMES[dayIndex(date)];
+}
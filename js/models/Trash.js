@@ -0,0 +1,240 @@
+/**
+ * Trash - Deleted classes and students, restorable for a while
+ *
+ * Deleting a class removes it from the class, student and arrival stores
+ * together and keeps them in one trash item { id, deletedAt, class, students,
+ * arrivals }; a deleted student goes with its arrivals in an item { id,
+ * deletedAt, student, arrivals }. Items can be put back until they expire
+ * after RETENTION_DAYS; purging an item (or its expiry) deletes those
+ * records, and the students' photos, for good.
+ *
+ * Erasing a student (privacy request) goes further: every record of the
+ * student over the years, arrivals and photos are deleted without a copy in
+ * the journal, removed from the trash and restore points, and the journal
+ * entries about them are redacted (the redaction is synced like the
+ * deletions; other devices' trash and restore points are not touched).
+ *
+ * The trash belongs to this device: other devices only receive the deletions.
+ */
+
+export const TRASH_KEY = 'trash';
+
+export const RETENTION_DAYS = 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export class Trash {
+    constructor(storage, classManager, studentManager, arrivalTracker, backupManager = null, photos = null, journal = null) {
+        this.storage = storage;
+        this.classManager = classManager;
+        this.studentManager = studentManager;
+        this.arrivalTracker = arrivalTracker;
+        this.backupManager = backupManager;
+        this.photos = photos;
+        this.journal = journal;
+        this.items = [];
+    }
+
+    /**
+     * Load the trash from storage, dropping expired items
+     */
+    async load() {
+        this.items = this.storage.get(TRASH_KEY, []);
+        this.purgeExpired();
+    }
+
+    /**
+     * Get trash items, most recently deleted first
+     * @returns {array}
+     */
+    getAll() {
+        return [...this.items].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    }
+
+    /**
+     * Get trash item by ID
+     * @param {string} id
+     * @returns {object|null}
+     */
+    getById(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    /**
+     * Move a class with its students and arrivals to the trash
+     * @param {string} classId
+     * @returns {object|null} - The trash item
+     */
+    deleteClass(classId) {
+        const classObj = this.classManager.getById(classId);
+        if (!classObj) return null;
+
+        const run = () => {
+            const students = this.studentManager.deleteByClass(classId);
+            const studentIds = new Set(students.map(s => s.id));
+            const arrivals = this.arrivalTracker.deleteWhere(a =>
+                a.classId === classId || studentIds.has(a.studentId)
+            );
+            this.classManager.delete(classId);
+
+            const item = {
+                id: this.generateId(),
+                deletedAt: new Date().toISOString(),
+                class: classObj,
+                students,
+                arrivals
+            };
+            this.items.push(item);
+            this.storage.putRecord(TRASH_KEY, item);
+            return item;
+        };
+
+        return this.backupManager ? this.backupManager.protect('before-class-delete', run) : run();
+    }
+
+    /**
+     * Move a student with its arrivals to the trash
+     * @param {string} studentId
+     * @returns {object|null} - The trash item
+     */
+    deleteStudent(studentId) {
+        const student = this.studentManager.getById(studentId);
+        if (!student) return null;
+
+        const arrivals = this.arrivalTracker.deleteWhere(a => a.studentId === studentId);
+        this.studentManager.delete(studentId);
+
+        const item = {
+            id: this.generateId(),
+            deletedAt: new Date().toISOString(),
+            student,
+            arrivals
+        };
+        this.items.push(item);
+        this.storage.putRecord(TRASH_KEY, item);
+        return item;
+    }
+
+    /**
+     * Put a deleted class back with its students and arrivals, or a deleted
+     * student with its arrivals
+     * @param {string} id - Trash item ID
+     * @returns {object} - { success, error, class, student }
+     */
+    restore(id) {
+        const item = this.getById(id);
+        if (!item) return { success: false, error: 'Not in the trash anymore' };
+        if (item.student) return this.restoreStudent(item);
+        if (this.classManager.getById(item.class.id)) {
+            return { success: false, error: 'This class already exists' };
+        }
+
+        this.classManager.restoreRecords([item.class]);
+        this.studentManager.restoreRecords(item.students);
+        this.arrivalTracker.restoreRecords(item.arrivals);
+        this.remove(id);
+
+        return { success: true, error: null, class: item.class };
+    }
+
+    /**
+     * Put a deleted student back
+     * @param {object} item
+     * @returns {object} - { success, error, student }
+     */
+    restoreStudent(item) {
+        if (this.studentManager.getById(item.student.id)) {
+            return { success: false, error: 'This student already exists' };
+        }
+        if (!this.classManager.getById(item.student.classId)) {
+            return { success: false, error: 'The class of this student was deleted: restore the class first' };
+        }
+
+        this.studentManager.restoreRecords([item.student]);
+        this.arrivalTracker.restoreRecords(item.arrivals);
+        this.remove(item.id);
+
+        return { success: true, error: null, student: item.student };
+    }
+
+    /**
+     * Erase everything about a student, in every school year (privacy request)
+     * @param {string} studentId
+     * @returns {object} - { students, arrivals } numbers of records erased
+     */
+    eraseStudent(studentId) {
+        const records = this.studentManager.getLinkedRecords(studentId);
+        const ids = new Set(records.map(s => s.id));
+
+        const arrivalIds = new Set(this.arrivalTracker.eraseWhere(a => ids.has(a.studentId)));
+        records.forEach(student => this.studentManager.erase(student.id));
+
+        // Copies kept in the trash
+        this.items.filter(item => item.student ? ids.has(item.student.id) : item.students.some(s => ids.has(s.id)))
+            .forEach(item => {
+                item.arrivals.filter(a => ids.has(a.studentId)).forEach(a => arrivalIds.add(a.id));
+                if (item.student) {
+                    this.remove(item.id);
+                    return;
+                }
+                item.students = item.students.filter(s => !ids.has(s.id));
+                item.arrivals = item.arrivals.filter(a => !ids.has(a.studentId));
+                this.storage.putRecord(TRASH_KEY, item);
+            });
+
+        ids.forEach(id => this.photos?.delete(id));
+        this.backupManager?.forgetStudents(ids);
+        this.journal?.redact(entry => ids.has(entry.entityId) || arrivalIds.has(entry.entityId) ||
+            (entry.entity === 'arrival' && ids.has((entry.after || entry.before || {}).studentId)));
+
+        return { students: ids.size, arrivals: arrivalIds.size };
+    }
+
+    /**
+     * Delete a trash item for good
+     * @param {string} id
+     */
+    purge(id) {
+        const item = this.getById(id);
+        if (item && this.photos) {
+            (item.student ? [item.student] : item.students).forEach(student => this.photos.delete(student.id));
+        }
+        this.remove(id);
+    }
+
+    /**
+     * Delete the items older than RETENTION_DAYS
+     * @returns {number} - Number of purged items
+     */
+    purgeExpired() {
+        const now = Date.now();
+        const expired = this.items.filter(item => Trash.expiresAt(item) <= now);
+        expired.forEach(item => this.purge(item.id));
+        return expired.length;
+    }
+
+    /**
+     * When an item is purged automatically
+     * @param {object} item
+     * @returns {number} - Timestamp
+     */
+    static expiresAt(item) {
+        return new Date(item.deletedAt).getTime() + RETENTION_DAYS * DAY;
+    }
+
+    /**
+     * Remove an item from the trash
+     * @param {string} id
+     */
+    remove(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        this.storage.deleteRecord(TRASH_KEY, id);
+    }
+
+    /**
+     * Generate unique ID
+     */
+    generateId() {
+        return 'trash_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    }
+}
@@ -0,0 +1,163 @@
+/**
+ * WorkspaceManager - Named workspaces (school profiles) in one install
+ *
+ * Each workspace keeps its data in its own storage namespace. The list of
+ * workspaces and the active one are device settings, stored in localStorage
+ * outside of every workspace namespace.
+ */
+
+import { Storage } from '../utils/Storage.js';
+import { IndexedDBStorage } from '../utils/IndexedDBStorage.js';
+
+const DEFAULT_NAMESPACE = 'lateness-tracker';
+
+export class WorkspaceManager {
+    constructor() {
+        this.registry = new Storage('lateness-tracker-workspaces');
+        this.workspaces = [];
+        this.activeId = null;
+        this.load();
+    }
+
+    /**
+     * Load the workspace list (creating the default workspace on first launch)
+     */
+    load() {
+        const data = this.registry.get('registry', null);
+
+        if (data && data.workspaces && data.workspaces.length > 0) {
+            this.workspaces = data.workspaces;
+            this.activeId = data.activeId;
+        } else {
+            // Existing data lives in the original namespace
+            this.workspaces = [{
+                id: 'default',
+                name: 'My School',
+                namespace: DEFAULT_NAMESPACE,
+                createdAt: new Date().toISOString()
+            }];
+            this.activeId = 'default';
+            this.save();
+        }
+
+        if (!this.getById(this.activeId)) {
+            this.activeId = this.workspaces[0].id;
+        }
+    }
+
+    /**
+     * Save the workspace list
+     */
+    save() {
+        this.registry.set('registry', {
+            activeId: this.activeId,
+            workspaces: this.workspaces
+        });
+    }
+
+    /**
+     * Get all workspaces
+     * @returns {array}
+     */
+    getAll() {
+        return [...this.workspaces];
+    }
+
+    /**
+     * Get workspace by ID
+     * @param {string} id
+     * @returns {object|null}
+     */
+    getById(id) {
+        return this.workspaces.find(w => w.id === id) || null;
+    }
+
+    /**
+     * Get the workspace opened at launch
+     * @returns {object}
+     */
+    getActive() {
+        return this.getById(this.activeId);
+    }
+
+    /**
+     * Create a workspace
+     * @param {string} name
+     * @returns {object}
+     */
+    create(name) {
+        const id = this.generateId();
+        const workspace = {
+            id,
+            name: name.trim(),
+            namespace: `${DEFAULT_NAMESPACE}@${id}`,
+            createdAt: new Date().toISOString()
+        };
+        this.workspaces.push(workspace);
+        this.save();
+        return workspace;
+    }
+
+    /**
+     * Rename a workspace
+     * @param {string} id
+     * @param {string} name
+     */
+    rename(id, name) {
+        const workspace = this.getById(id);
+        if (workspace) {
+            workspace.name = name.trim();
+            this.save();
+        }
+        return workspace;
+    }
+
+    /**
+     * Make a workspace the active one (takes effect on next launch/reload)
+     * @param {string} id
+     */
+    setActive(id) {
+        if (!this.getById(id)) return false;
+        this.activeId = id;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Delete a workspace and all of its data
+     * @param {string} id
+     * @returns {Promise<object>} - { success, error }
+     */
+    async delete(id) {
+        const workspace = this.getById(id);
+        if (!workspace) return { success: false, error: 'Unknown workspace' };
+        if (id === this.activeId) return { success: false, error: 'Switch to another workspace first' };
+
+        if (IndexedDBStorage.isSupported()) {
+            await new IndexedDBStorage(workspace.namespace).deleteDatabase();
+        }
+        new Storage(workspace.namespace).clearAll();
+
+        this.workspaces = this.workspaces.filter(w => w.id !== id);
+        this.save();
+        return { success: true };
+    }
+
+    /**
+     * Create the (unopened) storage backend of a workspace
+     * @param {object} workspace
+     * @returns {Storage|IndexedDBStorage}
+     */
+    createStorage(workspace) {
+        return IndexedDBStorage.isSupported() ?
+            new IndexedDBStorage(workspace.namespace) :
+            new Storage(workspace.namespace);
+    }
+
+    /**
+     * Generate unique ID
+     */
+    generateId() {
+        return 'ws_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * YearRollover - Start a new school year
+ *
+ * The classes of the current year are archived (read-only, still in reports),
+ * next year's classes are created from a mapping (1AEP → 2AEP) with the same
+ * schedule, lateness rules and description (teacher, room...; the level moves
+ * up too), and the selected students are moved up with a link to last year's
+ * records (StudentManager.promote).
+ */
+
+import { ClassManager } from './ClassManager.js';
+
+export class YearRollover {
+    constructor(classManager, studentManager, backupManager) {
+        this.classManager = classManager;
+        this.studentManager = studentManager;
+        this.backupManager = backupManager;
+    }
+
+    /**
+     * Suggested rollover: every current class moves up one level
+     * @returns {object} - { fromYear, toYear, classes: [{ fromId, name }] }
+     */
+    plan() {
+        const fromYear = this.classManager.getCurrentYear();
+        return {
+            fromYear,
+            toYear: ClassManager.nextSchoolYear(fromYear),
+            classes: this.classManager.getByYear(fromYear).map(c => ({
+                fromId: c.id,
+                name: YearRollover.suggestName(c.name)
+            }))
+        };
+    }
+
+    /**
+     * Archive the current year and create the next one
+     * @param {object} plan - { toYear, classes: [{ fromId, name }], promotions }
+     *   where `promotions` maps student ids to an index of `classes`
+     * @returns {object} - { success, error, classes, promoted }
+     */
+    run(plan) {
+        const fromYear = this.classManager.getCurrentYear();
+        const names = plan.classes.map(c => c.name.trim());
+
+        if (!/^\d{4}-\d{4}$/.test(plan.toYear) || plan.toYear <= fromYear) {
+            return { success: false, error: `The new school year must come after ${fromYear}` };
+        }
+        if (names.length === 0 || names.some(name => !name)) {
+            return { success: false, error: 'Every new class needs a name' };
+        }
+        if (new Set(names).size !== names.length) {
+            return { success: false, error: 'Class names must be different' };
+        }
+
+        return this.backupManager.protect('before-rollover', () => {
+            const archived = this.classManager.getByYear(fromYear);
+            archived.forEach(c => this.classManager.update(c.id, { archived: true }));
+
+            const classes = plan.classes.map((entry, i) => {
+                const from = this.classManager.getById(entry.fromId);
+                const newClass = this.classManager.add(
+                    names[i],
+                    from ? this.classManager.copySchedule(from.schedule) : this.classManager.defaultSchedule()
+                );
+                return this.classManager.update(newClass.id, {
+                    schoolYear: plan.toYear,
+                    ...(from ? {
+                        teacher: from.teacher || '',
+                        room: from.room || '',
+                        level: from.level ? YearRollover.suggestName(from.level) : '',
+                        subject: from.subject || '',
+                        color: from.color || null
+                    } : {}),
+                    ...(from && from.lateness ? { lateness: from.lateness } : {})
+                });
+            });
+
+            let promoted = 0;
+            Object.entries(plan.promotions || {}).forEach(([studentId, index]) => {
+                if (classes[index] && this.studentManager.promote(studentId, classes[index].id)) {
+                    promoted++;
+                }
+            });
+
+            return { success: true, error: null, classes, promoted };
+        });
+    }
+
+    /**
+     * Name of a class one level up (first number + 1)
+     * @param {string} name - e.g., "1AEP"
+     * @returns {string} - e.g., "2AEP"
+     */
+    static suggestName(name) {
+        return name.replace(/\d+/, n => String(Number(n) + 1));
+    }
+}
@@ -0,0 +1,181 @@
+/**
+ * BackupValidator - Validate JSON backups and compare them with current data
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+/**
+ * Record rules per collection: `check` returns an error message or null,
+ * `naturalKey` identifies the same real-world record under a different id.
+ */
+export const COLLECTION_RULES = {
+    classes: {
+        check(c) {
+            if (!isNonEmptyString(c.name)) return 'missing name';
+            if (!c.schedule || typeof c.schedule !== 'object') return 'missing schedule';
+            return null;
+        },
+        naturalKey: c => c.name.trim().toLowerCase()
+    },
+    students: {
+        check(s) {
+            if (!isNonEmptyString(s.name)) return 'missing name';
+            if (!isNonEmptyString(s.classId)) return 'missing classId';
+            return null;
+        },
+        naturalKey: s => `${s.classId}|${s.name.trim().toLowerCase()}`
+    },
+    arrivals: {
+        check(a) {
+            if (!isNonEmptyString(a.studentId)) return 'missing studentId';
+            if (!isNonEmptyString(a.classId)) return 'missing classId';
+            if (!DATE_PATTERN.test(a.date || '')) return `invalid date "${a.date}"`;
+            if (!TIME_PATTERN.test(a.time || '')) return `invalid time "${a.time}"`;
+            if (typeof a.minutesLate !== 'number' || a.minutesLate < 0) return 'invalid minutesLate';
+            if (!isNonEmptyString(a.status)) return 'missing status';
+            return null;
+        },
+        naturalKey: a => `${a.studentId}|${a.date}|${a.sessionId || ''}`
+    }
+};
+
+export const COLLECTIONS = Object.keys(COLLECTION_RULES);
+
+export class BackupValidator {
+    /**
+     * Validate the structure of a (migrated) backup
+     * @param {object} data - Parsed backup
+     * @returns {object} - { errors, invalid, records }
+     *   errors: fatal problems (backup unusable)
+     *   invalid: [{ collection, index, id, reason }] records that will be skipped
+     *   records: { classes, students, arrivals } valid records only
+     */
+    static validate(data) {
+        const result = { errors: BackupValidator.checkShape(data), invalid: [], records: {} };
+        if (result.errors.length > 0) return result;
+
+        COLLECTIONS.forEach(name => {
+            const value = data[name] === undefined ? [] : data[name];
+            result.records[name] = [];
+
+            if (!Array.isArray(value)) {
+                result.errors.push(`"${name}" is not a list`);
+                return;
+            }
+
+            const ids = new Set();
+            value.forEach((record, index) => {
+                const reason = BackupValidator.checkRecord(name, record, ids);
+                if (reason) {
+                    result.invalid.push({ collection: name, index, id: record && record.id, reason });
+                } else {
+                    ids.add(record.id);
+                    result.records[name].push(record);
+                }
+            });
+        });
+
+        // References between collections
+        const classIds = new Set(result.records.classes.map(c => c.id));
+        const studentIds = new Set(result.records.students.map(s => s.id));
+        if (data.classes !== undefined) {
+            BackupValidator.dropOrphans(result, 'students', s => classIds.has(s.classId), 'unknown class');
+        }
+        if (data.students !== undefined) {
+            BackupValidator.dropOrphans(result, 'arrivals', a => studentIds.has(a.studentId), 'unknown student');
+        }
+
+        return result;
+    }
+
+    /**
+     * Check that a parsed file looks like a backup at all
+     * (run on the raw file, before schema migrations fill in missing lists)
+     * @param {any} data
+     * @returns {array} - Fatal errors
+     */
+    static checkShape(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return ['Backup is not a JSON object'];
+        }
+        if (!COLLECTIONS.some(name => data[name] !== undefined)) {
+            return ['Backup contains no classes, students or arrivals'];
+        }
+        return COLLECTIONS
+            .filter(name => data[name] !== undefined && !Array.isArray(data[name]))
+            .map(name => `"${name}" is not a list`);
+    }
+
+    /**
+     * Check a single record
+     * @returns {string|null} - Reason it is invalid, or null
+     */
+    static checkRecord(collection, record, seenIds) {
+        if (!record || typeof record !== 'object') return 'not an object';
+        if (!isNonEmptyString(record.id)) return 'missing id';
+        if (seenIds.has(record.id)) return `duplicate id ${record.id}`;
+        return COLLECTION_RULES[collection].check(record);
+    }
+
+    /**
+     * Move records whose reference is broken to the invalid list
+     */
+    static dropOrphans(result, collection, isValid, reason) {
+        result.records[collection] = result.records[collection].filter(record => {
+            if (isValid(record)) return true;
+            result.invalid.push({ collection, index: null, id: record.id, reason });
+            return false;
+        });
+    }
+
+    /**
+     * Compare valid backup records with current data, per collection
+     * @param {object} current - { classes, students, arrivals }
+     * @param {object} incoming - Valid records from validate()
+     * @returns {object} - { [collection]: { added, changed, unchanged, conflicting, removed } }
+     *   Each entry is a list of records (from the backup, or from current data for `removed`).
+     */
+    static diff(current, incoming) {
+        const summary = {};
+
+        COLLECTIONS.forEach(name => {
+            const rules = COLLECTION_RULES[name];
+            const currentRecords = current[name] || [];
+            const byId = new Map(currentRecords.map(r => [r.id, r]));
+            const byNaturalKey = new Map(currentRecords.map(r => [safeKey(rules, r), r]));
+            const incomingIds = new Set();
+            const entry = { added: [], changed: [], unchanged: [], conflicting: [], removed: [] };
+
+            (incoming[name] || []).forEach(record => {
+                incomingIds.add(record.id);
+                const existing = byId.get(record.id);
+
+                if (existing) {
+                    const same = JSON.stringify(existing) === JSON.stringify(record);
+                    entry[same ? 'unchanged' : 'changed'].push(record);
+                } else {
+                    const twin = byNaturalKey.get(safeKey(rules, record));
+                    entry[twin ? 'conflicting' : 'added'].push(record);
+                }
+            });
+
+            entry.removed = currentRecords.filter(r => !incomingIds.has(r.id));
+            summary[name] = entry;
+        });
+
+        return summary;
+    }
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+function safeKey(rules, record) {
+    try {
+        return rules.naturalKey(record);
+    } catch (error) {
+        return null;
+    }
+}
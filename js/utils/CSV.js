@@ -0,0 +1,130 @@
+/**
+ * CSV - Read spreadsheet exports (RFC 4180)
+ *
+ * Quoted fields may contain delimiters, doubled quotes and line breaks. The
+ * delimiter is guessed (French-locale Excel writes semicolons) and files
+ * without a UTF-8 byte order mark fall back to Windows-1252 when they are not
+ * valid UTF-8.
+ */
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+export class CSV {
+    /**
+     * Decode file bytes
+     * @param {ArrayBuffer} buffer
+     * @returns {object} - { text, encoding }
+     */
+    static decode(buffer) {
+        const bytes = new Uint8Array(buffer);
+
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'UTF-16LE' };
+        }
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'UTF-16BE' };
+        }
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'UTF-8' };
+        }
+
+        try {
+            return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'UTF-8' };
+        } catch (error) {
+            return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'Windows-1252' };
+        }
+    }
+
+    /**
+     * Guess the delimiter: the one splitting the first lines into the same
+     * number of fields (more than one), quoted fields aside
+     * @param {string} text
+     * @returns {string}
+     */
+    static detectDelimiter(text) {
+        const lines = CSV.stripBOM(text).split(/\r\n|\n|\r/).filter(line => line.trim()).slice(0, 10);
+        let best = { delimiter: ',', score: 0 };
+
+        DELIMITERS.forEach(delimiter => {
+            // A line holding only "" parses to no row: it is left out
+            const counts = lines.map(line => (CSV.parse(line, delimiter)[0] || []).length).filter(n => n > 0);
+            if (counts.length === 0 || counts[0] < 2) return;
+            // Lines agreeing with the first one, then wider rows win
+            const score = counts.filter(n => n === counts[0]).length * 100 + counts[0];
+            if (score > best.score) best = { delimiter, score };
+        });
+
+        return best.delimiter;
+    }
+
+    /**
+     * Split CSV text into rows of fields
+     * @param {string} text
+     * @param {string} delimiter - Guessed when omitted
+     * @returns {array} - Rows (arrays of strings), blank lines excluded
+     */
+    static parse(text, delimiter = null) {
+        text = CSV.stripBOM(String(text));
+        delimiter = delimiter || CSV.detectDelimiter(text);
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        let i = 0;
+
+        const endField = () => {
+            row.push(field);
+            field = '';
+        };
+        const endRow = () => {
+            endField();
+            if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+            row = [];
+        };
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i += 2;
+                    continue;
+                }
+                if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+                i++;
+                continue;
+            }
+
+            if (char === '"' && field.trim() === '') {
+                // Opening quote (spaces before it are not part of the value)
+                field = '';
+                quoted = true;
+            } else if (char === delimiter) {
+                endField();
+            } else if (char === '\r' || char === '\n') {
+                endRow();
+                if (char === '\r' && text[i + 1] === '\n') i++;
+            } else {
+                field += char;
+            }
+            i++;
+        }
+        if (field !== '' || row.length > 0) endRow();
+
+        return rows;
+    }
+
+    /**
+     * @param {string} text
+     * @returns {string} - Text without a leading byte order mark
+     */
+    static stripBOM(text) {
+        return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    }
+}
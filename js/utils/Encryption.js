@@ -0,0 +1,150 @@
+/**
+ * Encryption - Passphrase-based encryption helpers (WebCrypto)
+ *
+ * Keys are derived with PBKDF2-SHA256 and data is encrypted with AES-GCM.
+ * Encrypted strings are `v1:<iv>:<ciphertext>` with base64 parts.
+ */
+
+const ITERATIONS = 250000;
+const CHECK_TEXT = 'lateness-tracker';
+const BACKUP_FORMAT = 'lateness-tracker-encrypted';
+
+export class Encryption {
+    /**
+     * Is WebCrypto available (it requires a secure context: https or localhost)?
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle;
+    }
+
+    /**
+     * Create the parameters stored next to encrypted data
+     * @param {string} passphrase
+     * @returns {Promise<object>} - { key, params: { salt, iterations, check } }
+     */
+    static async createKey(passphrase) {
+        const salt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+        const key = await Encryption.deriveKey(passphrase, salt, ITERATIONS);
+        const check = await Encryption.encrypt(key, CHECK_TEXT);
+        return { key, params: { salt, iterations: ITERATIONS, check } };
+    }
+
+    /**
+     * Derive the key for stored parameters, checking the passphrase
+     * @param {string} passphrase
+     * @param {object} params - { salt, iterations, check }
+     * @returns {Promise<CryptoKey>}
+     * @throws {Error} on a wrong passphrase
+     */
+    static async unlockKey(passphrase, params) {
+        const key = await Encryption.deriveKey(passphrase, params.salt, params.iterations);
+        try {
+            if (await Encryption.decrypt(key, params.check) === CHECK_TEXT) return key;
+        } catch (error) {
+            // AES-GCM authentication failure: wrong key
+        }
+        throw new Error('Wrong passphrase');
+    }
+
+    /**
+     * Derive an AES-GCM key from a passphrase
+     * @param {string} passphrase
+     * @param {string} salt - base64
+     * @param {number} iterations
+     * @returns {Promise<CryptoKey>}
+     */
+    static async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Encrypt a string
+     * @param {CryptoKey} key
+     * @param {string} text
+     * @returns {Promise<string>}
+     */
+    static async encrypt(key, text) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv }, key, new TextEncoder().encode(text)
+        );
+        return `v1:${toBase64(iv)}:${toBase64(new Uint8Array(data))}`;
+    }
+
+    /**
+     * Decrypt a string produced by encrypt()
+     * @param {CryptoKey} key
+     * @param {string} payload
+     * @returns {Promise<string>}
+     */
+    static async decrypt(key, payload) {
+        const [version, iv, data] = String(payload).split(':');
+        if (version !== 'v1') throw new Error('Unknown encryption format');
+
+        const plain = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data)
+        );
+        return new TextDecoder().decode(plain);
+    }
+
+    /**
+     * Is this parsed JSON an encrypted backup?
+     * @param {any} data
+     * @returns {boolean}
+     */
+    static isEncryptedBackup(data) {
+        return !!data && data.format === BACKUP_FORMAT;
+    }
+
+    /**
+     * Wrap backup JSON in an encrypted envelope
+     * @param {CryptoKey} key - Derived from the passphrase with `params`
+     * @param {object} params - { salt, iterations, check }
+     * @param {string} json - Backup content
+     * @returns {Promise<string>} - Envelope JSON
+     */
+    static async sealBackup(key, params, json) {
+        return JSON.stringify({
+            format: BACKUP_FORMAT,
+            version: 1,
+            salt: params.salt,
+            iterations: params.iterations,
+            check: params.check,
+            payload: await Encryption.encrypt(key, json)
+        }, null, 2);
+    }
+
+    /**
+     * Decrypt an encrypted backup envelope
+     * @param {object} envelope - Parsed envelope
+     * @param {string} passphrase
+     * @returns {Promise<string>} - Backup JSON
+     * @throws {Error} on a wrong passphrase
+     */
+    static async openBackup(envelope, passphrase) {
+        const key = await Encryption.unlockKey(passphrase, envelope);
+        return Encryption.decrypt(key, envelope.payload);
+    }
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(b => {
+        binary += String.fromCharCode(b);
+    });
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
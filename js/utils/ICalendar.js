@@ -0,0 +1,315 @@
+/**
+ * ICalendar - Read and write iCalendar (.ics) files (RFC 5545)
+ *
+ * Only what school calendars and timetables need: VEVENTs as date ranges or
+ * timed events, with their weekly recurrence rule (RRULE), excluded dates
+ * (EXDATE) and modified occurrences (RECURRENCE-ID). Rules are not expanded.
+ * Times are local ("floating"); UTC times are converted to local time.
+ */
+
+const PRODUCT_ID = '-//Lateness Tracker//Timetable//EN';
+
+// RFC 5545 weekday codes, by Date.getDay()
+export const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+export class ICalendar {
+    /**
+     * Parse the events of an .ics file
+     * @param {string} text - File content
+     * @returns {array} - [{ uid, summary, location, startDate, endDate, startTime, endTime,
+     *   rule, exdates, recurrenceId, cancelled }] with inclusive YYYY-MM-DD dates and
+     *   HH:MM times (null for all-day events)
+     * @throws {Error} if the file is not an iCalendar file
+     */
+    static parse(text) {
+        const lines = ICalendar.unfold(text);
+        if (!lines.some(line => line.toUpperCase() === 'BEGIN:VCALENDAR')) {
+            throw new Error('Not an iCalendar file');
+        }
+
+        const events = [];
+        let current = null;
+
+        lines.forEach(line => {
+            const upper = line.toUpperCase();
+            if (upper === 'BEGIN:VEVENT') {
+                current = {};
+                return;
+            }
+            if (upper === 'END:VEVENT') {
+                if (current) {
+                    const event = ICalendar.toEvent(current);
+                    if (event) events.push(event);
+                }
+                current = null;
+                return;
+            }
+            if (!current) return;
+
+            const property = ICalendar.parseLine(line);
+            if (!property) return;
+            if (property.name === 'EXDATE') {
+                // Can be repeated, each with comma-separated values
+                current.EXDATE = [...(current.EXDATE || []), ...property.value.split(',')];
+            } else if (!(property.name in current)) {
+                current[property.name] = property;
+            }
+        });
+
+        return events;
+    }
+
+    /**
+     * Join folded lines (continuation lines start with a space or a tab)
+     * @param {string} text
+     * @returns {array}
+     */
+    static unfold(text) {
+        return String(text)
+            .replace(/\r\n/g, '\n')
+            .replace(/\n[ \t]/g, '')
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Split a content line: NAME;PARAM=VALUE:value
+     * @param {string} line
+     * @returns {object|null} - { name, params, value }
+     */
+    static parseLine(line) {
+        const colon = line.indexOf(':');
+        if (colon === -1) return null;
+
+        const [name, ...params] = line.slice(0, colon).split(';');
+        return {
+            name: name.toUpperCase(),
+            params: Object.fromEntries(params.map(p => {
+                const [key, value = ''] = p.split('=');
+                return [key.toUpperCase(), value];
+            })),
+            value: line.slice(colon + 1)
+        };
+    }
+
+    /**
+     * Build an event from its properties
+     * @param {object} properties - { [name]: { params, value } }
+     * @returns {object|null}
+     */
+    static toEvent(properties) {
+        const start = properties.DTSTART && ICalendar.toDateTime(properties.DTSTART.value);
+        if (!start) return null;
+
+        const end = properties.DTEND && ICalendar.toDateTime(properties.DTEND.value);
+        let endDate = end ? end.date : null;
+        // All-day events end the day after their last day (DTEND is exclusive)
+        const allDay = !start.time;
+        if (endDate && allDay && endDate > start.date) {
+            endDate = ICalendar.previousDay(endDate);
+        }
+
+        const recurrenceId = properties['RECURRENCE-ID'] && ICalendar.toDateTime(properties['RECURRENCE-ID'].value);
+        const text = name => properties[name] ? ICalendar.unescape(properties[name].value) : '';
+
+        return {
+            uid: properties.UID ? properties.UID.value : null,
+            summary: text('SUMMARY'),
+            location: text('LOCATION'),
+            startDate: start.date,
+            endDate: endDate && endDate >= start.date ? endDate : start.date,
+            startTime: start.time,
+            endTime: end && !allDay ? end.time : null,
+            rule: properties.RRULE ? ICalendar.parseRule(properties.RRULE.value) : null,
+            exdates: (properties.EXDATE || []).map(value => ICalendar.toDate(value)).filter(Boolean),
+            recurrenceId: recurrenceId ? recurrenceId.date : null,
+            cancelled: !!properties.STATUS && properties.STATUS.value.toUpperCase() === 'CANCELLED'
+        };
+    }
+
+    /**
+     * Read a recurrence rule
+     * @param {string} value - e.g., FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;UNTIL=20270630T235959
+     * @returns {object} - { freq, interval, byDay: ['MO', 'TH'], until, count }
+     */
+    static parseRule(value) {
+        const parts = Object.fromEntries(value.split(';').map(part => {
+            const [key, val = ''] = part.split('=');
+            return [key.toUpperCase(), val.toUpperCase()];
+        }));
+
+        return {
+            freq: parts.FREQ || null,
+            interval: Math.max(1, parseInt(parts.INTERVAL) || 1),
+            // Ordinals (1MO, -1FR) only make sense for monthly rules: keep the day
+            byDay: parts.BYDAY ? parts.BYDAY.split(',').map(day => day.slice(-2)) : [],
+            until: parts.UNTIL ? ICalendar.toDate(parts.UNTIL) : null,
+            count: parts.COUNT ? parseInt(parts.COUNT) : null
+        };
+    }
+
+    /**
+     * Local date and time of a DATE or DATE-TIME value
+     * @param {string} value - e.g., 20261101, 20261101T080000 or 20261101T080000Z
+     * @returns {object|null} - { date: YYYY-MM-DD, time: HH:MM or null }
+     */
+    static toDateTime(value) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{2}(Z?))?/.exec(value || '');
+        if (!match) return null;
+
+        const [, year, month, day, hours, minutes, utc] = match;
+        if (!hours) return { date: `${year}-${month}-${day}`, time: null };
+        if (!utc) return { date: `${year}-${month}-${day}`, time: `${hours}:${minutes}` };
+
+        const local = new Date(Date.UTC(year, month - 1, day, hours, minutes));
+        return {
+            date: `${local.getFullYear()}-${pad(local.getMonth() + 1)}-${pad(local.getDate())}`,
+            time: `${pad(local.getHours())}:${pad(local.getMinutes())}`
+        };
+    }
+
+    /**
+     * Date part of a DATE or DATE-TIME value
+     * @param {string} value - e.g., 20261101 or 20261101T080000Z
+     * @returns {string|null} - YYYY-MM-DD
+     */
+    static toDate(value) {
+        const dateTime = ICalendar.toDateTime(value);
+        return dateTime ? dateTime.date : null;
+    }
+
+    /**
+     * Write an .ics file
+     * @param {array} events - [{ uid, summary, location, startDate, endDate, startTime,
+     *   endTime, rule, exdates }] as returned by parse(); events without a start
+     *   time are all-day events
+     * @param {string} name - Calendar name shown by calendar apps
+     * @returns {string}
+     */
+    static build(events, name = '') {
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+        if (name) lines.push(`X-WR-CALNAME:${ICalendar.escape(name)}`);
+
+        events.forEach(event => {
+            const allDay = !event.startTime;
+            const value = (date, time) => allDay ?
+                date.replace(/-/g, '') :
+                `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+
+            lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`);
+            lines.push(`SUMMARY:${ICalendar.escape(event.summary || '')}`);
+            if (event.location) lines.push(`LOCATION:${ICalendar.escape(event.location)}`);
+
+            if (allDay) {
+                // DTEND is exclusive: the day after the last day
+                const after = ICalendar.nextDay(event.endDate || event.startDate);
+                lines.push(`DTSTART;VALUE=DATE:${value(event.startDate)}`, `DTEND;VALUE=DATE:${value(after)}`);
+            } else {
+                lines.push(
+                    `DTSTART:${value(event.startDate, event.startTime)}`,
+                    `DTEND:${value(event.endDate || event.startDate, event.endTime || event.startTime)}`
+                );
+            }
+
+            if (event.rule) {
+                const rule = [`FREQ=${event.rule.freq}`];
+                if (event.rule.interval > 1) rule.push(`INTERVAL=${event.rule.interval}`);
+                if (event.rule.byDay && event.rule.byDay.length > 0) rule.push(`BYDAY=${event.rule.byDay.join(',')}`);
+                // UNTIL has the same value type as DTSTART
+                if (event.rule.until) rule.push(`UNTIL=${value(event.rule.until, '23:59')}`);
+                lines.push(`RRULE:${rule.join(';')}`);
+            }
+            if (event.exdates && event.exdates.length > 0) {
+                lines.push(`EXDATE${allDay ? ';VALUE=DATE' : ''}:${event.exdates.map(d => value(d, event.startTime)).join(',')}`);
+            }
+
+            lines.push('END:VEVENT');
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => ICalendar.fold(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Split a content line in lines of at most 75 octets
+     * @param {string} line
+     * @returns {string}
+     */
+    static fold(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let size = 0;
+
+        for (const char of line) {
+            const octets = encoder.encode(char).length;
+            // Continuation lines start with a space, which counts
+            if (size + octets > (parts.length === 0 ? 75 : 74)) {
+                parts.push(current);
+                current = '';
+                size = 0;
+            }
+            current += char;
+            size += octets;
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * Encode a TEXT value
+     * @param {string} value
+     * @returns {string}
+     */
+    static escape(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/([,;])/g, '\\$1')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * @param {string} date - YYYY-MM-DD
+     * @returns {string} - The day before
+     */
+    static previousDay(date) {
+        const d = new Date(date + 'T00:00:00Z');
+        d.setUTCDate(d.getUTCDate() - 1);
+        return d.toISOString().split('T')[0];
+    }
+
+    /**
+     * @param {string} date - YYYY-MM-DD
+     * @returns {string} - The day after
+     */
+    static nextDay(date) {
+        const d = new Date(date + 'T00:00:00Z');
+        d.setUTCDate(d.getUTCDate() + 1);
+        return d.toISOString().split('T')[0];
+    }
+
+    /**
+     * Decode escaped TEXT values
+     * @param {string} value
+     * @returns {string}
+     */
+    static unescape(value) {
+        return value
+            .replace(/\\[nN]/g, '\n')
+            .replace(/\\([,;\\])/g, '$1')
+            .trim();
+    }
+}
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
@@ -0,0 +1,858 @@
+/**
+ * IndexedDBStorage - IndexedDB backend with the same surface as Storage
+ *
+ * Data is read once in open() and kept in memory, so get/set stay synchronous
+ * for the managers. Writes are persisted in the background: arrays of records
+ * (objects with an `id`) are stored one row per record and only the records
+ * that changed are written.
+ *
+ * Committed writes are broadcast to other tabs of the same namespace, which
+ * apply them to their in-memory copy and notify their subscribers. A write
+ * that fails (storage full, aborted transaction) is reported to the
+ * onWriteError() listeners and kept: retryWrites() writes what it touched
+ * again from the in-memory copy.
+ *
+ * With encryption enabled, every value and record is encrypted before being
+ * written (record ids and collection names stay readable) and the database
+ * stays locked until unlock() is called with the passphrase.
+ */
+
+import { Storage } from './Storage.js';
+import { Encryption } from './Encryption.js';
+
+const DB_VERSION = 1;
+
+export class IndexedDBStorage {
+    constructor(namespace = 'lateness-tracker') {
+        this.namespace = namespace;
+        this.db = null;
+        this.legacy = new Storage(namespace);
+        this.cache = new Map();      // key -> serialized value
+        this.records = new Map();    // collection -> Map(id -> { seq, json })
+        this.seq = 0;
+        this.queue = Promise.resolve();
+        this.channel = null;
+        this.listeners = new Set();
+        this.errorListeners = new Set();
+        this.failedOps = [];         // Operations of failed writes, until retried
+        this.encryption = null;      // { salt, iterations, check } when encrypted
+        this.key = null;
+        this.locked = false;
+
+        // Only fires while running on the localStorage fallback
+        this.legacy.subscribe(keys => this.notify(keys));
+    }
+
+    /**
+     * Is IndexedDB available in this browser?
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database, load its content and migrate localStorage data once.
+     * Falls back to localStorage if IndexedDB cannot be opened.
+     */
+    async open() {
+        try {
+            this.db = await this.openDatabase();
+            this.encryption = await this.readMeta('encryption');
+            if (this.encryption) {
+                this.locked = true;
+                return;
+            }
+            await this.loadAll();
+            await this.migrateFromLocalStorage();
+            this.openChannel();
+        } catch (error) {
+            console.error('IndexedDB unavailable, using localStorage', error);
+            this.db = null;
+        }
+    }
+
+    /**
+     * Is the data encrypted and waiting for the passphrase?
+     * @returns {boolean}
+     */
+    isLocked() {
+        return this.locked;
+    }
+
+    /**
+     * Is the data encrypted with a passphrase?
+     * @returns {boolean}
+     */
+    isEncrypted() {
+        return !!this.encryption;
+    }
+
+    /**
+     * Can this backend encrypt its data?
+     * @returns {boolean}
+     */
+    supportsEncryption() {
+        return !!this.db && Encryption.isSupported();
+    }
+
+    /**
+     * Decrypt and load the data
+     * @param {string} passphrase
+     * @throws {Error} on a wrong passphrase
+     */
+    async unlock(passphrase) {
+        this.key = await Encryption.unlockKey(passphrase, this.encryption);
+        this.locked = false;
+        await this.loadAll();
+        this.openChannel();
+    }
+
+    /**
+     * Encrypt all stored data with a passphrase
+     * @param {string} passphrase
+     */
+    async enableEncryption(passphrase) {
+        const { key, params } = await Encryption.createKey(passphrase);
+        await this.rewriteAll(key, params);
+    }
+
+    /**
+     * Re-encrypt all stored data with a new passphrase
+     * @param {string} oldPassphrase
+     * @param {string} newPassphrase
+     * @throws {Error} if the current passphrase is wrong
+     */
+    async changePassphrase(oldPassphrase, newPassphrase) {
+        await Encryption.unlockKey(oldPassphrase, this.encryption);
+        await this.enableEncryption(newPassphrase);
+    }
+
+    /**
+     * Store all data in clear again
+     * @param {string} passphrase
+     * @throws {Error} if the passphrase is wrong
+     */
+    async disableEncryption(passphrase) {
+        await Encryption.unlockKey(passphrase, this.encryption);
+        await this.rewriteAll(null, null);
+    }
+
+    /**
+     * Is there room for much more than localStorage's few megabytes?
+     * @returns {boolean} - false on the localStorage fallback
+     */
+    hasLargeQuota() {
+        return !!this.db;
+    }
+
+    /**
+     * Encrypt backup content with the storage passphrase (no-op if not encrypted)
+     * @param {string} json
+     * @returns {Promise<string>}
+     */
+    async sealBackup(json) {
+        if (!this.key) return json;
+        return Encryption.sealBackup(this.key, this.encryption, json);
+    }
+
+    /**
+     * Stop listening to other tabs and close the database
+     */
+    close() {
+        this.channel?.close();
+        this.channel = null;
+        if (this.db) this.db.close();
+        this.db = null;
+    }
+
+    /**
+     * Delete the whole database (forgotten passphrase, deleted workspace)
+     */
+    async deleteDatabase() {
+        this.close();
+        await requestToPromise(indexedDB.deleteDatabase(this.namespace));
+    }
+
+    /**
+     * Rewrite every value and record with a new key (null = in clear)
+     * @param {CryptoKey|null} key
+     * @param {object|null} params - Encryption parameters to store
+     */
+    async rewriteAll(key, params) {
+        await this.flush();
+
+        const ops = this.currentOps([...this.cache.keys()], [...this.records.keys()]);
+        ops.push(params ?
+            { store: 'meta', type: 'put', key: 'encryption', value: params } :
+            { store: 'meta', type: 'delete', key: 'encryption' });
+
+        const previous = { key: this.key, encryption: this.encryption };
+        this.key = key;
+        try {
+            await this.commit(ops);
+            this.encryption = params;
+        } catch (error) {
+            this.key = previous.key;
+            throw error;
+        }
+
+        // Other tabs hold the old key (or none): they must reload
+        this.channel?.postMessage({ encryptionChanged: true });
+    }
+
+    /**
+     * Wait until all pending writes are committed
+     */
+    flush() {
+        return this.queue;
+    }
+
+    /**
+     * Save data
+     * @param {string} key - Storage key
+     * @param {any} data - Data to store
+     * @returns {boolean} - Whether the write was queued; failures of the write
+     *   itself are reported to onWriteError() listeners
+     */
+    set(key, data) {
+        if (!this.db) return this.legacy.set(key, data);
+
+        try {
+            this.enqueue(this.prepareSet(key, data));
+            return true;
+        } catch (error) {
+            console.error(`Storage error: ${key}`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Load data
+     * @param {string} key - Storage key
+     * @param {any} defaultValue - Default if not found
+     * @returns {any}
+     */
+    get(key, defaultValue = null) {
+        if (!this.db) return this.legacy.get(key, defaultValue);
+
+        if (!this.cache.has(key)) {
+            const collection = this.records.get(key);
+            if (!collection) return defaultValue;
+            this.cache.set(key, this.serializeCollection(collection));
+        }
+        try {
+            return JSON.parse(this.cache.get(key));
+        } catch (error) {
+            console.error(`Storage read error: ${key}`, error);
+            return defaultValue;
+        }
+    }
+
+    /**
+     * Remove a key
+     * @param {string} key - Storage key
+     */
+    remove(key) {
+        if (!this.db) return this.legacy.remove(key);
+
+        this.cache.delete(key);
+        const ops = [{ store: 'kv', type: 'delete', key }];
+        this.dropCollection(key, ops);
+        this.enqueue(ops);
+    }
+
+    /**
+     * Get all records of a collection
+     * @param {string} collection - Storage key holding an array of records
+     * @returns {array}
+     */
+    getRecords(collection) {
+        return this.get(collection, []);
+    }
+
+    /**
+     * Insert or replace a single record without rewriting the collection
+     * @param {string} collection - Storage key holding an array of records
+     * @param {object} record - Record with an `id`
+     */
+    putRecord(collection, record) {
+        if (!this.db) return this.legacy.putRecord(collection, record);
+
+        const ops = [];
+        if (!this.records.has(collection)) {
+            ops.push({ store: 'kv', type: 'put', key: collection, value: { kind: 'collection' } });
+        }
+
+        const rows = this.ensureCollection(collection);
+        const json = JSON.stringify(record);
+        const existing = rows.get(record.id);
+        const seq = existing ? existing.seq : ++this.seq;
+
+        rows.set(record.id, { seq, json });
+        this.cache.delete(collection);
+        ops.push(this.recordPut(collection, record, seq));
+        this.enqueue(ops);
+        return true;
+    }
+
+    /**
+     * Delete a single record by id
+     * @param {string} collection - Storage key holding an array of records
+     * @param {string} id - Record ID
+     */
+    deleteRecord(collection, id) {
+        if (!this.db) return this.legacy.deleteRecord(collection, id);
+
+        const rows = this.records.get(collection);
+        if (!rows || !rows.delete(id)) return false;
+
+        this.cache.delete(collection);
+        this.enqueue([{ store: 'records', type: 'delete', key: [collection, id] }]);
+        return true;
+    }
+
+    /**
+     * Export all data as JSON
+     * @returns {object}
+     */
+    exportAll() {
+        if (!this.db) return this.legacy.exportAll();
+
+        const data = {};
+        const keys = new Set([...this.cache.keys(), ...this.records.keys()]);
+        keys.forEach(key => {
+            data[key] = this.get(key);
+        });
+        return data;
+    }
+
+    /**
+     * Import data from JSON
+     * @param {object} data - Data to import
+     */
+    importAll(data) {
+        Object.entries(data).forEach(([key, value]) => {
+            this.set(key, value);
+        });
+    }
+
+    /**
+     * Clear all app data
+     */
+    clearAll() {
+        if (!this.db) return this.legacy.clearAll();
+
+        this.cache.clear();
+        this.records.clear();
+        this.enqueue([
+            { store: 'kv', type: 'clear' },
+            { store: 'records', type: 'clear' }
+        ]);
+    }
+
+    /**
+     * Listen for changes made by other tabs or windows
+     * @param {function} listener - Called with the list of changed keys
+     * @returns {function} - Unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Be told when data could not be saved
+     * @param {function} listener - Called with the error
+     * @returns {function} - Unsubscribe
+     */
+    onWriteError(listener) {
+        this.errorListeners.add(listener);
+        // Writes go to localStorage when IndexedDB could not be opened
+        const unsubscribeLegacy = this.legacy.onWriteError(listener);
+        return () => {
+            this.errorListeners.delete(listener);
+            unsubscribeLegacy();
+        };
+    }
+
+    /**
+     * Are some changes not saved yet because their write failed?
+     * @returns {boolean}
+     */
+    hasFailedWrites() {
+        if (!this.db) return this.legacy.hasFailedWrites();
+        return this.failedOps.length > 0;
+    }
+
+    /**
+     * Write again what failed writes touched, from the in-memory copy (which
+     * also holds the changes made since)
+     * @returns {Promise<boolean>} - Whether everything is saved now
+     */
+    async retryWrites() {
+        if (!this.db) return this.legacy.retryWrites();
+
+        const failed = this.failedOps;
+        this.failedOps = [];
+        if (failed.some(op => op.type === 'clear')) {
+            this.enqueue([
+                { store: 'kv', type: 'clear' },
+                { store: 'records', type: 'clear' },
+                ...this.currentOps([...this.cache.keys()], [...this.records.keys()])
+            ]);
+        } else {
+            this.enqueue(this.currentOps(
+                failed.filter(op => op.store === 'kv').map(op => op.key),
+                [],
+                failed.filter(op => op.store === 'records').map(op => op.type === 'delete' ?
+                    op.key : [op.value.collection, op.value.id])
+            ));
+        }
+        await this.flush();
+        return this.failedOps.length === 0;
+    }
+
+    /**
+     * Report a failed write
+     * @param {Error} error
+     */
+    reportWriteError(error) {
+        this.errorListeners.forEach(listener => {
+            try {
+                listener(error);
+            } catch (listenerError) {
+                console.error('Storage listener error', listenerError);
+            }
+        });
+    }
+
+    /**
+     * Notify listeners of external changes
+     * @param {array} keys - Changed keys
+     */
+    notify(keys) {
+        if (keys.length === 0) return;
+        this.listeners.forEach(listener => {
+            try {
+                listener(keys);
+            } catch (error) {
+                console.error('Storage listener error', error);
+            }
+        });
+    }
+
+    /**
+     * Start receiving writes committed by other tabs
+     */
+    openChannel() {
+        if (typeof BroadcastChannel === 'undefined') {
+            console.warn('BroadcastChannel unsupported: changes from other tabs need a reload');
+            return;
+        }
+        this.channel = new BroadcastChannel(`${this.namespace}:changes`);
+        this.channel.onmessage = event => {
+            if (event.data.encryptionChanged) {
+                this.notify(['@encryption']);
+            } else {
+                this.applyRemote(event.data.ops);
+            }
+        };
+    }
+
+    /**
+     * Apply operations committed by another tab to the in-memory copy
+     * @param {array} ops
+     */
+    applyRemote(ops) {
+        const keys = new Set();
+
+        ops.forEach(op => {
+            if (op.store === 'kv') {
+                if (op.type === 'clear') {
+                    this.cache.clear();
+                    keys.add('*');
+                    return;
+                }
+                keys.add(op.key);
+                this.cache.delete(op.key);
+                if (op.type === 'put' && op.value.kind === 'collection') {
+                    this.ensureCollection(op.key);
+                } else {
+                    this.records.delete(op.key);
+                    if (op.type === 'put') this.cache.set(op.key, op.value.value);
+                }
+            } else if (op.store === 'records') {
+                if (op.type === 'clear') {
+                    this.records.forEach((rows, key) => this.cache.delete(key));
+                    this.records.clear();
+                    keys.add('*');
+                    return;
+                }
+                const [collection, id] = op.type === 'put' ?
+                    [op.value.collection, op.value.id] :
+                    op.key;
+                keys.add(collection);
+                this.cache.delete(collection);
+                if (op.type === 'put') {
+                    this.ensureCollection(collection).set(id, {
+                        seq: op.value.seq,
+                        json: JSON.stringify(op.value.data)
+                    });
+                    this.seq = Math.max(this.seq, op.value.seq);
+                } else {
+                    const rows = this.records.get(collection);
+                    if (rows) rows.delete(id);
+                }
+            }
+        });
+
+        this.notify([...keys]);
+    }
+
+    /**
+     * Open (and create if needed) the namespace database
+     * @returns {Promise<IDBDatabase>}
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.namespace, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('kv')) {
+                    db.createObjectStore('kv');
+                }
+                if (!db.objectStoreNames.contains('records')) {
+                    db.createObjectStore('records', { keyPath: ['collection', 'id'] });
+                }
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked'));
+        });
+    }
+
+    /**
+     * Read every stored value and record into memory
+     */
+    async loadAll() {
+        const tx = this.db.transaction(['kv', 'records'], 'readonly');
+        const [keys, values, rows] = await Promise.all([
+            requestToPromise(tx.objectStore('kv').getAllKeys()),
+            requestToPromise(tx.objectStore('kv').getAll()),
+            requestToPromise(tx.objectStore('records').getAll())
+        ]);
+
+        this.cache.clear();
+        this.records.clear();
+
+        for (let i = 0; i < keys.length; i++) {
+            const entry = values[i];
+            if (entry.kind === 'collection') {
+                this.ensureCollection(keys[i]);
+            } else {
+                this.cache.set(keys[i], entry.enc ? await this.decrypt(entry.enc) : entry.value);
+            }
+        }
+
+        for (const row of rows) {
+            this.ensureCollection(row.collection).set(row.id, {
+                seq: row.seq,
+                json: row.enc ? await this.decrypt(row.enc) : JSON.stringify(row.data)
+            });
+            this.seq = Math.max(this.seq, row.seq);
+        }
+    }
+
+    /**
+     * Read a value from the meta store
+     * @param {string} key
+     * @returns {Promise<any>}
+     */
+    readMeta(key) {
+        const tx = this.db.transaction('meta', 'readonly');
+        return requestToPromise(tx.objectStore('meta').get(key));
+    }
+
+    /**
+     * Decrypt a stored value with the unlocked key
+     * @param {string} payload
+     * @returns {Promise<string>}
+     */
+    decrypt(payload) {
+        if (!this.key) throw new Error('Storage is locked');
+        return Encryption.decrypt(this.key, payload);
+    }
+
+    /**
+     * Copy `namespace:*` localStorage data into IndexedDB on first launch
+     */
+    async migrateFromLocalStorage() {
+        const migratedAt = await this.readMeta('migratedFromLocalStorage');
+        if (migratedAt) return;
+
+        const legacyData = this.legacy.exportAll();
+        const hasData = this.cache.size > 0 || this.records.size > 0;
+        const ops = [];
+
+        if (!hasData) {
+            Object.entries(legacyData).forEach(([key, value]) => {
+                ops.push(...this.prepareSet(key, value));
+            });
+        }
+        ops.push({
+            store: 'meta',
+            type: 'put',
+            key: 'migratedFromLocalStorage',
+            value: new Date().toISOString()
+        });
+
+        // Committed directly so a failure aborts open() and keeps localStorage intact
+        await this.commit(ops);
+
+        if (!hasData && Object.keys(legacyData).length > 0) {
+            this.legacy.clearAll();
+            console.log(`📦 Migrated ${Object.keys(legacyData).length} keys from localStorage`);
+        }
+    }
+
+    /**
+     * Update the in-memory copy and compute the writes for a set()
+     * @param {string} key
+     * @param {any} data
+     * @returns {array} - Pending operations
+     */
+    prepareSet(key, data) {
+        const serialized = JSON.stringify(data);
+        const ops = this.isCollection(data) ?
+            this.diffCollection(key, data) :
+            this.replaceValue(key, serialized);
+
+        this.cache.set(key, serialized);
+        return ops;
+    }
+
+    /**
+     * Is this value an array of records that can be stored row by row?
+     * @param {any} data
+     * @returns {boolean}
+     */
+    isCollection(data) {
+        return Array.isArray(data) &&
+            data.every(r => r && typeof r === 'object' && typeof r.id === 'string') &&
+            new Set(data.map(r => r.id)).size === data.length;
+    }
+
+    /**
+     * Compute the writes needed to turn the stored collection into `data`
+     * @param {string} key
+     * @param {array} data
+     * @returns {array} - Pending operations
+     */
+    diffCollection(key, data) {
+        const isNew = !this.records.has(key);
+        const rows = this.ensureCollection(key);
+        const ops = [];
+
+        if (isNew) {
+            ops.push({ store: 'kv', type: 'put', key, value: { kind: 'collection' } });
+        }
+
+        const seen = new Set();
+        data.forEach(record => {
+            const json = JSON.stringify(record);
+            const existing = rows.get(record.id);
+            seen.add(record.id);
+
+            if (existing && existing.json === json) return;
+
+            const seq = existing ? existing.seq : ++this.seq;
+            rows.set(record.id, { seq, json });
+            ops.push(this.recordPut(key, record, seq));
+        });
+
+        [...rows.keys()].forEach(id => {
+            if (!seen.has(id)) {
+                rows.delete(id);
+                ops.push({ store: 'records', type: 'delete', key: [key, id] });
+            }
+        });
+
+        return ops;
+    }
+
+    /**
+     * Compute the writes needed to store a plain value under `key`
+     * @param {string} key
+     * @param {string} serialized
+     * @returns {array} - Pending operations
+     */
+    replaceValue(key, serialized) {
+        const ops = [{ store: 'kv', type: 'put', key, value: { kind: 'value', value: serialized } }];
+        this.dropCollection(key, ops);
+        return ops;
+    }
+
+    /**
+     * Forget a collection and queue the deletion of its rows
+     * @param {string} key
+     * @param {array} ops - Operations list to append to
+     */
+    dropCollection(key, ops) {
+        const rows = this.records.get(key);
+        if (!rows) return;
+
+        rows.forEach((row, id) => {
+            ops.push({ store: 'records', type: 'delete', key: [key, id] });
+        });
+        this.records.delete(key);
+    }
+
+    /**
+     * Get (or create) the in-memory rows of a collection
+     * @param {string} key
+     * @returns {Map}
+     */
+    ensureCollection(key) {
+        if (!this.records.has(key)) {
+            this.records.set(key, new Map());
+        }
+        return this.records.get(key);
+    }
+
+    /**
+     * Rebuild the serialized array of a collection, in insertion order
+     * @param {Map} rows
+     * @returns {string}
+     */
+    serializeCollection(rows) {
+        const sorted = [...rows.values()].sort((a, b) => a.seq - b.seq);
+        return `[${sorted.map(row => row.json).join(',')}]`;
+    }
+
+    /**
+     * Writes storing the in-memory state of some keys and records
+     * @param {array} keys - Values or collections (with all their records)
+     * @param {array} collections - Collections written with all their records
+     * @param {array} records - [collection, id] of single records
+     * @returns {array} - Operations (deletions for what is gone)
+     */
+    currentOps(keys, collections = [], records = []) {
+        const ops = [];
+        new Set(keys).forEach(key => {
+            if (this.records.has(key)) {
+                ops.push({ store: 'kv', type: 'put', key, value: { kind: 'collection' } });
+                collections.push(key);
+            } else if (this.cache.has(key)) {
+                ops.push({ store: 'kv', type: 'put', key, value: { kind: 'value', value: this.cache.get(key) } });
+            } else {
+                ops.push({ store: 'kv', type: 'delete', key });
+            }
+        });
+        new Set(collections).forEach(collection => {
+            (this.records.get(collection) || new Map()).forEach((row, id) => records.push([collection, id]));
+        });
+
+        const done = new Set();
+        records.forEach(([collection, id]) => {
+            if (done.has(`${collection}:${id}`)) return;
+            done.add(`${collection}:${id}`);
+
+            const row = this.records.has(collection) && this.records.get(collection).get(id);
+            ops.push(row ?
+                this.recordPut(collection, JSON.parse(row.json), row.seq) :
+                { store: 'records', type: 'delete', key: [collection, id] });
+        });
+        return ops;
+    }
+
+    /**
+     * Build a record write operation
+     */
+    recordPut(collection, record, seq) {
+        return { store: 'records', type: 'put', value: { collection, id: record.id, seq, data: record } };
+    }
+
+    /**
+     * Queue operations in a single transaction, after previous writes
+     * @param {array} ops
+     */
+    enqueue(ops) {
+        if (ops.length === 0) return;
+
+        this.queue = this.queue
+            .then(() => this.commit(ops))
+            .then(() => this.channel?.postMessage({ ops }))
+            .catch(error => {
+                console.error('Storage write error', error);
+                this.failedOps.push(...ops);
+                this.reportWriteError(error);
+            });
+    }
+
+    /**
+     * Apply operations in one readwrite transaction
+     * @param {array} ops
+     * @returns {Promise}
+     */
+    async commit(ops) {
+        // Encrypt before opening the transaction: it would auto-commit while awaiting
+        if (this.key) {
+            ops = await Promise.all(ops.map(op => this.sealOp(op)));
+        }
+
+        const stores = [...new Set(ops.map(op => op.store))];
+        const tx = this.db.transaction(stores, 'readwrite');
+
+        ops.forEach(op => {
+            const store = tx.objectStore(op.store);
+            if (op.type === 'put') {
+                op.key !== undefined ? store.put(op.value, op.key) : store.put(op.value);
+            } else if (op.type === 'delete') {
+                store.delete(op.key);
+            } else if (op.type === 'clear') {
+                store.clear();
+            }
+        });
+
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Encrypt the data carried by a write operation
+     * @param {object} op
+     * @returns {Promise<object>}
+     */
+    async sealOp(op) {
+        if (op.type !== 'put') return op;
+
+        if (op.store === 'records') {
+            const { data, ...row } = op.value;
+            return { ...op, value: { ...row, enc: await Encryption.encrypt(this.key, JSON.stringify(data)) } };
+        }
+        if (op.store === 'kv' && op.value.kind === 'value') {
+            return { ...op, value: { kind: 'value', enc: await Encryption.encrypt(this.key, op.value.value) } };
+        }
+        return op;
+    }
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise}
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
@@ -0,0 +1,90 @@
+/**
+ * Names - Compare, sort and search student names written in Arabic or
+ * French (Latin script)
+ *
+ * Names are matched on a key that ignores case, accents, Arabic short vowels
+ * and tatweel, and the spelling variants of the same name: alef with or
+ * without hamza/madda (الأ / الا), hamza on waw/yeh, alef maksura (ى / ي) and
+ * ta marbuta (ة / ه). Sorting follows Arabic then French alphabetical order.
+ */
+
+export const NAME_ORDERS = {
+    given: 'Given name first',
+    family: 'Family name first'
+};
+
+// Arabic letter variants, after decomposition (NFD splits alef with hamza into alef + hamza)
+const ARABIC_LETTERS = {
+    '\u0671': '\u0627', // alef wasla → alef
+    '\u0649': '\u064A', // alef maksura → yeh
+    '\u06CC': '\u064A', // Persian yeh (Persian keyboards) → yeh
+    '\u06A9': '\u0643', // keheh (Persian keyboards) → kaf
+    '\u0629': '\u0647'  // ta marbuta → heh
+};
+
+const ARABIC_VARIANTS = /[\u0671\u0649\u06CC\u06A9\u0629]/g;
+
+// Latin accents, Arabic short vowels, hamza/madda marks and superscript alef
+const MARKS = /[\u0300-\u036F\u064B-\u065F\u0670]/g;
+
+const TATWEEL = /\u0640/g;
+
+// Arabic-Indic and Persian digits
+const DIGITS = /[\u0660-\u0669\u06F0-\u06F9]/g;
+
+const COLLATOR = new Intl.Collator(['ar', 'fr'], { sensitivity: 'base', numeric: true });
+
+export class Names {
+    /**
+     * Comparable form of a name (or any label): lowercase, without accents,
+     * Arabic variants unified, single spaces
+     * @param {string} name
+     * @returns {string}
+     */
+    static key(name) {
+        return String(name || '')
+            .normalize('NFD')
+            .replace(MARKS, '')
+            .replace(TATWEEL, '')
+            .replace(ARABIC_VARIANTS, letter => ARABIC_LETTERS[letter])
+            .replace(DIGITS, digit => String(digit.charCodeAt(0) & 0xF))
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Alphabetical order of two names, spelling variants sorted together
+     * @param {string} a
+     * @param {string} b
+     * @returns {number}
+     */
+    static compare(a, b) {
+        return COLLATOR.compare(Names.key(a), Names.key(b)) || COLLATOR.compare(a || '', b || '');
+    }
+
+    /**
+     * Name of a student as sorted: by given or family name when the profile
+     * has them, the full name otherwise
+     * @param {object} student - { name, firstName, lastName }
+     * @param {string} order - Key of NAME_ORDERS
+     * @returns {string}
+     */
+    static sortName(student, order = 'given') {
+        const first = (student.firstName || '').trim();
+        const last = (student.lastName || '').trim();
+        if (!first || !last) return student.name || '';
+        return order === 'family' ? `${last} ${first}` : `${first} ${last}`;
+    }
+
+    /**
+     * Alphabetical order of two students
+     * @param {object} a
+     * @param {object} b
+     * @param {string} order - Key of NAME_ORDERS
+     * @returns {number}
+     */
+    static compareStudents(a, b, order = 'given') {
+        return Names.compare(Names.sortName(a, order), Names.sortName(b, order));
+    }
+}
@@ -0,0 +1,243 @@
+/**
+ * SchemaMigrator - Versioned data schema and ordered migrations
+ *
+ * The version of the stored data lives under the `schemaVersion` key, next to
+ * `classes`, `students` and `arrivals`, so it is also part of every JSON
+ * backup. Data without a version is treated as version 0 (the original shape).
+ *
+ * To change the shape of stored records, append a step to MIGRATIONS with the
+ * next version number. Steps receive the whole data object (same shape as
+ * Storage.exportAll()) and return the upgraded object.
+ *
+ * Optional fields whose absence means "none" need no step, as long as every
+ * reader falls back when they are missing: class `overrides` and `lateness`
+ * rules, student `previousId`, `transfers` and `withdrawnOn`, arrival
+ * `sessionId` set to null. Fields that `add()` always sets get a step filling
+ * their default, so older records have the same shape as new ones.
+ *
+ * The checks in tests/schema-migrations.html upgrade old backups and live
+ * data; add a case there with each new step.
+ */
+
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Normalize baseline records',
+        up(data) {
+            const classes = asArray(data.classes);
+            const students = asArray(data.students);
+            const arrivals = asArray(data.arrivals);
+
+            return {
+                ...data,
+                classes: classes.map(c => ({
+                    ...c,
+                    schedule: c.schedule && typeof c.schedule === 'object' ? c.schedule : {}
+                })),
+                students: students.map(s => ({
+                    ...s,
+                    photoUrl: s.photoUrl || null
+                })),
+                arrivals: arrivals.map(a => {
+                    const minutesLate = Number(a.minutesLate) || 0;
+                    return {
+                        ...a,
+                        minutesLate,
+                        status: a.status || (minutesLate > 0 ? 'late' : 'on-time')
+                    };
+                })
+            };
+        }
+    },
+    {
+        version: 2,
+        description: 'Add updatedAt to classes, students and arrivals (sync conflict resolution)',
+        up(data) {
+            const stamp = record => ({
+                ...record,
+                updatedAt: record.updatedAt || record.createdAt || new Date(0).toISOString()
+            });
+
+            return {
+                ...data,
+                classes: asArray(data.classes).map(stamp),
+                students: asArray(data.students).map(stamp),
+                arrivals: asArray(data.arrivals).map(stamp)
+            };
+        }
+    },
+    {
+        version: 3,
+        description: 'Several sessions per day in class schedules, arrivals keyed by session',
+        up(data) {
+            const classes = asArray(data.classes).map(c => ({
+                ...c,
+                schedule: Object.fromEntries(
+                    Object.entries(c.schedule || {}).map(([day, entry]) => [day, toSessionDay(c.id, day, entry)])
+                )
+            }));
+            const classesById = new Map(classes.map(c => [c.id, c]));
+
+            return {
+                ...data,
+                classes,
+                // Existing arrivals belong to the only session of their day
+                arrivals: asArray(data.arrivals).map(a => {
+                    if (a.sessionId !== undefined) return a;
+                    const classObj = classesById.get(a.classId);
+                    const day = classObj && classObj.schedule[DAY_NAMES[new Date(a.date).getDay()]];
+                    return { ...a, sessionId: day && day.sessions.length > 0 ? day.sessions[0].id : null };
+                })
+            };
+        }
+    },
+    {
+        version: 4,
+        description: 'School year on classes (year rollover and archiving)',
+        up(data) {
+            // Existing classes are this year's classes
+            const date = new Date().toISOString().split('T')[0];
+            const [year, month] = date.split('-').map(Number);
+            const start = month >= 8 ? year : year - 1;
+
+            return {
+                ...data,
+                classes: asArray(data.classes).map(c => ({
+                    ...c,
+                    schoolYear: c.schoolYear || `${start}-${start + 1}`,
+                    archived: !!c.archived
+                }))
+            };
+        }
+    },
+    {
+        version: 5,
+        description: 'Class description: teacher, room, level, subject and color',
+        up(data) {
+            return {
+                ...data,
+                classes: asArray(data.classes).map(c => ({
+                    ...c,
+                    teacher: c.teacher || '',
+                    room: c.room || '',
+                    level: c.level || '',
+                    subject: c.subject || '',
+                    color: c.color || null
+                }))
+            };
+        }
+    },
+    {
+        version: 6,
+        description: 'Student profiles: official code, given and family names, gender, birth date, guardians',
+        up(data) {
+            return {
+                ...data,
+                students: asArray(data.students).map(s => ({
+                    ...s,
+                    code: s.code || '',
+                    firstName: s.firstName || '',
+                    lastName: s.lastName || '',
+                    gender: s.gender || '',
+                    birthDate: s.birthDate || '',
+                    guardians: Array.isArray(s.guardians) ? s.guardians : []
+                }))
+            };
+        }
+    }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export class SchemaMigrator {
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Get the schema version of a data object
+     * @param {object} data - Stored data or parsed backup
+     * @returns {number}
+     */
+    static versionOf(data) {
+        return Number(data && data.schemaVersion) || 0;
+    }
+
+    /**
+     * Upgrade a data object to the current schema version
+     * @param {object} data - Stored data or parsed backup
+     * @returns {object} - New, upgraded data object
+     * @throws {Error} if the data comes from a newer version of the app
+     */
+    static migrate(data) {
+        const from = SchemaMigrator.versionOf(data);
+
+        if (from > SCHEMA_VERSION) {
+            throw new Error(`Data schema v${from} is newer than this app (v${SCHEMA_VERSION}). Please update the app.`);
+        }
+
+        let migrated = JSON.parse(JSON.stringify(data || {}));
+        MIGRATIONS
+            .filter(step => step.version > from)
+            .forEach(step => {
+                migrated = step.up(migrated);
+                migrated.schemaVersion = step.version;
+            });
+
+        migrated.schemaVersion = SCHEMA_VERSION;
+        return migrated;
+    }
+
+    /**
+     * Upgrade the live data in storage if needed
+     * @returns {object} - { from, to, migrated }
+     */
+    async run() {
+        const data = this.storage.exportAll();
+        const from = SchemaMigrator.versionOf(data);
+
+        if (from === SCHEMA_VERSION) {
+            return { from, to: SCHEMA_VERSION, migrated: false };
+        }
+
+        const migrated = SchemaMigrator.migrate(data);
+        this.storage.importAll(migrated);
+        await this.storage.flush();
+
+        console.log(`🔄 Data schema migrated v${from} → v${SCHEMA_VERSION}`);
+        return { from, to: SCHEMA_VERSION, migrated: true };
+    }
+}
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Convert a v2 schedule day ({ enabled, startTime, endTime }) to a list of sessions
+ * @param {string} classId - Session ids must be unique across classes
+ * @param {string} day - Day name
+ * @param {object} entry
+ * @returns {object} - { enabled, sessions: [{ id, label, startTime, endTime }] }
+ */
+function toSessionDay(classId, day, entry) {
+    if (!entry || typeof entry !== 'object') return { enabled: false, sessions: [] };
+    if (Array.isArray(entry.sessions)) return entry;
+
+    return {
+        enabled: !!entry.enabled,
+        sessions: entry.startTime ? [{
+            id: `ses_${classId}_${day}`,
+            label: '',
+            startTime: entry.startTime,
+            endTime: entry.endTime || ''
+        }] : []
+    };
+}
+
+/**
+ * Coerce a stored value to an array
+ * @param {any} value
+ * @returns {array}
+ */
+function asArray(value) {
+    return Array.isArray(value) ? value : [];
+}
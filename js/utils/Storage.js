@@ -1,24 +1,84 @@
 /**
  * Storage Utility - LocalStorage wrapper with JSON serialization
+ *
+ * A value that cannot be written (storage full) is reported to the
+ * onWriteError() listeners and kept in memory, where reads find it, until
+ * retryWrites() or a later write of the same key succeeds.
  */
 
 export class Storage {
     constructor(namespace = 'lateness-tracker') {
         this.namespace = namespace;
+        this.listeners = new Set();
+        this.errorListeners = new Set();
+        this.failed = new Map();     // key -> serialized value not written
+
+        // Other tabs/windows writing to localStorage
+        if (typeof window !== 'undefined') {
+            window.addEventListener('storage', event => this.handleStorageEvent(event));
+        }
+    }
+
+    /**
+     * Prepare the backend (nothing to do for localStorage)
+     */
+    async open() {}
+
+    /**
+     * Wait for pending writes (localStorage writes are synchronous)
+     */
+    async flush() {}
+
+    /**
+     * Release the backend (nothing to do for localStorage)
+     */
+    close() {}
+
+    /**
+     * Encryption needs the IndexedDB backend
+     */
+    isLocked() {
+        return false;
+    }
+
+    isEncrypted() {
+        return false;
+    }
+
+    supportsEncryption() {
+        return false;
+    }
+
+    /**
+     * localStorage holds a few megabytes per site
+     */
+    hasLargeQuota() {
+        return false;
+    }
+
+    async sealBackup(json) {
+        return json;
     }
 
     /**
      * Save data to localStorage
      * @param {string} key - Storage key
      * @param {any} data - Data to store
+     * @returns {boolean}
      */
     set(key, data) {
+        let serialized;
         try {
-            const serialized = JSON.stringify(data);
+            serialized = JSON.stringify(data);
             localStorage.setItem(`${this.namespace}:${key}`, serialized);
+            this.failed.delete(key);
             return true;
         } catch (error) {
             console.error(`Storage error: ${key}`, error);
+            if (serialized !== undefined) {
+                this.failed.set(key, serialized);
+                this.reportWriteError(error);
+            }
             return false;
         }
     }
@@ -31,7 +91,7 @@ export class Storage {
      */
     get(key, defaultValue = null) {
         try {
-            const item = localStorage.getItem(`${this.namespace}:${key}`);
+            const item = this.failed.has(key) ? this.failed.get(key) : localStorage.getItem(`${this.namespace}:${key}`);
             return item ? JSON.parse(item) : defaultValue;
         } catch (error) {
             console.error(`Storage read error: ${key}`, error);
@@ -44,9 +104,44 @@ export class Storage {
      * @param {string} key - Storage key
      */
     remove(key) {
+        this.failed.delete(key);
         localStorage.removeItem(`${this.namespace}:${key}`);
     }
 
+    /**
+     * Get all records of a collection
+     * @param {string} collection - Storage key holding an array of records
+     * @returns {array}
+     */
+    getRecords(collection) {
+        return this.get(collection, []);
+    }
+
+    /**
+     * Insert or replace a single record (matched by id)
+     * @param {string} collection - Storage key holding an array of records
+     * @param {object} record - Record with an `id`
+     */
+    putRecord(collection, record) {
+        const records = this.getRecords(collection);
+        const index = records.findIndex(r => r.id === record.id);
+        if (index !== -1) {
+            records[index] = record;
+        } else {
+            records.push(record);
+        }
+        return this.set(collection, records);
+    }
+
+    /**
+     * Delete a single record by id
+     * @param {string} collection - Storage key holding an array of records
+     * @param {string} id - Record ID
+     */
+    deleteRecord(collection, id) {
+        return this.set(collection, this.getRecords(collection).filter(r => r.id !== id));
+    }
+
     /**
      * Export all data as JSON
      * @returns {object}
@@ -60,6 +155,9 @@ export class Storage {
                 data[shortKey] = this.get(shortKey);
             }
         }
+        this.failed.forEach((serialized, key) => {
+            data[key] = this.get(key);
+        });
         return data;
     }
 
@@ -73,6 +171,96 @@ export class Storage {
         });
     }
 
+    /**
+     * Listen for changes made by other tabs or windows
+     * @param {function} listener - Called with the list of changed keys
+     * @returns {function} - Unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Be told when data could not be saved
+     * @param {function} listener - Called with the error
+     * @returns {function} - Unsubscribe
+     */
+    onWriteError(listener) {
+        this.errorListeners.add(listener);
+        return () => this.errorListeners.delete(listener);
+    }
+
+    /**
+     * Are some changes not saved yet because their write failed?
+     * @returns {boolean}
+     */
+    hasFailedWrites() {
+        return this.failed.size > 0;
+    }
+
+    /**
+     * Write the values that could not be saved again
+     * @returns {Promise<boolean>} - Whether everything is saved now
+     */
+    async retryWrites() {
+        let lastError = null;
+        this.failed.forEach((serialized, key) => {
+            try {
+                localStorage.setItem(`${this.namespace}:${key}`, serialized);
+                this.failed.delete(key);
+            } catch (error) {
+                lastError = error;
+            }
+        });
+        if (lastError) this.reportWriteError(lastError);
+        return this.failed.size === 0;
+    }
+
+    /**
+     * Report a failed write
+     * @param {Error} error
+     */
+    reportWriteError(error) {
+        this.errorListeners.forEach(listener => {
+            try {
+                listener(error);
+            } catch (listenerError) {
+                console.error('Storage listener error', listenerError);
+            }
+        });
+    }
+
+    /**
+     * Notify listeners of external changes
+     * @param {array} keys - Changed keys
+     */
+    notify(keys) {
+        if (keys.length === 0) return;
+        this.listeners.forEach(listener => {
+            try {
+                listener(keys);
+            } catch (error) {
+                console.error('Storage listener error', error);
+            }
+        });
+    }
+
+    /**
+     * Forward `storage` events for this namespace
+     * @param {StorageEvent} event
+     */
+    handleStorageEvent(event) {
+        if (event.storageArea !== localStorage) return;
+
+        // key is null when another tab called localStorage.clear()
+        if (event.key === null) {
+            this.notify(['*']);
+        } else if (event.key.startsWith(`${this.namespace}:`)) {
+            this.notify([event.key.replace(`${this.namespace}:`, '')]);
+        }
+    }
+
     /**
      * Clear all app data
      */
@@ -85,5 +273,6 @@ export class Storage {
             }
         }
         keys.forEach(key => localStorage.removeItem(key));
+        this.failed.clear();
     }
 }
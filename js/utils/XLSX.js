@@ -0,0 +1,197 @@
+/**
+ * XLSX - Read the cells of Excel workbooks (.xlsx)
+ *
+ * A workbook is a ZIP archive of XML parts. Only cell values are read: shared
+ * and inline strings, numbers, booleans, and dates (numbers with a date
+ * format) as YYYY-MM-DD. Formulas give their cached value; formatting, merged
+ * cells and hidden rows are ignored.
+ */
+
+import { Zip } from './Zip.js';
+
+// Built-in number formats showing a date (ECMA-376, 18.8.30)
+const DATE_FORMAT_IDS = [14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47];
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+export class XLSX {
+    /**
+     * Read the sheets of a workbook
+     * @param {ArrayBuffer} buffer - File content
+     * @returns {Promise<array>} - [{ name, rows }] with rows as arrays of strings
+     * @throws {Error} if the file is not an .xlsx workbook
+     */
+    static async read(buffer) {
+        let files;
+        try {
+            files = Zip.read(buffer);
+        } catch (error) {
+            files = new Map();
+        }
+        if (!files.has('xl/workbook.xml')) {
+            throw new Error('Not an Excel workbook (.xlsx)');
+        }
+        const text = async path => files.has(path) ? new TextDecoder('utf-8').decode(await files.get(path)()) : '';
+
+        const strings = XLSX.readSharedStrings(await text('xl/sharedStrings.xml'));
+        const dateStyles = XLSX.readDateStyles(await text('xl/styles.xml'));
+        const targets = XLSX.readRelationships(await text('xl/_rels/workbook.xml.rels'));
+
+        const sheets = [];
+        for (const [, attributes] of (await text('xl/workbook.xml')).matchAll(/<(?:\w+:)?sheet\b([^>]*)>/g)) {
+            const attrs = XLSX.attributes(attributes);
+            const target = targets[attrs['r:id']] || '';
+            const path = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+            sheets.push({ name: attrs.name || '', rows: XLSX.readSheet(await text(path), strings, dateStyles) });
+        }
+        return sheets;
+    }
+
+    /**
+     * @param {string} xml - xl/sharedStrings.xml
+     * @returns {array} - Strings by index
+     */
+    static readSharedStrings(xml) {
+        return [...xml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(([, item]) => XLSX.textOf(item));
+    }
+
+    /**
+     * Styles whose number format shows a date
+     * @param {string} xml - xl/styles.xml
+     * @returns {Set} - Style indexes (the `s` attribute of cells)
+     */
+    static readDateStyles(xml) {
+        const dateFormats = new Set(DATE_FORMAT_IDS);
+        for (const [, attributes] of xml.matchAll(/<numFmt\b([^>]*)>/g)) {
+            const attrs = XLSX.attributes(attributes);
+            // Date codes use d, m and y outside of quoted text and [colors]
+            const code = (attrs.formatCode || '').replace(/"[^"]*"|\[[^\]]*\]/g, '').toLowerCase();
+            if (/[dy]/.test(code) && !/^[#0.,%]*$/.test(code)) dateFormats.add(parseInt(attrs.numFmtId));
+        }
+
+        const styles = new Set();
+        const cellXfs = /<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/.exec(xml);
+        if (cellXfs) {
+            [...cellXfs[1].matchAll(/<xf\b([^>]*)>/g)].forEach(([, attributes], index) => {
+                if (dateFormats.has(parseInt(XLSX.attributes(attributes).numFmtId))) styles.add(index);
+            });
+        }
+        return styles;
+    }
+
+    /**
+     * @param {string} xml - A .rels part
+     * @returns {object} - Relationship id → target path
+     */
+    static readRelationships(xml) {
+        const targets = {};
+        for (const [, attributes] of xml.matchAll(/<Relationship\b([^>]*)>/g)) {
+            const attrs = XLSX.attributes(attributes);
+            targets[attrs.Id] = attrs.Target;
+        }
+        return targets;
+    }
+
+    /**
+     * Cell values of a worksheet
+     * @param {string} xml - xl/worksheets/sheetN.xml
+     * @param {array} strings - Shared strings
+     * @param {Set} dateStyles - Styles of date cells
+     * @returns {array} - Rows of strings, empty rows and columns kept in place
+     */
+    static readSheet(xml, strings, dateStyles) {
+        const rows = [];
+
+        for (const [, rowAttributes, content] of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+            const rowIndex = (parseInt(XLSX.attributes(rowAttributes).r) || rows.length + 1) - 1;
+            const row = [];
+
+            for (const [, cellAttributes, value = ''] of (content || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+                const attrs = XLSX.attributes(cellAttributes);
+                const column = attrs.r ? XLSX.columnIndex(attrs.r) : row.length;
+                row[column] = XLSX.cellValue(attrs, value, strings, dateStyles);
+            }
+
+            rows[rowIndex] = Array.from(row, cell => cell || '');
+        }
+
+        return Array.from(rows, row => row || []);
+    }
+
+    /**
+     * @param {object} attrs - Cell attributes (t = type, s = style)
+     * @param {string} content - Cell XML content
+     * @param {array} strings
+     * @param {Set} dateStyles
+     * @returns {string}
+     */
+    static cellValue(attrs, content, strings, dateStyles) {
+        if (attrs.t === 'inlineStr') return XLSX.textOf(content);
+
+        const match = /<v>([\s\S]*?)<\/v>/.exec(content);
+        const value = match ? XLSX.decode(match[1]) : '';
+        if (value === '') return '';
+
+        switch (attrs.t) {
+            case 's': return strings[parseInt(value)] || '';
+            case 'b': return value === '1' ? 'TRUE' : 'FALSE';
+            case 'str':
+            case 'e': return value;
+        }
+        if (dateStyles.has(parseInt(attrs.s))) return XLSX.toDate(parseFloat(value));
+        return value;
+    }
+
+    /**
+     * Text of a string item, rich text runs joined (phonetic runs left out)
+     * @param {string} xml
+     * @returns {string}
+     */
+    static textOf(xml) {
+        return [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)]
+            .map(([, text]) => XLSX.decode(text))
+            .join('');
+    }
+
+    /**
+     * Date of a serial number (days since 1899-12-30, 1900 date system)
+     * @param {number} serial
+     * @returns {string} - YYYY-MM-DD
+     */
+    static toDate(serial) {
+        return new Date(Math.round((serial - 25569) * 86400000)).toISOString().split('T')[0];
+    }
+
+    /**
+     * @param {string} ref - Cell reference, e.g., "AB12"
+     * @returns {number} - 0-based column
+     */
+    static columnIndex(ref) {
+        const letters = /^[A-Z]+/i.exec(ref)[0].toUpperCase();
+        return [...letters].reduce((n, letter) => n * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+    }
+
+    /**
+     * @param {string} text - Attributes of an XML tag
+     * @returns {object}
+     */
+    static attributes(text) {
+        const attrs = {};
+        for (const [, name, value] of text.matchAll(/([\w:]+)\s*=\s*"([^"]*)"/g)) {
+            attrs[name] = XLSX.decode(value);
+        }
+        return attrs;
+    }
+
+    /**
+     * Decode XML entities
+     * @param {string} text
+     * @returns {string}
+     */
+    static decode(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+            if (code[0] !== '#') return XML_ENTITIES[code] ?? entity;
+            return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1)));
+        });
+    }
+}
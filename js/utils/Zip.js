@@ -0,0 +1,64 @@
+/**
+ * Zip - Read the files of a ZIP archive
+ *
+ * Stored and deflated entries (what spreadsheet apps and operating systems
+ * write); DEFLATE is decompressed by the browser (DecompressionStream).
+ * ZIP64, encryption and multi-part archives are not supported.
+ */
+
+export class Zip {
+    /**
+     * List the files of an archive
+     * @param {ArrayBuffer} buffer
+     * @returns {Map} - Path → function returning a Promise of the file bytes
+     * @throws {Error} if the file is not a ZIP archive
+     */
+    static read(buffer) {
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        // End of central directory record, followed by a comment of up to 64 KB
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === 0x06054B50) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) throw new Error('Not a ZIP archive');
+
+        const files = new Map();
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+
+        for (let i = 0; i < count && view.getUint32(offset, true) === 0x02014B50; i++) {
+            const method = view.getUint16(offset + 10, true);
+            const size = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const local = view.getUint32(offset + 42, true);
+            const name = new TextDecoder('utf-8').decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            // The local header repeats the name, with its own extra field
+            const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+            const data = bytes.subarray(start, start + size);
+            if (!name.endsWith('/')) {
+                files.set(name, () => method === 0 ? Promise.resolve(data) : inflate(data));
+            }
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        return files;
+    }
+}
+
+/**
+ * Decompress DEFLATE data
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflate(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
@@ -0,0 +1,229 @@
+/**
+ * JournalView - Browse and filter the change journal
+ */
+
+import { Journal } from '../models/Journal.js';
+import { ArrivalTracker, ARRIVAL_STATUSES } from '../models/ArrivalTracker.js';
+
+const PAGE_SIZE = 100;
+
+const ACTION_LABELS = {
+    create: '➕ Created',
+    update: '✏️ Updated',
+    delete: '🗑️ Deleted',
+    import: '📥 Imported'
+};
+
+export class JournalView {
+    constructor(ui) {
+        this.ui = ui;
+        this.app = ui.app;
+        this.filters = { entity: '', action: '', from: '', to: '', text: '' };
+        this.limit = PAGE_SIZE;
+    }
+
+    /**
+     * Render journal view
+     */
+    render(container) {
+        const entries = this.getFilteredEntries();
+        const ui = this.ui;
+
+        container.innerHTML = `
+            <div class="journal-view">
+                <div class="view-header">
+                    <h2>Change Journal</h2>
+                    <button class="btn btn-secondary" onclick="window.app.ui.journalView.exportCSV()">
+                        📊 Export CSV
+                    </button>
+                </div>
+
+                <div class="form-group">
+                    <label>Your name (recorded with every change)</label>
+                    <input type="text" value="${ui.escapeHtml(this.app.settings.get('userName'))}"
+                           placeholder="e.g., Mme Alaoui"
+                           onchange="window.app.ui.journalView.setUserName(this.value)">
+                </div>
+
+                <div class="journal-filters">
+                    <select onchange="window.app.ui.journalView.setFilter('entity', this.value)">
+                        <option value="">All records</option>
+                        ${['class', 'student', 'arrival', 'calendar', 'backup'].map(entity => `
+                            <option value="${entity}" ${this.filters.entity === entity ? 'selected' : ''}>${entity}</option>
+                        `).join('')}
+                    </select>
+                    <select onchange="window.app.ui.journalView.setFilter('action', this.value)">
+                        <option value="">All changes</option>
+                        ${Object.keys(ACTION_LABELS).map(action => `
+                            <option value="${action}" ${this.filters.action === action ? 'selected' : ''}>${action}</option>
+                        `).join('')}
+                    </select>
+                    <input type="date" value="${this.filters.from}" title="From"
+                           onchange="window.app.ui.journalView.setFilter('from', this.value)">
+                    <input type="date" value="${this.filters.to}" title="To"
+                           onchange="window.app.ui.journalView.setFilter('to', this.value)">
+                    <input type="search" value="${ui.escapeHtml(this.filters.text)}" placeholder="Search name..."
+                           onchange="window.app.ui.journalView.setFilter('text', this.value)">
+                </div>
+
+                <ul class="journal-list">
+                    ${entries.slice(0, this.limit).map(entry => this.renderEntry(entry)).join('')}
+                </ul>
+
+                ${entries.length === 0 ? '<p class="empty-state">No changes recorded</p>' : ''}
+                ${entries.length > this.limit ? `
+                    <button class="btn btn-secondary" onclick="window.app.ui.journalView.showMore()">
+                        Show more (${entries.length - this.limit})
+                    </button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render a journal entry
+     */
+    renderEntry(entry) {
+        const ui = this.ui;
+        const changes = entry.action === 'update' ? Journal.changedFields(entry) : [];
+
+        return `
+            <li class="journal-entry ${entry.action}">
+                <div class="journal-meta">
+                    <span>${new Date(entry.at).toLocaleString()}</span>
+                    <span>${ui.escapeHtml(entry.actor || 'Unknown')}</span>
+                </div>
+                <div class="journal-summary">
+                    ${ACTION_LABELS[entry.action] || entry.action} ${entry.entity}:
+                    <strong>${ui.escapeHtml(this.describe(entry))}</strong>
+                </div>
+                ${changes.length > 0 ? `
+                    <ul class="journal-changes">
+                        ${changes.map(c => `
+                            <li>${ui.escapeHtml(c.field)}:
+                                <del>${ui.escapeHtml(this.formatValue(c.before))}</del> →
+                                ${ui.escapeHtml(this.formatValue(c.after))}
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+            </li>
+        `;
+    }
+
+    /**
+     * Human readable label for the record an entry is about
+     * @param {object} entry
+     * @returns {string}
+     */
+    describe(entry) {
+        const record = entry.after || entry.before || {};
+
+        switch (entry.entity) {
+            case 'class':
+            case 'student':
+                return record.name || record.id;
+            case 'arrival':
+                return `${this.studentName(record.studentId)} — ${record.date} ${record.time}` +
+                    (ArrivalTracker.isLate(record.status) ? 
+                        ` (${ARRIVAL_STATUSES[record.status].toLowerCase()}, ${record.minutesLate}min)` : '');
+            case 'calendar':
+                return `${record.name} (${record.startDate}` +
+                    (record.endDate !== record.startDate ? ` → ${record.endDate})` : ')');
+            case 'backup':
+                return `${record.mode} restore`;
+            default:
+                return record.id || '';
+        }
+    }
+
+    /**
+     * Resolve a student name, including deleted students (from the journal)
+     */
+    studentName(studentId) {
+        const student = this.app.studentManager.getById(studentId);
+        if (student) return student.name;
+
+        const known = this.app.journal.query({ entity: 'student', entityId: studentId })[0];
+        const record = known && (known.before || known.after);
+        return record ? record.name : studentId;
+    }
+
+    /**
+     * Format a field value for display
+     */
+    formatValue(value) {
+        if (value === undefined || value === null) return '—';
+        if (typeof value === 'object') {
+            const json = JSON.stringify(value);
+            return json.length > 80 ? json.substr(0, 77) + '...' : json;
+        }
+        return String(value);
+    }
+
+    /**
+     * Apply filters to the journal
+     * @returns {array}
+     */
+    getFilteredEntries() {
+        const { text, ...filters } = this.filters;
+        const entries = this.app.journal.query(filters);
+        if (!text) return entries;
+
+        const search = text.toLowerCase();
+        return entries.filter(entry =>
+            this.describe(entry).toLowerCase().includes(search) ||
+            (entry.actor || '').toLowerCase().includes(search)
+        );
+    }
+
+    /**
+     * Change a filter and re-render
+     */
+    setFilter(name, value) {
+        this.filters[name] = value;
+        this.limit = PAGE_SIZE;
+        this.ui.refreshCurrentView();
+    }
+
+    /**
+     * Show next page of entries
+     */
+    showMore() {
+        this.limit += PAGE_SIZE;
+        this.ui.refreshCurrentView();
+    }
+
+    /**
+     * Save the name recorded with changes
+     */
+    setUserName(name) {
+        this.app.settings.set('userName', name.trim());
+    }
+
+    /**
+     * Export filtered entries as CSV
+     */
+    exportCSV() {
+        const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+        const lines = ['Date,Auteur,Action,Type,Enregistrement,Modifications'];
+
+        this.getFilteredEntries().forEach(entry => {
+            const changes = entry.action === 'update' ?
+                Journal.changedFields(entry)
+                    .map(c => `${c.field}: ${this.formatValue(c.before)} → ${this.formatValue(c.after)}`)
+                    .join('; ') :
+                '';
+            lines.push([
+                entry.at,
+                entry.actor || '',
+                entry.action,
+                entry.entity,
+                this.describe(entry),
+                changes
+            ].map(quote).join(','));
+        });
+
+        this.ui.downloadFile(lines.join('\n'), `journal_${this.ui.currentDate}.csv`, 'text/csv');
+    }
+}
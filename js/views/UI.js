@@ -2,18 +2,41 @@
  * UI - User Interface Controller
  */
 
+import { JournalView } from './JournalView.js';
+import { ReportGenerator } from '../models/ReportGenerator.js';
+import { RESTORE_POINT_REASONS, LOCAL_STORAGE_LIMIT } from '../models/BackupManager.js';
+import { ClassManager, CLASS_COLORS, CLASS_FIELDS } from '../models/ClassManager.js';
+import { CALENDAR_TYPES } from '../models/SchoolCalendar.js';
+import { ArrivalTracker, ARRIVAL_STATUSES } from '../models/ArrivalTracker.js';
+import { STATUS_COLUMNS, STUDENT_COLUMNS } from '../models/ReportGenerator.js';
+import { Trash, RETENTION_DAYS } from '../models/Trash.js';
+import { StudentManager, ROSTER_FIELDS, GENDERS } from '../models/StudentManager.js';
+import { StudentPhotos, PHOTO_SIZE } from '../models/StudentPhotos.js';
+import { CSV } from '../utils/CSV.js';
+import { Names, NAME_ORDERS } from '../utils/Names.js';
+
 export class UI {
     constructor(app) {
         this.app = app;
         this.currentClassId = null;
+        this.currentSessionId = null;
+        this.currentYear = null;
         this.currentDate = new Date().toISOString().split('T')[0];
+        this.overrideDate = null;
+        this.scheduleWeek = 0;
         this.views = {};
+        this.journalView = new JournalView(this);
     }
 
     init() {
         this.renderApp();
         this.setupEventListeners();
         this.showClassSelector();
+        
+        // Writes may have failed while loading (schema migration)
+        if (this.app.storage.hasFailedWrites()) {
+            this.showWriteError(null);
+        }
     }
 
     /**
@@ -23,13 +46,20 @@ export class UI {
         const app = document.getElementById('app');
         app.innerHTML = `
             <header class="app-header">
-                <h1>📚 Lateness Tracker</h1>
+                <div class="header-title">
+                    <h1>📚 Lateness Tracker</h1>
+                    <button class="workspace-badge" onclick="window.app.ui.showWorkspacesModal()">
+                        ${this.escapeHtml(this.app.workspace.name)}
+                    </button>
+                </div>
                 <div class="header-controls">
                     <input type="date" id="datePicker" value="${this.currentDate}">
                     <button id="menuBtn" class="icon-btn">☰</button>
                 </div>
             </header>
             
+            <div id="writeError" class="write-error hidden"></div>
+            
             <nav id="classNav" class="class-nav"></nav>
             
             <main id="mainContent" class="main-content">
@@ -57,6 +87,7 @@ export class UI {
         // Date picker
         document.getElementById('datePicker').addEventListener('change', (e) => {
             this.currentDate = e.target.value;
+            this.currentSessionId = null;
             this.refreshCurrentView();
         });
 
@@ -83,22 +114,40 @@ export class UI {
      * Show class selector
      */
     showClassSelector() {
-        const classes = this.app.classManager.getAll();
+        const years = this.app.classManager.getYears();
+        if (!years.includes(this.currentYear)) this.currentYear = null;
+        const classes = this.app.classManager.getByYear(this.getViewedYear());
         const nav = document.getElementById('classNav');
         
+        // Past school years stay reachable (read-only)
+        const yearSelect = years.length > 1 ? `
+            <select class="year-select" onchange="window.app.ui.selectYear(this.value)">
+                ${years.map(year => `
+                    <option value="${year}" ${year === this.getViewedYear() ? 'selected' : ''}>${year}</option>
+                `).join('')}
+            </select>
+        ` : '';
+        
         if (classes.length === 0) {
             // No classes yet, show setup
             nav.innerHTML = `
+                ${yearSelect}
                 <button class="add-class-btn" onclick="window.app.ui.showAddClassModal()">
                     + Add Class
                 </button>
             `;
         } else {
-            nav.innerHTML = classes.map(c => `
-                <button class="class-btn ${this.currentClassId === c.id ? 'active' : ''}" 
-                        data-class-id="${c.id}">
-                    ${c.name}
-                </button>
+            // Grouped by level once levels are set, in the class color
+            const groups = this.app.classManager.groupByLevel(classes);
+            nav.innerHTML = yearSelect + groups.map(group => `
+                ${groups.length > 1 || group.level ? 
+                    `<span class="class-level">${this.escapeHtml(group.level || 'Other')}</span>` : ''}
+                ${group.classes.map(c => `
+                    <button class="class-btn ${this.currentClassId === c.id ? 'active' : ''} ${c.color ? 'colored' : ''}" 
+                            data-class-id="${c.id}" ${c.color ? `style="--class-color: ${this.escapeHtml(c.color)}"` : ''}>
+                        ${this.escapeHtml(c.name)}
+                    </button>
+                `).join('')}
             `).join('');
             
             nav.querySelectorAll('.class-btn').forEach(btn => {
@@ -109,16 +158,35 @@ export class UI {
             
             // Auto-select first class
             if (!this.currentClassId) {
-                this.selectClass(classes[0].id);
+                this.selectClass(groups[0].classes[0].id);
             }
         }
     }
 
+    /**
+     * School year shown in the class bar
+     * @returns {string}
+     */
+    getViewedYear() {
+        return this.currentYear || this.app.classManager.getCurrentYear();
+    }
+
+    /**
+     * Show the classes of another school year
+     */
+    selectYear(year) {
+        this.currentYear = year === this.app.classManager.getCurrentYear() ? null : year;
+        this.currentClassId = null;
+        this.showClassSelector();
+        this.refreshCurrentView();
+    }
+
     /**
      * Select a class
      */
     selectClass(classId) {
         this.currentClassId = classId;
+        this.currentSessionId = null;
         
         // Update UI
         document.querySelectorAll('.class-btn').forEach(btn => {
@@ -153,6 +221,9 @@ export class UI {
             case 'reports':
                 this.renderReportsView(main);
                 break;
+            case 'journal':
+                this.journalView.render(main);
+                break;
         }
         
         this.currentView = viewName;
@@ -167,25 +238,47 @@ export class UI {
             return;
         }
 
-        const students = this.app.studentManager.getSortedByName(this.currentClassId);
-        const arrivals = this.app.arrivalTracker.getByClassAndDate(this.currentClassId, this.currentDate);
+        const students = this.app.studentManager.getSortedByName(this.currentClassId, this.currentDate);
         const classObj = this.app.classManager.getById(this.currentClassId);
         
-        // Get schedule for today
-        const dayOfWeek = new Date(this.currentDate).getDay();
-        const schedule = this.app.classManager.getScheduleForDay(this.currentClassId, dayOfWeek);
+        // Sessions for the day, the current one selected (none when the school is closed)
+        const archived = !!classObj.archived;
+        const closure = this.app.calendar.getClosure(this.currentDate);
+        const sessions = closure ? [] : this.app.classManager.getSessions(this.currentClassId, this.currentDate);
+        const session = this.getCurrentSession(sessions);
+        const arrivals = this.app.arrivalTracker.getByClassAndDate(
+            this.currentClassId, this.currentDate, session ? session.id : null
+        );
         
         container.innerHTML = `
             <div class="tracker-view">
                 <div class="tracker-header">
-                    <h2>${classObj.name}</h2>
+                    <h2>${this.escapeHtml(classObj.name)}</h2>
                     <p class="date-display">${this.formatDate(this.currentDate)}</p>
-                    ${schedule && schedule.enabled ? 
-                        `<p class="schedule-info">Class: ${schedule.startTime} - ${schedule.endTime}</p>` : 
-                        '<p class="no-class">No class scheduled</p>'}
+                    ${sessions.length > 1 ? `
+                        <div class="session-tabs">
+                            ${sessions.map((s, i) => `
+                                <button class="session-tab ${s.id === session.id ? 'active' : ''}"
+                                        onclick="window.app.ui.selectSession('${s.id}')">
+                                    ${this.escapeHtml(ClassManager.sessionLabel(s, i))}
+                                </button>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                    ${archived ? `<p class="archived-info">🗄️ School year ${classObj.schoolYear} (read-only)</p>` : ''}
+                    ${closure ? 
+                        `<p class="no-class">🏖️ No school: ${this.escapeHtml(closure.name)}</p>` : 
+                        session ? 
+                            `<p class="schedule-info">Class: ${session.startTime} - ${session.endTime}${
+                                this.app.classManager.getWeekCount(this.currentClassId) > 1 ? 
+                                    ` · ${ClassManager.weekLabel(this.app.classManager.getWeekIndex(this.currentClassId, this.currentDate))}` : ''
+                            }${
+                                this.app.classManager.getOverride(this.currentClassId, this.currentDate) ? ' (changed for this date)' : ''
+                            }</p>` : 
+                            '<p class="no-class">No class scheduled</p>'}
                 </div>
                 
-                <div class="students-grid">
+                <div class="students-grid ${closure || archived ? 'closed' : ''}">
                     ${students.map(s => {
                         const arrival = arrivals.find(a => a.studentId === s.id);
                         return this.renderStudentCard(s, arrival);
@@ -199,7 +292,8 @@ export class UI {
             </div>
         `;
         
-        // Add click handlers
+        // Add click handlers (nothing to mark on a non-school day or a past year)
+        if (closure || archived) return;
         container.querySelectorAll('.student-card').forEach(card => {
             card.addEventListener('click', () => {
                 this.toggleArrival(card.dataset.studentId);
@@ -207,6 +301,36 @@ export class UI {
         });
     }
 
+    /**
+     * Session shown in the tracker: the selected one, else the one in
+     * progress (today) or the first of the day
+     * @param {array} sessions - Sessions of the current class and date
+     * @returns {object|null}
+     */
+    getCurrentSession(sessions) {
+        let session = sessions.find(s => s.id === this.currentSessionId);
+        
+        if (!session) {
+            const today = new Date().toISOString().split('T')[0];
+            session = this.currentDate === today ?
+                this.app.classManager.detectSession(
+                    this.currentClassId, this.currentDate, new Date().toTimeString().substr(0, 5)
+                ) :
+                sessions[0] || null;
+        }
+        
+        this.currentSessionId = session ? session.id : null;
+        return session;
+    }
+
+    /**
+     * Select a session in the tracker
+     */
+    selectSession(sessionId) {
+        this.currentSessionId = sessionId;
+        this.refreshCurrentView();
+    }
+
     /**
      * Render student card
      */
@@ -214,17 +338,22 @@ export class UI {
         const hasArrived = !!arrival;
         const statusClass = hasArrived ? arrival.status : 'absent';
         const statusText = hasArrived ? 
-            (arrival.minutesLate > 0 ? `${arrival.minutesLate}min late` : 'On time') : 
+            (ArrivalTracker.isLate(arrival.status) ? 
+                `${ARRIVAL_STATUSES[arrival.status]} · ${arrival.minutesLate}min` : 
+                'On time') : 
             'Absent';
         
+        // Photos taken on this device work offline, remote ones only when online
+        const photo = this.app.photos.get(student.id) || student.photoUrl;
+        
         return `
             <div class="student-card ${statusClass}" data-student-id="${student.id}">
                 <div class="student-photo">
-                    ${student.photoUrl ? 
-                        `<img src="${student.photoUrl}" alt="${student.name}">` :
+                    ${photo ? 
+                        `<img src="${this.escapeHtml(photo)}" alt="${this.escapeHtml(student.name)}">` :
                         '<div class="photo-placeholder">👤</div>'}
                 </div>
-                <div class="student-name">${student.name}</div>
+                <div class="student-name">${this.escapeHtml(student.name)}</div>
                 <div class="student-status">${statusText}</div>
                 ${hasArrived ? `<div class="arrival-time">${arrival.time}</div>` : ''}
             </div>
@@ -235,12 +364,13 @@ export class UI {
      * Toggle student arrival
      */
     toggleArrival(studentId) {
-        const existing = this.app.arrivalTracker.hasArrived(studentId, this.currentDate);
+        const sessionId = this.currentSessionId;
+        const existing = this.app.arrivalTracker.hasArrived(studentId, this.currentDate, sessionId);
         
         if (existing) {
-            this.app.arrivalTracker.removeArrival(studentId, this.currentDate);
+            this.app.arrivalTracker.removeArrival(studentId, this.currentDate, sessionId);
         } else {
-            this.app.arrivalTracker.markArrival(studentId, this.currentClassId, this.currentDate);
+            this.app.arrivalTracker.markArrival(studentId, this.currentClassId, this.currentDate, null, sessionId);
         }
         
         this.refreshCurrentView();
@@ -255,333 +385,2832 @@ export class UI {
             return;
         }
 
-        const students = this.app.studentManager.getSortedByName(this.currentClassId);
+        const classObj = this.app.classManager.getById(this.currentClassId);
+        const archived = !!classObj?.archived;
         
         container.innerHTML = `
             <div class="students-view">
                 <div class="view-header">
-                    <h2>Students - ${this.app.classManager.getById(this.currentClassId)?.name}</h2>
-                    <button class="btn btn-primary" onclick="window.app.ui.showAddStudentModal()">
-                        + Add Student
-                    </button>
+                    <h2>Students - ${this.escapeHtml(classObj?.name || 'Select Class')}</h2>
+                    ${archived ? '' : `
+                        <button class="btn btn-primary" onclick="window.app.ui.showAddStudentModal()">
+                            + Add Student
+                        </button>
+                    `}
                 </div>
                 
-                <div class="import-section">
-                    <button class="btn btn-secondary" onclick="window.app.ui.showImportModal()">
-                        📥 Import CSV
-                    </button>
-                </div>
+                ${archived ? `
+                    <p class="archived-info">🗄️ School year ${classObj.schoolYear} (read-only)</p>
+                ` : `
+                    <div class="import-section">
+                        <button class="btn btn-secondary" onclick="window.app.ui.showImportModal()">
+                            📥 Import CSV
+                        </button>
+                        <button class="btn btn-secondary" onclick="window.app.ui.showPhotoImportModal()">
+                            🖼️ Import Photos
+                        </button>
+                    </div>
+                `}
                 
-                <ul class="student-list">
-                    ${students.map(s => `
-                        <li class="student-item">
-                            <span>${s.name}</span>
-                            <button class="icon-btn danger" onclick="window.app.ui.deleteStudent('${s.id}')">🗑️</button>
-                        </li>
-                    `).join('')}
-                </ul>
+                <div class="student-search-bar">
+                    <input type="search" class="student-search" placeholder="🔍 Name, student code, guardian..."
+                           value="${this.escapeHtml(this.studentQuery || '')}"
+                           oninput="window.app.ui.searchStudents(this.value)">
+                    <select class="name-order" title="Sort students" onchange="window.app.ui.setNameOrder(this.value)">
+                        ${Object.entries(NAME_ORDERS).map(([value, label]) => `
+                            <option value="${value}" ${this.app.settings.get('nameOrder') === value ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
                 
-                ${students.length === 0 ? '<p class="empty-state">No students yet</p>' : ''}
+                <div id="studentResults">${this.renderStudentList()}</div>
             </div>
         `;
     }
 
     /**
-     * Render schedule view
+     * Students of the class, or the students of every class matching the search
+     * @returns {string} HTML
      */
-    renderScheduleView(container) {
-        if (!this.currentClassId) {
-            container.innerHTML = '<p class="empty-state">Select a class first</p>';
-            return;
+    renderStudentList() {
+        const studentManager = this.app.studentManager;
+        const query = (this.studentQuery || '').trim();
+        const students = query ?
+            studentManager.search(query) :
+            studentManager.getSortedByName(this.currentClassId);
+        
+        const leavers = query ? '' : this.renderTransfersOut() + this.renderWithdrawn();
+        if (students.length === 0) {
+            return `<p class="empty-state">${query ? 'No student found' : 'No students yet'}</p>${leavers}`;
         }
-
-        const classObj = this.app.classManager.getById(this.currentClassId);
-        const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
-        const dayNames = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
         
-        container.innerHTML = `
-            <div class="schedule-view">
-                <h2>Schedule - ${classObj.name}</h2>
-                
-                <div class="schedule-grid">
-                    ${days.map((day, i) => {
-                        const schedule = classObj.schedule[day] || { enabled: false };
-                        return `
-                            <div class="schedule-day ${schedule.enabled ? 'enabled' : ''}">
-                                <label class="day-name">
-                                    <input type="checkbox" ${schedule.enabled ? 'checked' : ''} 
-                                           onchange="window.app.ui.toggleDay('${day}')">
-                                    ${dayNames[i]}
-                                </label>
-                                ${schedule.enabled ? `
-                                    <div class="time-inputs">
-                                        <input type="time" value="${schedule.startTime || '08:00'}"
-                                               onchange="window.app.ui.updateSchedule('${day}', 'startTime', this.value)">
-                                        <span>to</span>
-                                        <input type="time" value="${schedule.endTime || '12:00'}"
-                                               onchange="window.app.ui.updateSchedule('${day}', 'endTime', this.value)">
-                                    </div>
-                                ` : '<span class="no-class">No class</span>'}
-                            </div>
-                        `;
-                    }).join('')}
-                </div>
-            </div>
+        return `
+            <ul class="student-list">
+                ${students.map(s => {
+                    const classObj = this.app.classManager.getById(s.classId);
+                    const readOnly = !classObj || classObj.archived;
+                    const photo = this.app.photos.get(s.id) || s.photoUrl;
+                    return `
+                        <li class="student-item">
+                            <button class="student-thumb" title="Photo" ${readOnly ? 'disabled' : ''}
+                                    onclick="window.app.ui.showPhotoModal('${s.id}')">
+                                ${photo ? `<img src="${this.escapeHtml(photo)}" alt="">` : '📷'}
+                            </button>
+                            <span class="student-item-name">
+                                ${this.escapeHtml(s.name)}
+                                ${s.code ? `<small class="student-code">${this.escapeHtml(s.code)}</small>` : ''}
+                                ${s.classId !== this.currentClassId && classObj ? `
+                                    <small class="student-history">${this.escapeHtml(classObj.name)} ${classObj.schoolYear}</small>
+                                ` : this.renderStudentHistory(s)}
+                                ${this.renderTransferIn(s)}
+                                ${s.withdrawnOn ? `
+                                    <small class="student-history">Withdrawn on ${this.formatShortDate(s.withdrawnOn)}</small>
+                                ` : ''}
+                            </span>
+                            <span>
+                                <button class="icon-btn" title="${readOnly ? 'Profile' : 'Edit'}"
+                                        onclick="window.app.ui.showStudentForm('${s.id}')">${readOnly ? '👁️' : '✏️'}</button>
+                                ${readOnly ? '' : `
+                                    <button class="icon-btn" title="Transfer to another class"
+                                            onclick="window.app.ui.showTransferModal('${s.id}')">⇄</button>
+                                    <button class="icon-btn danger" title="Withdraw or delete"
+                                            onclick="window.app.ui.showRemoveStudentModal('${s.id}')">🗑️</button>
+                                `}
+                            </span>
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+            ${leavers}
         `;
     }
 
     /**
-     * Render reports view
+     * Students who left the school, still in the reports of the days before
+     * @returns {string} HTML
      */
-    renderReportsView(container) {
-        const classObj = this.app.classManager.getById(this.currentClassId);
-        const now = new Date();
+    renderWithdrawn() {
+        const students = this.app.studentManager.getWithdrawn(this.currentClassId);
+        if (students.length === 0) return '';
+        const archived = this.app.classManager.isArchived(this.currentClassId);
         
-        container.innerHTML = `
-            <div class="reports-view">
-                <h2>Reports - ${classObj?.name || 'Select Class'}</h2>
-                
-                <div class="report-options">
-                    <label>
-                        Month:
-                        <select id="reportMonth">
-                            ${Array.from({length: 12}, (_, i) => 
-                                `<option value="${i + 1}" ${i + 1 === now.getMonth() + 1 ? 'selected' : ''}>
-                                    ${new Date(0, i).toLocaleString('default', { month: 'long' })}
-                                </option>`
-                            ).join('')}
-                        </select>
-                    </label>
-                    
-                    <label>
-                        Year:
-                        <select id="reportYear">
-                            ${Array.from({length: 3}, (_, i) => 
-                                `<option value="${now.getFullYear() - i}" ${i === 0 ? 'selected' : ''}>
-                                    ${now.getFullYear() - i}
-                                </option>`
-                            ).join('')}
-                        </select>
-                    </label>
-                </div>
-                
-                <div class="report-actions">
-                    <button class="btn btn-primary" onclick="window.app.ui.generatePDFReport()">
-                        📄 Generate PDF
-                    </button>
-                    <button class="btn btn-secondary" onclick="window.app.ui.generateCSVReport()">
-                        📊 Export CSV
-                    </button>
-                </div>
-                
-                <div id="reportPreview" class="report-preview"></div>
-            </div>
+        return `
+            <h3>Withdrawn</h3>
+            <ul class="student-list transferred">
+                ${students.map(s => `
+                    <li class="student-item">
+                        <span class="student-item-name">
+                            ${this.escapeHtml(s.name)}
+                            <small class="student-history">Since ${this.formatShortDate(s.withdrawnOn)}</small>
+                        </span>
+                        ${archived ? '' : `
+                            <span>
+                                <button class="icon-btn" title="Take back in the class"
+                                        onclick="window.app.ui.reinstateStudent('${s.id}')">↩️</button>
+                                <button class="icon-btn danger" title="Delete"
+                                        onclick="window.app.ui.showRemoveStudentModal('${s.id}')">🗑️</button>
+                            </span>
+                        `}
+                    </li>
+                `).join('')}
+            </ul>
         `;
     }
 
     /**
-     * Show add class modal
+     * When and where from the student joined the class (last transfer)
      */
-    showAddClassModal() {
-        this.showModal(`
-            <h2>Add Class</h2>
-            <form onsubmit="window.app.ui.addClass(event)">
-                <div class="form-group">
-                    <label>Class Name</label>
-                    <input type="text" name="className" placeholder="e.g., 1AEP" required>
-                </div>
-                <div class="form-actions">
-                    <button type="button" class="btn" onclick="window.app.ui.closeModal()">Cancel</button>
-                    <button type="submit" class="btn btn-primary">Add</button>
-                </div>
-            </form>
-        `);
+    renderTransferIn(student) {
+        const transfer = (student.transfers || []).slice(-1)[0];
+        if (!transfer || transfer.toClassId !== student.classId) return '';
+        
+        const from = this.app.classManager.getById(transfer.fromClassId);
+        return `
+            <small class="student-history">
+                Since ${this.formatShortDate(transfer.date)}${from ? `, from ${this.escapeHtml(from.name)}` : ''}
+            </small>
+        `;
     }
 
     /**
-     * Add new class
+     * Students who left the current class for another one
+     * @returns {string} HTML
      */
-    addClass(e) {
-        e.preventDefault();
-        const form = e.target;
-        const name = form.className.value;
+    renderTransfersOut() {
+        const transfers = this.app.studentManager.getTransfersOut(this.currentClassId);
+        if (transfers.length === 0) return '';
+        const archived = this.app.classManager.isArchived(this.currentClassId);
         
-        this.app.classManager.add(name);
-        this.showClassSelector();
-        this.closeModal();
+        return `
+            <h3>Transferred</h3>
+            <ul class="student-list transferred">
+                ${transfers.map(({ student, transfer }) => {
+                    const to = this.app.classManager.getById(transfer.toClassId);
+                    const last = student.transfers[student.transfers.length - 1] === transfer;
+                    return `
+                        <li class="student-item">
+                            <span class="student-item-name">
+                                ${this.escapeHtml(student.name)}
+                                <small class="student-history">
+                                    ${this.formatShortDate(transfer.date)} → ${to ? this.escapeHtml(to.name) : 'deleted class'}
+                                </small>
+                            </span>
+                            ${last && !archived ? `
+                                <button class="icon-btn" title="Cancel the transfer"
+                                        onclick="window.app.ui.cancelTransfer('${student.id}')">↩️</button>
+                            ` : ''}
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        `;
     }
 
     /**
-     * Show add student modal
+     * Ask where and from when a student changes class
+     * @param {string} studentId
      */
-    showAddStudentModal() {
+    showTransferModal(studentId) {
+        const student = this.app.studentManager.getById(studentId);
+        const classObj = student && this.app.classManager.getById(student.classId);
+        if (!classObj) return;
+        
+        const classes = this.app.classManager.getByYear(classObj.schoolYear)
+            .filter(c => c.id !== classObj.id && !c.archived);
+        if (classes.length === 0) {
+            alert(`No other class in ${classObj.schoolYear}`);
+            return;
+        }
+        
         this.showModal(`
-            <h2>Add Student</h2>
-            <form onsubmit="window.app.ui.addStudent(event)">
+            <h2>Transfer ${this.escapeHtml(student.name)}</h2>
+            <p class="help-text">
+                Arrivals recorded in ${this.escapeHtml(classObj.name)} stay there; reports list the student
+                in each class for the days spent in it.
+            </p>
+            <form onsubmit="window.app.ui.applyTransfer(event, '${studentId}')">
                 <div class="form-group">
-                    <label>Name</label>
-                    <input type="text" name="studentName" placeholder="Student name" required>
+                    <label>New class</label>
+                    <select name="toClassId" required>
+                        ${classes.map(c => `<option value="${c.id}">${this.escapeHtml(c.name)}</option>`).join('')}
+                    </select>
                 </div>
                 <div class="form-group">
-                    <label>Photo URL (optional)</label>
-                    <input type="url" name="photoUrl" placeholder="https://...">
+                    <label>First day in the new class</label>
+                    <input type="date" name="transferDate" value="${this.currentDate}" required>
                 </div>
                 <div class="form-actions">
                     <button type="button" class="btn" onclick="window.app.ui.closeModal()">Cancel</button>
-                    <button type="submit" class="btn btn-primary">Add</button>
+                    <button type="submit" class="btn btn-primary">Transfer</button>
                 </div>
             </form>
         `);
     }
 
     /**
-     * Add new student
+     * Move a student to another class
      */
-    addStudent(e) {
+    applyTransfer(e, studentId) {
         e.preventDefault();
         const form = e.target;
-        const name = form.studentName.value;
-        const photoUrl = form.photoUrl.value || null;
+        const date = form.transferDate.value;
+        if (!this.checkLeavingDate(studentId, date)) return;
         
-        this.app.studentManager.add(name, this.currentClassId, photoUrl);
+        const result = this.app.studentManager.transfer(studentId, form.toClassId.value, date);
+        if (!result.success) {
+            alert(result.error);
+            return;
+        }
         this.refreshCurrentView();
         this.closeModal();
     }
 
     /**
-     * Show import modal
+     * Arrivals already recorded in the class from the day a student leaves
+     * on would end up outside of it
+     * @param {string} studentId
+     * @param {string} date - First day out of the class
+     * @returns {boolean} - false (after telling) when there are some
      */
-    showImportModal() {
-        this.showModal(`
-            <h2>Import Students from CSV</h2>
-            <p class="help-text">CSV format: name,photoUrl (optional)</p>
-            <form onsubmit="window.app.ui.importStudents(event)">
-                <div class="form-group">
-                    <textarea name="csvContent" rows="10" placeholder="Ahmed&#10;Sara,https://...&#10;Khalid" required></textarea>
-                </div>
-                <div class="form-actions">
-                    <button type="button" class="btn" onclick="window.app.ui.closeModal()">Cancel</button>
-                    <button type="submit" class="btn btn-primary">Import</button>
-                </div>
-            </form>
-        `);
+    checkLeavingDate(studentId, date) {
+        const student = this.app.studentManager.getById(studentId);
+        const later = this.app.arrivalTracker.getAll()
+            .filter(a => a.studentId === studentId && a.classId === student.classId && a.date >= date)
+            .map(a => a.date)
+            .sort();
+        if (later.length > 0) {
+            alert(`Arrivals are recorded in this class until ${this.formatShortDate(later[later.length - 1])}: ` +
+                'choose a later date, or remove them first');
+            return false;
+        }
+        return true;
     }
 
     /**
-     * Import students from CSV
+     * Put a transferred student back in the previous class
+     * @param {string} studentId
      */
-    importStudents(e) {
-        e.preventDefault();
-        const form = e.target;
-        const csvContent = form.csvContent.value;
-        
-        const result = this.app.studentManager.importFromCSV(csvContent, this.currentClassId);
+    cancelTransfer(studentId) {
+        const student = this.app.studentManager.getById(studentId);
+        const transfer = student && (student.transfers || []).slice(-1)[0];
+        if (!transfer) return;
         
-        alert(`Imported ${result.imported} students${result.errors.length > 0 ? '. Errors: ' + result.errors.join(', ') : ''}`);
+        // Arrivals recorded in the new class would end up outside of it
+        const recorded = this.app.arrivalTracker.getAll()
+            .some(a => a.studentId === studentId && a.classId === transfer.toClassId);
+        if (recorded) {
+            alert('Arrivals are already recorded in the new class: the transfer cannot be cancelled');
+            return;
+        }
+        if (!confirm(`Cancel the transfer of ${student.name}?`)) return;
         
+        this.app.studentManager.cancelTransfer(studentId);
         this.refreshCurrentView();
-        this.closeModal();
     }
 
     /**
-     * Delete student
+     * Search students by name, code or guardian in the whole workspace
+     * @param {string} query
      */
-    deleteStudent(studentId) {
-        if (confirm('Delete this student?')) {
-            this.app.studentManager.delete(studentId);
-            this.refreshCurrentView();
-        }
+    searchStudents(query) {
+        this.studentQuery = query;
+        document.getElementById('studentResults').innerHTML = this.renderStudentList();
     }
 
     /**
-     * Toggle day in schedule
+     * Sort students by given or family name (everywhere: tracker, lists, reports)
+     * @param {string} order - Key of NAME_ORDERS
      */
-    toggleDay(day) {
-        const classObj = this.app.classManager.getById(this.currentClassId);
-        const current = classObj.schedule[day]?.enabled || false;
-        
-        this.app.classManager.update(this.currentClassId, {
-            schedule: {
-                ...classObj.schedule,
-                [day]: current ? { enabled: false } : { enabled: true, startTime: '08:00', endTime: '12:00' }
-            }
-        });
-        
-        this.refreshCurrentView();
+    setNameOrder(order) {
+        this.app.settings.set('nameOrder', order);
+        document.getElementById('studentResults').innerHTML = this.renderStudentList();
     }
 
     /**
-     * Update schedule time
+     * Classes of the student in past years (e.g., "1AEP 2025-2026")
      */
-    updateSchedule(day, field, value) {
-        const classObj = this.app.classManager.getById(this.currentClassId);
+    renderStudentHistory(student) {
+        const history = this.app.studentManager.getHistory(student.id)
+            .map(s => this.app.classManager.getById(s.classId))
+            .filter(Boolean);
         
-        this.app.classManager.update(this.currentClassId, {
-            schedule: {
-                ...classObj.schedule,
-                [day]: {
-                    ...classObj.schedule[day],
-                    [field]: value
-                }
-            }
-        });
+        return history.length > 0 ? `
+            <small class="student-history">
+                ${history.map(c => `${this.escapeHtml(c.name)} ${c.schoolYear}`).join(' · ')}
+            </small>
+        ` : '';
     }
 
     /**
-     * Generate PDF report
+     * Render schedule view
      */
-    async generatePDFReport() {
-        const month = parseInt(document.getElementById('reportMonth').value);
-        const year = parseInt(document.getElementById('reportYear').value);
-        
-        const report = this.app.reportGenerator.generateMonthlyReport(
-            this.currentClassId, year, month
-        );
-        
-        // Generate HTML report for printing
-        const html = this.generateReportHTML(report);
+    renderScheduleView(container) {
+        if (!this.currentClassId) {
+            container.innerHTML = '<p class="empty-state">Select a class first</p>';
+            return;
+        }
+
+        const classManager = this.app.classManager;
+        const classObj = classManager.getById(this.currentClassId);
+        const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+        const dayNames = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+        const weeks = classManager.getWeekCount(classObj.id);
+        if (this.scheduleWeek >= weeks) this.scheduleWeek = 0;
+        const weekSchedule = classManager.getWeekSchedule(classObj, this.scheduleWeek);
         
-        // Open print window
-        const printWindow = window.open('', '_blank');
-        printWindow.document.write(html);
-        printWindow.document.close();
-        printWindow.print();
+        container.innerHTML = `
+            <div class="schedule-view">
+                <div class="view-header">
+                    <h2>Schedule - ${this.escapeHtml(classObj.name)}</h2>
+                    <button class="icon-btn" title="Edit class" onclick="window.app.ui.showEditClassModal('${classObj.id}')">✏️</button>
+                </div>
+                
+                ${classObj.archived ? `
+                    <p class="archived-info">🗄️ School year ${classObj.schoolYear} (read-only)</p>
+                ` : ''}
+                
+                <fieldset class="schedule-fields" ${classObj.archived ? 'disabled' : ''}>
+                
+                    ${this.renderRotationSection(classObj)}
+                
+                    ${weeks > 1 ? `
+                        <div class="session-tabs">
+                            ${Array.from({ length: weeks }, (_, week) => `
+                                <button class="session-tab ${week === this.scheduleWeek ? 'active' : ''}"
+                                        onclick="window.app.ui.selectScheduleWeek(${week})">
+                                    ${ClassManager.weekLabel(week)}
+                                </button>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                
+                    <div class="schedule-grid">
+                        ${days.map((day, i) => {
+                            const schedule = weekSchedule[day] || { enabled: false, sessions: [] };
+                            return `
+                                <div class="schedule-day ${schedule.enabled ? 'enabled' : ''}">
+                                    <label class="day-name">
+                                        <input type="checkbox" ${schedule.enabled ? 'checked' : ''} 
+                                               onchange="window.app.ui.toggleDay('${day}')">
+                                        ${dayNames[i]}
+                                    </label>
+                                    ${schedule.enabled ? `
+                                        <div class="session-list">
+                                            ${schedule.sessions.map((session, index) => `
+                                                <div class="time-inputs">
+                                                    <input type="text" class="session-label" value="${this.escapeHtml(session.label || '')}"
+                                                           placeholder="${ClassManager.sessionLabel({}, index)}"
+                                                           onchange="window.app.ui.updateSchedule('${day}', '${session.id}', 'label', this.value)">
+                                                    <input type="time" value="${session.startTime}"
+                                                           onchange="window.app.ui.updateSchedule('${day}', '${session.id}', 'startTime', this.value)">
+                                                    <span>to</span>
+                                                    <input type="time" value="${session.endTime}"
+                                                           onchange="window.app.ui.updateSchedule('${day}', '${session.id}', 'endTime', this.value)">
+                                                    <button class="icon-btn danger" title="Remove session"
+                                                            onclick="window.app.ui.removeSession('${day}', '${session.id}')">✕</button>
+                                                </div>
+                                            `).join('')}
+                                            <button class="btn btn-secondary add-session-btn" onclick="window.app.ui.addSession('${day}')">
+                                                + Session
+                                            </button>
+                                        </div>
+                                    ` : '<span class="no-class">No class</span>'}
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+                
+                    ${this.renderOverrideSection(classObj)}
+                
+                    ${this.renderLatenessSection(classObj)}
+                
+                </fieldset>
+                
+                ${this.renderTimetableFileSection(classObj)}
+            </div>
+        `;
     }
 
     /**
-     * Generate CSV report
+     * Render the .ics export/import of the timetable (phone calendars)
      */
-    generateCSVReport() {
-        const month = parseInt(document.getElementById('reportMonth').value);
-        const year = parseInt(document.getElementById('reportYear').value);
+    renderTimetableFileSection(classObj) {
+        return `
+            <div class="override-section">
+                <h3>Calendar file (.ics)</h3>
+                <p class="help-text">Add this timetable to a phone calendar, or read the one published by the school.</p>
+                <label>
+                    <input type="checkbox" id="icsWithCalendar">
+                    Include the school calendar (terms, holidays...)
+                </label>
+                <div class="override-actions">
+                    <button class="btn btn-secondary" onclick="window.app.ui.exportTimetable()">📤 Export .ics</button>
+                    ${classObj.archived ? '' : `
+                        <label class="btn btn-secondary file-btn">
+                            📥 Import .ics
+                            <input type="file" accept=".ics,text/calendar" hidden
+                                   onchange="window.app.ui.importTimetable(this.files[0])">
+                        </label>
+                    `}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Download the timetable of the current class as .ics
+     */
+    exportTimetable() {
+        const classObj = this.app.classManager.getById(this.currentClassId);
+        const withCalendar = document.getElementById('icsWithCalendar').checked;
         
-        const report = this.app.reportGenerator.generateMonthlyReport(
-            this.currentClassId, year, month
+        this.downloadFile(
+            this.app.timetableCalendar.exportICS(classObj.id, withCalendar),
+            `timetable-${classObj.name}.ics`,
+            'text/calendar'
         );
+    }
+
+    /**
+     * Replace the timetable of the current class with an .ics file
+     */
+    async importTimetable(file) {
+        if (!file) return;
+        if (!confirm('Replace the weekly schedule of this class with the timetable of this file?')) return;
         
-        const csv = this.app.reportGenerator.generateCSV(report);
+        const result = this.app.timetableCalendar.importICS(await file.text(), { classId: this.currentClassId });
+        this.reportTimetableImport(result);
+        this.refreshCurrentView();
+    }
+
+    /**
+     * Create a class from an .ics timetable
+     */
+    async importTimetableClass(e) {
+        e.preventDefault();
+        const form = e.target;
+        const file = form.icsFile.files[0];
         
-        // Download CSV
-        const blob = new Blob([csv], { type: 'text/csv' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `rapport_${report.className}_${month}_${year}.csv`;
-        a.click();
-        URL.revokeObjectURL(url);
+        const result = this.app.timetableCalendar.importICS(await file.text(), { name: form.className.value });
+        this.reportTimetableImport(result);
+        if (result.success) {
+            this.currentYear = null;
+            this.currentClassId = result.class.id;
+            this.showClassSelector();
+            this.refreshCurrentView();
+            this.showClassesModal();
+        }
     }
 
     /**
-     * Generate report HTML for PDF
+     * Tell how an .ics timetable import went
      */
-    generateReportHTML(report) {
-        return `
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <meta charset="UTF-8">
-                <title>Rapport - ${report.className} - ${report.monthName}</title>
-                <style>
+    reportTimetableImport(result) {
+        if (!result.success) {
+            alert(`Import failed: ${result.error}`);
+            return;
+        }
+        alert(`Imported ${result.sessions} weekly sessions and ${result.overrides} changed dates` +
+            (result.skipped > 0 ? ` (${result.skipped} events ignored: all-day or not weekly)` : ''));
+    }
+
+    /**
+     * Render the lateness rules of a class (empty fields use the global rules)
+     */
+    renderLatenessSection(classObj) {
+        const own = classObj.lateness || {};
+        const defaults = this.app.settings.get('lateness');
+        
+        return `
+            <div class="override-section">
+                <h3>Lateness rules</h3>
+                <p class="help-text">Leave empty to use the rules of all classes (☰ → Lateness rules).</p>
+                ${this.renderLatenessFields(own, defaults, 'window.app.ui.updateClassLateness')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render lateness rule inputs
+     * @param {object} values - Current values (missing = empty)
+     * @param {object} placeholders - Values shown when empty
+     * @param {string} handler - Called with (rule, value) on change
+     */
+    renderLatenessFields(values, placeholders, handler) {
+        const fields = [
+            ['graceMinutes', 'Grace period (minutes counted on time)'],
+            ['veryLateMinutes', 'Very late from (minutes, 0 = off)'],
+            ['absentMinutes', 'Counted absent from (minutes, 0 = off)']
+        ];
+        
+        return fields.map(([rule, label]) => `
+            <div class="form-group">
+                <label>${label}</label>
+                <input type="number" min="0" value="${values[rule] ?? ''}" placeholder="${placeholders[rule] ?? ''}"
+                       onchange="${handler}('${rule}', this.value)">
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Change a lateness rule of the current class (empty = global rule)
+     */
+    updateClassLateness(rule, value) {
+        const classObj = this.app.classManager.getById(this.currentClassId);
+        const { [rule]: previous, ...lateness } = classObj.lateness || {};
+        if (value !== '') {
+            lateness[rule] = Math.max(0, parseInt(value) || 0);
+        }
+        this.app.classManager.update(this.currentClassId, { lateness });
+    }
+
+    /**
+     * Show global lateness rules modal
+     */
+    showLatenessModal() {
+        this.showModal(`
+            <h2>Lateness Rules</h2>
+            <p class="help-text">
+                Used by every class without its own rules (Schedule view).
+                Arrivals already recorded keep their status: use "Recompute lateness" on a date to update them.
+            </p>
+            ${this.renderLatenessFields(this.app.settings.get('lateness'), {}, 'window.app.ui.updateLateness')}
+            <div class="form-actions">
+                <button type="button" class="btn" onclick="window.app.ui.closeModal()">Close</button>
+            </div>
+        `);
+    }
+
+    /**
+     * Change a global lateness rule
+     */
+    updateLateness(rule, value) {
+        this.app.settings.set('lateness', {
+            ...this.app.settings.get('lateness'),
+            [rule]: Math.max(0, parseInt(value) || 0)
+        });
+    }
+
+    /**
+     * Render the week rotation settings (A/B weeks...)
+     */
+    renderRotationSection(classObj) {
+        const classManager = this.app.classManager;
+        const rotation = classObj.rotation;
+        const weeks = classManager.getWeekCount(classObj.id);
+        
+        return `
+            <form class="rotation-form" onsubmit="window.app.ui.saveRotation(event)">
+                <label>
+                    Rotation
+                    <select name="weeks">
+                        ${[1, 2, 3, 4].map(n => `
+                            <option value="${n}" ${n === weeks ? 'selected' : ''}>
+                                ${n === 1 ? 'Same every week' : `${n} weeks`}
+                            </option>
+                        `).join('')}
+                    </select>
+                </label>
+                <label>
+                    Week A starts
+                    <input type="date" name="anchorDate" value="${rotation ? rotation.anchorDate : this.currentDate}">
+                </label>
+                <label>
+                    <input type="checkbox" name="skipClosedWeeks" ${!rotation || rotation.skipClosedWeeks ? 'checked' : ''}>
+                    Vacation weeks don't count
+                </label>
+                <button type="submit" class="btn btn-secondary">Apply</button>
+                ${weeks > 1 ? `
+                    <p class="help-text">
+                        ${this.formatDate(this.currentDate)} is in
+                        ${ClassManager.weekLabel(classManager.getWeekIndex(classObj.id, this.currentDate))}
+                    </p>
+                ` : ''}
+            </form>
+        `;
+    }
+
+    /**
+     * Save the week rotation of the current class
+     */
+    saveRotation(e) {
+        e.preventDefault();
+        const form = e.target;
+        const weeks = parseInt(form.weeks.value);
+        const current = this.app.classManager.getWeekCount(this.currentClassId);
+        
+        if (weeks < current && 
+            !confirm(`Remove the schedules of weeks ${ClassManager.weekLabel(weeks).slice(-1)}-${ClassManager.weekLabel(current - 1).slice(-1)}?`)) {
+            return;
+        }
+        
+        this.app.classManager.setRotation(this.currentClassId, {
+            weeks,
+            anchorDate: form.anchorDate.value,
+            skipClosedWeeks: form.skipClosedWeeks.checked
+        });
+        this.refreshCurrentView();
+    }
+
+    /**
+     * Pick the rotation week edited in the schedule view
+     */
+    selectScheduleWeek(week) {
+        this.scheduleWeek = week;
+        this.refreshCurrentView();
+    }
+
+    /**
+     * Render the schedule changes for one date (exam day, assembly...)
+     */
+    renderOverrideSection(classObj) {
+        const classManager = this.app.classManager;
+        const date = this.overrideDate || this.currentDate;
+        const override = classManager.getOverride(classObj.id, date);
+        const templateIds = new Set(classManager.getTemplateSessions(classObj.id, date).map(s => s.id));
+        const sessions = classManager.getDaySessions(classObj.id, date);
+        const recorded = this.app.arrivalTracker.getByClassAndDate(classObj.id, date).length;
+        const otherDates = classManager.getOverrideDates(classObj.id).filter(d => d !== date);
+        
+        return `
+            <div class="override-section">
+                <h3>Changes for one date</h3>
+                <div class="form-group">
+                    <input type="date" value="${date}" onchange="window.app.ui.selectOverrideDate(this.value)">
+                </div>
+                
+                ${override ? `
+                    <div class="session-list">
+                        ${sessions.map((session, index) => `
+                            <div class="time-inputs ${session.cancelled ? 'cancelled' : ''}">
+                                <input type="text" class="session-label" value="${this.escapeHtml(session.label || '')}"
+                                       placeholder="${ClassManager.sessionLabel({}, index)}"
+                                       onchange="window.app.ui.updateOverride('${session.id}', 'label', this.value)">
+                                <input type="time" value="${session.startTime}"
+                                       onchange="window.app.ui.updateOverride('${session.id}', 'startTime', this.value)">
+                                <span>to</span>
+                                <input type="time" value="${session.endTime}"
+                                       onchange="window.app.ui.updateOverride('${session.id}', 'endTime', this.value)">
+                                ${templateIds.has(session.id) ? `
+                                    <label class="cancel-session">
+                                        <input type="checkbox" ${session.cancelled ? 'checked' : ''}
+                                               onchange="window.app.ui.updateOverride('${session.id}', 'cancelled', this.checked)">
+                                        Cancelled
+                                    </label>
+                                ` : `
+                                    <button class="icon-btn danger" title="Remove extra session"
+                                            onclick="window.app.ui.removeOverrideSession('${session.id}')">✕</button>
+                                `}
+                            </div>
+                        `).join('')}
+                    </div>
+                    <div class="override-actions">
+                        <button class="btn btn-secondary" onclick="window.app.ui.addOverrideSession()">+ Extra session</button>
+                        <button class="btn" onclick="window.app.ui.removeOverride()">Back to weekly schedule</button>
+                    </div>
+                ` : `
+                    <p class="help-text">
+                        ${sessions.length > 0 ? 
+                            `Weekly schedule: ${sessions.map(s => `${s.startTime} - ${s.endTime}`).join(', ')}` : 
+                            'No class in the weekly schedule'}
+                    </p>
+                    <button class="btn btn-secondary" onclick="window.app.ui.createOverride()">Change this date</button>
+                `}
+                
+                ${recorded > 0 ? `
+                    <p class="help-text">${recorded} arrivals already recorded on this date.</p>
+                    <button class="btn btn-secondary" onclick="window.app.ui.recalculateArrivals()">
+                        Recompute lateness of recorded arrivals
+                    </button>
+                ` : ''}
+                
+                ${otherDates.length > 0 ? `
+                    <p class="help-text">Other changed dates:</p>
+                    <div class="override-dates">
+                        ${otherDates.map(d => `
+                            <button class="btn btn-secondary" onclick="window.app.ui.selectOverrideDate('${d}')">${d}</button>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render reports view
+     */
+    renderReportsView(container) {
+        const classObj = this.app.classManager.getById(this.currentClassId);
+        const now = new Date();
+        const yearClasses = this.app.classManager.getByYear(this.getViewedYear());
+        
+        container.innerHTML = `
+            <div class="reports-view">
+                <h2>Reports - ${this.escapeHtml(classObj?.name || 'Select Class')}</h2>
+                
+                <div class="report-options">
+                    <label>
+                        Classes:
+                        <select id="reportScope">
+                            ${classObj ? `<option value="">${this.escapeHtml(classObj.name)}</option>` : ''}
+                            ${Object.entries(CLASS_FIELDS).map(([field, label]) => {
+                                const values = this.app.classManager.getFieldValues(field, yearClasses);
+                                return values.length === 0 ? '' : `
+                                    <optgroup label="${label}">
+                                        ${values.map(value => `
+                                            <option value="${field}:${this.escapeHtml(value)}">
+                                                ${label}: ${this.escapeHtml(value)}
+                                            </option>
+                                        `).join('')}
+                                    </optgroup>
+                                `;
+                            }).join('')}
+                        </select>
+                    </label>
+                    
+                    <label>
+                        Month:
+                        <select id="reportMonth">
+                            ${Array.from({length: 12}, (_, i) => 
+                                `<option value="${i + 1}" ${i + 1 === now.getMonth() + 1 ? 'selected' : ''}>
+                                    ${new Date(0, i).toLocaleString('default', { month: 'long' })}
+                                </option>`
+                            ).join('')}
+                        </select>
+                    </label>
+                    
+                    <label>
+                        Year:
+                        <select id="reportYear">
+                            ${Array.from({length: 3}, (_, i) => 
+                                `<option value="${now.getFullYear() - i}" ${i === 0 ? 'selected' : ''}>
+                                    ${now.getFullYear() - i}
+                                </option>`
+                            ).join('')}
+                        </select>
+                    </label>
+                </div>
+                
+                <div class="report-columns">
+                    <span>Student columns:</span>
+                    ${Object.entries(STUDENT_COLUMNS).map(([column, title]) => `
+                        <label>
+                            <input type="checkbox" name="reportColumn" value="${column}">
+                            ${title}
+                        </label>
+                    `).join('')}
+                </div>
+                
+                <div class="report-actions">
+                    <button class="btn btn-primary" onclick="window.app.ui.generatePDFReport()">
+                        📄 Generate PDF
+                    </button>
+                    <button class="btn btn-secondary" onclick="window.app.ui.generateCSVReport()">
+                        📊 Export CSV
+                    </button>
+                </div>
+                
+                <div id="reportPreview" class="report-preview"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Show add class modal
+     */
+    showAddClassModal() {
+        this.showModal(`
+            <h2>Add Class</h2>
+            <form onsubmit="window.app.ui.addClass(event)">
+                <div class="form-group">
+                    <label>Class Name</label>
+                    <input type="text" name="className" placeholder="e.g., 1AEP" required>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn" onclick="window.app.ui.closeModal()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Add</button>
+                </div>
+            </form>
+        `);
+    }
+
+    /**
+     * Add new class
+     */
+    addClass(e) {
+        e.preventDefault();
+        const form = e.target;
+        const name = form.className.value;
+        
+        this.app.classManager.add(name);
+        this.currentYear = null;
+        this.showClassSelector();
+        this.closeModal();
+    }
+
+    /**
+     * Show the classes of the school year shown, to add, rename or delete them
+     */
+    showClassesModal() {
+        const year = this.getViewedYear();
+        const classes = this.app.classManager.getByYear(year);
+        const trashed = this.app.trash.getAll().length;
+        
+        this.showModal(`
+            <h2>Classes ${year}</h2>
+            ${classes.length === 0 ? '<p class="empty-state">No classes yet</p>' : `
+                <ul class="workspace-list">
+                    ${classes.map(c => `
+                        <li class="workspace-item">
+                            <span class="workspace-name">
+                                ${this.escapeHtml(c.name)}
+                                <span class="help-text">
+                                    ${[c.level, c.teacher, c.room].filter(Boolean).map(v => this.escapeHtml(v)).join(' · ')}
+                                    ${this.app.studentManager.getSortedByName(c.id).length} students
+                                </span>
+                            </span>
+                            <span class="workspace-actions">
+                                <button class="icon-btn" title="Edit" onclick="window.app.ui.showEditClassModal('${c.id}')">✏️</button>
+                                <button class="icon-btn danger" title="Delete" onclick="window.app.ui.deleteClass('${c.id}')">🗑️</button>
+                            </span>
+                        </li>
+                    `).join('')}
+                </ul>
+            `}
+            ${year === this.app.classManager.getCurrentYear() ? `
+                <form onsubmit="window.app.ui.importTimetableClass(event)">
+                    <div class="form-group">
+                        <label>New class from a timetable (.ics)</label>
+                        <input type="text" name="className" placeholder="Class name, e.g., 1AEP" required>
+                        <input type="file" name="icsFile" accept=".ics,text/calendar" required>
+                    </div>
+                    <div class="form-actions">
+                        <button type="submit" class="btn btn-secondary">📥 Import</button>
+                    </div>
+                </form>
+            ` : ''}
+            <div class="form-actions">
+                <button type="button" class="btn" onclick="window.app.ui.showTrashModal()">🗑️ Trash (${trashed})</button>
+                <button type="button" class="btn" onclick="window.app.ui.closeModal()">Close</button>
+                ${year === this.app.classManager.getCurrentYear() ? `
+                    <button type="button" class="btn btn-primary" onclick="window.app.ui.showAddClassModal()">+ Add Class</button>
+                ` : ''}
+            </div>
+        `);
+    }
+
+    /**
+     * Show the edit form of a class
+     */
+    showEditClassModal(classId) {
+        const classObj = this.app.classManager.getById(classId);
+        if (!classObj) return;
+        
+        this.showModal(`
+            <h2>Edit Class</h2>
+            <form onsubmit="window.app.ui.saveClass(event, '${classId}')">
+                <div class="form-group">
+                    <label>Class Name</label>
+                    <input type="text" name="className" value="${this.escapeHtml(classObj.name)}" required>
+                </div>
+                ${Object.entries(CLASS_FIELDS).map(([field, label]) => `
+                    <div class="form-group">
+                        <label>${label}</label>
+                        <input type="text" name="${field}" value="${this.escapeHtml(classObj[field] || '')}" list="${field}Values">
+                        <datalist id="${field}Values">
+                            ${this.app.classManager.getFieldValues(field).map(value => 
+                                `<option value="${this.escapeHtml(value)}">`
+                            ).join('')}
+                        </datalist>
+                    </div>
+                `).join('')}
+                <div class="form-group">
+                    <label>Color</label>
+                    <div class="color-choices">
+                        <label class="color-choice">
+                            <input type="radio" name="color" value="" ${!classObj.color ? 'checked' : ''}>
+                            <span class="color-swatch none">✕</span>
+                        </label>
+                        ${CLASS_COLORS.map(color => `
+                            <label class="color-choice">
+                                <input type="radio" name="color" value="${color}" ${classObj.color === color ? 'checked' : ''}>
+                                <span class="color-swatch" style="background: ${color}"></span>
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+                <p class="help-text">
+                    ${classObj.schoolYear}${classObj.archived ? ' (archived)' : ''} ·
+                    ${this.app.studentManager.getSortedByName(classId).length} students ·
+                    ${this.app.arrivalTracker.getAll().filter(a => a.classId === classId).length} arrivals
+                </p>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-danger" onclick="window.app.ui.deleteClass('${classId}')">Delete class</button>
+                    <button type="button" class="btn" onclick="window.app.ui.showClassesModal()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Save</button>
+                </div>
+            </form>
+        `);
+    }
+
+    /**
+     * Save the name and description of a class
+     */
+    saveClass(e, classId) {
+        e.preventDefault();
+        const form = e.target;
+        const name = form.className.value.trim();
+        if (!name) return;
+        
+        const updates = { name, color: form.color.value || null };
+        Object.keys(CLASS_FIELDS).forEach(field => {
+            updates[field] = form[field].value.trim();
+        });
+        
+        this.app.classManager.update(classId, updates);
+        this.showClassSelector();
+        this.refreshCurrentView();
+        this.showClassesModal();
+    }
+
+    /**
+     * Move a class with its students and arrivals to the trash
+     */
+    deleteClass(classId) {
+        const classObj = this.app.classManager.getById(classId);
+        if (!classObj) return;
+        
+        const students = this.app.studentManager.getByClass(classId).length;
+        if (!confirm(`Delete ${classObj.name} and its ${students} students? It stays in the trash for ${RETENTION_DAYS} days.`)) {
+            return;
+        }
+        
+        const item = this.app.trash.deleteClass(classId);
+        if (this.currentClassId === classId) {
+            this.currentClassId = null;
+        }
+        this.showClassSelector();
+        this.refreshCurrentView();
+        
+        this.showModal(`
+            <h2>Class Deleted</h2>
+            <p>
+                ${this.escapeHtml(classObj.name)} was moved to the trash with
+                ${item.students.length} students and ${item.arrivals.length} arrivals.
+            </p>
+            <div class="form-actions">
+                <button type="button" class="btn" onclick="window.app.ui.restoreClass('${item.id}')">↩️ Undo</button>
+                <button type="button" class="btn btn-primary" onclick="window.app.ui.showClassesModal()">OK</button>
+            </div>
+        `);
+    }
+
+    /**
+     * Show deleted classes
+     */
+    showTrashModal() {
+        const items = this.app.trash.getAll();
+        
+        this.showModal(`
+            <h2>Trash</h2>
+            <p class="help-text">Deleted classes and students are kept ${RETENTION_DAYS} days with their arrivals.</p>
+            ${items.length === 0 ? '<p class="empty-state">The trash is empty</p>' : `
+                <ul class="workspace-list">
+                    ${items.map(item => `
+                        <li class="workspace-item">
+                            <span class="workspace-name">
+                                ${item.student ? `
+                                    ${this.escapeHtml(item.student.name)}
+                                ` : `
+                                    ${this.escapeHtml(item.class.name)} ${item.class.schoolYear || ''}
+                                `}
+                                <span class="help-text">
+                                    ${item.student ? '' : `${item.students.length} students, `}${item.arrivals.length} arrivals ·
+                                    deleted ${this.formatDate(item.deletedAt)} ·
+                                    purged ${this.formatDate(new Date(Trash.expiresAt(item)).toISOString())}
+                                </span>
+                            </span>
+                            <span class="workspace-actions">
+                                <button class="btn btn-secondary"
+                                        onclick="window.app.ui.${item.student ? 'restoreStudent' : 'restoreClass'}('${item.id}')">Restore</button>
+                                <button class="icon-btn danger" title="Delete for good" onclick="window.app.ui.purgeTrashItem('${item.id}')">✕</button>
+                            </span>
+                        </li>
+                    `).join('')}
+                </ul>
+            `}
+            <div class="form-actions">
+                <button type="button" class="btn" onclick="window.app.ui.showClassesModal()">Back</button>
+            </div>
+        `);
+    }
+
+    /**
+     * Put a deleted class back
+     */
+    restoreClass(itemId) {
+        const result = this.app.trash.restore(itemId);
+        if (!result.success) {
+            alert(result.error);
+            return;
+        }
+        
+        this.currentYear = result.class.schoolYear === this.app.classManager.getCurrentYear() ? 
+            null : result.class.schoolYear;
+        this.currentClassId = result.class.id;
+        this.showClassSelector();
+        this.refreshCurrentView();
+        this.showClassesModal();
+    }
+
+    /**
+     * Put a deleted student back
+     */
+    restoreStudent(itemId) {
+        const result = this.app.trash.restore(itemId);
+        if (!result.success) {
+            alert(result.error);
+            return;
+        }
+        
+        this.refreshCurrentView();
+        this.closeModal();
+    }
+
+    /**
+     * Delete a trashed class or student for good
+     */
+    purgeTrashItem(itemId) {
+        const item = this.app.trash.getById(itemId);
+        const what = item && (item.student ? `${item.student.name} and the arrivals` : `${item.class.name}, its students and arrivals`);
+        if (item && confirm(`Delete ${what} for good?`)) {
+            this.app.trash.purge(itemId);
+            this.showTrashModal();
+        }
+    }
+
+    /**
+     * Show add student modal
+     */
+    showAddStudentModal() {
+        this.showStudentForm(null);
+    }
+
+    /**
+     * Student profile form, to add a student or edit one
+     * (read-only for the students of a past school year)
+     * @param {string|null} studentId
+     */
+    showStudentForm(studentId) {
+        const student = studentId ? this.app.studentManager.getById(studentId) : null;
+        if (studentId && !student) return;
+        
+        const classObj = this.app.classManager.getById(student ? student.classId : this.currentClassId);
+        const readOnly = !classObj || !!classObj.archived;
+        const value = field => student ? this.escapeHtml(student[field] || '') : '';
+        const guardians = student && student.guardians && student.guardians.length > 0 ?
+            student.guardians : [{}];
+        
+        this.showModal(`
+            <h2>${student ? this.escapeHtml(student.name) : 'Add Student'}</h2>
+            <form onsubmit="window.app.ui.saveStudent(event, ${student ? `'${student.id}'` : 'null'})">
+                <fieldset class="student-fields" ${readOnly ? 'disabled' : ''}>
+                    <div class="form-group">
+                        <label>Name</label>
+                        <input type="text" name="studentName" value="${value('name')}" placeholder="As shown in the class" required>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label>First name</label>
+                            <input type="text" name="firstName" value="${value('firstName')}">
+                        </div>
+                        <div class="form-group">
+                            <label>Last name</label>
+                            <input type="text" name="lastName" value="${value('lastName')}">
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label>Student code</label>
+                            <input type="text" name="code" value="${value('code')}" placeholder="Official code">
+                        </div>
+                        <div class="form-group">
+                            <label>Gender</label>
+                            <select name="gender">
+                                <option value="">—</option>
+                                ${Object.entries(GENDERS).map(([gender, label]) => `
+                                    <option value="${gender}" ${student && student.gender === gender ? 'selected' : ''}>${label}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label>Birth date</label>
+                            <input type="date" name="birthDate" value="${value('birthDate')}">
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label>Photo URL (optional)</label>
+                        <input type="url" name="photoUrl" value="${value('photoUrl')}" placeholder="https://...">
+                    </div>
+                    <h3>Guardians</h3>
+                    <div id="guardianRows">
+                        ${guardians.map(guardian => this.renderGuardianRow(guardian)).join('')}
+                    </div>
+                    <button type="button" class="btn btn-secondary" onclick="window.app.ui.addGuardianRow()">+ Add guardian</button>
+                </fieldset>
+                <div class="form-actions">
+                    <button type="button" class="btn" onclick="window.app.ui.closeModal()">${readOnly ? 'Close' : 'Cancel'}</button>
+                    ${readOnly ? '' : `<button type="submit" class="btn btn-primary">${student ? 'Save' : 'Add'}</button>`}
+                </div>
+            </form>
+        `);
+    }
+
+    /**
+     * Contact fields of one guardian in the student form
+     * @param {object} guardian - { name, relation, phone, email }
+     * @returns {string} HTML
+     */
+    renderGuardianRow(guardian = {}) {
+        const value = field => this.escapeHtml(guardian[field] || '');
+        return `
+            <div class="guardian-row">
+                <input type="text" name="guardianName" value="${value('name')}" placeholder="Name">
+                <input type="text" name="guardianRelation" value="${value('relation')}" placeholder="Mother, father..." list="guardianRelations">
+                <input type="tel" name="guardianPhone" value="${value('phone')}" placeholder="Phone">
+                <input type="email" name="guardianEmail" value="${value('email')}" placeholder="Email">
+                <button type="button" class="icon-btn danger" title="Remove"
+                        onclick="this.closest('.guardian-row').remove()">✕</button>
+                <datalist id="guardianRelations">
+                    <option value="Mother"><option value="Father"><option value="Guardian">
+                </datalist>
+            </div>
+        `;
+    }
+
+    /**
+     * Add empty guardian fields to the student form
+     */
+    addGuardianRow() {
+        document.getElementById('guardianRows').insertAdjacentHTML('beforeend', this.renderGuardianRow());
+    }
+
+    /**
+     * Add a student, or save the profile of one
+     */
+    saveStudent(e, studentId) {
+        e.preventDefault();
+        const form = e.target;
+        const studentManager = this.app.studentManager;
+        const text = input => input.value.trim();
+        
+        const profile = {
+            name: text(form.studentName),
+            firstName: text(form.firstName),
+            lastName: text(form.lastName),
+            code: text(form.code),
+            gender: form.gender.value,
+            birthDate: form.birthDate.value,
+            photoUrl: text(form.photoUrl) || null,
+            guardians: [...form.querySelectorAll('.guardian-row')]
+                .map(row => ({
+                    name: text(row.querySelector('[name=guardianName]')),
+                    relation: text(row.querySelector('[name=guardianRelation]')),
+                    phone: text(row.querySelector('[name=guardianPhone]')),
+                    email: text(row.querySelector('[name=guardianEmail]'))
+                }))
+                .filter(g => g.name || g.relation || g.phone || g.email)
+        };
+        
+        const error = studentManager.checkProfile(profile, studentId);
+        if (error) {
+            alert(error);
+            return;
+        }
+        
+        if (studentId) {
+            studentManager.update(studentId, profile);
+        } else {
+            const { name, photoUrl, ...details } = profile;
+            studentManager.add(name, this.currentClassId, photoUrl, details);
+        }
+        this.refreshCurrentView();
+        this.closeModal();
+    }
+
+    /**
+     * Photo of a student: take one, pick one, or remove it
+     * @param {string} studentId
+     */
+    showPhotoModal(studentId) {
+        const student = this.app.studentManager.getById(studentId);
+        if (!student) return;
+        const photo = this.app.photos.get(studentId);
+        
+        this.showModal(`
+            <h2>${this.escapeHtml(student.name)}</h2>
+            <div class="photo-editor">
+                <div class="student-photo large">
+                    ${photo ? `<img src="${photo}" alt="">` : '<div class="photo-placeholder">👤</div>'}
+                </div>
+                <label class="btn btn-primary file-btn">
+                    📷 Take Photo
+                    <input type="file" accept="image/*" capture="environment" hidden
+                           onchange="window.app.ui.pickStudentPhoto('${studentId}', this.files[0])">
+                </label>
+                <label class="btn btn-secondary file-btn">
+                    🖼️ Choose File
+                    <input type="file" accept="image/*" hidden
+                           onchange="window.app.ui.pickStudentPhoto('${studentId}', this.files[0])">
+                </label>
+                ${this.app.photos.has(studentId) ? `
+                    <button class="btn btn-danger" onclick="window.app.ui.removeStudentPhoto('${studentId}')">Remove</button>
+                ` : ''}
+            </div>
+            <p class="help-text">Photos stay on this device (and in backups): they show even offline.</p>
+            <div class="form-actions">
+                <button type="button" class="btn" onclick="window.app.ui.closeModal()">Close</button>
+            </div>
+        `);
+    }
+
+    /**
+     * Crop the photo just taken or picked
+     * @param {string} studentId
+     * @param {File} file
+     */
+    async pickStudentPhoto(studentId, file) {
+        if (!file) return;
+        
+        let image;
+        try {
+            image = await StudentPhotos.loadImage(file);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        this.photoCrop = { studentId, image, crop: { zoom: 1, x: 0.5, y: 0.5 } };
+        
+        this.showModal(`
+            <h2>Crop Photo</h2>
+            <form class="photo-crop" onsubmit="window.app.ui.savePhotoCrop(event)" oninput="window.app.ui.updatePhotoCrop(this)">
+                <canvas id="photoCropPreview" width="${PHOTO_SIZE}" height="${PHOTO_SIZE}"></canvas>
+                <label>Zoom <input type="range" name="zoom" min="1" max="4" step="0.05" value="1"></label>
+                <label>Horizontal <input type="range" name="x" min="0" max="1" step="0.01" value="0.5"></label>
+                <label>Vertical <input type="range" name="y" min="0" max="1" step="0.01" value="0.5"></label>
+                <div class="form-actions">
+                    <button type="button" class="btn" onclick="window.app.ui.showPhotoModal('${studentId}')">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Save</button>
+                </div>
+            </form>
+        `);
+        StudentPhotos.draw(document.getElementById('photoCropPreview'), image, this.photoCrop.crop);
+    }
+
+    /**
+     * Follow the crop sliders
+     * @param {HTMLFormElement} form
+     */
+    updatePhotoCrop(form) {
+        const { image, crop } = this.photoCrop;
+        Object.assign(crop, {
+            zoom: parseFloat(form.zoom.value),
+            x: parseFloat(form.x.value),
+            y: parseFloat(form.y.value)
+        });
+        StudentPhotos.draw(document.getElementById('photoCropPreview'), image, crop);
+    }
+
+    /**
+     * Store the cropped photo
+     */
+    async savePhotoCrop(e) {
+        e.preventDefault();
+        const { studentId, image, crop } = this.photoCrop;
+        
+        await this.app.photos.setImage(studentId, image, crop);
+        this.photoCrop = null;
+        this.refreshCurrentView();
+        this.showPhotoModal(studentId);
+    }
+
+    /**
+     * Delete the photo taken for a student
+     * @param {string} studentId
+     */
+    removeStudentPhoto(studentId) {
+        if (!confirm('Remove this photo?')) return;
+        this.app.photos.delete(studentId);
+        this.refreshCurrentView();
+        this.showPhotoModal(studentId);
+    }
+
+    /**
+     * Give photos to the whole class from files named after the students
+     */
+    showPhotoImportModal() {
+        this.showModal(`
+            <h2>Import Photos</h2>
+            <p class="help-text">
+                Image files (or a ZIP archive of them) named after the student code or name,
+                e.g., J130000001.jpg or Sara El Amrani.png. Photos are cropped to a square.
+            </p>
+            <form onsubmit="window.app.ui.importPhotos(event)">
+                <div class="form-group">
+                    <label>Files or ZIP archive</label>
+                    <input type="file" name="photoFiles" accept="image/*,.zip" multiple>
+                </div>
+                <div class="form-group">
+                    <label>Or a folder</label>
+                    <input type="file" name="photoFolder" webkitdirectory>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn" onclick="window.app.ui.closeModal()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Import</button>
+                </div>
+            </form>
+        `);
+    }
+
+    /**
+     * Match the chosen photo files with the students of the class
+     */
+    async importPhotos(e) {
+        e.preventDefault();
+        const form = e.target;
+        const files = [...form.photoFiles.files, ...form.photoFolder.files];
+        if (files.length === 0) return;
+        
+        let result;
+        try {
+            result = await this.app.photos.assignFiles(files, this.currentClassId);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        
+        const list = names => names.slice(0, 10).join(', ') + (names.length > 10 ? '...' : '');
+        alert(`${result.assigned} photos imported` +
+            (result.unmatched.length > 0 ? `\nNo student found for: ${list(result.unmatched)}` : '') +
+            (result.failed.length > 0 ? `\nNot readable: ${list(result.failed)}` : ''));
+        
+        this.refreshCurrentView();
+        this.closeModal();
+    }
+
+    /**
+     * Show import modal
+     */
+    showImportModal() {
+        this.rosterImport = null;
+        this.showModal(`
+            <h2>Import Students</h2>
+            <p class="help-text">An Excel workbook or a CSV file, e.g., the class list exported by the school information system: you choose the columns on the next step.</p>
+            <form onsubmit="window.app.ui.readRoster(event)">
+                <div class="form-group">
+                    <label>File</label>
+                    <input type="file" name="rosterFile" accept=".xlsx,.csv,.txt,text/csv">
+                </div>
+                <div class="form-group">
+                    <label>Or paste the list</label>
+                    <textarea name="csvContent" rows="6" placeholder="Ahmed&#10;Sara,https://...&#10;Khalid"></textarea>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn" onclick="window.app.ui.closeModal()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Next</button>
+                </div>
+            </form>
+        `);
+    }
+
+    /**
+     * Read a roster file (or pasted list) and guess its columns
+     */
+    async readRoster(e) {
+        e.preventDefault();
+        const form = e.target;
+        const file = form.rosterFile.files[0];
+        
+        let roster;
+        try {
+            roster = file ?
+                await StudentManager.readRoster(await file.arrayBuffer(), file.name) :
+                await StudentManager.readRoster(new TextEncoder().encode(form.csvContent.value).buffer, 'list.csv');
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        if (roster.sheets.length === 0 || roster.sheets[0].rows.length === 0) {
+            alert('No students in this file');
+            return;
+        }
+        
+        this.rosterImport = { ...roster, sheet: 0 };
+        this.selectRosterSheet(0);
+    }
+
+    /**
+     * Roster import: read another sheet of the workbook
+     * @param {number} index
+     */
+    selectRosterSheet(index) {
+        const state = this.rosterImport;
+        const rows = state.sheets[index].rows;
+        const { headerRow, mapping, classLabel } = StudentManager.detectHeader(rows);
+        const currentClass = this.app.classManager.getById(this.currentClassId);
+        
+        Object.assign(state, {
+            sheet: index,
+            rows,
+            headerRow,
+            mapping,
+            classLabel,
+            // A list of another class goes to a new class
+            newClass: !currentClass || this.app.classManager.isArchived(currentClass.id) ||
+                (!!classLabel && Names.key(classLabel) !== Names.key(currentClass.name))
+        });
+        this.showRosterMapping();
+    }
+
+    /**
+     * Roster import: column mapping and preview
+     */
+    showRosterMapping() {
+        const { encoding, delimiter, sheets, sheet, rows, headerRow, mapping, classLabel, newClass } = this.rosterImport;
+        const currentClass = this.app.classManager.getById(this.currentClassId);
+        const width = Math.max(...rows.map(row => row.length));
+        const columns = Array.from({ length: width }, (_, i) =>
+            headerRow >= 0 && rows[headerRow][i] ? rows[headerRow][i] : `Column ${i + 1}`
+        );
+        const delimiters = { ',': 'Comma', ';': 'Semicolon', '\t': 'Tab', '|': 'Pipe' };
+        
+        this.showModal(`
+            <h2>Import Students</h2>
+            <p class="help-text">${encoding ? `${encoding} file · ` : ''}${rows.length} rows</p>
+            <form onsubmit="window.app.ui.applyRosterImport(event)" onchange="window.app.ui.updateRosterMapping(this)">
+                <div class="roster-options">
+                    ${sheets.length > 1 ? `
+                        <label>
+                            Sheet
+                            <select name="sheet">
+                                ${sheets.map((s, i) => `
+                                    <option value="${i}" ${i === sheet ? 'selected' : ''}>${this.escapeHtml(s.name)}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                    ` : ''}
+                    ${delimiter ? `
+                        <label>
+                            Separator
+                            <select name="delimiter">
+                                ${Object.entries(delimiters).map(([value, label]) => `
+                                    <option value="${this.escapeHtml(value)}" ${value === delimiter ? 'selected' : ''}>${label}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                    ` : ''}
+                    <label>
+                        Header row
+                        <select name="headerRow">
+                            <option value="-1">None</option>
+                            ${rows.slice(0, 20).map((row, i) => `
+                                <option value="${i}" ${i === headerRow ? 'selected' : ''}>
+                                    ${i + 1}: ${this.escapeHtml(row.filter(Boolean).join(', ').slice(0, 40))}
+                                </option>
+                            `).join('')}
+                        </select>
+                    </label>
+                </div>
+                <div class="roster-mapping">
+                    ${Object.entries(ROSTER_FIELDS).map(([field, label]) => `
+                        <label>
+                            ${label}
+                            <select name="map_${field}">
+                                <option value="-1">—</option>
+                                ${columns.map((column, i) => `
+                                    <option value="${i}" ${mapping[field] === i ? 'selected' : ''}>${this.escapeHtml(column)}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="roster-options">
+                    ${currentClass && !this.app.classManager.isArchived(currentClass.id) ? `
+                        <label>
+                            <input type="radio" name="rosterTarget" value="current" ${newClass ? '' : 'checked'}>
+                            Into ${this.escapeHtml(currentClass.name)}
+                        </label>
+                    ` : ''}
+                    <label>
+                        <input type="radio" name="rosterTarget" value="new" ${newClass ? 'checked' : ''}>
+                        Into a new class
+                        <input type="text" name="newClassName" value="${this.escapeHtml(classLabel)}" placeholder="Class name">
+                    </label>
+                </div>
+                <div id="rosterPreview">${this.renderRosterPreview()}</div>
+                <label>
+                    <input type="checkbox" name="includeDuplicates">
+                    Also import the possible duplicates
+                </label>
+                <div class="form-actions">
+                    <button type="button" class="btn" onclick="window.app.ui.showImportModal()">Back</button>
+                    <button type="submit" class="btn btn-primary">Import</button>
+                </div>
+            </form>
+        `);
+    }
+
+    /**
+     * Preview table of the roster being imported
+     * @returns {string} HTML
+     */
+    renderRosterPreview() {
+        const preview = this.getRosterPreview();
+        const errors = preview.filter(entry => entry.errors.length > 0).length;
+        const duplicates = preview.filter(entry => entry.errors.length === 0 && entry.duplicate).length;
+        
+        return `
+            <p class="help-text">
+                ${preview.length - errors - duplicates} new students${duplicates > 0 ? ` · ${duplicates} possible duplicates` : ''}${errors > 0 ? ` · ${errors} rows with errors (not imported)` : ''}
+            </p>
+            <div class="roster-preview">
+                <table class="rollover-table">
+                    <thead><tr><th>Row</th><th>Name</th><th>Code</th><th>Birth date</th><th>Photo</th><th></th></tr></thead>
+                    <tbody>
+                        ${preview.map(entry => `
+                            <tr class="${entry.errors.length > 0 ? 'row-error' : entry.duplicate ? 'row-duplicate' : ''}">
+                                <td>${entry.row}</td>
+                                <td>${this.escapeHtml(entry.name)}</td>
+                                <td>${this.escapeHtml(entry.code)}</td>
+                                <td>${entry.birthDate || ''}</td>
+                                <td>${entry.photoUrl ? '📷' : ''}</td>
+                                <td>${this.escapeHtml(entry.errors.length > 0 ? entry.errors.join(', ') : entry.duplicate || '')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Rows of the roster being imported, checked against the class they go to
+     * @returns {array}
+     */
+    getRosterPreview() {
+        const { rows, mapping, headerRow, newClass } = this.rosterImport;
+        return this.app.studentManager.previewImport(rows, mapping, newClass ? null : this.currentClassId, headerRow);
+    }
+
+    /**
+     * Apply the sheet, separator, header, column and class choices of the roster import
+     * @param {HTMLFormElement} form
+     */
+    updateRosterMapping(form) {
+        const state = this.rosterImport;
+        
+        if (form.sheet && parseInt(form.sheet.value) !== state.sheet) {
+            this.selectRosterSheet(parseInt(form.sheet.value));
+            return;
+        }
+        if (form.delimiter && form.delimiter.value !== state.delimiter) {
+            // Other columns: guess them again
+            state.delimiter = form.delimiter.value;
+            state.sheets[0].rows = CSV.parse(state.text, state.delimiter);
+            this.selectRosterSheet(0);
+            return;
+        }
+        
+        state.newClass = form.rosterTarget.value === 'new';
+        state.classLabel = form.newClassName.value;
+        const headerRow = parseInt(form.headerRow.value);
+        if (headerRow !== state.headerRow) {
+            // Column names change
+            state.headerRow = headerRow;
+            state.mapping = StudentManager.guessMapping(state.rows[headerRow] || []).mapping;
+            this.showRosterMapping();
+            return;
+        }
+        
+        Object.keys(ROSTER_FIELDS).forEach(field => {
+            state.mapping[field] = parseInt(form[`map_${field}`].value);
+        });
+        document.getElementById('rosterPreview').innerHTML = this.renderRosterPreview();
+    }
+
+    /**
+     * Import the previewed roster
+     */
+    applyRosterImport(e) {
+        e.preventDefault();
+        const form = e.target;
+        const state = this.rosterImport;
+        const className = form.newClassName.value.trim();
+        if (state.newClass && !className) {
+            alert('Name the new class');
+            return;
+        }
+        const preview = this.getRosterPreview();
+        
+        const result = this.app.backupManager.protect('before-roster-import', () => {
+            const classId = state.newClass ? this.app.classManager.add(className).id : this.currentClassId;
+            return { classId, ...this.app.studentManager.importRows(preview, classId, form.includeDuplicates.checked) };
+        });
+        
+        alert(`Imported ${result.imported} students` +
+            (result.skipped > 0 ? `, skipped ${result.skipped} duplicates` : '') +
+            (result.errors.length > 0 ? '. Errors: ' + result.errors.join(', ') : ''));
+        
+        this.rosterImport = null;
+        if (state.newClass) {
+            this.currentYear = null;
+            this.currentClassId = result.classId;
+            this.showClassSelector();
+        }
+        this.refreshCurrentView();
+        this.closeModal();
+    }
+
+    /**
+     * Delete student
+     */
+    deleteStudent(studentId) {
+        const item = this.app.trash.deleteStudent(studentId);
+        if (!item) return;
+        this.refreshCurrentView();
+        
+        this.showModal(`
+            <h2>Student Deleted</h2>
+            <p>
+                ${this.escapeHtml(item.student.name)} was moved to the trash with
+                ${item.arrivals.length} arrivals for ${RETENTION_DAYS} days.
+            </p>
+            <div class="form-actions">
+                <button type="button" class="btn" onclick="window.app.ui.restoreStudent('${item.id}')">↩️ Undo</button>
+                <button type="button" class="btn btn-primary" onclick="window.app.ui.closeModal()">OK</button>
+            </div>
+        `);
+    }
+
+    /**
+     * Withdraw a student who left, delete one added by mistake, or erase
+     * everything about a student
+     * @param {string} studentId
+     */
+    showRemoveStudentModal(studentId) {
+        const student = this.app.studentManager.getById(studentId);
+        if (!student) return;
+        const arrivals = this.app.arrivalTracker.getAll().filter(a => a.studentId === studentId).length;
+        
+        this.showModal(`
+            <h2>Remove ${this.escapeHtml(student.name)}</h2>
+            ${student.withdrawnOn ? '' : `
+                <form onsubmit="window.app.ui.withdrawStudent(event, '${studentId}')">
+                    <h3>Withdraw</h3>
+                    <p class="help-text">
+                        The student left the school: off the tracker from this date on,
+                        still in the reports of the days before.
+                    </p>
+                    <div class="form-group">
+                        <label>First day out of the class</label>
+                        <input type="date" name="withdrawalDate" value="${this.currentDate}" required>
+                    </div>
+                    <div class="form-actions">
+                        <button type="submit" class="btn btn-primary">Withdraw</button>
+                    </div>
+                </form>
+            `}
+            <h3>Delete</h3>
+            <p class="help-text">
+                Added by mistake: the student and ${arrivals} arrivals leave the reports
+                and stay in the trash for ${RETENTION_DAYS} days.
+            </p>
+            <div class="form-actions">
+                <button type="button" class="btn" onclick="window.app.ui.deleteStudent('${studentId}')">🗑️ Move to trash</button>
+            </div>
+            <h3>Erase all data</h3>
+            <p class="help-text">
+                For a privacy request: the student's records in every school year, arrivals and photo
+                are deleted for good, also from the trash and restore points of this device, and the
+                history of changes keeps only who made them and when. With sync, the deletions and the
+                cleaned history replace the copies on the server and the other devices, but not what
+                their own trash or restore points hold. Backup files already saved are not affected.
+            </p>
+            <div class="form-actions">
+                <button type="button" class="btn btn-danger" onclick="window.app.ui.eraseStudent('${studentId}')">Erase all data</button>
+            </div>
+            <div class="form-actions">
+                <button type="button" class="btn" onclick="window.app.ui.closeModal()">Cancel</button>
+            </div>
+        `);
+    }
+
+    /**
+     * Mark a student as withdrawn from a date on
+     */
+    withdrawStudent(e, studentId) {
+        e.preventDefault();
+        const date = e.target.withdrawalDate.value;
+        if (!this.checkLeavingDate(studentId, date)) return;
+        
+        const result = this.app.studentManager.withdraw(studentId, date);
+        if (!result.success) {
+            alert(result.error);
+            return;
+        }
+        this.refreshCurrentView();
+        this.closeModal();
+    }
+
+    /**
+     * Take a withdrawn student back in the class
+     */
+    reinstateStudent(studentId) {
+        const student = this.app.studentManager.getById(studentId);
+        if (student && confirm(`Take ${student.name} back in the class?`)) {
+            this.app.studentManager.reinstate(studentId);
+            this.refreshCurrentView();
+        }
+    }
+
+    /**
+     * Erase everything about a student, after confirmation
+     * @param {string} studentId
+     */
+    eraseStudent(studentId) {
+        const student = this.app.studentManager.getById(studentId);
+        if (!student) return;
+        
+        const typed = prompt(`Erase all data of ${student.name}? This cannot be undone.\nType the student's name to confirm:`);
+        if (typed === null) return;
+        if (typed.trim() !== student.name) {
+            alert('The name does not match: nothing was erased');
+            return;
+        }
+        
+        const result = this.app.trash.eraseStudent(studentId);
+        this.refreshCurrentView();
+        this.showModal(`
+            <h2>Data Erased</h2>
+            <p>${result.students} student records and ${result.arrivals} arrivals were erased.</p>
+            <div class="form-actions">
+                <button type="button" class="btn btn-primary" onclick="window.app.ui.closeModal()">OK</button>
+            </div>
+        `);
+    }
+
+    /**
+     * Toggle day in schedule
+     */
+    toggleDay(day) {
+        const classManager = this.app.classManager;
+        const classObj = classManager.getById(this.currentClassId);
+        const current = classManager.getWeekSchedule(classObj, this.scheduleWeek)[day]?.enabled || false;
+        
+        classManager.setDayEnabled(this.currentClassId, day, !current, this.scheduleWeek);
+        
+        this.refreshCurrentView();
+    }
+
+    /**
+     * Update a session of the schedule (label or time)
+     */
+    updateSchedule(day, sessionId, field, value) {
+        this.app.classManager.updateSession(this.currentClassId, day, sessionId, { [field]: value }, this.scheduleWeek);
+    }
+
+    /**
+     * Add a session to a day of the schedule
+     */
+    addSession(day) {
+        this.app.classManager.addSession(this.currentClassId, day, this.scheduleWeek);
+        this.refreshCurrentView();
+    }
+
+    /**
+     * Remove a session from a day of the schedule
+     */
+    removeSession(day, sessionId) {
+        if (!confirm('Remove this session? Arrivals already recorded are kept.')) return;
+        
+        this.app.classManager.removeSession(this.currentClassId, day, sessionId, this.scheduleWeek);
+        this.refreshCurrentView();
+    }
+
+    /**
+     * Pick the date whose schedule changes are edited
+     */
+    selectOverrideDate(date) {
+        this.overrideDate = date;
+        this.refreshCurrentView();
+    }
+
+    /**
+     * Start changing the schedule of the selected date
+     */
+    createOverride() {
+        this.app.classManager.createOverride(this.currentClassId, this.overrideDate || this.currentDate);
+        this.refreshCurrentView();
+    }
+
+    /**
+     * Update a session of the selected date (label, time or cancelled)
+     */
+    updateOverride(sessionId, field, value) {
+        this.app.classManager.updateOverrideSession(
+            this.currentClassId, this.overrideDate || this.currentDate, sessionId, { [field]: value }
+        );
+        if (field === 'cancelled') this.refreshCurrentView();
+    }
+
+    /**
+     * Add an extra session on the selected date
+     */
+    addOverrideSession() {
+        this.app.classManager.addOverrideSession(this.currentClassId, this.overrideDate || this.currentDate);
+        this.refreshCurrentView();
+    }
+
+    /**
+     * Remove an extra session from the selected date
+     */
+    removeOverrideSession(sessionId) {
+        this.app.classManager.removeOverrideSession(this.currentClassId, this.overrideDate || this.currentDate, sessionId);
+        this.refreshCurrentView();
+    }
+
+    /**
+     * Use the weekly schedule again on the selected date
+     */
+    removeOverride() {
+        this.app.classManager.removeOverride(this.currentClassId, this.overrideDate || this.currentDate);
+        this.refreshCurrentView();
+    }
+
+    /**
+     * Recompute minutesLate/status of arrivals recorded on the selected date
+     */
+    recalculateArrivals() {
+        const date = this.overrideDate || this.currentDate;
+        const updated = this.app.arrivalTracker.recalculate(this.currentClassId, date);
+        
+        alert(updated > 0 ? `${updated} arrivals updated` : 'All arrivals were already up to date');
+        this.refreshCurrentView();
+    }
+
+    /**
+     * Generate PDF report
+     */
+    async generatePDFReport() {
+        const month = parseInt(document.getElementById('reportMonth').value);
+        const year = parseInt(document.getElementById('reportYear').value);
+        
+        const columns = this.getReportColumns();
+        
+        const reports = this.getReportClassIds().map(classId => 
+            this.app.reportGenerator.generateMonthlyReport(classId, year, month, columns)
+        );
+        if (reports.length === 0) return;
+        
+        // Generate HTML report for printing
+        const html = this.generateReportHTML(reports);
+        
+        // Open print window
+        const printWindow = window.open('', '_blank');
+        printWindow.document.write(html);
+        printWindow.document.close();
+        printWindow.print();
+    }
+
+    /**
+     * Generate CSV report
+     */
+    generateCSVReport() {
+        const month = parseInt(document.getElementById('reportMonth').value);
+        const year = parseInt(document.getElementById('reportYear').value);
+        
+        const columns = this.getReportColumns();
+        
+        const reports = this.getReportClassIds().map(classId => 
+            this.app.reportGenerator.generateMonthlyReport(classId, year, month, columns)
+        );
+        if (reports.length === 0) return;
+        
+        // One section per class
+        const csv = reports.map(report => this.app.reportGenerator.generateCSV(report)).join('\n\n\n');
+        const name = reports.length === 1 ? 
+            reports[0].className : 
+            document.getElementById('reportScope').value.split(':').slice(1).join(':');
+        
+        this.downloadFile(csv, `rapport_${name}_${month}_${year}.csv`, 'text/csv');
+    }
+
+    /**
+     * Student profile columns chosen in the reports view
+     * @returns {array} - Keys of STUDENT_COLUMNS
+     */
+    getReportColumns() {
+        return [...document.querySelectorAll('input[name=reportColumn]:checked')].map(input => input.value);
+    }
+
+    /**
+     * Classes chosen in the reports view: the current class, or every class
+     * of the school year shown with a level, teacher...
+     * @returns {array}
+     */
+    getReportClassIds() {
+        const scope = document.getElementById('reportScope').value;
+        if (!scope) return this.currentClassId ? [this.currentClassId] : [];
+        
+        const [field, ...value] = scope.split(':');
+        return this.app.classManager
+            .filter({ [field]: value.join(':'), schoolYear: this.getViewedYear() })
+            .map(c => c.id);
+    }
+
+    /**
+     * Download JSON backup of all data
+     */
+    async exportBackup() {
+        const json = await this.app.reportGenerator.exportJSON();
+        this.downloadFile(json, `lateness-tracker_${this.currentDate}.json`, 'application/json');
+    }
+
+    /**
+     * Show restore backup modal
+     */
+    showRestoreModal() {
+        this.pendingImport = null;
+        this.showModal(`
+            <h2>Restore Backup</h2>
+            <p class="help-text">Choose a JSON backup. Nothing is changed until you confirm.</p>
+            <div class="form-group">
+                <input type="file" accept=".json,application/json"
+                       onchange="window.app.ui.previewRestore(this.files[0])">
+            </div>
+            <div id="restorePreview"></div>
+            <div class="form-actions">
+                <button type="button" class="btn" onclick="window.app.ui.closeModal()">Cancel</button>
+            </div>
+        `);
+    }
+
+    /**
+     * Dry-run the selected backup and show what would change
+     */
+    async previewRestore(file) {
+        if (!file) return;
+        
+        const container = document.getElementById('restorePreview');
+        const text = await file.text();
+        
+        if (this.app.reportGenerator.isEncryptedBackup(text)) {
+            this.pendingImport = null;
+            this.restoreText = text;
+            container.innerHTML = `
+                <form onsubmit="window.app.ui.decryptRestore(event)">
+                    <div class="form-group">
+                        <label>This backup is encrypted. Passphrase:</label>
+                        <input type="password" name="passphrase" required>
+                    </div>
+                    <button type="submit" class="btn btn-primary">Decrypt</button>
+                    <p id="decryptError" class="error-text"></p>
+                </form>
+            `;
+            return;
+        }
+        
+        this.showRestorePreview(text);
+    }
+
+    /**
+     * Decrypt the selected encrypted backup, then preview it
+     */
+    async decryptRestore(e) {
+        e.preventDefault();
+        
+        try {
+            const json = await this.app.reportGenerator.decryptBackup(this.restoreText, e.target.passphrase.value);
+            this.restoreText = null;
+            this.showRestorePreview(json);
+        } catch (error) {
+            document.getElementById('decryptError').textContent = error.message;
+        }
+    }
+
+    /**
+     * Show the dry-run summary of a backup
+     */
+    showRestorePreview(jsonData) {
+        const container = document.getElementById('restorePreview');
+        const result = this.app.reportGenerator.previewImport(jsonData);
+        
+        if (!result.success) {
+            this.pendingImport = null;
+            container.innerHTML = `<p class="error-text">❌ ${this.escapeHtml(result.error)}</p>`;
+            return;
+        }
+        
+        this.pendingImport = result.preview;
+        const { diff, invalid } = result.preview;
+        const collections = Object.keys(diff);
+        
+        container.innerHTML = `
+            <table class="import-summary">
+                <thead>
+                    <tr>
+                        <th></th>
+                        ${collections.map(name => `<th>${name}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${['added', 'changed', 'conflicting', 'unchanged', 'removed'].map(kind => `
+                        <tr class="${kind}">
+                            <td>${kind === 'removed' ? 'removed (replace)' : kind}</td>
+                            ${collections.map(name => `<td>${diff[name][kind].length}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                    <tr class="invalid">
+                        <td>invalid</td>
+                        ${collections.map(name => 
+                            `<td>${invalid.filter(i => i.collection === name).length}</td>`
+                        ).join('')}
+                    </tr>
+                </tbody>
+            </table>
+            
+            ${invalid.length > 0 ? `
+                <ul class="import-errors">
+                    ${invalid.slice(0, 10).map(i => `
+                        <li>${i.collection} ${this.escapeHtml(i.id || `#${i.index + 1}`)}: ${this.escapeHtml(i.reason)}</li>
+                    `).join('')}
+                    ${invalid.length > 10 ? `<li>… ${invalid.length - 10} more</li>` : ''}
+                </ul>
+                <p class="help-text">Invalid records are skipped.</p>
+            ` : ''}
+            
+            <div class="form-group import-modes">
+                <label>
+                    <input type="radio" name="importMode" value="merge" checked>
+                    Merge by id — add new records, update changed ones, keep current data on conflicts
+                </label>
+                <label>
+                    <input type="radio" name="importMode" value="replace">
+                    Replace everything — current data is replaced by the backup
+                </label>
+            </div>
+            <button type="button" class="btn btn-primary" onclick="window.app.ui.applyRestore()">
+                Restore
+            </button>
+        `;
+    }
+
+    /**
+     * Apply the previewed backup
+     */
+    async applyRestore() {
+        if (!this.pendingImport) return;
+        
+        const mode = document.querySelector('input[name="importMode"]:checked').value;
+        const removed = Object.values(this.pendingImport.diff)
+            .reduce((sum, entry) => sum + entry.removed.length, 0);
+        
+        if (mode === 'replace' && removed > 0 &&
+            !confirm(`Replace everything? ${removed} current records will be removed.`)) {
+            return;
+        }
+        
+        this.app.backupManager.snapshot('before-import');
+        const result = this.app.reportGenerator.applyImport(this.pendingImport, mode);
+        this.pendingImport = null;
+        
+        if (!result.success) {
+            alert(`Restore failed: ${result.error}`);
+            return;
+        }
+        
+        await this.app.storage.flush();
+        await this.app.loadData();
+        
+        if (!this.app.classManager.getById(this.currentClassId)) {
+            this.currentClassId = null;
+        }
+        this.closeModal();
+        this.showClassSelector();
+        this.refreshCurrentView();
+        alert('Backup restored');
+    }
+
+    /**
+     * Show restore points modal
+     */
+    showRestorePointsModal() {
+        const points = this.app.backupManager.getAll();
+        const settings = this.app.settings;
+        
+        this.showModal(`
+            <h2>Restore Points</h2>
+            <p class="help-text">
+                A copy of your data is kept once a day and before a backup restore,
+                a class deletion or a roster import.
+                ${this.app.storage.hasLargeQuota() ? '' : `
+                    This browser keeps the data in its small local storage: only the last
+                    ${LOCAL_STORAGE_LIMIT} restore point is kept.
+                `}
+            </p>
+            ${points.length === 0 ? '<p class="empty-state">No restore points yet</p>' : `
+                <ul class="restore-point-list">
+                    ${points.map(p => `
+                        <li class="restore-point-item">
+                            <span class="restore-point-info">
+                                <strong>${new Date(p.createdAt).toLocaleString()}</strong>
+                                <span class="help-text">
+                                    ${RESTORE_POINT_REASONS[p.reason] || p.reason} ·
+                                    ${p.counts.classes} classes, ${p.counts.students} students, ${p.counts.arrivals} arrivals
+                                </span>
+                            </span>
+                            <span class="restore-point-actions">
+                                <button class="btn btn-secondary" onclick="window.app.ui.showRestorePoint('${p.id}')">Open</button>
+                                <button class="icon-btn" title="Download" onclick="window.app.ui.downloadRestorePoint('${p.id}')">💾</button>
+                                <button class="icon-btn danger" title="Delete" onclick="window.app.ui.deleteRestorePoint('${p.id}')">🗑️</button>
+                            </span>
+                        </li>
+                    `).join('')}
+                </ul>
+            `}
+            <form onsubmit="window.app.ui.saveRestorePointSettings(event)">
+                <div class="form-group">
+                    <label>
+                        <input type="checkbox" name="dailySnapshots" ${settings.get('dailySnapshots') ? 'checked' : ''}>
+                        Take a restore point every day
+                    </label>
+                </div>
+                <div class="form-group">
+                    <label>Restore points to keep</label>
+                    <input type="number" name="restorePointsLimit" min="1" max="100"
+                           value="${settings.get('restorePointsLimit')}" required>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn" onclick="window.app.ui.closeModal()">Close</button>
+                    <button type="button" class="btn btn-secondary" onclick="window.app.ui.createRestorePoint()">Create now</button>
+                    <button type="submit" class="btn btn-primary">Save</button>
+                </div>
+            </form>
+        `);
+    }
+
+    /**
+     * Save restore point settings
+     */
+    saveRestorePointSettings(e) {
+        e.preventDefault();
+        const form = e.target;
+        
+        this.app.settings.set('dailySnapshots', form.dailySnapshots.checked);
+        this.app.settings.set('restorePointsLimit', Math.max(1, parseInt(form.restorePointsLimit.value) || 1));
+        this.app.backupManager.prune();
+        this.app.backupManager.takeDailySnapshot();
+        this.showRestorePointsModal();
+    }
+
+    /**
+     * Take a manual restore point
+     */
+    createRestorePoint() {
+        this.app.backupManager.snapshot('manual');
+        this.showRestorePointsModal();
+    }
+
+    /**
+     * Show what a restore point contains, with the restore dry run
+     */
+    showRestorePoint(id) {
+        const manager = this.app.backupManager;
+        const point = manager.getAll().find(p => p.id === id);
+        const details = manager.describe(id);
+        if (!point || !details) return;
+        
+        this.showModal(`
+            <h2>Restore Point</h2>
+            <p class="help-text">
+                ${new Date(point.createdAt).toLocaleString()} · ${RESTORE_POINT_REASONS[point.reason] || point.reason}
+                ${details.firstDate ? `<br>Arrivals from ${this.formatDate(details.firstDate)} to ${this.formatDate(details.lastDate)}` : ''}
+            </p>
+            <table class="import-summary">
+                <thead>
+                    <tr><th>Class</th><th>Students</th><th>Arrivals</th></tr>
+                </thead>
+                <tbody>
+                    ${details.classes.map(c => `
+                        <tr>
+                            <td>${this.escapeHtml(c.name)}</td>
+                            <td>${c.students}</td>
+                            <td>${c.arrivals}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <h3>Compared to current data</h3>
+            <div id="restorePreview"></div>
+            <div class="form-actions">
+                <button type="button" class="btn" onclick="window.app.ui.showRestorePointsModal()">Back</button>
+            </div>
+        `);
+        this.showRestorePreview(manager.toJSON(id));
+    }
+
+    /**
+     * Download a restore point as a JSON backup
+     */
+    async downloadRestorePoint(id) {
+        const manager = this.app.backupManager;
+        const point = manager.getById(id);
+        const json = await this.app.storage.sealBackup(manager.toJSON(id));
+        const date = point.createdAt.split('T')[0];
+        
+        this.downloadFile(json, `lateness-tracker-restore-point_${date}.json`, 'application/json');
+    }
+
+    /**
+     * Delete a restore point
+     */
+    deleteRestorePoint(id) {
+        if (!confirm('Delete this restore point?')) return;
+        
+        this.app.backupManager.delete(id);
+        this.showRestorePointsModal();
+    }
+
+    /**
+     * Show school calendar modal
+     */
+    showCalendarModal() {
+        const entries = this.app.calendar.getAll();
+        const typeOptions = selected => Object.entries(CALENDAR_TYPES).map(([type, label]) => 
+            `<option value="${type}" ${type === selected ? 'selected' : ''}>${label}</option>`
+        ).join('');
+        
+        this.showModal(`
+            <h2>School Calendar</h2>
+            <p class="help-text">
+                Holidays, vacations and closures are not school days: nothing can be marked
+                and they are left out of reports. When terms are set, days outside them are too.
+            </p>
+            ${entries.length === 0 ? '<p class="empty-state">No dates yet</p>' : `
+                <ul class="calendar-list">
+                    ${entries.map(e => `
+                        <li class="calendar-item ${e.type}">
+                            <span class="calendar-info">
+                                <strong>${this.escapeHtml(e.name)}</strong>
+                                <span class="help-text">
+                                    ${CALENDAR_TYPES[e.type] || e.type} ·
+                                    ${this.formatDate(e.startDate)}${e.endDate !== e.startDate ? ` → ${this.formatDate(e.endDate)}` : ''}
+                                </span>
+                            </span>
+                            <button class="icon-btn danger" title="Delete" onclick="window.app.ui.deleteCalendarEntry('${e.id}')">🗑️</button>
+                        </li>
+                    `).join('')}
+                </ul>
+            `}
+            <form onsubmit="window.app.ui.addCalendarEntry(event)">
+                <div class="form-group">
+                    <label>Type</label>
+                    <select name="entryType">${typeOptions('holiday')}</select>
+                </div>
+                <div class="form-group">
+                    <label>Name</label>
+                    <input type="text" name="entryName" placeholder="e.g., Fête du Trône">
+                </div>
+                <div class="form-group date-range">
+                    <label>From <input type="date" name="startDate" value="${this.currentDate}" required></label>
+                    <label>To <input type="date" name="endDate"></label>
+                </div>
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-primary">Add</button>
+                </div>
+            </form>
+            <div class="form-group">
+                <label>Import an .ics file as</label>
+                <select id="icsType">${typeOptions('holiday')}</select>
+                <input type="file" accept=".ics,text/calendar"
+                       onchange="window.app.ui.importCalendar(this.files[0])">
+            </div>
+            <div class="form-actions">
+                <button type="button" class="btn" onclick="window.app.ui.closeModal()">Close</button>
+            </div>
+        `);
+    }
+
+    /**
+     * Add a calendar entry
+     */
+    addCalendarEntry(e) {
+        e.preventDefault();
+        const form = e.target;
+        
+        this.app.calendar.add({
+            type: form.entryType.value,
+            name: form.entryName.value,
+            startDate: form.startDate.value,
+            endDate: form.endDate.value
+        });
+        this.showCalendarModal();
+        this.refreshCurrentView();
+    }
+
+    /**
+     * Delete a calendar entry
+     */
+    deleteCalendarEntry(id) {
+        const entry = this.app.calendar.getById(id);
+        if (!entry || !confirm(`Delete "${entry.name}"?`)) return;
+        
+        this.app.calendar.delete(id);
+        this.showCalendarModal();
+        this.refreshCurrentView();
+    }
+
+    /**
+     * Import the events of an .ics file into the calendar
+     */
+    async importCalendar(file) {
+        if (!file) return;
+        
+        const type = document.getElementById('icsType').value;
+        const result = this.app.calendar.importICS(await file.text(), type);
+        
+        if (result.error) {
+            alert(`Import failed: ${result.error}`);
+            return;
+        }
+        alert(`Imported ${result.imported} dates${result.skipped > 0 ? ` (${result.skipped} already in the calendar)` : ''}`);
+        this.showCalendarModal();
+        this.refreshCurrentView();
+    }
+
+    /**
+     * Show the new school year wizard: next year's classes
+     */
+    showRolloverModal() {
+        const plan = this.app.yearRollover.plan();
+        
+        this.showModal(`
+            <h2>New School Year</h2>
+            <p class="help-text">
+                The classes of ${plan.fromYear} are archived: still in reports, but read-only.
+                Give the name of each class next year, then choose the students moving up.
+            </p>
+            <form onsubmit="window.app.ui.showRolloverStudents(event)">
+                <div class="form-group">
+                    <label>New school year</label>
+                    <input type="text" name="toYear" value="${plan.toYear}" pattern="\\d{4}-\\d{4}" required>
+                </div>
+                <table class="rollover-table">
+                    <thead><tr><th>${plan.fromYear}</th><th>${plan.toYear}</th></tr></thead>
+                    <tbody>
+                        ${plan.classes.map(c => `
+                            <tr>
+                                <td>${this.escapeHtml(this.app.classManager.getById(c.fromId).name)}</td>
+                                <td>
+                                    <input type="text" name="class_${c.fromId}" value="${this.escapeHtml(c.name)}"
+                                           placeholder="Not continued">
+                                </td>
+                            </tr>
+                        `).join('')}
+                        <tr>
+                            <td><em>New class</em></td>
+                            <td><input type="text" name="newClass" placeholder="e.g., 1AEP"></td>
+                        </tr>
+                    </tbody>
+                </table>
+                <div class="form-actions">
+                    <button type="button" class="btn" onclick="window.app.ui.closeModal()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Next</button>
+                </div>
+            </form>
+        `);
+    }
+
+    /**
+     * New school year wizard: students moving up
+     */
+    showRolloverStudents(e) {
+        e.preventDefault();
+        const form = e.target;
+        const plan = this.app.yearRollover.plan();
+        
+        // Classes left empty are not continued
+        const classes = plan.classes
+            .map(c => ({ fromId: c.fromId, name: form[`class_${c.fromId}`].value.trim() }))
+            .filter(c => c.name);
+        if (form.newClass.value.trim()) {
+            classes.push({ fromId: null, name: form.newClass.value.trim() });
+        }
+        if (classes.length === 0) {
+            alert('Name at least one class for next year');
+            return;
+        }
+        
+        this.rolloverPlan = { toYear: form.toYear.value.trim(), classes };
+        const fromClasses = this.app.classManager.getByYear(plan.fromYear);
+        
+        this.showModal(`
+            <h2>New School Year ${this.escapeHtml(this.rolloverPlan.toYear)}</h2>
+            <p class="help-text">Students keep their history; the ones not moving up stay in ${plan.fromYear} only.</p>
+            <form onsubmit="window.app.ui.applyRollover(event)">
+                ${fromClasses.map(fromClass => {
+                    const target = classes.findIndex(c => c.fromId === fromClass.id);
+                    const students = this.app.studentManager.getSortedByName(fromClass.id);
+                    return students.length === 0 ? '' : `
+                        <h3>${this.escapeHtml(fromClass.name)}</h3>
+                        <ul class="rollover-students">
+                            ${students.map(s => `
+                                <li>
+                                    <span>${this.escapeHtml(s.name)}</span>
+                                    <select name="student_${s.id}">
+                                        <option value="">Not moving up</option>
+                                        ${classes.map((c, i) => `
+                                            <option value="${i}" ${i === target ? 'selected' : ''}>
+                                                ${this.escapeHtml(c.name)}
+                                            </option>
+                                        `).join('')}
+                                    </select>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    `;
+                }).join('')}
+                <div class="form-actions">
+                    <button type="button" class="btn" onclick="window.app.ui.showRolloverModal()">Back</button>
+                    <button type="submit" class="btn btn-primary">Start ${this.escapeHtml(this.rolloverPlan.toYear)}</button>
+                </div>
+            </form>
+        `);
+    }
+
+    /**
+     * Archive the current year and create the next one
+     */
+    applyRollover(e) {
+        e.preventDefault();
+        const promotions = {};
+        new FormData(e.target).forEach((value, name) => {
+            if (name.startsWith('student_') && value !== '') {
+                promotions[name.slice('student_'.length)] = Number(value);
+            }
+        });
+        
+        const result = this.app.yearRollover.run({ ...this.rolloverPlan, promotions });
+        
+        if (!result.success) {
+            alert(result.error);
+            return;
+        }
+        
+        alert(`School year ${this.rolloverPlan.toYear} started: ${result.classes.length} classes, ${result.promoted} students moved up`);
+        this.rolloverPlan = null;
+        this.currentYear = null;
+        this.currentClassId = null;
+        this.closeModal();
+        this.showClassSelector();
+        this.refreshCurrentView();
+    }
+
+    /**
+     * Show sync settings modal
+     */
+    showSyncModal() {
+        const sync = this.app.syncManager;
+        const config = sync.config;
+        
+        this.showModal(`
+            <h2>Sync</h2>
+            <p class="help-text">
+                Share classes, students and arrivals between devices through your own server
+                (see server/sync-server.js).
+            </p>
+            <form onsubmit="window.app.ui.saveSyncSettings(event)">
+                <div class="form-group import-modes">
+                    <label>
+                        <input type="checkbox" name="enabled" ${config.enabled ? 'checked' : ''}>
+                        Enable sync
+                    </label>
+                </div>
+                <div class="form-group">
+                    <label>Server URL</label>
+                    <input type="url" name="endpoint" value="${this.escapeHtml(config.endpoint)}"
+                           placeholder="http://192.168.1.10:8787">
+                </div>
+                <div class="form-group">
+                    <label>Access token (optional)</label>
+                    <input type="password" name="token" value="${this.escapeHtml(config.token)}">
+                </div>
+                <p class="help-text">
+                    Last sync: ${config.lastSyncAt ? new Date(config.lastSyncAt).toLocaleString() : 'never'}<br>
+                    Pending changes: ${sync.getPendingCount()}
+                    ${config.lastError ? `<br><span class="error-text">Last error: ${this.escapeHtml(config.lastError)}</span>` : ''}
+                </p>
+                <div class="form-actions">
+                    <button type="button" class="btn" onclick="window.app.ui.closeModal()">Close</button>
+                    ${sync.isEnabled() ? `
+                        <button type="button" class="btn btn-secondary" onclick="window.app.ui.syncNow()">Sync now</button>
+                    ` : ''}
+                    <button type="submit" class="btn btn-primary">Save</button>
+                </div>
+            </form>
+        `);
+    }
+
+    /**
+     * Save sync settings
+     */
+    saveSyncSettings(e) {
+        e.preventDefault();
+        const form = e.target;
+        
+        this.app.syncManager.configure({
+            enabled: form.enabled.checked,
+            endpoint: form.endpoint.value.trim(),
+            token: form.token.value.trim()
+        });
+        this.showSyncModal();
+    }
+
+    /**
+     * Run a sync now and show the result
+     */
+    async syncNow() {
+        const result = await this.app.syncManager.sync();
+        
+        alert(result.success ? 
+            `Synced: ${result.pushed} sent, ${result.pulled} received` : 
+            `Sync failed: ${result.error}`);
+        this.showSyncModal();
+    }
+
+    /**
+     * Show workspaces modal
+     */
+    showWorkspacesModal() {
+        const manager = this.app.workspaceManager;
+        const activeId = this.app.workspace.id;
+        
+        this.showModal(`
+            <h2>Workspaces</h2>
+            <p class="help-text">Each workspace (school, shared device...) has its own classes, students and arrivals.</p>
+            <ul class="workspace-list">
+                ${manager.getAll().map(w => `
+                    <li class="workspace-item ${w.id === activeId ? 'active' : ''}">
+                        <span class="workspace-name">${this.escapeHtml(w.name)}</span>
+                        <span class="workspace-actions">
+                            ${w.id === activeId ? 
+                                '<span class="help-text">Open</span>' : 
+                                `<button class="btn btn-secondary" onclick="window.app.switchWorkspace('${w.id}')">Open</button>`}
+                            <button class="icon-btn" title="Rename" onclick="window.app.ui.renameWorkspace('${w.id}')">✏️</button>
+                            <button class="icon-btn" title="Export" onclick="window.app.ui.exportWorkspace('${w.id}')">💾</button>
+                            ${w.id !== activeId ? 
+                                `<button class="icon-btn danger" title="Delete" onclick="window.app.ui.deleteWorkspace('${w.id}')">🗑️</button>` : ''}
+                        </span>
+                    </li>
+                `).join('')}
+            </ul>
+            <form onsubmit="window.app.ui.createWorkspace(event)">
+                <div class="form-group">
+                    <label>New workspace</label>
+                    <input type="text" name="workspaceName" placeholder="e.g., Lycée Ibn Sina" required>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn" onclick="window.app.ui.closeModal()">Close</button>
+                    <button type="submit" class="btn btn-primary">Create & open</button>
+                </div>
+            </form>
+        `);
+    }
+
+    /**
+     * Create a workspace and switch to it
+     */
+    createWorkspace(e) {
+        e.preventDefault();
+        const workspace = this.app.workspaceManager.create(e.target.workspaceName.value);
+        this.app.switchWorkspace(workspace.id);
+    }
+
+    /**
+     * Rename a workspace
+     */
+    renameWorkspace(id) {
+        const workspace = this.app.workspaceManager.getById(id);
+        const name = prompt('Workspace name', workspace.name);
+        if (!name || !name.trim()) return;
+        
+        this.app.workspaceManager.rename(id, name);
+        if (id === this.app.workspace.id) {
+            this.app.workspace = this.app.workspaceManager.getById(id);
+            document.querySelector('.workspace-badge').textContent = this.app.workspace.name;
+        }
+        this.showWorkspacesModal();
+    }
+
+    /**
+     * Download the JSON backup of one workspace
+     */
+    async exportWorkspace(id) {
+        const manager = this.app.workspaceManager;
+        const workspace = manager.getById(id);
+        let json;
+        
+        if (id === this.app.workspace.id) {
+            json = await this.app.reportGenerator.exportJSON();
+        } else {
+            const storage = manager.createStorage(workspace);
+            await storage.open();
+            if (storage.isLocked()) {
+                storage.close();
+                alert('This workspace is encrypted: open it to export it.');
+                return;
+            }
+            json = await new ReportGenerator(storage).exportJSON();
+            storage.close();
+        }
+        
+        const fileName = workspace.name.replace(/[^\w\u0600-\u06FF-]+/g, '_');
+        this.downloadFile(json, `lateness-tracker_${fileName}_${this.currentDate}.json`, 'application/json');
+    }
+
+    /**
+     * Delete a workspace and its data
+     */
+    async deleteWorkspace(id) {
+        const workspace = this.app.workspaceManager.getById(id);
+        if (!confirm(`Delete workspace "${workspace.name}" and ALL of its data?`)) return;
+        
+        const result = await this.app.workspaceManager.delete(id);
+        if (!result.success) {
+            alert(result.error);
+        }
+        this.showWorkspacesModal();
+    }
+
+    /**
+     * Ask for the passphrase before the app loads its data
+     * @returns {Promise} - Resolves once storage is unlocked
+     */
+    showUnlockScreen() {
+        return new Promise(resolve => {
+            this.onUnlocked = resolve;
+            document.getElementById('app').innerHTML = `
+                <div class="unlock-screen">
+                    <h1>🔒 Lateness Tracker</h1>
+                    <p class="help-text">
+                        ${this.escapeHtml(this.app.workspace.name)}: student data on this device is encrypted.
+                    </p>
+                    <form onsubmit="window.app.ui.unlock(event)">
+                        <div class="form-group">
+                            <input type="password" name="passphrase" placeholder="Passphrase" autofocus required>
+                        </div>
+                        <p id="unlockError" class="error-text"></p>
+                        <button type="submit" class="btn btn-primary">Unlock</button>
+                    </form>
+                    ${this.app.workspaceManager.getAll().length > 1 ? `
+                        <select class="unlock-workspace" onchange="window.app.switchWorkspace(this.value)">
+                            ${this.app.workspaceManager.getAll().map(w => `
+                                <option value="${w.id}" ${w.id === this.app.workspace.id ? 'selected' : ''}>
+                                    ${this.escapeHtml(w.name)}
+                                </option>
+                            `).join('')}
+                        </select>
+                    ` : ''}
+                    <button class="btn unlock-erase" onclick="window.app.ui.eraseEncryptedData()">
+                        Forgot passphrase? Erase all data
+                    </button>
+                </div>
+            `;
+        });
+    }
+
+    /**
+     * Try to unlock storage with the entered passphrase
+     */
+    async unlock(e) {
+        e.preventDefault();
+        const error = document.getElementById('unlockError');
+        error.textContent = '';
+        
+        try {
+            await this.app.storage.unlock(e.target.passphrase.value);
+            this.onUnlocked();
+        } catch (err) {
+            error.textContent = err.message;
+        }
+    }
+
+    /**
+     * Erase encrypted data when the passphrase is lost
+     */
+    async eraseEncryptedData() {
+        if (!confirm('Erase ALL data on this device? It cannot be recovered without the passphrase.')) return;
+        if (!confirm('Really erase everything? Only a backup can bring it back.')) return;
+        
+        await this.app.storage.deleteDatabase();
+        location.reload();
+    }
+
+    /**
+     * Show encryption settings modal
+     */
+    showEncryptionModal() {
+        const encrypted = this.app.storage.isEncrypted();
+        
+        this.showModal(`
+            <h2>Encryption</h2>
+            <p class="help-text">
+                ${encrypted ? 
+                    'Data on this device is encrypted. The passphrase is asked at every launch and is needed to restore backups.' :
+                    'Encrypt student data on this device with a passphrase. There is no way to recover a forgotten passphrase.'}
+            </p>
+            <form onsubmit="window.app.ui.saveEncryption(event)">
+                ${encrypted ? `
+                    <div class="form-group">
+                        <label>Current passphrase</label>
+                        <input type="password" name="current" required>
+                    </div>
+                ` : ''}
+                <div class="form-group">
+                    <label>${encrypted ? 'New passphrase (empty to turn encryption off)' : 'Passphrase'}</label>
+                    <input type="password" name="passphrase" minlength="8" ${encrypted ? '' : 'required'}>
+                </div>
+                <div class="form-group">
+                    <label>Confirm passphrase</label>
+                    <input type="password" name="confirmation">
+                </div>
+                <p id="encryptionError" class="error-text"></p>
+                <div class="form-actions">
+                    <button type="button" class="btn" onclick="window.app.ui.closeModal()">Cancel</button>
+                    ${encrypted ? '<button type="button" class="btn btn-secondary" onclick="location.reload()">Lock now</button>' : ''}
+                    <button type="submit" class="btn btn-primary">${encrypted ? 'Save' : 'Encrypt'}</button>
+                </div>
+            </form>
+        `);
+    }
+
+    /**
+     * Enable, change or disable encryption
+     */
+    async saveEncryption(e) {
+        e.preventDefault();
+        const form = e.target;
+        const storage = this.app.storage;
+        const passphrase = form.passphrase.value;
+        const error = document.getElementById('encryptionError');
+        
+        if (passphrase !== form.confirmation.value) {
+            error.textContent = 'Passphrases do not match';
+            return;
+        }
+        
+        try {
+            if (!storage.isEncrypted()) {
+                await storage.enableEncryption(passphrase);
+            } else if (passphrase) {
+                await storage.changePassphrase(form.current.value, passphrase);
+            } else {
+                await storage.disableEncryption(form.current.value);
+            }
+        } catch (err) {
+            error.textContent = err.message;
+            return;
+        }
+        
+        this.closeModal();
+        alert(storage.isEncrypted() ? 'Data encrypted' : 'Encryption turned off');
+    }
+
+    /**
+     * Download text content as a file
+     */
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Generate report HTML for PDF (one page per class)
+     * @param {array} reports - Monthly reports
+     */
+    generateReportHTML(reports) {
+        return `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <meta charset="UTF-8">
+                <title>Rapport - ${reports.map(r => r.className).join(', ')} - ${reports[0].monthName}</title>
+                <style>
                     body { font-family: Arial, sans-serif; padding: 20px; }
                     h1 { text-align: center; }
                     table { width: 100%; border-collapse: collapse; margin-top: 20px; }
@@ -589,31 +3218,75 @@ export class UI {
                     th { background: #f0f0f0; }
                     .text-center { text-align: center; }
                     .text-right { text-align: right; }
+                    .class-info { text-align: center; color: #555; margin: 4px 0; }
+                    .report-page + .report-page { page-break-before: always; }
                 </style>
             </head>
             <body>
-                <h1>Rapport de Retards - ${report.className}</h1>
+                ${reports.map(report => this.generateReportSection(report)).join('')}
+            </body>
+            </html>
+        `;
+    }
+
+    /**
+     * Generate the report page of one class
+     * @param {object} report - Monthly report
+     */
+    generateReportSection(report) {
+        // One tardies column per session when there are several
+        const sessionLabels = report.sessionLabels.length > 1 ? report.sessionLabels : [];
+        
+        return `
+            <div class="report-page">
+                <h1>Rapport de Retards - ${this.escapeHtml(report.className)}</h1>
                 <p class="text-center">${report.monthName} ${report.year}</p>
+                ${report.classInfo.length > 0 ? `
+                    <p class="class-info">
+                        ${report.classInfo.map(info => 
+                            `${info.title} : ${this.escapeHtml(info.value)}`
+                        ).join(' · ')}
+                    </p>
+                ` : ''}
                 <table>
                     <thead>
                         <tr>
                             <th>Élève</th>
+                            ${report.studentColumns.map(column => `<th>${STUDENT_COLUMNS[column]}</th>`).join('')}
                             <th class="text-center">Jours</th>
                             <th class="text-center">À l'heure</th>
                             <th class="text-center">Retards</th>
                             <th class="text-right">Minutes</th>
                             <th class="text-right">Moyenne</th>
+                            <th class="text-center">Absences</th>
+                            ${report.lateStatuses.map(status => 
+                                `<th class="text-center">${STATUS_COLUMNS[status]}</th>`
+                            ).join('')}
+                            ${sessionLabels.map(label => 
+                                `<th class="text-center">Retards ${this.escapeHtml(label)}</th>`
+                            ).join('')}
                         </tr>
                     </thead>
                     <tbody>
                         ${report.students.map(s => `
                             <tr>
-                                <td>${s.name}</td>
+                                <td>
+                                    ${this.escapeHtml(s.name)}
+                                    ${s.period ? `<small>(${s.period})</small>` : ''}
+                                </td>
+                                ${report.studentColumns.map(column => `<td>${this.escapeHtml(s.profile[column])}</td>`).join('')}
                                 <td class="text-center">${s.totalDays}</td>
                                 <td class="text-center">${s.onTime}</td>
                                 <td class="text-center">${s.tardies}</td>
                                 <td class="text-right">${s.totalMinutesLate}</td>
                                 <td class="text-right">${s.avgMinutesLate}</td>
+                                <td class="text-center">${s.absentDays}</td>
+                                ${report.lateStatuses.map(status => 
+                                    `<td class="text-center">${s.byStatus[status]}</td>`
+                                ).join('')}
+                                ${sessionLabels.map(label => 
+                                    `<td class="text-center">${s.sessions[label] ? s.sessions[label].tardies : 0}</td>`
+                                ).join('')}
                             </tr>
                         `).join('')}
                     </tbody>
@@ -621,8 +3294,7 @@ export class UI {
                 <p style="margin-top: 20px; text-align: right;">
                     Généré le ${new Date().toLocaleDateString()}
                 </p>
-            </body>
-            </html>
+            </div>
         `;
     }
 
@@ -635,6 +3307,35 @@ export class UI {
         modal.classList.remove('hidden');
     }
 
+    /**
+     * Warn that changes could not be saved on this device
+     * @param {Error|null} error
+     */
+    showWriteError(error) {
+        const bar = document.getElementById('writeError');
+        if (!bar) return;
+        
+        const full = error && error.name === 'QuotaExceededError';
+        bar.innerHTML = `
+            <span>
+                ⚠️ Changes could not be saved on this device${full ? ': the storage is full' : ''}.
+                They are kept until the app is closed: free some space (old restore points, photos)
+                or download a backup, then retry.
+            </span>
+            <button class="btn btn-secondary" onclick="window.app.ui.retryWrites()">Retry</button>
+        `;
+        bar.classList.remove('hidden');
+    }
+
+    /**
+     * Save again the changes whose write failed
+     */
+    async retryWrites() {
+        if (await this.app.storage.retryWrites()) {
+            document.getElementById('writeError').classList.add('hidden');
+        }
+    }
+
     /**
      * Close modal
      */
@@ -646,7 +3347,57 @@ export class UI {
      * Toggle sidebar
      */
     toggleSidebar() {
-        document.getElementById('sidebar').classList.toggle('hidden');
+        const sidebar = document.getElementById('sidebar');
+        if (sidebar.classList.contains('hidden')) {
+            this.renderSidebar();
+        }
+        sidebar.classList.toggle('hidden');
+    }
+
+    /**
+     * Render sidebar menu
+     */
+    renderSidebar() {
+        document.getElementById('sidebar').innerHTML = `
+            <div class="sidebar-header">
+                <h2>Menu</h2>
+                <button class="icon-btn" onclick="window.app.ui.toggleSidebar()">✕</button>
+            </div>
+            <ul class="sidebar-menu">
+                <li><button onclick="window.app.ui.runMenuAction('showWorkspacesModal')">🏫 Workspaces</button></li>
+                <li><button onclick="window.app.ui.runMenuAction('showClassesModal')">🏷️ Classes</button></li>
+                <li><button onclick="window.app.ui.runMenuAction('showCalendarModal')">📆 School calendar</button></li>
+                <li><button onclick="window.app.ui.runMenuAction('showLatenessModal')">⏱️ Lateness rules</button></li>
+                <li><button onclick="window.app.ui.runMenuAction('showRolloverModal')">🎓 New school year</button></li>
+                <li><button onclick="window.app.ui.runMenuAction('exportBackup')">💾 Export backup</button></li>
+                <li><button onclick="window.app.ui.runMenuAction('showRestoreModal')">♻️ Restore backup</button></li>
+                <li><button onclick="window.app.ui.runMenuAction('showRestorePointsModal')">🕒 Restore points</button></li>
+                <li><button onclick="window.app.ui.runMenuAction('switchView', 'journal')">📜 Change journal</button></li>
+                <li><button onclick="window.app.ui.runMenuAction('showSyncModal')">🔄 Sync</button></li>
+                ${this.app.storage.supportsEncryption() ? `
+                    <li><button onclick="window.app.ui.runMenuAction('showEncryptionModal')">🔒 Encryption</button></li>
+                ` : ''}
+            </ul>
+        `;
+    }
+
+    /**
+     * Close sidebar and run a UI action
+     */
+    runMenuAction(action, ...args) {
+        document.getElementById('sidebar').classList.add('hidden');
+        this[action](...args);
+    }
+
+    /**
+     * Data changed in another tab or window
+     */
+    handleExternalChange() {
+        if (this.currentClassId && !this.app.classManager.getById(this.currentClassId)) {
+            this.currentClassId = null;
+        }
+        this.showClassSelector();
+        this.refreshCurrentView();
     }
 
     /**
@@ -656,6 +3407,18 @@ export class UI {
         this.switchView(this.currentView || 'tracker');
     }
 
+    /**
+     * Escape text for HTML output
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     /**
      * Format date
      */
@@ -668,4 +3431,11 @@ export class UI {
             day: 'numeric' 
         });
     }
+
+    /**
+     * Format date without the weekday and year (e.g., "Mar 4")
+     */
+    formatShortDate(dateStr) {
+        return new Date(dateStr).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    }
 }
@@ -0,0 +1,149 @@
+/**
+ * Lateness Tracker - Reference sync server
+ *
+ * Minimal, dependency-free server for the optional sync (js/models/SyncManager.js).
+ * Data is kept in a single JSON file.
+ *
+ * Usage:
+ *   node server/sync-server.js [--port 8787] [--data sync-data.json] [--token secret]
+ *
+ * Protocol: POST /sync
+ *   Request:  { deviceId, since, changes: [{ collection, id, updatedAt, deleted, record }] }
+ *   Response: { cursor, changes: [...] } - every change with a revision > since,
+ *             except the ones this device just sent
+ *
+ * Each incoming change is kept only if its updatedAt is more recent than the
+ * stored one (last writer wins). When a change loses, the stored winner gets a
+ * new revision so every device, including the sender, pulls it again.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const args = parseArgs(process.argv.slice(2));
+const PORT = Number(args.port || process.env.PORT || 8787);
+const DATA_FILE = path.resolve(args.data || process.env.SYNC_DATA || 'sync-data.json');
+const TOKEN = args.token || process.env.SYNC_TOKEN || '';
+const MAX_BODY = 20 * 1024 * 1024;
+
+const db = loadData();
+
+const server = http.createServer((req, res) => {
+    // The app is usually served from another origin
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        return res.end();
+    }
+    if (req.method !== 'POST' || req.url !== '/sync') {
+        return sendJSON(res, 404, { error: 'Not found' });
+    }
+    if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+        return sendJSON(res, 401, { error: 'Invalid token' });
+    }
+
+    readBody(req)
+        .then(body => sendJSON(res, 200, handleSync(JSON.parse(body))))
+        .catch(error => sendJSON(res, 400, { error: error.message }));
+});
+
+server.listen(PORT, () => {
+    console.log(`🔄 Sync server on http://localhost:${PORT}/sync (data: ${DATA_FILE})`);
+});
+
+/**
+ * Apply pushed changes and return what the device has not seen yet
+ * @param {object} request - { deviceId, since, changes }
+ * @returns {object} - { cursor, changes }
+ */
+function handleSync(request) {
+    const since = Number(request.since) || 0;
+    const deviceId = String(request.deviceId || '');
+    const changes = Array.isArray(request.changes) ? request.changes : [];
+
+    changes.forEach(change => {
+        if (!change || !change.collection || !change.id || !change.updatedAt) return;
+
+        const key = `${change.collection}:${change.id}`;
+        const stored = db.records[key];
+
+        if (stored && stored.updatedAt >= change.updatedAt) {
+            // Older (or same) version: make sure the sender gets the winner back
+            if (stored.updatedAt > change.updatedAt) {
+                stored.rev = ++db.rev;
+                stored.origin = null;
+            }
+            return;
+        }
+
+        db.records[key] = {
+            collection: change.collection,
+            id: change.id,
+            updatedAt: change.updatedAt,
+            deleted: !!change.deleted,
+            record: change.deleted ? null : change.record,
+            rev: ++db.rev,
+            origin: deviceId
+        };
+    });
+
+    if (changes.length > 0) saveData();
+
+    return {
+        cursor: db.rev,
+        changes: Object.values(db.records)
+            .filter(r => r.rev > since && r.origin !== deviceId)
+            .sort((a, b) => a.rev - b.rev)
+            .map(({ collection, id, updatedAt, deleted, record }) => ({ collection, id, updatedAt, deleted, record }))
+    };
+}
+
+function loadData() {
+    try {
+        return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    } catch (error) {
+        return { rev: 0, records: {} };
+    }
+}
+
+function saveData() {
+    const tmp = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(db));
+    fs.renameSync(tmp, DATA_FILE);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY) {
+                reject(new Error('Request too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+function sendJSON(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+function parseArgs(argv) {
+    const result = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            result[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return result;
+}
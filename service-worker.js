@@ -1,21 +1,43 @@
 /**
  * Service Worker - Offline Support
  * 
- * Caches app shell for offline use
+ * Caches app shell for offline use and pushes the sync outbox
+ * when the connection comes back (Background Sync)
  */
 
-const CACHE_NAME = 'lateness-tracker-v1';
+const CACHE_NAME = 'lateness-tracker-v2';
 const urlsToCache = [
     '/',
     '/index.html',
     '/css/style.css',
+    '/js/bundle.js',
     '/js/app.js',
     '/js/models/ClassManager.js',
     '/js/models/StudentManager.js',
     '/js/models/ArrivalTracker.js',
     '/js/models/ReportGenerator.js',
+    '/js/models/Settings.js',
+    '/js/models/Journal.js',
+    '/js/models/SyncManager.js',
+    '/js/models/WorkspaceManager.js',
+    '/js/models/BackupManager.js',
+    '/js/models/SchoolCalendar.js',
+    '/js/models/YearRollover.js',
+    '/js/models/Trash.js',
+    '/js/models/TimetableCalendar.js',
+    '/js/models/StudentPhotos.js',
     '/js/views/UI.js',
+    '/js/views/JournalView.js',
     '/js/utils/Storage.js',
+    '/js/utils/IndexedDBStorage.js',
+    '/js/utils/SchemaMigrator.js',
+    '/js/utils/BackupValidator.js',
+    '/js/utils/Encryption.js',
+    '/js/utils/ICalendar.js',
+    '/js/utils/CSV.js',
+    '/js/utils/XLSX.js',
+    '/js/utils/Zip.js',
+    '/js/utils/Names.js',
     '/manifest.json'
 ];
 
@@ -82,3 +104,80 @@ self.addEventListener('fetch', event => {
             })
     );
 });
+
+// Background Sync - push changes queued by SyncManager while offline
+self.addEventListener('sync', event => {
+    if (event.tag.startsWith('sync-outbox:')) {
+        event.waitUntil(pushOutbox(event.tag.replace('sync-outbox:', '')));
+    }
+});
+
+/**
+ * Let an open tab do a full sync, or push the outbox directly from IndexedDB.
+ * Throwing makes the browser retry later.
+ * @param {string} namespace - Storage namespace (IndexedDB database name)
+ */
+async function pushOutbox(namespace) {
+    const windows = await self.clients.matchAll({ type: 'window' });
+    if (windows.length > 0) {
+        windows.forEach(client => client.postMessage({ type: 'sync-outbox', namespace }));
+        return;
+    }
+
+    const db = await idbRequest(indexedDB.open(namespace));
+    try {
+        const tx = db.transaction(['kv', 'records'], 'readonly');
+        const configEntry = await idbRequest(tx.objectStore('kv').get('syncConfig'));
+        const rows = await idbRequest(tx.objectStore('records').getAll(
+            IDBKeyRange.bound(['syncOutbox'], ['syncOutbox', []])
+        ));
+        // Encrypted storage cannot be read here: wait for the app to be unlocked
+        if (!configEntry || configEntry.enc) return;
+        const config = JSON.parse(configEntry.value);
+
+        if (!config || !config.enabled || !config.endpoint || rows.length === 0) return;
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.token) headers.Authorization = `Bearer ${config.token}`;
+
+        // Push only: the cursor stays unchanged so the app pulls everything next time
+        const response = await fetch(config.endpoint.replace(/\/$/, '') + '/sync', {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                deviceId: config.deviceId,
+                since: config.cursor,
+                changes: rows.map(({ data }) => ({
+                    collection: data.collection,
+                    id: data.recordId,
+                    updatedAt: data.updatedAt,
+                    deleted: data.deleted,
+                    record: data.record
+                }))
+            })
+        });
+        if (!response.ok) throw new Error(`Server answered ${response.status}`);
+
+        const write = db.transaction('records', 'readwrite');
+        const ops = rows.map(row => ({ store: 'records', type: 'delete', key: ['syncOutbox', row.id] }));
+        ops.forEach(op => write.objectStore('records').delete(op.key));
+        await new Promise((resolve, reject) => {
+            write.oncomplete = resolve;
+            write.onerror = () => reject(write.error);
+        });
+
+        // Same message format as IndexedDBStorage, for tabs opened meanwhile
+        const channel = new BroadcastChannel(`${namespace}:changes`);
+        channel.postMessage({ ops });
+        channel.close();
+    } finally {
+        db.close();
+    }
+}
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}